@@ -1 +0,0 @@
-export const ipAddress = 'http://localhost:3001';
\ No newline at end of file
@@ -0,0 +1,115 @@
+import {
+  getBook,
+  findBookByBarcode,
+  findBookByTitle,
+  insertBook,
+  getDelivery,
+  findDeliveryIdByInvoice,
+  insertDelivery,
+  insertDeliveryLine,
+} from './db.js';
+import { recordAudit } from './audit.js';
+import { ConflictError, ValidationError } from './errors.js';
+import { addExemplar, restockBook } from './exemplars.js';
+
+/**
+ * Acquisitions: deliveries of new copies from suppliers, one per invoice. Each line of a delivery
+ * puts its copies on the shelf as new exemplars of a catalog book, adding the book to the catalog
+ * when the library does not have it yet. Call inside inTransaction, changes are audited under actor.
+ */
+
+// The stored fields, the line totals are worked out from the lines
+const toRecord = ({ id, supplier, invoiceNumber, receivedAt, fundingSource, note }) =>
+  ({ id, supplier, invoiceNumber, receivedAt, fundingSource, note });
+
+// The catalog book a line is for: the named one, else the one with the line's barcode, else the
+// one with the same title and author. { book, isNew }, a book is added when nothing matches.
+const resolveBook = (actor, line, index) => {
+  if (line.bookId !== undefined) {
+    const book = getBook(line.bookId);
+    if (!book || book.archivedAt) {
+      throw new ValidationError('The book of a delivery line is not in the catalog.', {
+        details: [{ path: `body.lines[${index}].bookId`, message: 'must be a book in the catalog' }],
+      });
+    }
+    return { book, isNew: false };
+  }
+
+  const title = line.title.trim();
+  const author = line.author.trim();
+  const existing = (line.barcode ? findBookByBarcode(line.barcode) : null) ?? findBookByTitle(title, author);
+  if (existing) {
+    return { book: existing, isNew: false };
+  }
+
+  const book = insertBook({
+    title,
+    author,
+    genre: line.genre?.trim() || null,
+    year: line.year ?? null,
+    barcode: line.barcode ?? null,
+    quantity: 0,
+  });
+  recordAudit(actor, 'book', null, book);
+  return { book, isNew: true };
+};
+
+/**
+ * Receives a delivery: records the invoice and its lines and puts the copies of each line on the
+ * shelf as new exemplars acquired on receivedAt, set aside for the hold queues first. Returns
+ * { delivery, created, updated, readyHolds }: the delivery with its lines, the books it added to the
+ * catalog, the other books it added copies to and the holds that became ready.
+ * @throws {ValidationError} a line names a book that is not in the catalog
+ * @throws {ConflictError} DUPLICATE_INVOICE
+ */
+export const receiveDelivery = (actor, { lines, ...fields }) => {
+  const supplier = fields.supplier.trim();
+  const invoiceNumber = fields.invoiceNumber.trim();
+  if (findDeliveryIdByInvoice(supplier, invoiceNumber) !== null) {
+    throw new ConflictError(`Invoice ${invoiceNumber} of ${supplier} has already been received.`, {
+      code: 'DUPLICATE_INVOICE',
+    });
+  }
+
+  const delivery = insertDelivery({
+    ...fields,
+    supplier,
+    invoiceNumber,
+    note: fields.note?.trim() || null,
+    actorId: actor?.id ?? null,
+    actorName: actor?.fullName ?? actor?.username ?? null,
+  });
+  recordAudit(actor, 'delivery', null, toRecord(delivery));
+
+  const books = new Map();
+  const createdIds = new Set();
+  const readyHolds = [];
+  lines.forEach((line, index) => {
+    const { book, isNew } = resolveBook(actor, line, index);
+    if (isNew) createdIds.add(book.id);
+
+    const saved = insertDeliveryLine({
+      deliveryId: delivery.id,
+      bookId: book.id,
+      title: line.title.trim(),
+      author: line.author.trim(),
+      copies: line.copies,
+      price: line.price,
+      newTitle: isNew,
+    });
+    for (let copy = 0; copy < line.copies; copy++) {
+      addExemplar(actor, book.id, { acquiredAt: delivery.receivedAt, condition: 'new', deliveryLineId: saved.id });
+    }
+    const restocked = restockBook(actor, book.id);
+    books.set(book.id, restocked.book);
+    readyHolds.push(...restocked.readyHolds);
+  });
+
+  const received = [...books.values()];
+  return {
+    delivery: getDelivery(delivery.id),
+    created: received.filter(book => createdIds.has(book.id)),
+    updated: received.filter(book => !createdIds.has(book.id)),
+    readyHolds,
+  };
+};
@@ -0,0 +1,53 @@
+import { insertAuditEntry } from './db.js';
+
+export const AUDIT_ENTITIES = [
+  'book', 'exemplar', 'write-off', 'delivery', 'inventory', 'discrepancy',
+  'student', 'transaction', 'hold', 'fine', 'override',
+];
+
+// The row version moves with every update, the other fields already show what changed
+const IGNORED_FIELDS = new Set(['version']);
+
+/**
+ * Field-level diff between two versions of a record: { field: { from, to } }.
+ * A missing side (create/delete) is treated as an empty record.
+ */
+export const diffFields = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Appends an audit entry for a change made by actor (req.user).
+ * Call inside the same inTransaction as the change itself, so both commit or neither does.
+ * Updates that did not change any field are not recorded.
+ */
+export const recordAudit = (actor, entity, before, after) => {
+  const action = !before ? 'create' : !after ? 'delete' : 'update';
+  const changes = diffFields(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return;
+  }
+
+  const record = after ?? before;
+  insertAuditEntry({
+    at: new Date().toISOString(),
+    actorId: actor?.id ?? null,
+    actorName: actor?.fullName ?? actor?.username ?? null,
+    action,
+    entity,
+    entityId: record.id ?? record.studentId ?? null,
+    changes,
+  });
+};
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+import {
+  inTransaction,
+  countUsers,
+  insertUser,
+  findUserByUsername,
+  insertSession,
+  getSessionUser,
+  deleteSession,
+  deleteExpiredSessions,
+} from './db.js';
+import { ConflictError, ForbiddenError, UnauthorizedError } from './errors.js';
+import { logger } from './logger.js';
+
+export const ROLES = ['admin', 'librarian', 'teacher'];
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+// ====================== PASSWORDS ======================
+
+/**
+ * Hashes a password as "scrypt$<salt>$<hash>" (hex)
+ */
+export const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+export const verifyPassword = (password, stored) => {
+  const [scheme, saltHex, hashHex] = String(stored ?? '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Creates a staff account from a payload that matched SCHEMAS.UserCreate
+ * @throws {ConflictError} if the username is taken
+ */
+export const createUser = ({ username, fullName, role, password }) => inTransaction(() => {
+  if (findUserByUsername(username)) {
+    throw new ConflictError('A user with this username already exists.', { code: 'DUPLICATE_USERNAME' });
+  }
+  return insertUser({ username, fullName: fullName.trim(), role, passwordHash: hashPassword(password) });
+});
+
+// ====================== SESSIONS ======================
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Checks credentials and opens a session.
+ * Returns { token, user } or null if the username/password pair is wrong.
+ */
+export const login = (username, password) => {
+  const account = findUserByUsername(String(username ?? '').trim());
+  if (!account || !verifyPassword(password, account.passwordHash)) {
+    return null;
+  }
+
+  deleteExpiredSessions();
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  insertSession(hashToken(token), account.id, expiresAt);
+
+  const { passwordHash: _passwordHash, ...user } = account;
+  return { token, user, expiresAt };
+};
+
+export const logout = (token) => {
+  if (token) deleteSession(hashToken(token));
+};
+
+// EventSource cannot send headers, so the live update stream passes the token in the query string
+const QUERY_TOKEN_PATHS = new Set(['/api/events']);
+
+const readBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) {
+    return token;
+  }
+
+  const queryToken = req.query.access_token;
+  if (req.method === 'GET' && QUERY_TOKEN_PATHS.has(`${req.baseUrl}${req.path}`) && typeof queryToken === 'string') {
+    return queryToken;
+  }
+  return null;
+};
+
+// ====================== MIDDLEWARE ======================
+
+/**
+ * Rejects requests without a valid session token, sets req.user and req.token otherwise
+ */
+export const authenticate = (req, res, next) => {
+  const token = readBearerToken(req);
+  const user = token ? getSessionUser(hashToken(token)) : null;
+
+  if (!user) {
+    return next(new UnauthorizedError());
+  }
+
+  req.user = user;
+  req.token = token;
+  next();
+};
+
+/**
+ * Allows the request only for the listed roles. Must run after authenticate.
+ */
+export const requireRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+
+  // Read by openapi.js to document who may call the route
+  middleware.roles = roles;
+  return middleware;
+};
+
+// ====================== BOOTSTRAP ======================
+
+/**
+ * Creates the first admin account from ADMIN_PASSWORD on an empty users table so the app can be
+ * signed into. Without ADMIN_PASSWORD no account is created: a generated password would have to be
+ * printed, and pm2 writes stdout to its log files. The operator creates one with the create-admin command.
+ */
+export const ensureAdminAccount = () => {
+  if (countUsers() > 0) return;
+
+  if (!config.adminPassword) {
+    logger.warn('No user accounts exist and ADMIN_PASSWORD is not set. '
+      + 'Create an admin with "npm run cli -- create-admin <username>" or set ADMIN_PASSWORD and restart.');
+    return;
+  }
+
+  insertUser({
+    username: 'admin',
+    fullName: 'Администратор',
+    role: 'admin',
+    passwordHash: hashPassword(config.adminPassword),
+  });
+  logger.info('Created initial admin account', { username: 'admin' });
+};
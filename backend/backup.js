@@ -0,0 +1,239 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from './config.js';
+import { db, SCHEMA_VERSION, migrate, inTransaction } from './db.js';
+import { NotFoundError, ValidationError } from './errors.js';
+import { logger } from './logger.js';
+
+export const BACKUP_DIR = config.backupDir;
+
+const BACKUP_INTERVAL_HOURS = config.backupIntervalHours;
+const BACKUP_RETENTION = config.backupRetention;
+
+// Accounts, sessions and the audit trail are not rolled back by a restore
+const PRESERVED_TABLES = ['users', 'sessions', 'audit_log'];
+
+// Emptied instead of restored: stored responses describe data the restore replaces, and
+// their users may no longer exist
+const CLEARED_TABLES = ['idempotency_keys'];
+
+const BACKUP_NAME_RE = /^library-[0-9TZ-]+(-pre-restore)?\.db$/;
+
+// ====================== SNAPSHOTS ======================
+
+/**
+ * Resolves a snapshot name from the API to its file, rejecting anything that is not one of ours
+ */
+export const resolveBackupPath = (name) => {
+  if (!BACKUP_NAME_RE.test(String(name)) || !fs.existsSync(path.join(BACKUP_DIR, name))) {
+    throw new NotFoundError('Backup not found.', { code: 'BACKUP_NOT_FOUND' });
+  }
+  return path.join(BACKUP_DIR, name);
+};
+
+export const listBackups = () => {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => BACKUP_NAME_RE.test(name))
+    .map(name => {
+      const stat = fs.statSync(path.join(BACKUP_DIR, name));
+      return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => b.name.localeCompare(a.name));
+};
+
+/**
+ * Deletes the oldest snapshots beyond BACKUP_RETENTION
+ */
+const pruneBackups = () => {
+  for (const { name } of listBackups().slice(BACKUP_RETENTION)) {
+    fs.rmSync(path.join(BACKUP_DIR, name), { force: true });
+  }
+};
+
+/**
+ * Writes a consistent copy of the live database (SQLite online backup, safe while serving requests)
+ */
+export const createBackup = async (suffix = '') => {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `library-${stamp}${suffix ? `-${suffix}` : ''}.db`;
+  await db.backup(path.join(BACKUP_DIR, name));
+  pruneBackups();
+
+  return listBackups().find(backup => backup.name === name);
+};
+
+// ====================== VALIDATION ======================
+
+const readSchema = (database) => {
+  const tables = database
+    .prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`)
+    .pluck()
+    .all();
+
+  return Object.fromEntries(tables.map(table => [
+    table,
+    database.pragma(`table_info(${table})`).map(column => column.name),
+  ]));
+};
+
+/**
+ * Copies the snapshot to a temp file, checks it and migrates it to the current schema.
+ * Returns the path of the migrated copy; the caller removes it. Throws a ValidationError listing
+ * every problem in details if the snapshot cannot be restored into this version of the app.
+ */
+const prepareSnapshot = (snapshotPath) => {
+  const tempPath = path.join(os.tmpdir(), `library-restore-${process.pid}-${Date.now()}.db`);
+  fs.copyFileSync(snapshotPath, tempPath);
+
+  let snapshot;
+  try {
+    snapshot = new Database(tempPath, { fileMustExist: true });
+
+    const integrity = snapshot.pragma('integrity_check', { simple: true });
+    if (integrity !== 'ok') {
+      throw new ValidationError('Snapshot is corrupted.', {
+        code: 'INVALID_BACKUP',
+        details: [String(integrity)],
+      });
+    }
+
+    const version = snapshot.pragma('user_version', { simple: true });
+    if (version < 1 || version > SCHEMA_VERSION) {
+      throw new ValidationError('Snapshot schema version is not supported.', {
+        code: 'INVALID_BACKUP',
+        details: [`Snapshot version ${version}, server version ${SCHEMA_VERSION}`],
+      });
+    }
+
+    migrate(snapshot);
+
+    const expected = readSchema(db);
+    const actual = readSchema(snapshot);
+    const problems = [];
+    for (const [table, columns] of Object.entries(expected)) {
+      if (!actual[table]) {
+        problems.push(`Missing table ${table}`);
+        continue;
+      }
+      const missing = columns.filter(column => !actual[table].includes(column));
+      if (missing.length > 0) {
+        problems.push(`Table ${table} is missing columns: ${missing.join(', ')}`);
+      }
+    }
+    if (problems.length > 0) {
+      throw new ValidationError('Snapshot does not match the current schema.', {
+        code: 'INVALID_BACKUP',
+        details: problems,
+      });
+    }
+
+    return tempPath;
+  } catch (err) {
+    snapshot?.close();
+    snapshot = null;
+    fs.rmSync(tempPath, { force: true });
+    if (err instanceof ValidationError) throw err;
+    throw new ValidationError('Snapshot is not a valid library database.', {
+      code: 'INVALID_BACKUP',
+      details: [err.message],
+    });
+  } finally {
+    snapshot?.close();
+  }
+};
+
+// ====================== RESTORE ======================
+
+/**
+ * The tables of schema with the ones they reference first, so restoring does not depend
+ * on the order the tables were created in. Tables that reference each other keep any order.
+ */
+const sortByReferences = (schema) => {
+  const ordered = [];
+  const seen = new Set();
+  const visit = (table) => {
+    if (seen.has(table)) return;
+    seen.add(table);
+    for (const { table: parent } of db.pragma(`foreign_key_list(${table})`)) {
+      if (parent in schema) visit(parent);
+    }
+    ordered.push([table, schema[table]]);
+  };
+  Object.keys(schema).forEach(visit);
+  return ordered;
+};
+
+/**
+ * Replaces all library data with the contents of a snapshot.
+ * A pre-restore snapshot of the current state is taken first, so a restore can be undone.
+ * Users, sessions and the audit log are kept as they are, stored idempotent responses are dropped.
+ */
+export const restoreBackup = async (name) => {
+  const snapshotPath = resolveBackupPath(name);
+  const preparedPath = prepareSnapshot(snapshotPath);
+
+  try {
+    const safetyBackup = await createBackup('pre-restore');
+
+    db.prepare('ATTACH DATABASE ? AS snapshot').run(preparedPath);
+    try {
+      const tables = sortByReferences(readSchema(db))
+        .filter(([table]) => !PRESERVED_TABLES.includes(table) && !CLEARED_TABLES.includes(table));
+
+      const restored = inTransaction(() => {
+        // Rows reference each other across tables, check keys once everything is copied
+        db.pragma('defer_foreign_keys = ON');
+        // Empty every table before copying any, referencing tables first: a delete fires ON DELETE
+        // SET NULL and CASCADE on the rows that reference it, which would hit rows already copied
+        for (const table of CLEARED_TABLES) {
+          db.prepare(`DELETE FROM main."${table}"`).run();
+        }
+        for (const [table] of [...tables].reverse()) {
+          db.prepare(`DELETE FROM main."${table}"`).run();
+        }
+        const counts = {};
+        for (const [table, columns] of tables) {
+          const list = columns.map(column => `"${column}"`).join(', ');
+          counts[table] = db
+            .prepare(`INSERT INTO main."${table}" (${list}) SELECT ${list} FROM snapshot."${table}"`)
+            .run().changes;
+        }
+        return counts;
+      });
+
+      return { restored, safetyBackup: safetyBackup.name };
+    } finally {
+      db.exec('DETACH DATABASE snapshot');
+    }
+  } finally {
+    fs.rmSync(preparedPath, { force: true });
+  }
+};
+
+// ====================== SCHEDULE ======================
+
+/**
+ * Takes a snapshot every BACKUP_INTERVAL_HOURS, and right away if the newest one is already older than that
+ */
+export const scheduleBackups = () => {
+  const intervalMs = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+
+  const runBackup = () => {
+    createBackup()
+      .then(backup => logger.info('Backup created', { backup: backup.name }))
+      .catch(err => logger.error('Scheduled backup failed', { err }));
+  };
+
+  const [latest] = listBackups();
+  if (!latest || Date.now() - new Date(latest.createdAt).getTime() >= intervalMs) {
+    runBackup();
+  }
+
+  setInterval(runBackup, intervalMs).unref();
+};
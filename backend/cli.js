@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for data work on the library database (the one DB_FILE points to).
+ *
+ *   npm run cli -- <command> [arguments] [--dry-run] [--json]
+ *
+ * --dry-run makes the changes inside a transaction that is rolled back at the end, so the
+ * report shows exactly what would happen. --json prints the result as JSON for scripts.
+ * Exit codes: 0 done, 1 failed or found problems, 2 wrong usage.
+ * Pages open in the browser are not notified of changes made here, they show them after a reload.
+ */
+import fs from 'fs';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+
+// Log lines on the terminal would mix with the output, the log files still get them
+process.env.LOG_CONSOLE ??= 'false';
+
+const { inTransaction } = await import('./db.js');
+const { createUser } = await import('./auth.js');
+const { AppError, ValidationError } = await import('./errors.js');
+const { SCHEMAS } = await import('./schemas.js');
+const { validateValue } = await import('./validation.js');
+const {
+  COLLECTIONS,
+  validateRecords,
+  exportRecords,
+  importRecords,
+  normalizeStudents,
+  listHoldings,
+  recomputeStock,
+  listOverdueLoans,
+} = await import('./maintenance.js');
+
+// Audit entries of CLI changes name the system user who ran the command
+const actor = { id: null, username: `cli:${process.env.USER || process.env.USERNAME || 'unknown'}` };
+
+class UsageError extends Error {}
+
+// Thrown to roll back the transaction of a dry run
+class DryRun extends Error {}
+
+const applyChanges = (dryRun, fn) => {
+  if (!dryRun) return fn();
+
+  let result;
+  try {
+    inTransaction(() => {
+      result = fn();
+      throw new DryRun();
+    });
+  } catch (err) {
+    if (!(err instanceof DryRun)) throw err;
+  }
+  return result;
+};
+
+const readJsonFile = (file) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new ValidationError(`Cannot read ${file}: ${err.message}`, { code: 'FILE_NOT_READABLE' });
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new ValidationError(`${file} is not valid JSON: ${err.message}`, { code: 'INVALID_JSON' });
+  }
+};
+
+const requireCollection = (collection, extra = []) => {
+  if (![...COLLECTIONS, ...extra].includes(collection)) {
+    throw new UsageError(`Collection must be one of: ${[...COLLECTIONS, ...extra].join(', ')}.`);
+  }
+  return collection;
+};
+
+const requireArgument = (value, name) => {
+  if (!value) throw new UsageError(`Missing ${name}.`);
+  return value;
+};
+
+const formatProblems = (problems) => problems.map(problem => `  ${problem.path || '(file)'} ${problem.message}`).join('\n');
+
+// ====================== COMMANDS ======================
+
+/**
+ * Each command: usage, description, run(positionals, options) returning a result object,
+ * and format(result) for the text output. A result with failed: true exits with code 1.
+ */
+const COMMANDS = {
+  export: {
+    usage: 'export <books|students|transactions|holdings> [--out file]',
+    description: 'Writes a collection as a JSON array to stdout or --out. "holdings" lists copies per book for recompute-stock.',
+    run: ([collection], options) => {
+      requireCollection(collection, ['holdings']);
+      const records = collection === 'holdings' ? listHoldings() : exportRecords(collection);
+      if (!options.out) {
+        return { collection, count: records.length, records };
+      }
+      if (!options['dry-run']) {
+        fs.writeFileSync(options.out, `${JSON.stringify(records, null, 2)}\n`);
+      }
+      return { collection, count: records.length, file: options.out };
+    },
+    format: (result) => (result.records
+      ? JSON.stringify(result.records, null, 2)
+      : `${result.count} ${result.collection} written to ${result.file}`),
+  },
+
+  import: {
+    usage: 'import <books|students|transactions> <file>',
+    description: 'Creates or updates records from a JSON array, all or nothing. Transactions do not change stock.',
+    run: ([collection, file], options) => {
+      requireCollection(collection);
+      const { records, problems } = validateRecords(collection, readJsonFile(requireArgument(file, 'file')));
+      if (problems.length > 0) {
+        throw new ValidationError(`${file} has ${problems.length} problem(s), nothing was imported.`, { details: problems });
+      }
+      return { collection, file, ...applyChanges(options['dry-run'], () => importRecords(actor, collection, records)) };
+    },
+    format: (result) => `${result.collection}: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged`,
+  },
+
+  validate: {
+    usage: 'validate <books|students|transactions> <file>',
+    description: 'Checks a data file against the API schemas without importing it.',
+    run: ([collection, file]) => {
+      requireCollection(collection);
+      const raw = readJsonFile(requireArgument(file, 'file'));
+      const { records, problems } = validateRecords(collection, raw);
+      return { collection, file, valid: records.length, problems, failed: problems.length > 0 };
+    },
+    format: (result) => (result.problems.length === 0
+      ? `${result.file}: ${result.valid} valid ${result.collection}`
+      : `${result.file}: ${result.problems.length} problem(s)\n${formatProblems(result.problems)}`),
+  },
+
+  'normalize-students': {
+    usage: 'normalize-students',
+    description: 'Normalizes card IDs and names of all students and archives unusable records.',
+    run: (args, options) => applyChanges(options['dry-run'], () => normalizeStudents(actor)),
+    format: (result) => `${result.before} students: ${result.changed} normalized, ${result.removed} archived, ${result.after} left`,
+  },
+
+  'recompute-stock': {
+    usage: 'recompute-stock <holdings file>',
+    description: 'Sets shelf quantity to copies minus open loans for each book in the file (see export holdings).',
+    run: ([file], options) => {
+      const holdings = readJsonFile(requireArgument(file, 'holdings file'));
+      return applyChanges(options['dry-run'], () => recomputeStock(actor, holdings));
+    },
+    format: (result) => [
+      `${result.checked} books checked, ${result.changes.length} changed`,
+      ...result.changes.map(change => `  #${change.id} ${change.title}: ${change.from} -> ${change.to} (${change.onLoan} on loan)`),
+    ].join('\n'),
+  },
+
+  'create-admin': {
+    usage: 'create-admin <username> [--full-name name] [--password password]',
+    description: 'Creates an admin account. Without --password a random one is generated and printed once.',
+    run: ([username], options) => {
+      const generated = !options.password;
+      const account = validateValue(SCHEMAS.UserCreate, {
+        username: requireArgument(username, 'username'),
+        fullName: options['full-name'] ?? 'Администратор',
+        role: 'admin',
+        password: options.password ?? crypto.randomBytes(9).toString('base64url'),
+      }, { path: 'account' });
+
+      const user = applyChanges(options['dry-run'], () => createUser(account));
+      return { user, ...(generated && { password: account.password }) };
+    },
+    format: (result) => [
+      `Admin account "${result.user.username}" created`,
+      ...(result.password ? [`Password: ${result.password} (change it after the first login)`] : []),
+    ].join('\n'),
+  },
+
+  overdue: {
+    usage: 'overdue [--date yyyy-mm-dd]',
+    description: 'Lists open loans past their due date, the longest overdue first.',
+    run: (args, options) => {
+      const date = validateValue(SCHEMAS.TransactionCreate.properties.date, options.date ?? new Date().toISOString().slice(0, 10), {
+        path: '--date',
+      });
+      const loans = listOverdueLoans(date);
+      return { date, count: loans.length, loans };
+    },
+    format: (result) => [
+      `${result.count} overdue loan(s) on ${result.date}`,
+      ...result.loans.map(loan => `  ${loan.dueDate} +${loan.daysOverdue}d  ${loan.studentName ?? `student ${loan.studentId}`}`
+        + ` (${loan.grade ?? '?'}${loan.gradeLetter ?? ''})  ${loan.bookTitle ?? `book ${loan.bookId}`}`),
+    ].join('\n'),
+  },
+};
+
+const OPTIONS = {
+  'dry-run': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  out: { type: 'string' },
+  date: { type: 'string' },
+  password: { type: 'string' },
+  'full-name': { type: 'string' },
+};
+
+const helpText = () => [
+  'Usage: npm run cli -- <command> [arguments] [--dry-run] [--json]',
+  '',
+  'Commands:',
+  ...Object.values(COMMANDS).flatMap(command => [`  ${command.usage}`, `      ${command.description}`]),
+  '',
+  'Every command accepts --dry-run (change nothing, report what would change) and --json.',
+].join('\n');
+
+// ====================== MAIN ======================
+
+const main = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const { values: options, positionals: [name, ...args] } = parsed;
+  if (options.help || !name) {
+    process.stdout.write(`${helpText()}\n`);
+    return 0;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(`Unknown command "${name}".`);
+  }
+
+  const result = command.run(args, options);
+  const output = options.json
+    ? JSON.stringify({ command: name, dryRun: options['dry-run'], ...result }, null, 2)
+    : `${options['dry-run'] ? '[dry run] ' : ''}${command.format(result)}`;
+  process.stdout.write(`${output}\n`);
+  return result.failed ? 1 : 0;
+};
+
+const json = process.argv.includes('--json');
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  const usage = err instanceof UsageError;
+  if (json) {
+    process.stderr.write(`${JSON.stringify({
+      error: err.message,
+      code: usage ? 'USAGE' : err.code ?? 'INTERNAL_ERROR',
+      ...(err.details !== undefined && { details: err.details }),
+    })}\n`);
+  } else {
+    // Validation messages of a single value already name the problem, longer lists follow below
+    const problems = Array.isArray(err.details)
+      ? err.details.filter(problem => !err.message.includes(`${problem.path} ${problem.message}`))
+      : [];
+    const details = problems.length > 0 ? `\n${formatProblems(problems)}` : '';
+    process.stderr.write(`${err.message}${details}${usage ? '\nRun with --help for usage.' : ''}\n`);
+    if (!usage && !(err instanceof AppError)) process.stderr.write(`${err.stack}\n`);
+  }
+  process.exitCode = usage ? 2 : 1;
+}
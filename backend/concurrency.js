@@ -0,0 +1,72 @@
+import { ConflictError, PreconditionRequiredError, ValidationError } from './errors.js';
+
+/**
+ * Optimistic concurrency for edits of books and students.
+ * Every row has a version the database increments on each change. Responses carry it in
+ * the body and as the ETag, and a PATCH must send it back in If-Match: an edit made on
+ * data that changed since it was loaded is refused instead of overwriting the newer change.
+ */
+
+export const etagOf = (record) => `"${record.version}"`;
+
+export const setETag = (res, record) => res.set('ETag', etagOf(record));
+
+// A proxy compressing the response turns "3" into W/"3", the version it names is the same
+const ENTITY_TAG_RE = /^(?:W\/)?"(\d+)"$/;
+
+/**
+ * Reads If-Match: "*" or a list of entity tags such as "3", W/"3".
+ * Returns null for "*", otherwise the versions it names.
+ */
+const parseIfMatch = (header) => {
+  if (header.trim() === '*') return null;
+
+  return header.split(',').map(tag => {
+    const match = ENTITY_TAG_RE.exec(tag.trim());
+    if (!match) {
+      throw new ValidationError('If-Match must be "*" or a list of ETags such as "3".', { code: 'INVALID_IF_MATCH' });
+    }
+    return Number(match[1]);
+  });
+};
+
+/**
+ * Route middleware that requires If-Match and stores the versions it names in req.ifMatch
+ * (null for "*"). The handler compares them with the stored record via assertVersion().
+ */
+export const requireIfMatch = () => {
+  const middleware = (req, res, next) => {
+    const header = req.get('if-match');
+    if (!header) {
+      throw new PreconditionRequiredError(
+        'Send the version of the record you edited in If-Match, as returned in its ETag or version field.'
+      );
+    }
+    req.ifMatch = parseIfMatch(header);
+    next();
+  };
+
+  middleware.apiParameters = [{
+    name: 'If-Match',
+    in: 'header',
+    required: true,
+    description: 'ETag (version) of the record the edit is based on, "*" to overwrite whatever is stored',
+    schema: { type: 'string', example: '"3"' },
+  }];
+  middleware.apiErrors = [409, 428];
+  return middleware;
+};
+
+/**
+ * Throws a VERSION_CONFLICT ConflictError when current no longer has a version named in
+ * If-Match. details.current is the stored record, so the client can merge without reloading.
+ * Call inside the transaction that writes the record.
+ */
+export const assertVersion = (req, current) => {
+  if (req.ifMatch === null || req.ifMatch.includes(current.version)) return;
+
+  throw new ConflictError('The record was changed by someone else since you loaded it.', {
+    code: 'VERSION_CONFLICT',
+    details: { current },
+  });
+};
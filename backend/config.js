@@ -0,0 +1,181 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// The same .env files at the project root feed Vite (VITE_* variables) and the server.
+// Variables already set in the environment win over .env.local, which wins over .env.
+for (const file of ['.env.local', '.env']) {
+  const envPath = path.join(ROOT_DIR, file);
+  if (fs.existsSync(envPath)) {
+    process.loadEnvFile(envPath);
+  }
+}
+
+const env = process.env;
+const problems = [];
+
+const readInt = (name, fallback, { min = -Infinity, max = Infinity } = {}) => {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    problems.push(`${name} must be an integer between ${min} and ${max}, got "${raw}"`);
+    return fallback;
+  }
+  return value;
+};
+
+const readString = (name, fallback) => {
+  const raw = env[name];
+  return raw === undefined || raw.trim() === '' ? fallback : raw.trim();
+};
+
+const readChoice = (name, fallback, choices) => {
+  const value = readString(name, fallback);
+  if (!choices.includes(value)) {
+    problems.push(`${name} must be one of ${choices.join(', ')}, got "${value}"`);
+    return fallback;
+  }
+  return value;
+};
+
+// Comma separated list, each entry checked against pattern
+const readList = (name, fallback, pattern, hint) => {
+  const raw = readString(name, fallback);
+  return raw.split(',').map(entry => entry.trim()).filter(Boolean).filter(entry => {
+    if (pattern.test(entry)) return true;
+    problems.push(`${name} entries must be ${hint}, got "${entry}"`);
+    return false;
+  });
+};
+
+const readPath = (name, fallback) => path.resolve(ROOT_DIR, readString(name, fallback));
+
+const readUrl = (name, fallback) => {
+  const raw = readString(name, fallback);
+  try {
+    const url = new URL(raw);
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('bad protocol');
+    return raw.replace(/\/+$/, '');
+  } catch {
+    problems.push(`${name} must be an absolute http(s) URL, got "${raw}"`);
+    return fallback;
+  }
+};
+
+/**
+ * "*" allows any origin, otherwise a comma separated list of origins like https://library.school.ru
+ */
+const readOrigins = (name) => {
+  const raw = readString(name, '*');
+  if (raw === '*') return '*';
+
+  return raw.split(',').map(origin => origin.trim()).filter(Boolean).filter(origin => {
+    try {
+      if (new URL(origin).origin === origin) return true;
+    } catch {
+      // reported below
+    }
+    problems.push(`${name} entries must be origins without a path (scheme://host[:port]), got "${origin}"`);
+    return false;
+  });
+};
+
+// ====================== SETTINGS ======================
+
+const port = readInt('PORT', 3001, { min: 1, max: 65535 });
+const dataDir = readPath('DATA_DIR', 'backend/data');
+const dbFile = readPath('DB_FILE', path.join(dataDir, 'library.db'));
+
+const loanDefaultDays = readInt('LOAN_DEFAULT_DAYS', 7, { min: 1, max: 365 });
+const loanMaxDays = readInt('LOAN_MAX_DAYS', 180, { min: 1, max: 365 });
+if (loanDefaultDays > loanMaxDays) {
+  problems.push(`LOAN_DEFAULT_DAYS (${loanDefaultDays}) cannot exceed LOAN_MAX_DAYS (${loanMaxDays})`);
+}
+// Public holidays repeating every year, due dates falling on them or on a weekend move to the next workday
+const loanHolidays = readList(
+  'LOAN_HOLIDAYS',
+  '01-01,02-23,03-08,05-01,05-09,06-12,11-04',
+  /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+  'MM-DD days'
+);
+
+// Grade bands "from-to:max", e.g. 1-4:3 lets students of grades 1 to 4 hold 3 books at a time
+const loanLimits = readList('LOAN_LIMITS', '1-4:3,5-9:5,10-11:7', /^\d{1,2}-\d{1,2}:\d{1,3}$/, 'from-to:max grade bands')
+  .map(entry => {
+    const [fromGrade, toGrade, maxLoans] = entry.split(/[-:]/).map(Number);
+    if (fromGrade > toGrade) {
+      problems.push(`LOAN_LIMITS band "${entry}" starts after it ends`);
+    }
+    return Object.freeze({ fromGrade, toGrade, maxLoans });
+  });
+
+export const config = Object.freeze({
+  port,
+  host: readString('HOST', '0.0.0.0'),
+  // Where the API is reachable from other machines, used in startup logs
+  publicUrl: readUrl('PUBLIC_URL', `http://localhost:${port}`),
+  corsOrigins: readOrigins('CORS_ORIGINS'),
+  dataDir,
+  dbFile,
+  backupDir: readPath('BACKUP_DIR', path.join(path.dirname(dbFile), 'backups')),
+  backupIntervalHours: readInt('BACKUP_INTERVAL_HOURS', 24, { min: 1 }),
+  backupRetention: readInt('BACKUP_RETENTION', 14, { min: 1 }),
+  adminPassword: readString('ADMIN_PASSWORD', null),
+  // JSON logs: out.log, err.log and combined.log in logDir, rotated by size
+  logDir: readPath('LOG_DIR', 'logs'),
+  logLevel: readChoice('LOG_LEVEL', 'info', ['debug', 'info', 'warn', 'error', 'silent']),
+  logMaxSizeMb: readInt('LOG_MAX_SIZE_MB', 10, { min: 1 }),
+  logMaxFiles: readInt('LOG_MAX_FILES', 5, { min: 1, max: 100 }),
+  // Under pm2 (production) stdout would only duplicate the files and tests stay quiet,
+  // during development it is handy to see the logs in the terminal
+  logConsole: readChoice(
+    'LOG_CONSOLE',
+    ['production', 'test'].includes(env.NODE_ENV) ? 'false' : 'true',
+    ['true', 'false']
+  ) === 'true',
+  // How long a response is kept for replay to a request repeating its Idempotency-Key
+  idempotencyTtlHours: readInt('IDEMPOTENCY_TTL_HOURS', 24, { min: 1, max: 720 }),
+  schoolName: readString('SCHOOL_NAME', 'Школьная Библиотека'),
+  loan: Object.freeze({
+    defaultDays: loanDefaultDays,
+    maxDays: loanMaxDays,
+    holidays: Object.freeze(loanHolidays),
+    // Each renewal moves the due date by renewDays, at most maxRenewals times per loan
+    renewDays: readInt('LOAN_RENEW_DAYS', loanDefaultDays, { min: 1, max: 365 }),
+    maxRenewals: readInt('LOAN_MAX_RENEWALS', 2, { min: 0, max: 50 }),
+    // Workdays a returned book waits on the shelf for the student first in its hold queue
+    holdPickupDays: readInt('HOLD_PICKUP_DAYS', 3, { min: 1, max: 60 }),
+  }),
+  // Overdue fines in whole rubles, charged per late workday after the grace days, capped per loan.
+  // A rate of 0 turns fines off
+  fines: Object.freeze({
+    dailyRate: readInt('FINE_DAILY_RATE', 5, { min: 0, max: 10000 }),
+    graceDays: readInt('FINE_GRACE_DAYS', 2, { min: 0, max: 365 }),
+    maxAmount: readInt('FINE_MAX_AMOUNT', 100, { min: 0, max: 1000000 }),
+  }),
+  // Checkout refuses a student over the limit of their grade band (none outside every band),
+  // with overdue books or owing more than maxFineBalance, unless a librarian overrides it
+  borrowing: Object.freeze({
+    limits: Object.freeze(loanLimits),
+    blockOnOverdue: readChoice('BORROW_BLOCK_ON_OVERDUE', 'true', ['true', 'false']) === 'true',
+    maxFineBalance: readInt('BORROW_MAX_FINE_BALANCE', 0, { min: 0, max: 1000000 }),
+  }),
+});
+
+if (problems.length > 0) {
+  throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+}
+
+/**
+ * Settings the web client needs at runtime, served by GET /api/config
+ */
+export const publicConfig = () => ({
+  schoolName: config.schoolName,
+  loan: config.loan,
+  fines: config.fines,
+});
@@ -0,0 +1,1794 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { pickStudentFields } from './normalize.js';
+
+export const dataPath = (file) => path.join(config.dataDir, file);
+
+export const DB_FILE = config.dbFile;
+
+// ====================== MIGRATIONS ======================
+
+/**
+ * Reads a legacy JSON collection, returns an empty array if it does not exist
+ */
+function readLegacyJson(filename) {
+  try {
+    const data = JSON.parse(fs.readFileSync(dataPath(filename), 'utf-8'));
+    return Array.isArray(data) ? data : [];
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+}
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Ordered list of schema migrations. The index + 1 is stored in PRAGMA user_version,
+ * so every migration runs exactly once per database file. Never edit an applied one,
+ * append a new function instead.
+ */
+const MIGRATIONS = [
+  // 1: initial schema
+  (db) => {
+    db.exec(`
+      CREATE TABLE books (
+        id        INTEGER PRIMARY KEY,
+        title     TEXT NOT NULL,
+        author    TEXT NOT NULL,
+        genre     TEXT,
+        year      INTEGER,
+        quantity  INTEGER NOT NULL DEFAULT 0,
+        barcode   INTEGER
+      );
+      CREATE INDEX idx_books_barcode ON books (barcode);
+
+      CREATE TABLE students (
+        studentId   INTEGER PRIMARY KEY,
+        name        TEXT NOT NULL,
+        grade       INTEGER NOT NULL,
+        gradeLetter TEXT NOT NULL,
+        cardId      TEXT NOT NULL
+      );
+      CREATE UNIQUE INDEX idx_students_card_id ON students (cardId);
+
+      CREATE TABLE transactions (
+        id        INTEGER PRIMARY KEY,
+        studentId INTEGER NOT NULL,
+        bookId    INTEGER NOT NULL,
+        action    TEXT NOT NULL CHECK (action IN ('taken', 'returned')),
+        date      TEXT NOT NULL,
+        warn      INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX idx_transactions_student_id ON transactions (studentId);
+      CREATE INDEX idx_transactions_book_id ON transactions (bookId);
+    `);
+  },
+
+  // 2: one-time import of the legacy books.json / students.json / transactions.json
+  (db) => {
+    const insertBook = db.prepare(`
+      INSERT OR IGNORE INTO books (id, title, author, genre, year, quantity, barcode)
+      VALUES (@id, @title, @author, @genre, @year, @quantity, @barcode)
+    `);
+    for (const book of readLegacyJson('books.json')) {
+      const id = toNumberOrNull(book?.id);
+      if (id === null || !book.title || !book.author) continue;
+      insertBook.run({
+        id,
+        title: String(book.title).trim(),
+        author: String(book.author).trim(),
+        genre: book.genre ? String(book.genre).trim() : null,
+        year: toNumberOrNull(book.year),
+        quantity: Math.max(0, toNumberOrNull(book.quantity) ?? 0),
+        barcode: toNumberOrNull(book.barcode),
+      });
+    }
+
+    const insertStudent = db.prepare(`
+      INSERT OR IGNORE INTO students (studentId, name, grade, gradeLetter, cardId)
+      VALUES (@studentId, @name, @grade, @gradeLetter, @cardId)
+    `);
+    for (const student of readLegacyJson('students.json').map(pickStudentFields).filter(Boolean)) {
+      insertStudent.run(student);
+    }
+
+    const insertTransaction = db.prepare(`
+      INSERT OR IGNORE INTO transactions (id, studentId, bookId, action, date, warn)
+      VALUES (@id, @studentId, @bookId, @action, @date, @warn)
+    `);
+    for (const tr of readLegacyJson('transactions.json')) {
+      const id = toNumberOrNull(tr?.id);
+      const studentId = toNumberOrNull(tr?.studentId);
+      const bookId = toNumberOrNull(tr?.bookId);
+      if (id === null || studentId === null || bookId === null) continue;
+      if (!['taken', 'returned'].includes(tr.action) || typeof tr.date !== 'string') continue;
+      insertTransaction.run({
+        id,
+        studentId,
+        bookId,
+        action: tr.action,
+        date: tr.date,
+        warn: tr.warn ? 1 : 0,
+      });
+    }
+  },
+
+  // 3: user accounts and login sessions
+  (db) => {
+    db.exec(`
+      CREATE TABLE users (
+        id           INTEGER PRIMARY KEY,
+        username     TEXT NOT NULL,
+        fullName     TEXT NOT NULL,
+        role         TEXT NOT NULL CHECK (role IN ('admin', 'librarian', 'teacher')),
+        passwordHash TEXT NOT NULL,
+        createdAt    TEXT NOT NULL
+      );
+      CREATE UNIQUE INDEX idx_users_username ON users (username COLLATE NOCASE);
+
+      CREATE TABLE sessions (
+        tokenHash TEXT PRIMARY KEY,
+        userId    INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        expiresAt TEXT NOT NULL
+      );
+      CREATE INDEX idx_sessions_user_id ON sessions (userId);
+    `);
+  },
+
+  // 4: append-only audit log of data changes
+  (db) => {
+    db.exec(`
+      CREATE TABLE audit_log (
+        id        INTEGER PRIMARY KEY,
+        at        TEXT NOT NULL,
+        actorId   INTEGER,
+        actorName TEXT,
+        action    TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        entity    TEXT NOT NULL,
+        entityId  INTEGER,
+        changes   TEXT NOT NULL
+      );
+      CREATE INDEX idx_audit_log_entity ON audit_log (entity, entityId);
+      CREATE INDEX idx_audit_log_at ON audit_log (at);
+
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `);
+  },
+
+  // 5: loans view, the n-th "taken" of a student/book pair is closed by its n-th "returned"
+  (db) => {
+    db.exec(`
+      CREATE VIEW loans AS
+      WITH taken AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY studentId, bookId ORDER BY id) AS n
+        FROM transactions WHERE action = 'taken'
+      ),
+      returned AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY studentId, bookId ORDER BY id) AS n
+        FROM transactions WHERE action = 'returned'
+      )
+      SELECT
+        t.id          AS id,
+        t.studentId   AS studentId,
+        s.name        AS studentName,
+        s.grade       AS grade,
+        s.gradeLetter AS gradeLetter,
+        t.bookId      AS bookId,
+        b.title       AS bookTitle,
+        b.author      AS bookAuthor,
+        b.barcode     AS barcode,
+        t.date        AS dueDate,
+        r.id          AS returnTransactionId,
+        r.date        AS returnedAt
+      FROM taken t
+      LEFT JOIN returned r ON r.studentId = t.studentId AND r.bookId = t.bookId AND r.n = t.n
+      LEFT JOIN students s ON s.studentId = t.studentId
+      LEFT JOIN books b ON b.id = t.bookId;
+    `);
+  },
+
+  // 6: responses of requests sent with an Idempotency-Key, replayed for repeats of the same request
+  (db) => {
+    db.exec(`
+      CREATE TABLE idempotency_keys (
+        userId      INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        key         TEXT NOT NULL,
+        method      TEXT NOT NULL,
+        path        TEXT NOT NULL,
+        requestHash TEXT NOT NULL,
+        status      INTEGER,
+        response    TEXT,
+        createdAt   TEXT NOT NULL,
+        PRIMARY KEY (userId, key)
+      );
+      CREATE INDEX idx_idempotency_keys_created_at ON idempotency_keys (createdAt);
+    `);
+  },
+
+  // 7: row versions of books and students for optimistic concurrency (If-Match on PATCH)
+  (db) => {
+    db.exec(`
+      ALTER TABLE books ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE students ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    `);
+  },
+
+  // 8: archiving instead of deleting, archived books and students keep their loan history
+  (db) => {
+    db.exec(`
+      ALTER TABLE books ADD COLUMN archivedAt TEXT;
+      ALTER TABLE students ADD COLUMN archivedAt TEXT;
+    `);
+  },
+
+  // 9: issue, due and return days as separate fields, "date" of an issue used to hold the due date.
+  // The issue day of older issues is taken from the audit log where it was recorded, otherwise unknown.
+  (db) => {
+    db.exec(`
+      ALTER TABLE transactions ADD COLUMN issuedAt TEXT;
+      ALTER TABLE transactions ADD COLUMN dueDate TEXT;
+      ALTER TABLE transactions ADD COLUMN returnedAt TEXT;
+
+      UPDATE transactions
+      SET dueDate = date,
+          issuedAt = (
+            SELECT substr(MIN(a.at), 1, 10) FROM audit_log a
+            WHERE a.entity = 'transaction' AND a.action = 'create' AND a.entityId = transactions.id
+          )
+      WHERE action = 'taken';
+      UPDATE transactions SET date = issuedAt WHERE action = 'taken' AND issuedAt IS NOT NULL;
+      UPDATE transactions SET returnedAt = date WHERE action = 'returned';
+    `);
+
+    // Both sides of each issue/return pair get the days of the other
+    const pairs = db.prepare(`
+      WITH taken AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY studentId, bookId ORDER BY id) AS n
+        FROM transactions WHERE action = 'taken'
+      ),
+      returned AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY studentId, bookId ORDER BY id) AS n
+        FROM transactions WHERE action = 'returned'
+      )
+      SELECT t.id AS takenId, r.id AS returnedId, t.issuedAt, t.dueDate, r.returnedAt
+      FROM taken t JOIN returned r ON r.studentId = t.studentId AND r.bookId = t.bookId AND r.n = t.n
+    `).all();
+    const closeIssue = db.prepare('UPDATE transactions SET returnedAt = @returnedAt WHERE id = @takenId');
+    const completeReturn = db.prepare('UPDATE transactions SET issuedAt = @issuedAt, dueDate = @dueDate WHERE id = @returnedId');
+    for (const pair of pairs) {
+      closeIssue.run(pair);
+      completeReturn.run(pair);
+    }
+
+    db.exec(`
+      DROP VIEW loans;
+      CREATE VIEW loans AS
+      WITH taken AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY studentId, bookId ORDER BY id) AS n
+        FROM transactions WHERE action = 'taken'
+      ),
+      returned AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY studentId, bookId ORDER BY id) AS n
+        FROM transactions WHERE action = 'returned'
+      )
+      SELECT
+        t.id          AS id,
+        t.studentId   AS studentId,
+        s.name        AS studentName,
+        s.grade       AS grade,
+        s.gradeLetter AS gradeLetter,
+        t.bookId      AS bookId,
+        b.title       AS bookTitle,
+        b.author      AS bookAuthor,
+        b.barcode     AS barcode,
+        t.issuedAt    AS issuedAt,
+        t.dueDate     AS dueDate,
+        r.id          AS returnTransactionId,
+        r.returnedAt  AS returnedAt
+      FROM taken t
+      LEFT JOIN returned r ON r.studentId = t.studentId AND r.bookId = t.bookId AND r.n = t.n
+      LEFT JOIN students s ON s.studentId = t.studentId
+      LEFT JOIN books b ON b.id = t.bookId;
+    `);
+  },
+
+  // 10: renewals of loans, and holds students place on books that are out
+  (db) => {
+    db.exec(`
+      CREATE TABLE loan_renewals (
+        id              INTEGER PRIMARY KEY,
+        loanId          INTEGER NOT NULL REFERENCES transactions (id) ON DELETE CASCADE,
+        renewedAt       TEXT NOT NULL,
+        previousDueDate TEXT NOT NULL,
+        dueDate         TEXT NOT NULL,
+        actorId         INTEGER,
+        actorName       TEXT
+      );
+      CREATE INDEX idx_loan_renewals_loan_id ON loan_renewals (loanId);
+
+      CREATE TABLE holds (
+        id        INTEGER PRIMARY KEY,
+        bookId    INTEGER NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+        studentId INTEGER NOT NULL REFERENCES students (studentId) ON DELETE CASCADE,
+        createdAt TEXT NOT NULL,
+        closedAt  TEXT
+      );
+      CREATE INDEX idx_holds_book_id ON holds (bookId);
+    `);
+  },
+
+  // 11: hold queue. A returned book is set aside for the first waiting hold (ready) until expiresAt
+  (db) => {
+    db.exec(`
+      ALTER TABLE holds ADD COLUMN status TEXT NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'ready', 'fulfilled', 'cancelled', 'expired'));
+      ALTER TABLE holds ADD COLUMN readyAt TEXT;
+      ALTER TABLE holds ADD COLUMN expiresAt TEXT;
+      UPDATE holds SET status = 'cancelled' WHERE closedAt IS NOT NULL;
+      CREATE UNIQUE INDEX idx_holds_active ON holds (bookId, studentId) WHERE closedAt IS NULL;
+    `);
+  },
+
+  // 12: fine ledger. Fines are assessed on return from now on, earlier late returns are not charged
+  (db) => {
+    db.exec(`
+      CREATE TABLE fine_ledger (
+        id        INTEGER PRIMARY KEY,
+        studentId INTEGER NOT NULL REFERENCES students (studentId) ON DELETE CASCADE,
+        loanId    INTEGER REFERENCES transactions (id) ON DELETE SET NULL,
+        kind      TEXT NOT NULL CHECK (kind IN ('assessed', 'paid', 'waived')),
+        amount    INTEGER NOT NULL CHECK (amount > 0),
+        lateDays  INTEGER,
+        note      TEXT,
+        at        TEXT NOT NULL,
+        actorId   INTEGER,
+        actorName TEXT
+      );
+      CREATE INDEX idx_fine_ledger_student_id ON fine_ledger (studentId);
+      CREATE INDEX idx_fine_ledger_loan_id ON fine_ledger (loanId);
+    `);
+  },
+
+  // 13: loans issued past a borrowing block, with the librarian's reason
+  (db) => {
+    db.exec(`
+      CREATE TABLE loan_overrides (
+        id        INTEGER PRIMARY KEY,
+        loanId    INTEGER NOT NULL REFERENCES transactions (id) ON DELETE CASCADE,
+        studentId INTEGER NOT NULL,
+        reason    TEXT NOT NULL,
+        blocks    TEXT NOT NULL,
+        at        TEXT NOT NULL,
+        actorId   INTEGER,
+        actorName TEXT
+      );
+      CREATE INDEX idx_loan_overrides_loan_id ON loan_overrides (loanId);
+    `);
+  },
+
+  // 14: physical copies. Every book gets one exemplar per copy on the shelf or on loan, open loans
+  // are assigned theirs, and books.quantity is from now on kept equal to the copies on the shelf
+  (db) => {
+    db.exec(`
+      CREATE TABLE exemplars (
+        id              INTEGER PRIMARY KEY,
+        bookId          INTEGER NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+        inventoryNumber TEXT NOT NULL UNIQUE,
+        barcode         INTEGER UNIQUE,
+        acquiredAt      TEXT,
+        condition       TEXT NOT NULL DEFAULT 'good'
+          CHECK (condition IN ('new', 'good', 'fair', 'poor', 'damaged')),
+        withdrawnAt     TEXT
+      );
+      CREATE INDEX idx_exemplars_book_id ON exemplars (bookId);
+
+      ALTER TABLE transactions ADD COLUMN exemplarId INTEGER REFERENCES exemplars (id);
+      CREATE INDEX idx_transactions_exemplar_id ON transactions (exemplarId);
+    `);
+
+    const insertExemplar = db.prepare('INSERT INTO exemplars (bookId, inventoryNumber) VALUES (?, ?)');
+    const assignLoan = db.prepare('UPDATE transactions SET exemplarId = ? WHERE id = ?');
+    const openLoans = db.prepare('SELECT id FROM loans WHERE bookId = ? AND returnedAt IS NULL ORDER BY id').pluck();
+    for (const book of db.prepare('SELECT id, quantity FROM books').all()) {
+      let number = 0;
+      const addCopy = () => Number(insertExemplar.run(book.id, `${book.id}-${++number}`).lastInsertRowid);
+      for (const loanId of openLoans.all(book.id)) {
+        assignLoan.run(addCopy(), loanId);
+      }
+      for (let copy = 0; copy < book.quantity; copy++) {
+        addCopy();
+      }
+    }
+
+    db.exec(`
+      DROP VIEW loans;
+      CREATE VIEW loans AS
+      WITH taken AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY studentId, bookId ORDER BY id) AS n
+        FROM transactions WHERE action = 'taken'
+      ),
+      returned AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY studentId, bookId ORDER BY id) AS n
+        FROM transactions WHERE action = 'returned'
+      )
+      SELECT
+        t.id              AS id,
+        t.studentId       AS studentId,
+        s.name            AS studentName,
+        s.grade           AS grade,
+        s.gradeLetter     AS gradeLetter,
+        t.bookId          AS bookId,
+        b.title           AS bookTitle,
+        b.author          AS bookAuthor,
+        b.barcode         AS barcode,
+        t.exemplarId      AS exemplarId,
+        e.inventoryNumber AS inventoryNumber,
+        t.issuedAt        AS issuedAt,
+        t.dueDate         AS dueDate,
+        r.id              AS returnTransactionId,
+        r.returnedAt      AS returnedAt
+      FROM taken t
+      LEFT JOIN returned r ON r.studentId = t.studentId AND r.bookId = t.bookId AND r.n = t.n
+      LEFT JOIN students s ON s.studentId = t.studentId
+      LEFT JOIN books b ON b.id = t.bookId
+      LEFT JOIN exemplars e ON e.id = t.exemplarId;
+    `);
+  },
+
+  // 15: write-offs of copies, with the loan of a reader who lost or damaged the copy and how
+  // the reader made up for it
+  (db) => {
+    db.exec(`
+      CREATE TABLE write_offs (
+        id                    INTEGER PRIMARY KEY,
+        exemplarId            INTEGER NOT NULL UNIQUE REFERENCES exemplars (id) ON DELETE CASCADE,
+        bookId                INTEGER NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+        reason                TEXT NOT NULL CHECK (reason IN ('lost', 'worn-out', 'outdated', 'damaged')),
+        loanId                INTEGER REFERENCES transactions (id) ON DELETE SET NULL,
+        studentId             INTEGER REFERENCES students (studentId) ON DELETE SET NULL,
+        note                  TEXT,
+        writtenOffAt          TEXT NOT NULL,
+        settlement            TEXT CHECK (settlement IN ('replaced', 'compensated')),
+        compensation          INTEGER CHECK (compensation > 0),
+        replacementExemplarId INTEGER REFERENCES exemplars (id) ON DELETE SET NULL,
+        settledAt             TEXT,
+        actorId               INTEGER,
+        actorName             TEXT
+      );
+      CREATE INDEX idx_write_offs_written_off_at ON write_offs (writtenOffAt);
+      CREATE INDEX idx_write_offs_student_id ON write_offs (studentId);
+    `);
+  },
+
+  // 16: acquisitions. Deliveries from suppliers by invoice, each line puts copies of one title on
+  // the shelf, and the copies name the line they came with
+  (db) => {
+    db.exec(`
+      CREATE TABLE deliveries (
+        id            INTEGER PRIMARY KEY,
+        supplier      TEXT NOT NULL,
+        invoiceNumber TEXT NOT NULL,
+        receivedAt    TEXT NOT NULL,
+        fundingSource TEXT NOT NULL
+          CHECK (fundingSource IN ('federal', 'regional', 'municipal', 'extra-budgetary', 'donation')),
+        note          TEXT,
+        createdAt     TEXT NOT NULL,
+        actorId       INTEGER,
+        actorName     TEXT,
+        UNIQUE (supplier, invoiceNumber)
+      );
+      CREATE INDEX idx_deliveries_received_at ON deliveries (receivedAt);
+
+      CREATE TABLE delivery_lines (
+        id         INTEGER PRIMARY KEY,
+        deliveryId INTEGER NOT NULL REFERENCES deliveries (id) ON DELETE CASCADE,
+        bookId     INTEGER REFERENCES books (id) ON DELETE SET NULL,
+        title      TEXT NOT NULL,
+        author     TEXT NOT NULL,
+        copies     INTEGER NOT NULL CHECK (copies > 0),
+        price      INTEGER NOT NULL CHECK (price >= 0),
+        newTitle   INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX idx_delivery_lines_delivery_id ON delivery_lines (deliveryId);
+
+      ALTER TABLE exemplars ADD COLUMN deliveryLineId INTEGER REFERENCES delivery_lines (id) ON DELETE SET NULL;
+    `);
+  },
+
+  // 17: stock-taking. Copies get the shelf or room they are kept in, an inventory session collects
+  // the scans of the copies found on the shelves, and closing it stores the discrepancies with the
+  // stock it was reconciled against
+  (db) => {
+    db.exec(`
+      ALTER TABLE exemplars ADD COLUMN location TEXT;
+
+      CREATE TABLE inventory_sessions (
+        id             INTEGER PRIMARY KEY,
+        note           TEXT,
+        startedAt      TEXT NOT NULL,
+        closedAt       TEXT,
+        expectedCopies INTEGER,
+        onLoanCopies   INTEGER,
+        matchedCopies  INTEGER,
+        actorId        INTEGER,
+        actorName      TEXT
+      );
+
+      CREATE TABLE inventory_scans (
+        id         INTEGER PRIMARY KEY,
+        sessionId  INTEGER NOT NULL REFERENCES inventory_sessions (id) ON DELETE CASCADE,
+        code       TEXT NOT NULL,
+        location   TEXT,
+        exemplarId INTEGER REFERENCES exemplars (id) ON DELETE SET NULL,
+        bookId     INTEGER REFERENCES books (id) ON DELETE SET NULL,
+        scannedAt  TEXT NOT NULL,
+        actorId    INTEGER,
+        actorName  TEXT
+      );
+      CREATE INDEX idx_inventory_scans_session_id ON inventory_scans (sessionId, exemplarId);
+
+      CREATE TABLE inventory_discrepancies (
+        id               INTEGER PRIMARY KEY,
+        sessionId        INTEGER NOT NULL REFERENCES inventory_sessions (id) ON DELETE CASCADE,
+        kind             TEXT NOT NULL CHECK (kind IN ('missing', 'unexpected', 'wrong-location')),
+        exemplarId       INTEGER REFERENCES exemplars (id) ON DELETE SET NULL,
+        bookId           INTEGER REFERENCES books (id) ON DELETE SET NULL,
+        scanId           INTEGER REFERENCES inventory_scans (id) ON DELETE SET NULL,
+        code             TEXT,
+        copyStatus       TEXT,
+        expectedLocation TEXT,
+        foundLocation    TEXT,
+        resolution       TEXT CHECK (resolution IN ('found', 'lost', 'written-off')),
+        writeOffId       INTEGER REFERENCES write_offs (id) ON DELETE SET NULL,
+        note             TEXT,
+        resolvedAt       TEXT,
+        actorId          INTEGER,
+        actorName        TEXT
+      );
+      CREATE INDEX idx_inventory_discrepancies_session_id ON inventory_discrepancies (sessionId);
+    `);
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Brings a database up to SCHEMA_VERSION. Also used on restored snapshots made by an older version.
+ */
+export function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      MIGRATIONS[version](db);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+    logger.info('Database migrated', { version: version + 1 });
+  }
+}
+
+// ====================== CONNECTION ======================
+
+fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+export const db = new Database(DB_FILE);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+// Another process (pm2 instance, maintenance script) holding the write lock makes us wait instead of failing
+db.pragma('busy_timeout = 5000');
+migrate(db);
+
+// SQLite lower() and LIKE only fold ASCII, catalog search needs Cyrillic too
+db.function('casefold', { deterministic: true }, (value) =>
+  value === null ? null : String(value).toLowerCase()
+);
+
+/**
+ * Runs fn inside a single write transaction and returns its result.
+ *
+ * better-sqlite3 is synchronous, so fn runs to completion before any other request
+ * handler in this process gets a turn: concurrent requests are applied one after
+ * another. BEGIN IMMEDIATE takes the database write lock up front, which also orders
+ * writers from other processes. fn must not await anything.
+ */
+export const inTransaction = (fn) => db.transaction(fn).immediate();
+
+// ====================== ROW MAPPERS ======================
+
+const toTransaction = (row) => {
+  if (!row) return null;
+  const { warn, ...rest } = row;
+  return warn ? { ...rest, warn: true } : rest;
+};
+
+// ====================== BOOKS ======================
+
+const bookStatements = {
+  list: db.prepare('SELECT * FROM books ORDER BY id'),
+  listArchived: db.prepare('SELECT * FROM books WHERE archivedAt IS NOT NULL ORDER BY archivedAt DESC, id'),
+  get: db.prepare('SELECT * FROM books WHERE id = ?'),
+  findByBarcode: db.prepare('SELECT * FROM books WHERE barcode = ? AND archivedAt IS NULL LIMIT 1'),
+  findByTitle: db.prepare(`
+    SELECT * FROM books
+    WHERE casefold(title) = casefold(?) AND casefold(author) = casefold(?) AND archivedAt IS NULL
+    ORDER BY id LIMIT 1
+  `),
+  insert: db.prepare(`
+    INSERT INTO books (id, title, author, genre, year, quantity, barcode)
+    VALUES (@id, @title, @author, @genre, @year, @quantity, @barcode)
+  `),
+  // Writes that change nothing keep the version, so they do not conflict with open edits
+  update: db.prepare(`
+    UPDATE books
+    SET title = @title, author = @author, genre = @genre, year = @year,
+        quantity = @quantity, barcode = @barcode, version = version + 1
+    WHERE id = @id
+      AND (title IS NOT @title OR author IS NOT @author OR genre IS NOT @genre OR year IS NOT @year
+        OR quantity IS NOT @quantity OR barcode IS NOT @barcode)
+  `),
+  setArchived: db.prepare('UPDATE books SET archivedAt = ?, version = version + 1 WHERE id = ?'),
+  remove: db.prepare('DELETE FROM books WHERE id = ?'),
+};
+
+// Archived books included: history and reports still need their titles
+export const listBooks = () => bookStatements.list.all();
+
+export const listArchivedBooks = () => bookStatements.listArchived.all();
+
+export const BOOK_SORT_FIELDS = ['id', 'title', 'author', 'genre', 'year', 'quantity'];
+
+const BOOK_SEARCH_FIELDS = ['title', 'author', 'genre', 'id', 'year', 'barcode'];
+
+/**
+ * Filtered, sorted page of the catalog, archived books left out. Returns { items, total }, where total counts all matches.
+ * filters: q (substring of any BOOK_SEARCH_FIELDS, case-insensitive), genre, yearFrom, yearTo,
+ * availability ('available' | 'unavailable'). limit -1 returns every match.
+ */
+export const searchBooks = (
+  filters = {},
+  { sort = 'id', direction = 'asc', limit = -1, offset = 0 } = {}
+) => {
+  const where = ['archivedAt IS NULL'];
+  const params = {};
+
+  if (filters.q) {
+    where.push(`(${BOOK_SEARCH_FIELDS.map(field => `instr(casefold(${field}), @q) > 0`).join(' OR ')})`);
+    params.q = filters.q.toLowerCase();
+  }
+  if (filters.genre) {
+    where.push('genre = @genre');
+    params.genre = filters.genre;
+  }
+  if (filters.yearFrom !== undefined) {
+    where.push('year >= @yearFrom');
+    params.yearFrom = filters.yearFrom;
+  }
+  if (filters.yearTo !== undefined) {
+    where.push('year <= @yearTo');
+    params.yearTo = filters.yearTo;
+  }
+  if (filters.availability === 'available') {
+    where.push('quantity > 0');
+  } else if (filters.availability === 'unavailable') {
+    where.push('quantity <= 0');
+  }
+
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+  const sortField = BOOK_SORT_FIELDS.includes(sort) ? sort : 'id';
+  const sortExpr = ['title', 'author', 'genre'].includes(sortField) ? `casefold(${sortField})` : sortField;
+  const sortDir = direction === 'desc' ? 'DESC' : 'ASC';
+
+  const total = db.prepare(`SELECT COUNT(*) FROM books ${whereSql}`).pluck().get(params);
+  const items = db
+    .prepare(`
+      SELECT * FROM books ${whereSql}
+      ORDER BY ${sortExpr} IS NULL, ${sortExpr} ${sortDir}, id ${sortDir}
+      LIMIT @limit OFFSET @offset
+    `)
+    .all({ ...params, limit, offset });
+
+  return { items, total };
+};
+
+export const getBook = (id) => bookStatements.get.get(id) ?? null;
+
+export const findBookByBarcode = (barcode) => bookStatements.findByBarcode.get(barcode) ?? null;
+
+// Case-insensitive exact title and author, the oldest match, or null
+export const findBookByTitle = (title, author) => bookStatements.findByTitle.get(title, author) ?? null;
+
+// Without an id the next free one is used
+export const insertBook = (book) => {
+  const { lastInsertRowid } = bookStatements.insert.run({ id: null, genre: null, ...book });
+  return getBook(Number(lastInsertRowid));
+};
+
+export const updateBook = (book) => {
+  bookStatements.update.run({ genre: null, ...book });
+  return getBook(book.id);
+};
+
+/**
+ * Archives the book (archivedAt: ISO timestamp) or brings it back (archivedAt: null)
+ */
+export const setBookArchived = (id, archivedAt) => {
+  bookStatements.setArchived.run(archivedAt, id);
+  return getBook(id);
+};
+
+export const deleteBook = (id) => bookStatements.remove.run(id).changes > 0;
+
+// ====================== STUDENTS ======================
+
+const studentStatements = {
+  list: db.prepare('SELECT * FROM students WHERE archivedAt IS NULL ORDER BY studentId'),
+  listArchived: db.prepare('SELECT * FROM students WHERE archivedAt IS NOT NULL ORDER BY archivedAt DESC, studentId'),
+  get: db.prepare('SELECT * FROM students WHERE studentId = ?'),
+  findByCardId: db.prepare('SELECT * FROM students WHERE cardId = ?'),
+  insert: db.prepare(`
+    INSERT INTO students (studentId, name, grade, gradeLetter, cardId)
+    VALUES (@studentId, @name, @grade, @gradeLetter, @cardId)
+  `),
+  update: db.prepare(`
+    UPDATE students
+    SET name = @name, grade = @grade, gradeLetter = @gradeLetter, cardId = @cardId, version = version + 1
+    WHERE studentId = @studentId
+      AND (name IS NOT @name OR grade IS NOT @grade OR gradeLetter IS NOT @gradeLetter OR cardId IS NOT @cardId)
+  `),
+  setArchived: db.prepare('UPDATE students SET archivedAt = ?, version = version + 1 WHERE studentId = ?'),
+  remove: db.prepare('DELETE FROM students WHERE studentId = ?'),
+};
+
+export const listStudents = () => studentStatements.list.all();
+
+export const listArchivedStudents = () => studentStatements.listArchived.all();
+
+export const getStudent = (studentId) => studentStatements.get.get(studentId) ?? null;
+
+// Archived students too: they keep their card ID
+export const findStudentByCardId = (cardId) => studentStatements.findByCardId.get(cardId) ?? null;
+
+// Without a studentId the next free one is used
+export const insertStudent = (student) => {
+  const { lastInsertRowid } = studentStatements.insert.run({ studentId: null, ...student });
+  return getStudent(Number(lastInsertRowid));
+};
+
+export const updateStudent = (student) => {
+  studentStatements.update.run(student);
+  return getStudent(student.studentId);
+};
+
+/**
+ * Archives the student (archivedAt: ISO timestamp) or brings them back (archivedAt: null)
+ */
+export const setStudentArchived = (studentId, archivedAt) => {
+  studentStatements.setArchived.run(archivedAt, studentId);
+  return getStudent(studentId);
+};
+
+export const deleteStudent = (studentId) => studentStatements.remove.run(studentId).changes > 0;
+
+// ====================== EXEMPLARS ======================
+
+// Copies with where they are: status 'on-shelf', 'on-loan' (with the loan) or 'withdrawn'
+const EXEMPLAR_SOURCE = `
+  SELECT
+    e.*,
+    t.id        AS loanId,
+    t.studentId AS studentId,
+    s.name      AS studentName,
+    t.dueDate   AS dueDate,
+    w.id        AS writeOffId,
+    w.reason    AS writeOffReason,
+    CASE
+      WHEN e.withdrawnAt IS NOT NULL THEN 'withdrawn'
+      WHEN t.id IS NOT NULL THEN 'on-loan'
+      ELSE 'on-shelf'
+    END AS status
+  FROM exemplars e
+  LEFT JOIN transactions t ON t.exemplarId = e.id AND t.action = 'taken' AND t.returnedAt IS NULL
+  LEFT JOIN students s ON s.studentId = t.studentId
+  LEFT JOIN write_offs w ON w.exemplarId = e.id
+`;
+
+const exemplarStatements = {
+  get: db.prepare(`SELECT * FROM (${EXEMPLAR_SOURCE}) WHERE id = ?`),
+  listByBook: db.prepare(`SELECT * FROM (${EXEMPLAR_SOURCE}) WHERE bookId = ? ORDER BY id`),
+  findByCode: db.prepare(`SELECT * FROM (${EXEMPLAR_SOURCE}) WHERE barcode = ? OR inventoryNumber = ? LIMIT 1`),
+  findByInventoryNumber: db.prepare('SELECT id FROM exemplars WHERE inventoryNumber = ?').pluck(),
+  findByBarcode: db.prepare('SELECT id FROM exemplars WHERE barcode = ?').pluck(),
+  firstOnShelf: db.prepare(`SELECT * FROM (${EXEMPLAR_SOURCE}) WHERE bookId = ? AND status = 'on-shelf' ORDER BY id LIMIT 1`),
+  lastOnShelf: db.prepare(`SELECT * FROM (${EXEMPLAR_SOURCE}) WHERE bookId = ? AND status = 'on-shelf' ORDER BY id DESC LIMIT 1`),
+  countOnShelf: db.prepare(`SELECT COUNT(*) FROM (${EXEMPLAR_SOURCE}) WHERE bookId = ? AND status = 'on-shelf'`).pluck(),
+  countByBook: db.prepare('SELECT COUNT(*) FROM exemplars WHERE bookId = ?').pluck(),
+  hasHistory: db.prepare('SELECT 1 FROM transactions WHERE exemplarId = ? LIMIT 1').pluck(),
+  insert: db.prepare(`
+    INSERT INTO exemplars (bookId, inventoryNumber, barcode, acquiredAt, condition, location, deliveryLineId)
+    VALUES (@bookId, @inventoryNumber, @barcode, @acquiredAt, @condition, @location, @deliveryLineId)
+  `),
+  update: db.prepare(`
+    UPDATE exemplars
+    SET inventoryNumber = @inventoryNumber, barcode = @barcode, acquiredAt = @acquiredAt,
+        condition = @condition, location = @location, withdrawnAt = @withdrawnAt
+    WHERE id = @id
+  `),
+  remove: db.prepare('DELETE FROM exemplars WHERE id = ?'),
+};
+
+export const EXEMPLAR_CONDITIONS = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+export const getExemplar = (id) => exemplarStatements.get.get(id) ?? null;
+
+// Withdrawn copies included, oldest first
+export const listExemplarsOfBook = (bookId) => exemplarStatements.listByBook.all(bookId);
+
+// By the copy's own barcode or its inventory number, or null
+export const findExemplarByCode = (code) =>
+  exemplarStatements.findByCode.get(/^\d+$/.test(code) ? Number(code) : null, code) ?? null;
+
+// Id of the copy with this inventory number or barcode, or null. Both are unique across the library.
+export const findExemplarIdByInventoryNumber = (inventoryNumber) =>
+  exemplarStatements.findByInventoryNumber.get(inventoryNumber) ?? null;
+
+export const findExemplarIdByBarcode = (barcode) => exemplarStatements.findByBarcode.get(barcode) ?? null;
+
+// The copy on the shelf issued when none is named, or null
+export const findExemplarOnShelf = (bookId) => exemplarStatements.firstOnShelf.get(bookId) ?? null;
+
+// The copy taken off the shelf when the count goes down, the newest first, or null
+export const findLastExemplarOnShelf = (bookId) => exemplarStatements.lastOnShelf.get(bookId) ?? null;
+
+export const countExemplarsOnShelf = (bookId) => exemplarStatements.countOnShelf.get(bookId);
+
+// Next free "<bookId>-<n>" inventory number
+export const nextInventoryNumber = (bookId) => {
+  for (let number = exemplarStatements.countByBook.get(bookId) + 1; ; number++) {
+    const candidate = `${bookId}-${number}`;
+    if (!exemplarStatements.findByInventoryNumber.get(candidate)) return candidate;
+  }
+};
+
+// Whether the copy was ever issued, its transactions keep it in the history then
+export const exemplarHasHistory = (id) => Boolean(exemplarStatements.hasHistory.get(id));
+
+export const insertExemplar = (exemplar) => {
+  const { lastInsertRowid } = exemplarStatements.insert.run({
+    barcode: null,
+    acquiredAt: null,
+    condition: 'good',
+    location: null,
+    deliveryLineId: null,
+    ...exemplar,
+  });
+  return getExemplar(Number(lastInsertRowid));
+};
+
+export const updateExemplar = (exemplar) => {
+  exemplarStatements.update.run({
+    id: exemplar.id,
+    inventoryNumber: exemplar.inventoryNumber,
+    barcode: exemplar.barcode ?? null,
+    acquiredAt: exemplar.acquiredAt ?? null,
+    condition: exemplar.condition,
+    location: exemplar.location ?? null,
+    withdrawnAt: exemplar.withdrawnAt ?? null,
+  });
+  return getExemplar(exemplar.id);
+};
+
+export const deleteExemplar = (id) => exemplarStatements.remove.run(id).changes;
+
+// ====================== TRANSACTIONS ======================
+
+const transactionStatements = {
+  get: db.prepare('SELECT * FROM transactions WHERE id = ?'),
+  listByStudent: db.prepare('SELECT * FROM transactions WHERE studentId = ? ORDER BY id'),
+  listByPair: db.prepare('SELECT * FROM transactions WHERE studentId = ? AND bookId = ? ORDER BY id'),
+  removeByBook: db.prepare('DELETE FROM transactions WHERE bookId = ?'),
+  removeByStudent: db.prepare('DELETE FROM transactions WHERE studentId = ?'),
+  insert: db.prepare(`
+    INSERT INTO transactions (id, studentId, bookId, exemplarId, action, date, issuedAt, dueDate, returnedAt, warn)
+    VALUES (@id, @studentId, @bookId, @exemplarId, @action, @date, @issuedAt, @dueDate, @returnedAt, @warn)
+  `),
+  setReturnedAt: db.prepare('UPDATE transactions SET returnedAt = ? WHERE id = ?'),
+  setDueDate: db.prepare('UPDATE transactions SET dueDate = ? WHERE id = ?'),
+};
+
+/**
+ * Transactions in log order. filters: studentId, bookId, action, from, to (inclusive yyyy-mm-dd on date)
+ */
+export const listTransactions = (filters = {}) => {
+  const where = [];
+  const params = {};
+
+  for (const field of ['studentId', 'bookId', 'action']) {
+    if (filters[field] !== undefined) {
+      where.push(`${field} = @${field}`);
+      params[field] = filters[field];
+    }
+  }
+  if (filters.from) {
+    where.push('date >= @from');
+    params.from = filters.from;
+  }
+  if (filters.to) {
+    where.push('date <= @to');
+    params.to = filters.to;
+  }
+
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM transactions ${whereSql} ORDER BY id`).all(params).map(toTransaction);
+};
+
+export const getTransaction = (id) => toTransaction(transactionStatements.get.get(id));
+
+export const listTransactionsByStudent = (studentId) =>
+  transactionStatements.listByStudent.all(studentId).map(toTransaction);
+
+export const listTransactionsByPair = (studentId, bookId) =>
+  transactionStatements.listByPair.all(studentId, bookId).map(toTransaction);
+
+export const insertTransaction = (tr) => {
+  const { lastInsertRowid } = transactionStatements.insert.run({
+    id: null,
+    exemplarId: null,
+    issuedAt: null,
+    dueDate: null,
+    returnedAt: null,
+    ...tr,
+    warn: tr.warn ? 1 : 0,
+  });
+  return getTransaction(Number(lastInsertRowid));
+};
+
+// Closes a "taken" transaction, see recordReturn() in loans.js
+export const setTransactionReturnedAt = (id, returnedAt) => {
+  transactionStatements.setReturnedAt.run(returnedAt, id);
+  return getTransaction(id);
+};
+
+// Moves the due date of a "taken" transaction, see renewLoan() in loans.js
+export const setTransactionDueDate = (id, dueDate) => {
+  transactionStatements.setDueDate.run(dueDate, id);
+  return getTransaction(id);
+};
+
+export const deleteTransactionsOfBook = (bookId) => transactionStatements.removeByBook.run(bookId).changes;
+
+export const deleteTransactionsOfStudent = (studentId) => transactionStatements.removeByStudent.run(studentId).changes;
+
+// ====================== LOANS ======================
+
+// Loans with overdue judged by @today and the number of renewals
+const LOAN_SOURCE = `
+  SELECT *,
+    CASE WHEN returnedAt IS NULL THEN dueDate < @today ELSE returnedAt > dueDate END AS overdue,
+    (SELECT COUNT(*) FROM loan_renewals lr WHERE lr.loanId = loans.id) AS renewals
+  FROM loans
+`;
+
+const loanStatements = {
+  get: db.prepare(`SELECT * FROM (${LOAN_SOURCE}) WHERE id = @id`),
+  countOpenByBook: db.prepare('SELECT COUNT(*) FROM loans WHERE bookId = ? AND returnedAt IS NULL').pluck(),
+  countOpenByStudent: db.prepare('SELECT COUNT(*) FROM loans WHERE studentId = ? AND returnedAt IS NULL').pluck(),
+  findByReturn: db.prepare('SELECT id FROM loans WHERE returnTransactionId = ?').pluck(),
+  getOverride: db.prepare('SELECT * FROM loan_overrides WHERE id = ?'),
+  getOverrideByLoan: db.prepare('SELECT * FROM loan_overrides WHERE loanId = ?'),
+  insertOverride: db.prepare(`
+    INSERT INTO loan_overrides (loanId, studentId, reason, blocks, at, actorId, actorName)
+    VALUES (@loanId, @studentId, @reason, @blocks, @at, @actorId, @actorName)
+  `),
+  listRenewals: db.prepare('SELECT * FROM loan_renewals WHERE loanId = ? ORDER BY id'),
+  insertRenewal: db.prepare(`
+    INSERT INTO loan_renewals (loanId, renewedAt, previousDueDate, dueDate, actorId, actorName)
+    VALUES (@loanId, @renewedAt, @previousDueDate, @dueDate, @actorId, @actorName)
+  `),
+};
+
+export const countOpenLoansOfBook = (bookId) => loanStatements.countOpenByBook.get(bookId);
+
+export const countOpenLoansOfStudent = (studentId) => loanStatements.countOpenByStudent.get(studentId);
+
+const toLoan = (row) => ({
+  ...row,
+  status: row.returnedAt === null ? 'open' : 'closed',
+  overdue: Boolean(row.overdue),
+});
+
+/**
+ * Loans joined with student and book, see the loans view. Returns { items, total }.
+ * filters: status ('open' | 'closed'), studentId, bookId, overdue (boolean),
+ * student (substring of name or id), book (substring of title, author, id or barcode),
+ * dueFrom, dueTo, issuedFrom, issuedTo (inclusive yyyy-mm-dd). An open loan is overdue after its due date,
+ * a closed one if it came back late. today is the yyyy-mm-dd date to judge open loans by.
+ */
+export const listLoans = (
+  filters = {},
+  { today, direction = 'asc', limit = -1, offset = 0 } = {}
+) => {
+  const where = [];
+  const params = { today };
+
+  if (filters.status === 'open') {
+    where.push('returnedAt IS NULL');
+  } else if (filters.status === 'closed') {
+    where.push('returnedAt IS NOT NULL');
+  }
+  for (const field of ['studentId', 'bookId']) {
+    if (filters[field] !== undefined) {
+      where.push(`${field} = @${field}`);
+      params[field] = filters[field];
+    }
+  }
+  if (filters.overdue !== undefined) {
+    where.push(`overdue = ${filters.overdue ? 1 : 0}`);
+  }
+  if (filters.student) {
+    where.push('(instr(casefold(studentName), @student) > 0 OR instr(studentId, @student) > 0)');
+    params.student = filters.student.toLowerCase();
+  }
+  if (filters.book) {
+    where.push(`(${['bookTitle', 'bookAuthor', 'bookId', 'barcode']
+      .map(field => `instr(casefold(${field}), @book) > 0`).join(' OR ')})`);
+    params.book = filters.book.toLowerCase();
+  }
+  if (filters.dueFrom) {
+    where.push('dueDate >= @dueFrom');
+    params.dueFrom = filters.dueFrom;
+  }
+  if (filters.dueTo) {
+    where.push('dueDate <= @dueTo');
+    params.dueTo = filters.dueTo;
+  }
+  if (filters.issuedFrom) {
+    where.push('issuedAt >= @issuedFrom');
+    params.issuedFrom = filters.issuedFrom;
+  }
+  if (filters.issuedTo) {
+    where.push('issuedAt <= @issuedTo');
+    params.issuedTo = filters.issuedTo;
+  }
+
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const sortDir = direction === 'desc' ? 'DESC' : 'ASC';
+
+  const total = db.prepare(`SELECT COUNT(*) FROM (${LOAN_SOURCE}) ${whereSql}`).pluck().get(params);
+  const items = db
+    .prepare(`
+      SELECT * FROM (${LOAN_SOURCE}) ${whereSql}
+      ORDER BY dueDate ${sortDir}, id ${sortDir}
+      LIMIT @limit OFFSET @offset
+    `)
+    .all({ ...params, limit, offset })
+    .map(toLoan);
+
+  return { items, total };
+};
+
+/**
+ * One loan (id of its "taken" transaction) like listLoans() returns it, or null
+ */
+export const getLoan = (id, { today }) => {
+  const row = loanStatements.get.get({ id, today });
+  return row ? toLoan(row) : null;
+};
+
+/**
+ * The loan a "returned" transaction closed, or null
+ */
+export const findLoanByReturn = (returnTransactionId, { today }) => {
+  const id = loanStatements.findByReturn.get(returnTransactionId);
+  return id === undefined ? null : getLoan(id, { today });
+};
+
+// Block codes are stored as JSON, see loan_overrides
+const toOverride = (row) => row && { ...row, blocks: JSON.parse(row.blocks) };
+
+/**
+ * Records why a loan was issued despite a borrowing block. blocks are the block codes overridden.
+ */
+export const insertLoanOverride = (override) => {
+  const { lastInsertRowid } = loanStatements.insertOverride.run({ ...override, blocks: JSON.stringify(override.blocks) });
+  return toOverride(loanStatements.getOverride.get(Number(lastInsertRowid)));
+};
+
+// Why the loan was issued despite a block, or null
+export const getLoanOverride = (loanId) => toOverride(loanStatements.getOverrideByLoan.get(loanId)) ?? null;
+
+// Oldest first
+export const listLoanRenewals = (loanId) => loanStatements.listRenewals.all(loanId);
+
+export const insertLoanRenewal = (renewal) => loanStatements.insertRenewal.run(renewal);
+
+// ====================== HOLDS ======================
+
+// Holds with student and book, position counts active holds of the book in queue order
+const HOLD_SOURCE = `
+  SELECT
+    h.*,
+    s.name        AS studentName,
+    s.grade       AS grade,
+    s.gradeLetter AS gradeLetter,
+    b.title       AS bookTitle,
+    b.author      AS bookAuthor,
+    CASE WHEN h.closedAt IS NULL
+      THEN ROW_NUMBER() OVER (PARTITION BY h.bookId, h.closedAt IS NULL ORDER BY h.id)
+    END AS position
+  FROM holds h
+  LEFT JOIN students s ON s.studentId = h.studentId
+  LEFT JOIN books b ON b.id = h.bookId
+`;
+
+const holdStatements = {
+  get: db.prepare(`SELECT * FROM (${HOLD_SOURCE}) WHERE id = ?`),
+  findActive: db.prepare('SELECT id FROM holds WHERE bookId = ? AND studentId = ? AND closedAt IS NULL').pluck(),
+  nextWaiting: db.prepare("SELECT id FROM holds WHERE bookId = ? AND status = 'waiting' ORDER BY id LIMIT 1").pluck(),
+  countReady: db.prepare("SELECT COUNT(*) FROM holds WHERE bookId = ? AND status = 'ready'").pluck(),
+  countActiveByOthers: db.prepare(
+    'SELECT COUNT(*) FROM holds WHERE bookId = ? AND studentId != ? AND closedAt IS NULL'
+  ).pluck(),
+  listExpired: db.prepare("SELECT id FROM holds WHERE status = 'ready' AND expiresAt < ? ORDER BY id").pluck(),
+  insert: db.prepare(`
+    INSERT INTO holds (bookId, studentId, createdAt, status)
+    VALUES (@bookId, @studentId, @createdAt, 'waiting')
+  `),
+  update: db.prepare(`
+    UPDATE holds SET status = @status, readyAt = @readyAt, expiresAt = @expiresAt, closedAt = @closedAt
+    WHERE id = @id
+  `),
+};
+
+export const getHold = (id) => holdStatements.get.get(id) ?? null;
+
+/**
+ * Active (waiting or ready) holds, by book and then queue order. filters: bookId, studentId
+ */
+export const listHolds = (filters = {}) => {
+  const where = ['closedAt IS NULL'];
+  const params = {};
+  for (const field of ['bookId', 'studentId']) {
+    if (filters[field] !== undefined) {
+      where.push(`${field} = @${field}`);
+      params[field] = filters[field];
+    }
+  }
+  return db
+    .prepare(`SELECT * FROM (${HOLD_SOURCE}) WHERE ${where.join(' AND ')} ORDER BY bookId, id`)
+    .all(params);
+};
+
+// The student's active hold on the book, or null
+export const findActiveHold = (bookId, studentId) => {
+  const id = holdStatements.findActive.get(bookId, studentId);
+  return id === undefined ? null : getHold(id);
+};
+
+// First hold of the book still waiting for a copy, or null
+export const findNextWaitingHold = (bookId) => {
+  const id = holdStatements.nextWaiting.get(bookId);
+  return id === undefined ? null : getHold(id);
+};
+
+// Copies set aside on the shelf for students first in the queue
+export const countReadyHolds = (bookId) => holdStatements.countReady.get(bookId);
+
+/**
+ * Holds on the book still waiting, placed by students other than studentId
+ */
+export const countActiveHoldsByOthers = (bookId, studentId) => holdStatements.countActiveByOthers.get(bookId, studentId);
+
+// Ids of ready holds whose pickup window ended before today (yyyy-mm-dd)
+export const listExpiredHoldIds = (today) => holdStatements.listExpired.all(today);
+
+export const insertHold = (hold) => {
+  const { lastInsertRowid } = holdStatements.insert.run(hold);
+  return getHold(Number(lastInsertRowid));
+};
+
+// Saves status, readyAt, expiresAt and closedAt
+export const updateHold = (hold) => {
+  holdStatements.update.run({
+    id: hold.id,
+    status: hold.status,
+    readyAt: hold.readyAt ?? null,
+    expiresAt: hold.expiresAt ?? null,
+    closedAt: hold.closedAt ?? null,
+  });
+  return getHold(hold.id);
+};
+
+// ====================== FINES ======================
+
+// Assessed fines raise the balance, payments and waivers lower it
+const BALANCE_SQL = "COALESCE(SUM(CASE kind WHEN 'assessed' THEN amount ELSE -amount END), 0)";
+
+const fineStatements = {
+  get: db.prepare('SELECT * FROM fine_ledger WHERE id = ?'),
+  listByStudent: db.prepare('SELECT * FROM fine_ledger WHERE studentId = ? ORDER BY id DESC'),
+  balance: db.prepare(`SELECT ${BALANCE_SQL} FROM fine_ledger WHERE studentId = ?`).pluck(),
+  balances: db.prepare(`
+    SELECT studentId, ${BALANCE_SQL} AS balance FROM fine_ledger
+    GROUP BY studentId HAVING balance != 0 ORDER BY studentId
+  `),
+  assessedByLoan: db.prepare(`
+    SELECT loanId, SUM(amount) AS amount FROM fine_ledger
+    WHERE studentId = ? AND kind = 'assessed' AND loanId IS NOT NULL GROUP BY loanId
+  `),
+  insert: db.prepare(`
+    INSERT INTO fine_ledger (studentId, loanId, kind, amount, lateDays, note, at, actorId, actorName)
+    VALUES (@studentId, @loanId, @kind, @amount, @lateDays, @note, @at, @actorId, @actorName)
+  `),
+};
+
+// Newest first
+export const listFineEntries = (studentId) => fineStatements.listByStudent.all(studentId);
+
+// What the student owes, in rubles
+export const getFineBalance = (studentId) => fineStatements.balance.get(studentId);
+
+// [{ studentId, balance }] of every student whose balance is not zero
+export const listFineBalances = () => fineStatements.balances.all();
+
+// loanId -> rubles assessed for it
+export const getAssessedFinesByLoan = (studentId) => new Map(
+  fineStatements.assessedByLoan.all(studentId).map(row => [row.loanId, row.amount])
+);
+
+export const insertFineEntry = (entry) => {
+  const { lastInsertRowid } = fineStatements.insert.run({ loanId: null, lateDays: null, note: null, ...entry });
+  return fineStatements.get.get(Number(lastInsertRowid));
+};
+
+// ====================== WRITE-OFFS ======================
+
+export const WRITE_OFF_REASONS = ['lost', 'worn-out', 'outdated', 'damaged'];
+
+// Write-offs with the book, the copy and the reader joined
+const WRITE_OFF_SOURCE = `
+  SELECT
+    w.*,
+    b.title           AS bookTitle,
+    b.author          AS bookAuthor,
+    e.inventoryNumber AS inventoryNumber,
+    s.name            AS studentName
+  FROM write_offs w
+  LEFT JOIN books b ON b.id = w.bookId
+  LEFT JOIN exemplars e ON e.id = w.exemplarId
+  LEFT JOIN students s ON s.studentId = w.studentId
+`;
+
+const writeOffStatements = {
+  get: db.prepare(`SELECT * FROM (${WRITE_OFF_SOURCE}) WHERE id = ?`),
+  listByLoanOfStudent: db.prepare('SELECT * FROM write_offs WHERE studentId = ? AND loanId IS NOT NULL'),
+  countByReason: db.prepare(`
+    SELECT reason, COUNT(*) AS count FROM write_offs
+    WHERE writtenOffAt BETWEEN @from AND @to GROUP BY reason
+  `),
+  insert: db.prepare(`
+    INSERT INTO write_offs (exemplarId, bookId, reason, loanId, studentId, note, writtenOffAt, actorId, actorName)
+    VALUES (@exemplarId, @bookId, @reason, @loanId, @studentId, @note, @writtenOffAt, @actorId, @actorName)
+  `),
+  settle: db.prepare(`
+    UPDATE write_offs
+    SET settlement = @settlement, compensation = @compensation,
+        replacementExemplarId = @replacementExemplarId, settledAt = @settledAt
+    WHERE id = @id
+  `),
+};
+
+export const getWriteOff = (id) => writeOffStatements.get.get(id) ?? null;
+
+/**
+ * Write-offs, newest first. filters: from, to (inclusive yyyy-mm-dd on writtenOffAt), reason, studentId, bookId
+ */
+export const listWriteOffs = (filters = {}) => {
+  const where = [];
+  const params = {};
+  for (const field of ['reason', 'studentId', 'bookId']) {
+    if (filters[field] !== undefined) {
+      where.push(`${field} = @${field}`);
+      params[field] = filters[field];
+    }
+  }
+  if (filters.from) {
+    where.push('writtenOffAt >= @from');
+    params.from = filters.from;
+  }
+  if (filters.to) {
+    where.push('writtenOffAt <= @to');
+    params.to = filters.to;
+  }
+
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM (${WRITE_OFF_SOURCE}) ${whereSql} ORDER BY writtenOffAt DESC, id DESC`).all(params);
+};
+
+// { total, byReason: { reason: count } } of copies written off from..to (inclusive yyyy-mm-dd)
+export const countWriteOffs = (from, to) => {
+  const byReason = Object.fromEntries(WRITE_OFF_REASONS.map(reason => [reason, 0]));
+  for (const row of writeOffStatements.countByReason.all({ from, to })) {
+    byReason[row.reason] = row.count;
+  }
+  return { total: Object.values(byReason).reduce((sum, count) => sum + count, 0), byReason };
+};
+
+// loanId -> write-off of the copy issued with it
+export const getWriteOffsByLoan = (studentId) => new Map(
+  writeOffStatements.listByLoanOfStudent.all(studentId).map(row => [row.loanId, row])
+);
+
+export const insertWriteOff = (writeOff) => {
+  const { lastInsertRowid } = writeOffStatements.insert.run({
+    loanId: null,
+    studentId: null,
+    note: null,
+    actorId: null,
+    actorName: null,
+    ...writeOff,
+  });
+  return getWriteOff(Number(lastInsertRowid));
+};
+
+export const setWriteOffSettlement = (writeOff) => {
+  writeOffStatements.settle.run({ compensation: null, replacementExemplarId: null, ...writeOff });
+  return getWriteOff(writeOff.id);
+};
+
+// ====================== ACQUISITIONS ======================
+
+export const FUNDING_SOURCES = ['federal', 'regional', 'municipal', 'extra-budgetary', 'donation'];
+
+// Deliveries with the totals of their lines, amount in rubles
+const DELIVERY_SOURCE = `
+  SELECT
+    d.*,
+    COALESCE(SUM(l.copies), 0)           AS copies,
+    COALESCE(SUM(l.copies * l.price), 0) AS amount
+  FROM deliveries d
+  LEFT JOIN delivery_lines l ON l.deliveryId = d.id
+  GROUP BY d.id
+`;
+
+const toDeliveryLine = ({ newTitle, ...line }) => ({ ...line, newTitle: Boolean(newTitle) });
+
+const deliveryStatements = {
+  get: db.prepare(`SELECT * FROM (${DELIVERY_SOURCE}) WHERE id = ?`),
+  findIdByInvoice: db.prepare('SELECT id FROM deliveries WHERE supplier = ? AND invoiceNumber = ?').pluck(),
+  listLines: db.prepare('SELECT * FROM delivery_lines WHERE deliveryId = ? ORDER BY id'),
+  totals: db.prepare(`
+    SELECT
+      COUNT(DISTINCT d.id)                 AS deliveries,
+      COUNT(DISTINCT l.bookId)             AS titles,
+      COALESCE(SUM(l.newTitle), 0)         AS newTitles,
+      COALESCE(SUM(l.copies), 0)           AS copies,
+      COALESCE(SUM(l.copies * l.price), 0) AS amount
+    FROM deliveries d
+    LEFT JOIN delivery_lines l ON l.deliveryId = d.id
+    WHERE d.receivedAt BETWEEN @from AND @to
+  `),
+  totalsBySource: db.prepare(`
+    SELECT
+      d.fundingSource                      AS fundingSource,
+      COUNT(DISTINCT d.id)                 AS deliveries,
+      COALESCE(SUM(l.copies), 0)           AS copies,
+      COALESCE(SUM(l.copies * l.price), 0) AS amount
+    FROM deliveries d
+    LEFT JOIN delivery_lines l ON l.deliveryId = d.id
+    WHERE d.receivedAt BETWEEN @from AND @to
+    GROUP BY d.fundingSource
+  `),
+  insert: db.prepare(`
+    INSERT INTO deliveries (supplier, invoiceNumber, receivedAt, fundingSource, note, createdAt, actorId, actorName)
+    VALUES (@supplier, @invoiceNumber, @receivedAt, @fundingSource, @note, @createdAt, @actorId, @actorName)
+  `),
+  insertLine: db.prepare(`
+    INSERT INTO delivery_lines (deliveryId, bookId, title, author, copies, price, newTitle)
+    VALUES (@deliveryId, @bookId, @title, @author, @copies, @price, @newTitle)
+  `),
+  getLine: db.prepare('SELECT * FROM delivery_lines WHERE id = ?'),
+};
+
+/**
+ * The delivery with its totals and lines, or null
+ */
+export const getDelivery = (id) => {
+  const delivery = deliveryStatements.get.get(id);
+  if (!delivery) return null;
+  return { ...delivery, lines: deliveryStatements.listLines.all(id).map(toDeliveryLine) };
+};
+
+// Id of the delivery with this supplier's invoice, or null
+export const findDeliveryIdByInvoice = (supplier, invoiceNumber) =>
+  deliveryStatements.findIdByInvoice.get(supplier, invoiceNumber) ?? null;
+
+/**
+ * Deliveries with their totals but without lines, newest first.
+ * filters: from, to (inclusive yyyy-mm-dd on receivedAt), supplier (case-insensitive substring), fundingSource
+ */
+export const listDeliveries = (filters = {}) => {
+  const where = [];
+  const params = {};
+  if (filters.from) {
+    where.push('receivedAt >= @from');
+    params.from = filters.from;
+  }
+  if (filters.to) {
+    where.push('receivedAt <= @to');
+    params.to = filters.to;
+  }
+  if (filters.supplier) {
+    where.push('instr(casefold(supplier), @supplier) > 0');
+    params.supplier = filters.supplier.toLowerCase();
+  }
+  if (filters.fundingSource) {
+    where.push('fundingSource = @fundingSource');
+    params.fundingSource = filters.fundingSource;
+  }
+
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM (${DELIVERY_SOURCE}) ${whereSql} ORDER BY receivedAt DESC, id DESC`).all(params);
+};
+
+/**
+ * What arrived from..to (inclusive yyyy-mm-dd): { deliveries, titles, newTitles, copies, amount,
+ * byFundingSource: { source: { deliveries, copies, amount } } }. titles counts distinct catalog
+ * books, newTitles the ones a delivery added to the catalog.
+ */
+export const countAcquisitions = (from, to) => {
+  const byFundingSource = Object.fromEntries(
+    FUNDING_SOURCES.map(source => [source, { deliveries: 0, copies: 0, amount: 0 }])
+  );
+  for (const { fundingSource, ...totals } of deliveryStatements.totalsBySource.all({ from, to })) {
+    byFundingSource[fundingSource] = totals;
+  }
+  return { ...deliveryStatements.totals.get({ from, to }), byFundingSource };
+};
+
+export const insertDelivery = (delivery) => {
+  const { lastInsertRowid } = deliveryStatements.insert.run({
+    note: null,
+    createdAt: new Date().toISOString(),
+    actorId: null,
+    actorName: null,
+    ...delivery,
+  });
+  return getDelivery(Number(lastInsertRowid));
+};
+
+export const insertDeliveryLine = (line) => {
+  const { lastInsertRowid } = deliveryStatements.insertLine.run({ ...line, newTitle: line.newTitle ? 1 : 0 });
+  return toDeliveryLine(deliveryStatements.getLine.get(Number(lastInsertRowid)));
+};
+
+// ====================== INVENTORY ======================
+
+export const DISCREPANCY_KINDS = ['missing', 'unexpected', 'wrong-location'];
+
+export const DISCREPANCY_RESOLUTIONS = ['found', 'lost', 'written-off'];
+
+// Sessions with how many scans and discrepancies they have, open ones have no discrepancies yet
+const INVENTORY_SESSION_SOURCE = `
+  SELECT
+    i.*,
+    (SELECT COUNT(*) FROM inventory_scans s WHERE s.sessionId = i.id) AS scans,
+    (SELECT COUNT(*) FROM inventory_discrepancies d WHERE d.sessionId = i.id) AS discrepancies,
+    (SELECT COUNT(*) FROM inventory_discrepancies d WHERE d.sessionId = i.id AND d.resolution IS NULL) AS unresolved
+  FROM inventory_sessions i
+`;
+
+// Scans with the copy they were matched to as it is now, and its book
+const INVENTORY_SCAN_SOURCE = `
+  SELECT
+    s.*,
+    e.inventoryNumber AS inventoryNumber,
+    e.status          AS copyStatus,
+    e.location        AS copyLocation,
+    b.title           AS bookTitle,
+    b.author          AS bookAuthor,
+    b.archivedAt      AS bookArchivedAt
+  FROM inventory_scans s
+  LEFT JOIN (${EXEMPLAR_SOURCE}) e ON e.id = s.exemplarId
+  LEFT JOIN books b ON b.id = s.bookId
+`;
+
+const DISCREPANCY_SOURCE = `
+  SELECT
+    d.*,
+    e.inventoryNumber AS inventoryNumber,
+    b.title           AS bookTitle,
+    b.author          AS bookAuthor
+  FROM inventory_discrepancies d
+  LEFT JOIN exemplars e ON e.id = d.exemplarId
+  LEFT JOIN books b ON b.id = d.bookId
+`;
+
+const inventoryStatements = {
+  get: db.prepare(`SELECT * FROM (${INVENTORY_SESSION_SOURCE}) WHERE id = ?`),
+  list: db.prepare(`SELECT * FROM (${INVENTORY_SESSION_SOURCE}) ORDER BY startedAt DESC, id DESC`),
+  findOpen: db.prepare('SELECT id FROM inventory_sessions WHERE closedAt IS NULL ORDER BY id LIMIT 1').pluck(),
+  insert: db.prepare(`
+    INSERT INTO inventory_sessions (note, startedAt, actorId, actorName)
+    VALUES (@note, @startedAt, @actorId, @actorName)
+  `),
+  close: db.prepare(`
+    UPDATE inventory_sessions
+    SET closedAt = @closedAt, expectedCopies = @expectedCopies, onLoanCopies = @onLoanCopies,
+        matchedCopies = @matchedCopies
+    WHERE id = @id
+  `),
+  getScan: db.prepare(`SELECT * FROM (${INVENTORY_SCAN_SOURCE}) WHERE id = ?`),
+  listScans: db.prepare(`SELECT * FROM (${INVENTORY_SCAN_SOURCE}) WHERE sessionId = ? ORDER BY id`),
+  findScanOfExemplar: db.prepare(`SELECT * FROM (${INVENTORY_SCAN_SOURCE}) WHERE sessionId = ? AND exemplarId = ? LIMIT 1`),
+  insertScan: db.prepare(`
+    INSERT INTO inventory_scans (sessionId, code, location, exemplarId, bookId, scannedAt, actorId, actorName)
+    VALUES (@sessionId, @code, @location, @exemplarId, @bookId, @scannedAt, @actorId, @actorName)
+  `),
+  firstUnscanned: db.prepare(`
+    SELECT * FROM (${EXEMPLAR_SOURCE})
+    WHERE bookId = @bookId AND status = 'on-shelf'
+      AND id NOT IN (SELECT exemplarId FROM inventory_scans WHERE sessionId = @sessionId AND exemplarId IS NOT NULL)
+    ORDER BY id LIMIT 1
+  `),
+  listUnscanned: db.prepare(`
+    SELECT e.*, b.title AS bookTitle, b.author AS bookAuthor
+    FROM (${EXEMPLAR_SOURCE}) e
+    JOIN books b ON b.id = e.bookId
+    WHERE e.status = 'on-shelf' AND b.archivedAt IS NULL
+      AND e.id NOT IN (SELECT exemplarId FROM inventory_scans WHERE sessionId = ? AND exemplarId IS NOT NULL)
+    ORDER BY e.location IS NULL, e.location, b.title, e.id
+  `),
+  stock: db.prepare(`
+    SELECT
+      COUNT(*)                                          AS inStock,
+      COUNT(CASE WHEN e.status = 'on-loan' THEN 1 END) AS onLoan
+    FROM (${EXEMPLAR_SOURCE}) e
+    JOIN books b ON b.id = e.bookId
+    WHERE e.status <> 'withdrawn' AND b.archivedAt IS NULL
+  `),
+  getDiscrepancy: db.prepare(`SELECT * FROM (${DISCREPANCY_SOURCE}) WHERE id = ?`),
+  listDiscrepancies: db.prepare(`
+    SELECT * FROM (${DISCREPANCY_SOURCE}) WHERE sessionId = ?
+    ORDER BY resolution IS NOT NULL, kind, bookTitle, id
+  `),
+  insertDiscrepancy: db.prepare(`
+    INSERT INTO inventory_discrepancies
+      (sessionId, kind, exemplarId, bookId, scanId, code, copyStatus, expectedLocation, foundLocation)
+    VALUES
+      (@sessionId, @kind, @exemplarId, @bookId, @scanId, @code, @copyStatus, @expectedLocation, @foundLocation)
+  `),
+  resolveDiscrepancy: db.prepare(`
+    UPDATE inventory_discrepancies
+    SET resolution = @resolution, writeOffId = @writeOffId, note = @note, resolvedAt = @resolvedAt,
+        actorId = @actorId, actorName = @actorName
+    WHERE id = @id
+  `),
+};
+
+export const getInventorySession = (id) => inventoryStatements.get.get(id) ?? null;
+
+// Newest first
+export const listInventorySessions = () => inventoryStatements.list.all();
+
+// Id of the session still collecting scans, or null. There is at most one.
+export const findOpenInventorySessionId = () => inventoryStatements.findOpen.get() ?? null;
+
+export const insertInventorySession = (session) => {
+  const { lastInsertRowid } = inventoryStatements.insert.run({ note: null, actorId: null, actorName: null, ...session });
+  return getInventorySession(Number(lastInsertRowid));
+};
+
+// closedAt with the stock the scans were reconciled against
+export const closeInventorySession = (session) => {
+  inventoryStatements.close.run(session);
+  return getInventorySession(session.id);
+};
+
+export const getInventoryScan = (id) => inventoryStatements.getScan.get(id) ?? null;
+
+// Oldest first
+export const listInventoryScans = (sessionId) => inventoryStatements.listScans.all(sessionId);
+
+// The earlier scan of this copy in the session, or null
+export const findInventoryScanOfExemplar = (sessionId, exemplarId) =>
+  inventoryStatements.findScanOfExemplar.get(sessionId, exemplarId) ?? null;
+
+export const insertInventoryScan = (scan) => {
+  const { lastInsertRowid } = inventoryStatements.insertScan.run({
+    location: null,
+    exemplarId: null,
+    bookId: null,
+    actorId: null,
+    actorName: null,
+    ...scan,
+  });
+  return getInventoryScan(Number(lastInsertRowid));
+};
+
+// The oldest copy of the book on the shelf the session has not scanned yet, or null
+export const findUnscannedExemplar = (sessionId, bookId) =>
+  inventoryStatements.firstUnscanned.get({ sessionId, bookId }) ?? null;
+
+// Copies on the shelf the session has not scanned, by location and title
+export const listUnscannedExemplars = (sessionId) => inventoryStatements.listUnscanned.all(sessionId);
+
+// { inStock, onLoan }: copies of catalog books not withdrawn, and those of them on loan
+export const countStock = () => inventoryStatements.stock.get();
+
+export const getInventoryDiscrepancy = (id) => inventoryStatements.getDiscrepancy.get(id) ?? null;
+
+// Unresolved first
+export const listInventoryDiscrepancies = (sessionId) => inventoryStatements.listDiscrepancies.all(sessionId);
+
+export const insertInventoryDiscrepancy = (discrepancy) => {
+  const { lastInsertRowid } = inventoryStatements.insertDiscrepancy.run({
+    exemplarId: null,
+    bookId: null,
+    scanId: null,
+    code: null,
+    copyStatus: null,
+    expectedLocation: null,
+    foundLocation: null,
+    ...discrepancy,
+  });
+  return getInventoryDiscrepancy(Number(lastInsertRowid));
+};
+
+export const resolveInventoryDiscrepancy = (discrepancy) => {
+  inventoryStatements.resolveDiscrepancy.run({
+    writeOffId: null,
+    note: null,
+    actorId: null,
+    actorName: null,
+    ...discrepancy,
+  });
+  return getInventoryDiscrepancy(discrepancy.id);
+};
+
+// ====================== USERS ======================
+
+const userStatements = {
+  list: db.prepare('SELECT id, username, fullName, role, createdAt FROM users ORDER BY id'),
+  count: db.prepare('SELECT COUNT(*) FROM users').pluck(),
+  get: db.prepare('SELECT id, username, fullName, role, createdAt FROM users WHERE id = ?'),
+  findByUsername: db.prepare('SELECT * FROM users WHERE username = ? COLLATE NOCASE'),
+  insert: db.prepare(`
+    INSERT INTO users (username, fullName, role, passwordHash, createdAt)
+    VALUES (@username, @fullName, @role, @passwordHash, @createdAt)
+  `),
+  updatePassword: db.prepare('UPDATE users SET passwordHash = ? WHERE id = ?'),
+  remove: db.prepare('DELETE FROM users WHERE id = ?'),
+};
+
+export const listUsers = () => userStatements.list.all();
+
+export const countUsers = () => userStatements.count.get();
+
+export const getUser = (id) => userStatements.get.get(id) ?? null;
+
+/**
+ * Returns the full row including passwordHash, only for credential checks
+ */
+export const findUserByUsername = (username) => userStatements.findByUsername.get(username) ?? null;
+
+export const insertUser = (user) => {
+  const { lastInsertRowid } = userStatements.insert.run({ createdAt: new Date().toISOString(), ...user });
+  return getUser(Number(lastInsertRowid));
+};
+
+export const updateUserPassword = (id, passwordHash) =>
+  userStatements.updatePassword.run(passwordHash, id).changes > 0;
+
+export const deleteUser = (id) => userStatements.remove.run(id).changes > 0;
+
+// ====================== SESSIONS ======================
+
+const sessionStatements = {
+  insert: db.prepare('INSERT INTO sessions (tokenHash, userId, expiresAt) VALUES (?, ?, ?)'),
+  getUser: db.prepare(`
+    SELECT u.id, u.username, u.fullName, u.role, u.createdAt
+    FROM sessions s JOIN users u ON u.id = s.userId
+    WHERE s.tokenHash = ? AND s.expiresAt > ?
+  `),
+  remove: db.prepare('DELETE FROM sessions WHERE tokenHash = ?'),
+  removeExpired: db.prepare('DELETE FROM sessions WHERE expiresAt <= ?'),
+};
+
+export const insertSession = (tokenHash, userId, expiresAt) =>
+  sessionStatements.insert.run(tokenHash, userId, expiresAt);
+
+export const getSessionUser = (tokenHash) =>
+  sessionStatements.getUser.get(tokenHash, new Date().toISOString()) ?? null;
+
+export const deleteSession = (tokenHash) => sessionStatements.remove.run(tokenHash);
+
+export const deleteExpiredSessions = () => sessionStatements.removeExpired.run(new Date().toISOString());
+
+// ====================== AUDIT LOG ======================
+
+const auditStatements = {
+  insert: db.prepare(`
+    INSERT INTO audit_log (at, actorId, actorName, action, entity, entityId, changes)
+    VALUES (@at, @actorId, @actorName, @action, @entity, @entityId, @changes)
+  `),
+};
+
+const toAuditEntry = (row) => ({ ...row, changes: JSON.parse(row.changes) });
+
+export const insertAuditEntry = (entry) =>
+  auditStatements.insert.run({ ...entry, changes: JSON.stringify(entry.changes) });
+
+/**
+ * Lists audit entries newest first.
+ * filters: { entity, entityId, actorId, action, from, to } (from/to are ISO dates, inclusive)
+ */
+export const listAuditEntries = (filters = {}, { limit = 50, offset = 0 } = {}) => {
+  const where = [];
+  const params = {};
+
+  for (const field of ['entity', 'entityId', 'actorId', 'action']) {
+    if (filters[field] !== undefined) {
+      where.push(`${field} = @${field}`);
+      params[field] = filters[field];
+    }
+  }
+  if (filters.from) {
+    where.push('at >= @from');
+    params.from = filters.from;
+  }
+  if (filters.to) {
+    // "to" is a date: include the whole day
+    where.push('at < @toExclusive');
+    params.toExclusive = `${filters.to}\uffff`;
+  }
+
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) FROM audit_log ${whereSql}`).pluck().get(params);
+  const items = db
+    .prepare(`SELECT * FROM audit_log ${whereSql} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset })
+    .map(toAuditEntry);
+
+  return { items, total };
+};
+
+// ====================== IDEMPOTENCY KEYS ======================
+
+const idempotencyStatements = {
+  get: db.prepare('SELECT * FROM idempotency_keys WHERE userId = ? AND key = ?'),
+  insert: db.prepare(`
+    INSERT INTO idempotency_keys (userId, key, method, path, requestHash, createdAt)
+    VALUES (@userId, @key, @method, @path, @requestHash, @createdAt)
+  `),
+  complete: db.prepare('UPDATE idempotency_keys SET status = ?, response = ? WHERE userId = ? AND key = ?'),
+  remove: db.prepare('DELETE FROM idempotency_keys WHERE userId = ? AND key = ?'),
+  removeOlderThan: db.prepare('DELETE FROM idempotency_keys WHERE createdAt < ?'),
+};
+
+const toIdempotencyEntry = (row) => row && ({ ...row, response: row.response === null ? null : JSON.parse(row.response) });
+
+export const getIdempotencyKey = (userId, key) => toIdempotencyEntry(idempotencyStatements.get.get(userId, key));
+
+/**
+ * Claims a key before the request runs. status stays null until completeIdempotencyKey.
+ */
+export const insertIdempotencyKey = (entry) =>
+  idempotencyStatements.insert.run({ createdAt: new Date().toISOString(), ...entry });
+
+export const completeIdempotencyKey = (userId, key, status, response) =>
+  idempotencyStatements.complete.run(status, JSON.stringify(response), userId, key);
+
+export const deleteIdempotencyKey = (userId, key) => idempotencyStatements.remove.run(userId, key);
+
+export const deleteIdempotencyKeysBefore = (isoDate) => idempotencyStatements.removeOlderThan.run(isoDate).changes;
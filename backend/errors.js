@@ -0,0 +1,50 @@
+/**
+ * Errors that map to an HTTP response. Route handlers throw them and the error
+ * middleware in server.js turns them into { error, code, requestId, details? }.
+ * code is machine-readable and stable, error is a human-readable message.
+ */
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message, { code = 'VALIDATION_ERROR', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required.', { code = 'UNAUTHORIZED' } = {}) {
+    super(message, { status: 401, code });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action.', { code = 'FORBIDDEN' } = {}) {
+    super(message, { status: 403, code });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message, { code = 'NOT_FOUND' } = {}) {
+    super(message, { status: 404, code });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+export class PreconditionRequiredError extends AppError {
+  constructor(message, { code = 'PRECONDITION_REQUIRED' } = {}) {
+    super(message, { status: 428, code });
+  }
+}
@@ -0,0 +1,61 @@
+// Live updates for open pages over Server-Sent Events
+
+export const EVENT_TYPES = [
+  'book.created',
+  'book.updated',
+  'book.deleted',
+  'student.created',
+  'student.updated',
+  'student.deleted',
+  'loan.opened',
+  'loan.closed',
+  'loan.renewed',
+  'hold.changed',
+  'fine.changed',
+  'data.reloaded',
+];
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+let nextEventId = 1;
+
+/**
+ * Sends an event to every connected page. Call after the change is committed,
+ * never from inside inTransaction, or a rolled back change could be announced.
+ */
+export const publish = (type, data = {}) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const message = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of clients) {
+    res.write(message);
+  }
+};
+
+/**
+ * GET handler that keeps the response open as an event stream until the client disconnects
+ */
+export const eventStream = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stops nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  clients.add(res);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+};
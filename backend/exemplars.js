@@ -0,0 +1,204 @@
+import {
+  getBook,
+  updateBook,
+  findBookByBarcode,
+  getExemplar,
+  listExemplarsOfBook,
+  findExemplarByCode,
+  findExemplarIdByInventoryNumber,
+  findExemplarIdByBarcode,
+  findExemplarOnShelf,
+  findLastExemplarOnShelf,
+  countExemplarsOnShelf,
+  nextInventoryNumber,
+  exemplarHasHistory,
+  insertExemplar,
+  updateExemplar,
+  deleteExemplar,
+} from './db.js';
+import { recordAudit } from './audit.js';
+import { ConflictError, NotFoundError } from './errors.js';
+import { today, promoteHolds } from './loans.js';
+
+/**
+ * Physical copies (exemplars) of catalog books. Each copy has its own inventory number and
+ * optionally a barcode, and an issue names the copy it took off the shelf. books.quantity is
+ * kept equal to the copies on the shelf: call syncBookQuantity() after anything that moves one,
+ * restockBook() when that may have added copies.
+ * Call the changing functions inside inTransaction, changes are audited under actor.
+ */
+
+// The stored fields, status and the loan are worked out from the transaction log
+const toRecord = ({ id, bookId, inventoryNumber, barcode, acquiredAt, condition, location, withdrawnAt, deliveryLineId }) =>
+  ({ id, bookId, inventoryNumber, barcode, acquiredAt, condition, location, withdrawnAt, deliveryLineId });
+
+// Scanning must lead to one copy, so its barcode may not belong to another copy or to a book
+const assertUniqueCodes = ({ id = null, inventoryNumber, barcode }) => {
+  const numbered = inventoryNumber !== undefined ? findExemplarIdByInventoryNumber(inventoryNumber) : null;
+  if (numbered !== null && numbered !== id) {
+    throw new ConflictError(`Inventory number ${inventoryNumber} is already taken.`, {
+      code: 'DUPLICATE_INVENTORY_NUMBER',
+    });
+  }
+
+  if (barcode === undefined || barcode === null) return;
+  const coded = findExemplarIdByBarcode(barcode);
+  if ((coded !== null && coded !== id) || findBookByBarcode(barcode)) {
+    throw new ConflictError(`Barcode ${barcode} is already in use.`, { code: 'DUPLICATE_BARCODE' });
+  }
+};
+
+/**
+ * Sets the book's quantity to its copies on the shelf. Returns the book.
+ */
+export const syncBookQuantity = (actor, bookId) => {
+  const book = getBook(bookId);
+  const updated = updateBook({ ...book, quantity: countExemplarsOnShelf(bookId) });
+  recordAudit(actor, 'book', book, updated);
+  return updated;
+};
+
+/**
+ * syncBookQuantity() for when copies went on the shelf: they are set aside for the book's hold
+ * queue before anyone else can take them. Returns { book, readyHolds }, the holds that became ready.
+ */
+export const restockBook = (actor, bookId) => {
+  const book = syncBookQuantity(actor, bookId);
+  return { book, readyHolds: promoteHolds(actor, bookId) };
+};
+
+/**
+ * Copies of a book with where each one is, withdrawn ones included
+ * @throws {NotFoundError}
+ */
+export const listExemplars = (bookId) => {
+  if (!getBook(bookId)) {
+    throw new NotFoundError('Book not found.');
+  }
+  return listExemplarsOfBook(bookId);
+};
+
+/**
+ * Puts a new copy on the shelf. Without an inventory number the next free "<bookId>-<n>" is used.
+ * Does not update the book's quantity.
+ * @throws {ConflictError} DUPLICATE_INVENTORY_NUMBER, DUPLICATE_BARCODE
+ */
+export const addExemplar = (actor, bookId, fields = {}) => {
+  const inventoryNumber = fields.inventoryNumber ?? nextInventoryNumber(bookId);
+  assertUniqueCodes({ inventoryNumber, barcode: fields.barcode });
+
+  const exemplar = insertExemplar({ acquiredAt: today(), ...fields, bookId, inventoryNumber });
+  recordAudit(actor, 'exemplar', null, toRecord(exemplar));
+  return exemplar;
+};
+
+/**
+ * Takes a copy out of stock on day, it stays listed as withdrawn. Returns the copy.
+ * Does not update the book's quantity.
+ */
+export const withdrawExemplar = (actor, exemplar, day = today()) => {
+  const withdrawn = updateExemplar({ ...exemplar, withdrawnAt: day });
+  recordAudit(actor, 'exemplar', toRecord(exemplar), toRecord(withdrawn));
+  return withdrawn;
+};
+
+// A copy that was never issued is deleted, one with loans in the log is kept as withdrawn
+const retireExemplar = (actor, exemplar) => {
+  if (exemplarHasHistory(exemplar.id)) {
+    return withdrawExemplar(actor, exemplar);
+  }
+
+  deleteExemplar(exemplar.id);
+  recordAudit(actor, 'exemplar', toRecord(exemplar), null);
+  return null;
+};
+
+/**
+ * Adds or takes away copies on the shelf until there are target of them, the newest go first.
+ * This is what setting a book's quantity does. Returns the copies now on the shelf.
+ * Does not update the book's quantity.
+ */
+export const setShelfCopies = (actor, bookId, target) => {
+  let onShelf = countExemplarsOnShelf(bookId);
+  for (; onShelf < target; onShelf++) {
+    addExemplar(actor, bookId);
+  }
+  for (; onShelf > target; onShelf--) {
+    retireExemplar(actor, findLastExemplarOnShelf(bookId));
+  }
+  return onShelf;
+};
+
+/**
+ * What a code scanned off a book stands for: { exemplar, book } for the barcode or inventory number
+ * of a copy, { exemplar: null, book } for the barcode of the book itself, or null
+ */
+export const findStockByCode = (code) => {
+  const trimmed = code.trim();
+  // Inventory numbers keep their case
+  const exemplar = findExemplarByCode(trimmed);
+  if (exemplar) {
+    return { exemplar, book: getBook(exemplar.bookId) };
+  }
+
+  // Barcodes are stored as numbers
+  const book = /^\d+$/.test(trimmed) ? findBookByBarcode(Number(trimmed)) : null;
+  return book ? { exemplar: null, book } : null;
+};
+
+/**
+ * Changes the inventory number, barcode, acquisition day, condition or location of a copy
+ * @throws {NotFoundError}
+ * @throws {ConflictError} DUPLICATE_INVENTORY_NUMBER, DUPLICATE_BARCODE
+ */
+export const editExemplar = (actor, id, changes) => {
+  const existing = getExemplar(id);
+  if (!existing) {
+    throw new NotFoundError('Copy not found.');
+  }
+  assertUniqueCodes({ id, ...changes });
+
+  const updated = updateExemplar({ ...existing, ...changes });
+  recordAudit(actor, 'exemplar', toRecord(existing), toRecord(updated));
+  return updated;
+};
+
+/**
+ * Takes a copy out of the library. Returns the withdrawn copy, or null when it was never
+ * issued and is deleted. Does not update the book's quantity.
+ * @throws {NotFoundError}
+ * @throws {ConflictError} ON_LOAN
+ */
+export const removeExemplar = (actor, id) => {
+  const existing = getExemplar(id);
+  if (!existing || existing.status === 'withdrawn') {
+    throw new NotFoundError('Copy not found.');
+  }
+  if (existing.status === 'on-loan') {
+    throw new ConflictError('The copy is on loan. Accept it back first.', { code: 'ON_LOAN' });
+  }
+  return retireExemplar(actor, existing);
+};
+
+/**
+ * The copy to issue: the named one, or the oldest copy on the shelf. null when the shelf is empty.
+ * @throws {NotFoundError} the named copy is not a copy of the book
+ * @throws {ConflictError} EXEMPLAR_NOT_AVAILABLE, the named copy is on loan or withdrawn
+ */
+export const pickExemplar = (bookId, exemplarId) => {
+  if (exemplarId === undefined) {
+    return findExemplarOnShelf(bookId);
+  }
+
+  const exemplar = getExemplar(exemplarId);
+  if (!exemplar || exemplar.bookId !== bookId) {
+    throw new NotFoundError('Copy not found.');
+  }
+  if (exemplar.status !== 'on-shelf') {
+    throw new ConflictError(`Copy ${exemplar.inventoryNumber} is not on the shelf.`, {
+      code: 'EXEMPLAR_NOT_AVAILABLE',
+      details: { status: exemplar.status },
+    });
+  }
+  return exemplar;
+};
@@ -0,0 +1,124 @@
+import { config } from './config.js';
+import {
+  getStudent,
+  listLoans,
+  findLoanByReturn,
+  listFineEntries,
+  getFineBalance,
+  insertFineEntry,
+} from './db.js';
+import { recordAudit } from './audit.js';
+import { ConflictError, NotFoundError } from './errors.js';
+import { today, addDays, isWorkday } from './loans.js';
+
+/**
+ * Overdue fines and the per-student ledger they are kept in. A late return is assessed
+ * FINE_DAILY_RATE for every late workday after FINE_GRACE_DAYS, at most FINE_MAX_AMOUNT.
+ * Payments and waivers are entries of their own, the balance is what is left.
+ * Call the changing functions inside inTransaction, entries are audited under actor.
+ */
+
+// Workdays after dueDate up to and including until, weekends and LOAN_HOLIDAYS do not count
+export const countLateDays = (dueDate, until) => {
+  let days = 0;
+  for (let day = addDays(dueDate, 1); day <= until; day = addDays(day, 1)) {
+    if (isWorkday(day)) days++;
+  }
+  return days;
+};
+
+/**
+ * Fine for a book due on dueDate and returned (or still out) on until: { lateDays, amount }
+ */
+export const computeFine = (dueDate, until) => {
+  const { dailyRate, graceDays, maxAmount } = config.fines;
+  const lateDays = dueDate && until > dueDate ? countLateDays(dueDate, until) : 0;
+  return { lateDays, amount: Math.min(maxAmount, Math.max(0, lateDays - graceDays) * dailyRate) };
+};
+
+/**
+ * Charges the fine for the loan a "returned" transaction closed.
+ * Returns the ledger entry, or null when the book was not late enough to be charged.
+ */
+export const assessFine = (actor, returned) => {
+  const loan = findLoanByReturn(returned.id, { today: today() });
+  if (!loan) {
+    return null;
+  }
+
+  const { lateDays, amount } = computeFine(loan.dueDate, loan.returnedAt);
+  if (amount <= 0) {
+    return null;
+  }
+
+  const entry = insertFineEntry({
+    studentId: loan.studentId,
+    loanId: loan.id,
+    kind: 'assessed',
+    amount,
+    lateDays,
+    note: `Returned ${loan.returnedAt}, due ${loan.dueDate}`,
+    at: new Date().toISOString(),
+    actorId: actor?.id ?? null,
+    actorName: actor?.fullName ?? actor?.username ?? null,
+  });
+  recordAudit(actor, 'fine', null, entry);
+  return entry;
+};
+
+/**
+ * The student's ledger: { studentId, balance, accruing, entries }.
+ * accruing is what the overdue books still out would be charged if returned today,
+ * it becomes part of the balance on return.
+ */
+export const getFineAccount = (studentId) => {
+  const student = getStudent(studentId);
+  if (!student) {
+    throw new NotFoundError('Student not found.');
+  }
+
+  const day = today();
+  const accruing = listLoans({ studentId, status: 'open', overdue: true }, { today: day }).items
+    .reduce((sum, loan) => sum + computeFine(loan.dueDate, day).amount, 0);
+
+  return {
+    studentId: student.studentId,
+    balance: getFineBalance(student.studentId),
+    accruing,
+    entries: listFineEntries(student.studentId),
+  };
+};
+
+const settle = (actor, studentId, kind, { amount, note = null }) => {
+  const balance = getFineAccount(studentId).balance;
+  if (amount > balance) {
+    throw new ConflictError(`The student owes ${balance} rub., ${amount} is more than that.`, {
+      code: 'FINE_OVERPAYMENT',
+      details: { balance },
+    });
+  }
+
+  const entry = insertFineEntry({
+    studentId,
+    kind,
+    amount,
+    note,
+    at: new Date().toISOString(),
+    actorId: actor?.id ?? null,
+    actorName: actor?.fullName ?? actor?.username ?? null,
+  });
+  recordAudit(actor, 'fine', null, entry);
+  return getFineAccount(studentId);
+};
+
+/**
+ * Records a payment of amount rubles. Returns the updated ledger.
+ * @throws {ConflictError} FINE_OVERPAYMENT when amount is more than the balance
+ */
+export const payFine = (actor, studentId, payment) => settle(actor, studentId, 'paid', payment);
+
+/**
+ * Forgives amount rubles, note says why. Returns the updated ledger.
+ * @throws {ConflictError} FINE_OVERPAYMENT when amount is more than the balance
+ */
+export const waiveFine = (actor, studentId, waiver) => settle(actor, studentId, 'waived', waiver);
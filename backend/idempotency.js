@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+import {
+  inTransaction,
+  getIdempotencyKey,
+  insertIdempotencyKey,
+  completeIdempotencyKey,
+  deleteIdempotencyKey,
+  deleteIdempotencyKeysBefore,
+} from './db.js';
+import { AppError, ConflictError, ValidationError } from './errors.js';
+
+const KEY_TTL_MS = config.idempotencyTtlHours * 60 * 60 * 1000;
+
+// A claimed key without a response after this long belongs to a request that never finished
+const PENDING_TIMEOUT_MS = 60 * 1000;
+
+// Printable ASCII, a UUID from the client in practice
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+const hashBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body ?? null)).digest('hex');
+
+/**
+ * Claims the key for this request. Returns the stored entry if the key is already known.
+ */
+const claimKey = (userId, key, request) => inTransaction(() => {
+  const now = Date.now();
+  deleteIdempotencyKeysBefore(new Date(now - KEY_TTL_MS).toISOString());
+
+  const existing = getIdempotencyKey(userId, key);
+  if (existing?.status === null && now - Date.parse(existing.createdAt) > PENDING_TIMEOUT_MS) {
+    deleteIdempotencyKey(userId, key);
+  } else if (existing) {
+    return existing;
+  }
+
+  insertIdempotencyKey({ userId, key, ...request });
+  return null;
+});
+
+/**
+ * Route middleware for requests that create records. A request with an Idempotency-Key header
+ * runs once per user and key; repeats of it within IDEMPOTENCY_TTL_HOURS get the first
+ * response again (with Idempotent-Replayed: true) instead of creating a duplicate.
+ * Only successful responses are kept, so after an error the client can retry with the same key.
+ * Requests without the header are not affected. Must run after authenticate.
+ */
+export const idempotent = () => {
+  const middleware = (req, res, next) => {
+    const key = req.get('idempotency-key');
+    if (key === undefined) return next();
+    if (!KEY_RE.test(key)) {
+      throw new ValidationError('Idempotency-Key must be 1-255 printable ASCII characters.', {
+        code: 'INVALID_IDEMPOTENCY_KEY',
+      });
+    }
+
+    const userId = req.user.id;
+    const request = { method: req.method, path: req.originalUrl, requestHash: hashBody(req.body) };
+    const stored = claimKey(userId, key, request);
+
+    if (stored) {
+      if (stored.method !== request.method || stored.path !== request.path || stored.requestHash !== request.requestHash) {
+        throw new AppError('This Idempotency-Key was already used for a different request.', {
+          status: 422,
+          code: 'IDEMPOTENCY_KEY_REUSED',
+        });
+      }
+      if (stored.status === null) {
+        throw new ConflictError('A request with this Idempotency-Key is still being processed.', {
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+        });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status).json(stored.response);
+    }
+
+    // Handlers and the error handler both answer through res.json
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        completeIdempotencyKey(userId, key, res.statusCode, body);
+      } else {
+        deleteIdempotencyKey(userId, key);
+      }
+      return sendJson(body);
+    };
+    next();
+  };
+
+  // Read by openapi.js
+  middleware.apiParameters = [{
+    name: 'Idempotency-Key',
+    in: 'header',
+    required: false,
+    schema: { type: 'string', maxLength: 255 },
+    description: 'Unique per submit attempt (e.g. a UUID). Repeats of the request get the first response again.',
+  }];
+  middleware.apiErrors = [409, 422];
+  return middleware;
+};
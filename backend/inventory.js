@@ -0,0 +1,293 @@
+import {
+  getExemplar,
+  getInventorySession,
+  findOpenInventorySessionId,
+  insertInventorySession,
+  closeInventorySession,
+  listInventoryScans,
+  findInventoryScanOfExemplar,
+  insertInventoryScan,
+  findUnscannedExemplar,
+  listUnscannedExemplars,
+  countStock,
+  getInventoryDiscrepancy,
+  listInventoryDiscrepancies,
+  insertInventoryDiscrepancy,
+  resolveInventoryDiscrepancy,
+  DISCREPANCY_KINDS,
+} from './db.js';
+import { recordAudit } from './audit.js';
+import { ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { today } from './loans.js';
+import { findStockByCode, editExemplar } from './exemplars.js';
+import { writeOffExemplar } from './writeoffs.js';
+
+/**
+ * Stock-taking. Staff open an inventory session and scan every copy on the shelves, the same codes
+ * /api/scan resolves. The scans are reconciled against the copies that should be on the shelf (in
+ * stock and not on loan, archived books are not stock): copies not scanned are missing, scanned copies
+ * that are on loan, withdrawn, of an archived book or unknown are unexpected, and copies scanned away
+ * from their recorded location are in the wrong location. Closing the session stores these
+ * discrepancies, and each is then resolved as found, lost or written off. Call the changing
+ * functions inside inTransaction, changes are audited under actor.
+ */
+
+const sessionRecord = ({ id, note, startedAt, closedAt, expectedCopies, onLoanCopies, matchedCopies }) =>
+  ({ id, note, startedAt, closedAt, expectedCopies, onLoanCopies, matchedCopies });
+
+const discrepancyRecord = ({ id, sessionId, kind, exemplarId, resolution, writeOffId, note, resolvedAt }) =>
+  ({ id, sessionId, kind, exemplarId, resolution, writeOffId, note, resolvedAt });
+
+const actorFields = (actor) => ({
+  actorId: actor?.id ?? null,
+  actorName: actor?.fullName ?? actor?.username ?? null,
+});
+
+// Locations are typed by hand, "Зал 2" and "зал 2" are the same shelf
+const sameLocation = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// The discrepancy a scan shows, null when the copy is where it should be
+const classifyScan = (scan) => {
+  if (!scan.exemplarId || scan.copyStatus !== 'on-shelf' || scan.bookArchivedAt) return 'unexpected';
+  if (scan.location && scan.copyLocation && !sameLocation(scan.location, scan.copyLocation)) return 'wrong-location';
+  return null;
+};
+
+// The session if it still collects scans
+const getOpenSession = (id) => {
+  const session = getInventorySession(id);
+  if (!session) {
+    throw new NotFoundError('Inventory session not found.');
+  }
+  if (session.closedAt) {
+    throw new ConflictError('The inventory session is already closed.', { code: 'INVENTORY_CLOSED' });
+  }
+  return session;
+};
+
+// Scans against the shelf as it is now: { matched, discrepancies }
+const reconcile = (sessionId) => {
+  let matched = 0;
+  const discrepancies = [];
+  for (const scan of listInventoryScans(sessionId)) {
+    const kind = classifyScan(scan);
+    if (!kind) {
+      matched++;
+      continue;
+    }
+    discrepancies.push({
+      kind,
+      exemplarId: scan.exemplarId,
+      bookId: scan.bookId,
+      scanId: scan.id,
+      code: scan.code,
+      copyStatus: scan.copyStatus,
+      expectedLocation: scan.copyLocation,
+      foundLocation: scan.location,
+      inventoryNumber: scan.inventoryNumber,
+      bookTitle: scan.bookTitle,
+      bookAuthor: scan.bookAuthor,
+    });
+  }
+  for (const copy of listUnscannedExemplars(sessionId)) {
+    discrepancies.push({
+      kind: 'missing',
+      exemplarId: copy.id,
+      bookId: copy.bookId,
+      scanId: null,
+      code: null,
+      copyStatus: copy.status,
+      expectedLocation: copy.location,
+      foundLocation: null,
+      inventoryNumber: copy.inventoryNumber,
+      bookTitle: copy.bookTitle,
+      bookAuthor: copy.bookAuthor,
+    });
+  }
+  return { matched, discrepancies };
+};
+
+/**
+ * Opens a session for scanning. Returns the session.
+ * @throws {ConflictError} INVENTORY_IN_PROGRESS, another session is still open
+ */
+export const startInventory = (actor, { note = null } = {}) => {
+  const openId = findOpenInventorySessionId();
+  if (openId !== null) {
+    throw new ConflictError('Another inventory session is still open. Close it first.', {
+      code: 'INVENTORY_IN_PROGRESS',
+      details: { sessionId: openId },
+    });
+  }
+
+  const session = insertInventorySession({
+    note: note?.trim() || null,
+    startedAt: new Date().toISOString(),
+    ...actorFields(actor),
+  });
+  recordAudit(actor, 'inventory', null, sessionRecord(session));
+  return session;
+};
+
+/**
+ * Counts a code scanned off a shelf at location. A book's own barcode stands for its next copy on
+ * the shelf not counted yet. Returns { scan, verdict }: verdict is 'ok', one of DISCREPANCY_KINDS
+ * as the scan looks now, or 'duplicate' with the earlier scan when the copy was already counted.
+ * @throws {NotFoundError}
+ * @throws {ConflictError} INVENTORY_CLOSED
+ */
+export const recordInventoryScan = (actor, sessionId, { code, location = null }) => {
+  getOpenSession(sessionId);
+
+  const stock = findStockByCode(code);
+  const exemplar = stock?.exemplar ?? (stock ? findUnscannedExemplar(sessionId, stock.book.id) : null);
+  if (exemplar) {
+    const earlier = findInventoryScanOfExemplar(sessionId, exemplar.id);
+    if (earlier) {
+      return { scan: earlier, verdict: 'duplicate' };
+    }
+  }
+
+  const scan = insertInventoryScan({
+    sessionId,
+    code: code.trim(),
+    location: location?.trim() || null,
+    exemplarId: exemplar?.id ?? null,
+    bookId: stock?.book.id ?? null,
+    scannedAt: new Date().toISOString(),
+    ...actorFields(actor),
+  });
+  return { scan, verdict: classifyScan(scan) ?? 'ok' };
+};
+
+/**
+ * The discrepancy report: the stock the shelf is checked against (expectedCopies in stock, of them
+ * onLoanCopies on loan, expectedOnShelf the rest), matchedCopies scanned where they should be, the
+ * discrepancy counts per kind and the discrepancies. While the session is open they are worked out
+ * from the scans so far and have no id, a closed session reports the stored ones with their resolutions.
+ * @throws {NotFoundError}
+ */
+export const getInventoryReport = (id) => {
+  const session = getInventorySession(id);
+  if (!session) {
+    throw new NotFoundError('Inventory session not found.');
+  }
+
+  let totals;
+  let discrepancies;
+  if (session.closedAt) {
+    totals = session;
+    discrepancies = listInventoryDiscrepancies(id);
+  } else {
+    const { inStock, onLoan } = countStock();
+    const reconciled = reconcile(id);
+    totals = { expectedCopies: inStock, onLoanCopies: onLoan, matchedCopies: reconciled.matched };
+    discrepancies = reconciled.discrepancies.map(discrepancy => ({
+      id: null,
+      sessionId: id,
+      ...discrepancy,
+      resolution: null,
+    }));
+  }
+
+  return {
+    session,
+    expectedCopies: totals.expectedCopies,
+    onLoanCopies: totals.onLoanCopies,
+    expectedOnShelf: totals.expectedCopies - totals.onLoanCopies,
+    matchedCopies: totals.matchedCopies,
+    counts: Object.fromEntries(DISCREPANCY_KINDS.map(kind => [
+      kind,
+      discrepancies.filter(discrepancy => discrepancy.kind === kind).length,
+    ])),
+    discrepancies,
+  };
+};
+
+/**
+ * Ends scanning: reconciles the scans against the stock and stores the discrepancies to resolve.
+ * Copies found on the shelf without a recorded location get the one they were scanned at.
+ * Returns the report.
+ * @throws {NotFoundError}
+ * @throws {ConflictError} INVENTORY_CLOSED
+ */
+export const closeInventory = (actor, id) => {
+  const session = getOpenSession(id);
+
+  const { inStock, onLoan } = countStock();
+  const { matched, discrepancies } = reconcile(id);
+  for (const discrepancy of discrepancies) {
+    insertInventoryDiscrepancy({ sessionId: id, ...discrepancy });
+  }
+  for (const scan of listInventoryScans(id)) {
+    if (scan.location && !scan.copyLocation && scan.copyStatus === 'on-shelf') {
+      editExemplar(actor, scan.exemplarId, { location: scan.location });
+    }
+  }
+
+  const closed = closeInventorySession({
+    id,
+    closedAt: new Date().toISOString(),
+    expectedCopies: inStock,
+    onLoanCopies: onLoan,
+    matchedCopies: matched,
+  });
+  recordAudit(actor, 'inventory', sessionRecord(session), sessionRecord(closed));
+  return getInventoryReport(id);
+};
+
+/**
+ * Resolves a discrepancy of a closed session. 'found' only records it, the copy is in the library
+ * after all. 'lost' writes a missing copy off as lost, 'written-off' writes the copy off for reason.
+ * Returns { discrepancy, writeOff, transaction, book } as writeOffExemplar(), the last three null for 'found'.
+ * @throws {NotFoundError}
+ * @throws {ValidationError} the resolution does not fit the discrepancy, or reason is missing
+ * @throws {ConflictError} DISCREPANCY_RESOLVED, ON_LOAN and the write-off conflicts
+ */
+export const resolveDiscrepancy = (actor, id, { resolution, reason, note }) => {
+  const cleanNote = note?.trim() || null;
+  const existing = getInventoryDiscrepancy(id);
+  if (!existing) {
+    throw new NotFoundError('Discrepancy not found.');
+  }
+  if (existing.resolution) {
+    throw new ConflictError('The discrepancy is already resolved.', { code: 'DISCREPANCY_RESOLVED' });
+  }
+
+  let result = { writeOff: null, transaction: null, book: null };
+  if (resolution !== 'found') {
+    if (!existing.exemplarId) {
+      throw new ValidationError('Only copies in the catalog can be written off.', {
+        details: [{ path: 'body.resolution', message: 'only copies in the catalog can be written off' }],
+      });
+    }
+    if (resolution === 'lost' && existing.kind !== 'missing') {
+      throw new ValidationError('Only missing copies can be lost.', {
+        details: [{ path: 'body.resolution', message: 'only missing copies can be lost' }],
+      });
+    }
+    if (resolution === 'written-off' && !reason) {
+      throw new ValidationError('reason is required.', {
+        details: [{ path: 'body.reason', message: 'is required when the copy is written off' }],
+      });
+    }
+    if (resolution === 'lost' && getExemplar(existing.exemplarId)?.status === 'on-loan') {
+      throw new ConflictError('The copy has been issued since the inventory, it is not lost.', { code: 'ON_LOAN' });
+    }
+    result = writeOffExemplar(actor, existing.exemplarId, {
+      reason: resolution === 'lost' ? 'lost' : reason,
+      note: cleanNote,
+    });
+  }
+
+  const discrepancy = resolveInventoryDiscrepancy({
+    id,
+    resolution,
+    writeOffId: result.writeOff?.id ?? null,
+    note: cleanNote,
+    resolvedAt: today(),
+    ...actorFields(actor),
+  });
+  recordAudit(actor, 'discrepancy', discrepancyRecord(existing), discrepancyRecord(discrepancy));
+  return { discrepancy, ...result };
+};
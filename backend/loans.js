@@ -0,0 +1,391 @@
+import { config } from './config.js';
+import {
+  listTransactionsByPair,
+  getTransaction,
+  insertTransaction,
+  setTransactionReturnedAt,
+  setTransactionDueDate,
+  getLoan,
+  listLoanRenewals,
+  insertLoanRenewal,
+  countActiveHoldsByOthers,
+  getBook,
+  getStudent,
+  getHold,
+  findActiveHold,
+  findNextWaitingHold,
+  countReadyHolds,
+  listExpiredHoldIds,
+  insertHold,
+  updateHold,
+  countOpenLoansOfStudent,
+  listLoans,
+  getFineBalance,
+  insertLoanOverride,
+  getLoanOverride,
+} from './db.js';
+import { recordAudit } from './audit.js';
+import { ConflictError, NotFoundError, ValidationError } from './errors.js';
+
+/**
+ * Issues and returns in the transaction log, shared by the loan routes and the import tool.
+ * A "taken" transaction carries issuedAt and dueDate, and gets returnedAt when the book comes
+ * back. The "returned" transaction that closes it copies issuedAt and dueDate, so each side
+ * of the log reads on its own. Call inside inTransaction, changes are audited under actor.
+ */
+
+// Days are yyyy-mm-dd strings in UTC, like every date the API accepts
+export const today = () => new Date().toISOString().slice(0, 10);
+
+export const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Due date for an issue that does not specify one, LOAN_DEFAULT_DAYS after issuedAt
+ */
+export const defaultDueDate = (issuedAt = today()) => addDays(issuedAt, config.loan.defaultDays);
+
+// ====================== CALENDAR ======================
+
+// Weekends and LOAN_HOLIDAYS (MM-DD) are not workdays, the same rules IssueModal applies
+export const isWorkday = (day) => {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !config.loan.holidays.includes(day.slice(5));
+};
+
+/**
+ * Moves day forward to the next workday, but never past latest
+ */
+export const adjustToWorkday = (day, latest) => {
+  let adjusted = day;
+  while (!isWorkday(adjusted) && adjusted < latest) {
+    adjusted = addDays(adjusted, 1);
+  }
+  return adjusted < latest ? adjusted : latest;
+};
+
+// The day `days` workdays after day
+export const addWorkdays = (day, days) => {
+  let result = day;
+  for (let counted = 0; counted < days;) {
+    result = addDays(result, 1);
+    if (isWorkday(result)) counted++;
+  }
+  return result;
+};
+
+/**
+ * The oldest "taken" transaction of the pair that has no matching "returned" yet, or null.
+ * Pairs the n-th issue with the n-th return, like the loans view.
+ */
+export const findOpenIssue = (studentId, bookId) => {
+  const pair = listTransactionsByPair(studentId, bookId);
+  const returns = pair.filter(tr => tr.action === 'returned').length;
+  return pair.filter(tr => tr.action === 'taken')[returns] ?? null;
+};
+
+/**
+ * Records a "taken" transaction. Does not touch stock. Returns the transaction.
+ * exemplarId names the copy taken off the shelf, issues without one only go to the log.
+ * issuedAt null is only for copying issues whose issue day is unknown, they need a dueDate.
+ */
+export const recordIssue = (actor, {
+  id = null,
+  studentId,
+  bookId,
+  exemplarId = null,
+  issuedAt = today(),
+  dueDate = defaultDueDate(issuedAt),
+}) => {
+  const transaction = insertTransaction({
+    id,
+    studentId,
+    bookId,
+    exemplarId,
+    action: 'taken',
+    date: issuedAt ?? dueDate,
+    issuedAt,
+    dueDate,
+  });
+  recordAudit(actor, 'transaction', null, transaction);
+  return transaction;
+};
+
+/**
+ * Records a "returned" transaction for the oldest open loan of the pair and stamps returnedAt
+ * on its "taken" transaction, the copy it took is on the shelf again. Does not touch stock.
+ * Returns the "returned" transaction, or null when nothing is outstanding.
+ */
+export const recordReturn = (actor, { id = null, studentId, bookId, returnedAt = today() }) => {
+  const issue = findOpenIssue(studentId, bookId);
+  if (!issue) {
+    return null;
+  }
+
+  const transaction = insertTransaction({
+    id,
+    studentId,
+    bookId,
+    exemplarId: issue.exemplarId,
+    action: 'returned',
+    date: returnedAt,
+    issuedAt: issue.issuedAt,
+    dueDate: issue.dueDate,
+    returnedAt,
+    warn: Boolean(issue.dueDate) && returnedAt > issue.dueDate,
+  });
+  recordAudit(actor, 'transaction', null, transaction);
+  recordAudit(actor, 'transaction', issue, setTransactionReturnedAt(issue.id, returnedAt));
+  return transaction;
+};
+
+// ====================== RENEWALS ======================
+
+/**
+ * Loan with the history of its renewals, oldest first, and the override it was issued with
+ */
+export const getLoanWithRenewals = (loanId) => {
+  const loan = getLoan(loanId, { today: today() });
+  return loan && { ...loan, renewalHistory: listLoanRenewals(loanId), override: getLoanOverride(loanId) };
+};
+
+/**
+ * Moves the due date of an open loan instead of a return and a new issue.
+ * Without dueDate the loan gets LOAN_RENEW_DAYS more, counted from the due date or from
+ * today when it has passed. Either way the date moves to a workday and stays within
+ * LOAN_MAX_DAYS from today. Returns { loan, transaction }: the loan with its renewal
+ * history and the updated "taken" transaction.
+ * @throws {ConflictError} LOAN_CLOSED, RENEWAL_LIMIT (LOAN_MAX_RENEWALS reached), BOOK_ON_HOLD
+ *   (another student waits for the book) or DUE_DATE_LIMIT (cannot move any later)
+ */
+export const renewLoan = (actor, loanId, { dueDate } = {}) => {
+  const day = today();
+  const loan = getLoan(loanId, { today: day });
+  if (!loan) {
+    throw new NotFoundError('Loan not found.');
+  }
+  if (loan.status === 'closed') {
+    throw new ConflictError('The book has already been returned.', { code: 'LOAN_CLOSED' });
+  }
+  if (loan.renewals >= config.loan.maxRenewals) {
+    throw new ConflictError(`The loan cannot be renewed more than ${config.loan.maxRenewals} time(s).`, {
+      code: 'RENEWAL_LIMIT',
+      details: { renewals: loan.renewals, maxRenewals: config.loan.maxRenewals },
+    });
+  }
+  if (countActiveHoldsByOthers(loan.bookId, loan.studentId) > 0) {
+    throw new ConflictError('Another student is waiting for this book.', { code: 'BOOK_ON_HOLD' });
+  }
+
+  const latest = addDays(day, config.loan.maxDays);
+  if (dueDate !== undefined && (dueDate <= loan.dueDate || dueDate > latest)) {
+    const problem = { path: 'body.dueDate', message: `must be after ${loan.dueDate} and not after ${latest}` };
+    throw new ValidationError(`${problem.path} ${problem.message}.`, { details: [problem] });
+  }
+
+  const requested = dueDate ?? addDays(loan.dueDate > day ? loan.dueDate : day, config.loan.renewDays);
+  const newDueDate = adjustToWorkday(requested < latest ? requested : latest, latest);
+  if (newDueDate <= loan.dueDate) {
+    throw new ConflictError(`The loan already runs to the latest possible due date, ${loan.dueDate}.`, {
+      code: 'DUE_DATE_LIMIT',
+    });
+  }
+
+  const before = getTransaction(loan.id);
+  const transaction = setTransactionDueDate(loan.id, newDueDate);
+  insertLoanRenewal({
+    loanId: loan.id,
+    renewedAt: new Date().toISOString(),
+    previousDueDate: loan.dueDate,
+    dueDate: newDueDate,
+    actorId: actor?.id ?? null,
+    actorName: actor?.fullName ?? actor?.username ?? null,
+  });
+  recordAudit(actor, 'transaction', before, transaction);
+
+  return { loan: getLoanWithRenewals(loan.id), transaction };
+};
+
+// ====================== HOLDS ======================
+
+/*
+ * Students queue for a book that has no copy on the shelf, first come first served.
+ * A hold is "waiting" until a copy comes back, then "ready": the copy is set aside for the
+ * student until expiresAt (HOLD_PICKUP_DAYS workdays). It ends "fulfilled" when the student
+ * takes the book, "cancelled", or "expired" when the pickup window passes, and the copy
+ * goes to the next student in the queue.
+ */
+
+const closeHold = (actor, hold, status) => {
+  const closed = updateHold({ ...hold, status, closedAt: new Date().toISOString() });
+  recordAudit(actor, 'hold', hold, closed);
+  return closed;
+};
+
+/**
+ * Sets copies on the shelf aside for the queue: while the book has more copies than ready
+ * holds, its oldest waiting hold becomes ready. Returns the holds that became ready.
+ */
+export const promoteHolds = (actor, bookId) => {
+  const quantity = Number(getBook(bookId)?.quantity || 0);
+  const promoted = [];
+
+  for (let next = findNextWaitingHold(bookId); next && countReadyHolds(bookId) < quantity; next = findNextWaitingHold(bookId)) {
+    const day = today();
+    const ready = updateHold({ ...next, status: 'ready', readyAt: day, expiresAt: addWorkdays(day, config.loan.holdPickupDays) });
+    recordAudit(actor, 'hold', next, ready);
+    promoted.push(ready);
+  }
+  return promoted;
+};
+
+/**
+ * Puts the student into the book's queue. Returns the hold.
+ * @throws {ConflictError} ARCHIVED, HOLD_EXISTS (already queued) or BOOK_AVAILABLE
+ *   (a copy is on the shelf and not set aside, issue it instead)
+ */
+export const placeHold = (actor, { bookId, studentId }) => {
+  const student = getStudent(studentId);
+  if (!student) {
+    throw new NotFoundError('Student not found.');
+  }
+  const book = getBook(bookId);
+  if (!book) {
+    throw new NotFoundError('Book not found.');
+  }
+  if (student.archivedAt || book.archivedAt) {
+    throw new ConflictError(`The ${student.archivedAt ? 'student' : 'book'} is archived.`, { code: 'ARCHIVED' });
+  }
+  if (findActiveHold(bookId, studentId)) {
+    throw new ConflictError('The student is already in the queue for this book.', { code: 'HOLD_EXISTS' });
+  }
+  if (Number(book.quantity || 0) > countReadyHolds(bookId)) {
+    throw new ConflictError('A copy of this book is on the shelf, it can be issued right away.', {
+      code: 'BOOK_AVAILABLE',
+    });
+  }
+
+  const hold = insertHold({ bookId, studentId, createdAt: new Date().toISOString() });
+  recordAudit(actor, 'hold', null, hold);
+  return hold;
+};
+
+/**
+ * Takes the student out of the queue. A copy set aside for them goes to the next student.
+ * Returns the cancelled hold.
+ * @throws {ConflictError} HOLD_CLOSED
+ */
+export const cancelHold = (actor, holdId) => {
+  const hold = getHold(holdId);
+  if (!hold) {
+    throw new NotFoundError('Hold not found.');
+  }
+  if (hold.closedAt) {
+    throw new ConflictError(`The hold is already ${hold.status}.`, { code: 'HOLD_CLOSED' });
+  }
+
+  const cancelled = closeHold(actor, hold, 'cancelled');
+  promoteHolds(actor, hold.bookId);
+  return cancelled;
+};
+
+/**
+ * Closes the student's hold on a book they have just been issued. Returns it, or null without one.
+ */
+export const fulfillHold = (actor, { studentId, bookId }) => {
+  const hold = findActiveHold(bookId, studentId);
+  return hold && closeHold(actor, hold, 'fulfilled');
+};
+
+/**
+ * Expires ready holds whose pickup window has passed and hands their copies on down the queue.
+ * Returns the expired holds.
+ */
+export const expireHolds = (actor) => {
+  const expired = listExpiredHoldIds(today()).map(id => closeHold(actor, getHold(id), 'expired'));
+  for (const bookId of new Set(expired.map(hold => hold.bookId))) {
+    promoteHolds(actor, bookId);
+  }
+  return expired;
+};
+
+// ====================== BORROWING POLICY ======================
+
+// maxLoans of the LOAN_LIMITS band the grade falls in, or null outside every band
+const findLoanLimit = (grade) =>
+  config.borrowing.limits.find(band => grade >= band.fromGrade && grade <= band.toGrade)?.maxLoans ?? null;
+
+/**
+ * Whether the student may borrow another book now:
+ * { studentId, allowed, openLoans, maxLoans, overdueLoans, fineBalance, blocks }.
+ * blocks are { code, message }, code one of LOAN_LIMIT, HAS_OVERDUE, UNPAID_FINES.
+ */
+export const getBorrowingStatus = (studentId) => {
+  const student = getStudent(studentId);
+  if (!student) {
+    throw new NotFoundError('Student not found.');
+  }
+
+  const openLoans = countOpenLoansOfStudent(student.studentId);
+  const overdueLoans = listLoans(
+    { studentId: student.studentId, status: 'open', overdue: true },
+    { today: today(), limit: 0 }
+  ).total;
+  const fineBalance = getFineBalance(student.studentId);
+  const maxLoans = findLoanLimit(student.grade);
+
+  const blocks = [];
+  if (maxLoans !== null && openLoans >= maxLoans) {
+    blocks.push({
+      code: 'LOAN_LIMIT',
+      message: `Grade ${student.grade} students may hold ${maxLoans} book(s) at a time, ${openLoans} on loan.`,
+    });
+  }
+  if (config.borrowing.blockOnOverdue && overdueLoans > 0) {
+    blocks.push({ code: 'HAS_OVERDUE', message: `${overdueLoans} book(s) overdue.` });
+  }
+  if (fineBalance > config.borrowing.maxFineBalance) {
+    blocks.push({ code: 'UNPAID_FINES', message: `${fineBalance} rub. of fines unpaid.` });
+  }
+
+  return { studentId: student.studentId, allowed: blocks.length === 0, openLoans, maxLoans, overdueLoans, fineBalance, blocks };
+};
+
+/**
+ * Applies the borrowing policy to an issue. A block passes only with override ({ reason }),
+ * then the codes of the blocks it overrides are returned for recordLoanOverride().
+ * @throws {ConflictError} BORROWING_BLOCKED, details.blocks says why
+ */
+export const checkBorrowing = (studentId, override) => {
+  const { blocks } = getBorrowingStatus(studentId);
+  if (blocks.length === 0) {
+    return [];
+  }
+  if (!override) {
+    throw new ConflictError(`Borrowing is blocked. ${blocks.map(block => block.message).join(' ')}`, {
+      code: 'BORROWING_BLOCKED',
+      details: { blocks },
+    });
+  }
+  return blocks.map(block => block.code);
+};
+
+/**
+ * Keeps the reason a loan was issued despite blocks (their codes). Returns the override.
+ */
+export const recordLoanOverride = (actor, { loanId, studentId, blocks, reason }) => {
+  const override = insertLoanOverride({
+    loanId,
+    studentId,
+    reason,
+    blocks,
+    at: new Date().toISOString(),
+    actorId: actor?.id ?? null,
+    actorName: actor?.fullName ?? actor?.username ?? null,
+  });
+  recordAudit(actor, 'override', null, override);
+  return override;
+};
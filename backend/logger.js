@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// ====================== ROTATING FILES ======================
+
+/**
+ * Append-only log file that is renamed to file.1 (file.1 to file.2, ...) once it
+ * outgrows maxBytes. Writes are synchronous so nothing is lost if the process crashes.
+ */
+class RotatingFile {
+  constructor(filePath, { maxBytes, maxFiles }) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.size = null;
+  }
+
+  write(line) {
+    if (this.size === null) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this.rotate();
+    }
+
+    fs.appendFileSync(this.filePath, line);
+    this.size += bytes;
+  }
+
+  rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.filePath}.${i}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filePath}.${i + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+}
+
+// The same file names pm2 used in ecosystem.config.js: info to out.log, warnings and errors
+// to err.log, everything to combined.log
+const fileOptions = { maxBytes: config.logMaxSizeMb * 1024 * 1024, maxFiles: config.logMaxFiles };
+const files = {
+  out: new RotatingFile(path.join(config.logDir, 'out.log'), fileOptions),
+  err: new RotatingFile(path.join(config.logDir, 'err.log'), fileOptions),
+  combined: new RotatingFile(path.join(config.logDir, 'combined.log'), fileOptions),
+};
+
+const echoToConsole = config.logConsole;
+
+// ====================== LOGGER ======================
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  code: err.code,
+  stack: err.stack,
+});
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[config.logLevel]) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  const line = `${JSON.stringify(entry)}\n`;
+
+  try {
+    (LEVELS[level] >= LEVELS.warn ? files.err : files.out).write(line);
+    files.combined.write(line);
+  } catch (err) {
+    // Logging must never take a request down, fall back to stderr
+    process.stderr.write(`Failed to write log file: ${err.message}\n`);
+  }
+
+  if (echoToConsole) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+  }
+};
+
+/**
+ * Structured JSON logger: logger.info('message', { any: 'fields' }).
+ * Error values in fields are serialized with their stack.
+ */
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
@@ -0,0 +1,360 @@
+import {
+  inTransaction,
+  listBooks,
+  getBook,
+  insertBook,
+  updateBook,
+  setBookArchived,
+  listStudents,
+  listArchivedStudents,
+  getStudent,
+  findStudentByCardId,
+  insertStudent,
+  updateStudent,
+  setStudentArchived,
+  listTransactions,
+  getTransaction,
+  listLoans,
+  countOpenLoansOfBook,
+} from './db.js';
+import { recordAudit } from './audit.js';
+import { recordIssue, recordReturn } from './loans.js';
+import { setShelfCopies, restockBook } from './exemplars.js';
+import { ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { pickStudentFields, sanitizeStudentPayload } from './normalize.js';
+import { SCHEMAS } from './schemas.js';
+import { validateValue } from './validation.js';
+
+/**
+ * Data maintenance shared by the admin API and the command-line tool (cli.js).
+ * Changes are audited under the given actor (req.user or the CLI user) and each
+ * operation runs in one transaction.
+ */
+
+// ====================== DATA FILES ======================
+
+const id = { type: 'integer', minimum: 1 };
+const archivedAt = { type: ['string', 'null'] };
+const nullableDate = { ...SCHEMAS.Transaction.properties.dueDate };
+
+// Records of import/export files: the API payloads plus ids, so references between files survive
+const FILE_SCHEMAS = {
+  books: {
+    ...SCHEMAS.BookCreate,
+    properties: { id, ...SCHEMAS.BookCreate.properties, archivedAt },
+  },
+  students: {
+    ...SCHEMAS.StudentInput,
+    properties: { studentId: id, ...SCHEMAS.StudentInput.properties, archivedAt },
+  },
+  transactions: {
+    ...SCHEMAS.TransactionCreate,
+    required: [...SCHEMAS.TransactionCreate.required, 'date'],
+    properties: {
+      id,
+      ...SCHEMAS.TransactionCreate.properties,
+      issuedAt: nullableDate,
+      dueDate: nullableDate,
+      returnedAt: nullableDate,
+      warn: { type: 'boolean' },
+    },
+  },
+};
+
+export const COLLECTIONS = Object.keys(FILE_SCHEMAS);
+
+const ID_FIELDS = { books: 'id', students: 'studentId', transactions: 'id' };
+
+// Problems of a record that failed validation, as [{ path, message }]
+const toProblems = (err, path) => {
+  if (!(err instanceof ValidationError)) throw err;
+  return err.details ?? [{ path, message: err.message }];
+};
+
+/**
+ * Checks the records of a data file. Returns { records, problems }: the cleaned records
+ * (students normalized like the API does) and [{ path, message }] for everything wrong,
+ * including ids and card IDs repeated within the file.
+ */
+export const validateRecords = (collection, records) => {
+  if (!Array.isArray(records)) {
+    return { records: [], problems: [{ path: '', message: 'must be a JSON array of records' }] };
+  }
+
+  const valid = [];
+  const problems = [];
+  const seen = { id: new Set(), cardId: new Set() };
+  const idField = ID_FIELDS[collection];
+
+  records.forEach((record, index) => {
+    const path = `[${index}]`;
+    let checked;
+    try {
+      checked = validateValue(FILE_SCHEMAS[collection], record, { path });
+      if (collection === 'students') {
+        checked = { ...checked, ...sanitizeStudentPayload(checked, { path }) };
+      }
+    } catch (err) {
+      problems.push(...toProblems(err, path));
+      return;
+    }
+
+    if (checked[idField] !== undefined) {
+      if (seen.id.has(checked[idField])) {
+        problems.push({ path: `${path}.${idField}`, message: `repeats ${checked[idField]}` });
+      }
+      seen.id.add(checked[idField]);
+    }
+    if (checked.cardId !== undefined) {
+      if (seen.cardId.has(checked.cardId)) {
+        problems.push({ path: `${path}.cardId`, message: `repeats ${checked.cardId}` });
+      }
+      seen.cardId.add(checked.cardId);
+    }
+    valid.push(checked);
+  });
+
+  return { records: valid, problems };
+};
+
+/**
+ * Every record of a collection, archived ones included, in the format importRecords() reads
+ */
+export const exportRecords = (collection) => {
+  switch (collection) {
+    case 'books':
+      return listBooks();
+    case 'students':
+      return [...listStudents(), ...listArchivedStudents()].sort((a, b) => a.studentId - b.studentId);
+    case 'transactions':
+      return listTransactions();
+    default:
+      throw new ValidationError(`Unknown collection "${collection}".`);
+  }
+};
+
+// Brings archivedAt of a stored record in line with the file, when the file has it
+const applyArchivedAt = (record, stored, setArchived, key) => {
+  if (record.archivedAt === undefined || (record.archivedAt ?? null) === stored.archivedAt) {
+    return stored;
+  }
+  return setArchived(stored[key], record.archivedAt);
+};
+
+// quantity adds or takes away copies on the shelf like PATCH /api/books/:id
+const importBook = (actor, record) => {
+  const { archivedAt: _archivedAt, ...fields } = record;
+  const existing = fields.id !== undefined ? getBook(fields.id) : null;
+
+  let stored;
+  if (existing) {
+    const quantity = setShelfCopies(actor, existing.id, fields.quantity ?? existing.quantity);
+    stored = updateBook({ ...existing, ...fields, quantity });
+    restockBook(actor, existing.id);
+  } else {
+    stored = insertBook({ barcode: null, year: null, quantity: 1, ...fields });
+    setShelfCopies(actor, stored.id, stored.quantity);
+  }
+  stored = applyArchivedAt(record, stored, setBookArchived, 'id');
+
+  recordAudit(actor, 'book', existing, stored);
+  return !existing ? 'created' : stored.version !== existing.version ? 'updated' : 'unchanged';
+};
+
+// Students without a studentId are matched by card ID, so a class list can be imported again
+const importStudent = (actor, record, path) => {
+  const { archivedAt: _archivedAt, studentId, ...fields } = record;
+  const sameCard = findStudentByCardId(fields.cardId);
+  const existing = studentId !== undefined ? getStudent(studentId) : sameCard;
+
+  if (sameCard && sameCard.studentId !== existing?.studentId) {
+    throw new ConflictError(`${path}: card ID ${fields.cardId} belongs to student ${sameCard.studentId}.`, {
+      code: 'DUPLICATE_CARD_ID',
+    });
+  }
+
+  let stored = existing
+    ? updateStudent({ ...existing, ...fields })
+    : insertStudent({ studentId: studentId ?? null, ...fields });
+  stored = applyArchivedAt(record, stored, setStudentArchived, 'studentId');
+
+  recordAudit(actor, 'student', existing, stored);
+  return !existing ? 'created' : stored.version !== existing.version ? 'updated' : 'unchanged';
+};
+
+// The log is append-only: known transactions are skipped, never changed. Stock is not touched,
+// except that a return puts back the copy its issue took. Returns close their issue like a
+// return at the desk, warn is worked out again.
+const importTransaction = (actor, record, path) => {
+  if (record.id !== undefined && getTransaction(record.id)) {
+    return 'unchanged';
+  }
+  if (!getStudent(record.studentId)) {
+    throw new NotFoundError(`${path}: student ${record.studentId} not found.`);
+  }
+  if (!getBook(record.bookId)) {
+    throw new NotFoundError(`${path}: book ${record.bookId} not found.`);
+  }
+
+  const { id = null, studentId, bookId } = record;
+  if (record.action === 'taken') {
+    // An unknown issue day (issuedAt: null, see migration 9) stays unknown, date then holds the due date
+    const issuedAt = record.issuedAt === null ? null : record.issuedAt ?? record.date;
+    const dueDate = record.dueDate ?? (issuedAt === null ? record.date : undefined);
+    recordIssue(actor, { id, studentId, bookId, issuedAt, dueDate });
+    return 'created';
+  }
+
+  const returned = recordReturn(actor, { id, studentId, bookId, returnedAt: record.returnedAt ?? record.date });
+  if (!returned) {
+    throw new ConflictError(`${path}: student ${studentId} has no open issue of book ${bookId} to return.`, {
+      code: 'NO_OPEN_LOAN',
+    });
+  }
+  if (returned.exemplarId) {
+    restockBook(actor, bookId);
+  }
+  return 'created';
+};
+
+const IMPORTERS = { books: importBook, students: importStudent, transactions: importTransaction };
+
+/**
+ * Writes records that passed validateRecords(): records with a known id (students also with a
+ * known card ID) are updated, the rest are created. Returns { created, updated, unchanged }.
+ * All or nothing: a record that cannot be written rolls the whole import back.
+ */
+export const importRecords = (actor, collection, records) => inTransaction(() => {
+  const summary = { created: 0, updated: 0, unchanged: 0 };
+  records.forEach((record, index) => {
+    summary[IMPORTERS[collection](actor, record, `[${index}]`)]++;
+  });
+  return summary;
+});
+
+// ====================== STUDENTS ======================
+
+/**
+ * Re-normalizes every student (card IDs, names) and archives records that cannot be used, their
+ * loans and fines stay in the history. Returns { before, after, changed, removed }, removed the
+ * students archived.
+ * @throws {ConflictError} DUPLICATE_CARD_ID, two students would end up with the same card ID
+ */
+export const normalizeStudents = (actor) => inTransaction(() => {
+  const students = listStudents().map(student => ({ student, picked: pickStudentFields(student) }));
+
+  // Card IDs are unique, archived students included: check them all before writing anything
+  const claimed = new Map();
+  for (const { student, picked } of students) {
+    if (!picked) continue;
+    const owner = claimed.get(picked.cardId) ?? findStudentByCardId(picked.cardId);
+    if (owner && owner.studentId !== student.studentId) {
+      throw new ConflictError(`Card ID ${picked.cardId} of student ${student.studentId} belongs to student ${owner.studentId}.`, {
+        code: 'DUPLICATE_CARD_ID',
+      });
+    }
+    claimed.set(picked.cardId, student);
+  }
+
+  let changed = 0;
+  let kept = 0;
+  for (const { student, picked } of students) {
+    if (!picked) {
+      recordAudit(actor, 'student', student, setStudentArchived(student.studentId, new Date().toISOString()));
+      continue;
+    }
+
+    const updated = updateStudent(picked);
+    recordAudit(actor, 'student', student, updated);
+    kept++;
+    if (updated.version !== student.version) changed++;
+  }
+
+  return { before: students.length, after: kept, changed, removed: students.length - kept };
+});
+
+// ====================== STOCK ======================
+
+const HOLDINGS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'copies'],
+    properties: {
+      id,
+      copies: { type: 'integer', minimum: 0, maximum: 10000 },
+    },
+  },
+};
+
+/**
+ * Copies of every catalog book: onShelf (its exemplars on the shelf), onLoan (open loans in the
+ * transaction log) and copies, their sum. Edit copies after counting and pass the list
+ * to recomputeStock().
+ */
+export const listHoldings = () => listBooks()
+  .filter(book => !book.archivedAt)
+  .map(book => {
+    const onLoan = countOpenLoansOfBook(book.id);
+    return {
+      id: book.id,
+      title: book.title,
+      author: book.author,
+      onShelf: book.quantity,
+      onLoan,
+      copies: book.quantity + onLoan,
+    };
+  });
+
+/**
+ * Sets the shelf quantity of each listed book to its copies minus the loans still open in
+ * the transaction log, adding copies or withdrawing the newest ones on the shelf. holdings: [{ id, copies }], other fields are ignored.
+ * Returns { checked, changes: [{ id, title, onLoan, from, to }] }.
+ * @throws {ValidationError} listing every book that is unknown or has more copies on loan than listed
+ */
+export const recomputeStock = (actor, holdings) => inTransaction(() => {
+  const entries = validateValue(HOLDINGS_SCHEMA, holdings, { path: 'holdings' });
+  const problems = [];
+  const changes = [];
+
+  entries.forEach(({ id: bookId, copies }, index) => {
+    const path = `holdings[${index}]`;
+    const book = getBook(bookId);
+    if (!book) {
+      problems.push({ path: `${path}.id`, message: `book ${bookId} not found` });
+      return;
+    }
+
+    const onLoan = countOpenLoansOfBook(bookId);
+    if (copies < onLoan) {
+      problems.push({ path: `${path}.copies`, message: `${onLoan} copies of book ${bookId} are on loan` });
+      return;
+    }
+
+    const quantity = copies - onLoan;
+    if (quantity !== book.quantity) {
+      setShelfCopies(actor, bookId, quantity);
+      restockBook(actor, bookId);
+      changes.push({ id: bookId, title: book.title, onLoan, from: book.quantity, to: quantity });
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ValidationError(`${problems.map(problem => `${problem.path} ${problem.message}`).join('; ')}.`, {
+      details: problems,
+    });
+  }
+  return { checked: entries.length, changes };
+});
+
+// ====================== LOANS ======================
+
+/**
+ * Open loans past their due date on today (yyyy-mm-dd), the longest overdue first.
+ * Each loan also has daysOverdue.
+ */
+export const listOverdueLoans = (today) => listLoans({ status: 'open', overdue: true }, { today }).items
+  .map(loan => ({
+    ...loan,
+    daysOverdue: Math.round((Date.parse(today) - Date.parse(loan.dueDate)) / (24 * 60 * 60 * 1000)),
+  }));
@@ -0,0 +1,70 @@
+import { ValidationError } from './errors.js';
+
+const CYRILLIC_TO_LATIN = {
+  '\u0410': 'A', '\u0412': 'B', '\u0421': 'C', '\u0415': 'E', '\u041a': 'K', '\u041c': 'M',
+  '\u041d': 'H', '\u041e': 'O', '\u0420': 'P', '\u0422': 'T', '\u0423': 'Y', '\u0425': 'X',
+  '\u0430': 'a', '\u0432': 'b', '\u0441': 'c', '\u0435': 'e', '\u043a': 'k', '\u043c': 'm',
+  '\u043d': 'h', '\u043e': 'o', '\u0440': 'p', '\u0442': 't', '\u0443': 'y', '\u0445': 'x',
+};
+
+
+const mapCyrillicToLatin = (ch) => CYRILLIC_TO_LATIN[ch] || ch;
+
+
+export const normalizeCardId = (cardIdRaw) => {
+  if (!cardIdRaw) return '';
+
+  let normalized = String(cardIdRaw)
+    .replace(/\s+/g, '')
+    .toLowerCase();
+
+  normalized = Array.from(normalized)
+    .map(ch => mapCyrillicToLatin(ch))
+    .join('');
+
+  return normalized.replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Picks only allowed fields from student object
+ */
+export const pickStudentFields = (student) => {
+  if (!student) return null;
+
+  const name = String(student?.name ?? '').trim();
+  const studentId = Number(student?.studentId);
+  const grade = Number(student?.grade);
+  const gradeLetter = String(student?.gradeLetter);
+  const cardId = normalizeCardId(student?.cardId);
+
+  if (!name || !Number.isFinite(studentId) || !Number.isFinite(grade) ||
+      !gradeLetter || !cardId) {
+    return null;
+  }
+
+  const picked = { name, studentId, grade, gradeLetter, cardId };
+  if (Number.isSafeInteger(student.version)) {
+    picked.version = student.version;
+  }
+  return picked;
+};
+
+/**
+ * Normalizes a student payload that already matched SCHEMAS.StudentInput.
+ * path names the payload in the error message.
+ * @throws {ValidationError} if the card ID has too few letters and digits
+ */
+export const sanitizeStudentPayload = (body, { path = 'body' } = {}) => {
+  const cardId = normalizeCardId(body.cardId);
+  if (cardId.length < 3) {
+    const problem = { path: `${path}.cardId`, message: 'must contain at least 3 latin letters or digits' };
+    throw new ValidationError(`${problem.path} ${problem.message}.`, { details: [problem] });
+  }
+
+  return {
+    name: body.name.trim(),
+    grade: body.grade,
+    gradeLetter: body.gradeLetter.toUpperCase(),
+    cardId,
+  };
+};
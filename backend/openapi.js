@@ -0,0 +1,186 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { SCHEMAS } from './schemas.js';
+
+const require = createRequire(import.meta.url);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SWAGGER_UI_DIR = path.dirname(require.resolve('swagger-ui-dist/package.json'));
+const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+
+const SCHEMA_NAMES = new Map(Object.entries(SCHEMAS).map(([name, schema]) => [schema, name]));
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request, details lists every problem',
+  401: 'Not signed in',
+  403: 'The role of the signed-in user is not allowed here',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  422: 'The Idempotency-Key was already used for a different request',
+  428: 'The If-Match header is missing',
+};
+
+// ====================== DOCUMENT ======================
+
+/**
+ * Copies a schema for the document, replacing nested schemas from SCHEMAS with $ref
+ */
+const toDocumentSchema = (schema, { inline = false } = {}) => {
+  if (!inline && SCHEMA_NAMES.has(schema)) {
+    return { $ref: `#/components/schemas/${SCHEMA_NAMES.get(schema)}` };
+  }
+
+  const result = { ...schema };
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toDocumentSchema(value)])
+    );
+  }
+  if (schema.items) result.items = toDocumentSchema(schema.items);
+  if (schema.oneOf) result.oneOf = schema.oneOf.map(item => toDocumentSchema(item));
+  return result;
+};
+
+const toParameters = (location, schema) => Object.entries(schema?.properties ?? {}).map(([name, value]) => ({
+  name,
+  in: location,
+  required: location === 'path' || Boolean(schema.required?.includes(name)),
+  schema: toDocumentSchema(value),
+  ...(value.description && { description: value.description }),
+}));
+
+// Responses map a status to a JSON schema, or to a media type string for other content
+const toResponse = (value) => {
+  if (typeof value === 'string') {
+    return { description: 'OK', content: { [value]: {} } };
+  }
+  return { description: 'OK', content: { 'application/json': { schema: toDocumentSchema(value) } } };
+};
+
+const errorResponse = (status) => ({
+  description: ERROR_DESCRIPTIONS[status],
+  content: { 'application/json': { schema: toDocumentSchema(SCHEMAS.Error) } },
+});
+
+const toOperation = (routePath, handlers, isPublic) => {
+  const spec = handlers.find(handler => handler.apiSpec)?.apiSpec ?? {};
+  const roles = handlers.find(handler => handler.roles)?.roles;
+
+  const operation = {
+    tags: spec.tags ?? [],
+    summary: spec.summary,
+    description: [spec.description, roles && `Roles: ${roles.join(', ')}.`].filter(Boolean).join('\n\n') || undefined,
+    parameters: [
+      ...toParameters('path', spec.params),
+      ...toParameters('query', spec.query),
+      ...handlers.flatMap(handler => handler.apiParameters ?? []),
+    ],
+    responses: {},
+  };
+
+  if (spec.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: toDocumentSchema(spec.body) } },
+    };
+  }
+
+  for (const [status, value] of Object.entries(spec.responses ?? { 200: {} })) {
+    operation.responses[status] = toResponse(value);
+  }
+  const errors = new Set([...(spec.errors ?? []), ...handlers.flatMap(handler => handler.apiErrors ?? [])]);
+  if (spec.params || spec.query || spec.body) errors.add(400);
+  if (!isPublic(routePath)) errors.add(401);
+  if (roles) errors.add(403);
+  for (const status of [...errors].sort((a, b) => a - b)) {
+    operation.responses[status] = errorResponse(status);
+  }
+
+  if (isPublic(routePath)) operation.security = [];
+  return operation;
+};
+
+/**
+ * Builds the OpenAPI 3.1 document from the routes registered on app.
+ * Each route contributes its validate() spec, the roles of its requireRole() and the
+ * apiParameters/apiErrors other middleware (idempotent()) declare.
+ * isPublic(path) tells which routes work without a session token.
+ */
+export const buildOpenApiDocument = (app, { isPublic }) => {
+  const paths = {};
+  for (const layer of app.router.stack) {
+    if (!layer.route) continue;
+
+    const { route } = layer;
+    const documentPath = route.path.replace(/:(\w+)/g, '{$1}');
+    const handlers = route.stack.map(routeLayer => routeLayer.handle);
+    for (const method of Object.keys(route.methods)) {
+      paths[documentPath] ??= {};
+      paths[documentPath][method] = toOperation(route.path, handlers, isPublic);
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: `${config.schoolName}: API`,
+      version,
+      description: 'Errors always have the shape of the Error schema. Sign in with POST /api/auth/login '
+        + 'and send the token as "Authorization: Bearer <token>".',
+    },
+    paths,
+    components: {
+      schemas: Object.fromEntries(
+        Object.entries(SCHEMAS).map(([name, schema]) => [name, toDocumentSchema(schema, { inline: true })])
+      ),
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+      },
+    },
+    security: [{ bearerAuth: [] }],
+  };
+};
+
+// ====================== EXPLORER ======================
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
+/**
+ * Router for /api/docs: the Swagger UI explorer at the root, the document at /openapi.json.
+ * The document is built on first request, once every route has been registered.
+ */
+export const docsRouter = (app, { isPublic }) => {
+  const router = express.Router();
+  let document = null;
+
+  router.get('/openapi.json', (req, res) => {
+    document ??= buildOpenApiDocument(app, { isPublic });
+    res.json(document);
+  });
+
+  router.get('/', (req, res) => {
+    const base = req.baseUrl;
+    res.type('html').send(`<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(config.schoolName)}: API</title>
+  <link rel="stylesheet" href="${base}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${base}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '${base}/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+  });
+
+  router.use(express.static(SWAGGER_UI_DIR, { index: false }));
+  return router;
+};
@@ -0,0 +1,1115 @@
+import { ROLES } from './auth.js';
+import { AUDIT_ENTITIES } from './audit.js';
+import {
+  BOOK_SORT_FIELDS,
+  EXEMPLAR_CONDITIONS,
+  WRITE_OFF_REASONS,
+  FUNDING_SOURCES,
+  DISCREPANCY_KINDS,
+  DISCREPANCY_RESOLUTIONS,
+} from './db.js';
+
+/**
+ * JSON Schemas of the API: the entities it returns and every request it accepts.
+ * validation.js enforces the request schemas and openapi.js publishes all of them
+ * under components.schemas, using the keys of SCHEMAS as names.
+ */
+
+// ====================== FIELDS ======================
+
+const id = { type: 'integer', minimum: 1 };
+const date = { type: 'string', format: 'date', example: '2025-09-01' };
+const timestamp = { type: 'string', format: 'date-time' };
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength, pattern: '\\S', 'x-pattern-message': 'must not be blank' });
+const page = { type: 'integer', minimum: 1, description: 'Page number, from 1' };
+const pageSize = { type: 'integer', minimum: 1, maximum: 200 };
+const direction = { type: 'string', enum: ['asc', 'desc'] };
+const version = {
+  type: 'integer',
+  minimum: 1,
+  readOnly: true,
+  description: 'Grows with every change, also sent as the ETag. PATCH needs it back in If-Match',
+};
+const archivedAt = {
+  type: ['string', 'null'],
+  format: 'date-time',
+  readOnly: true,
+  description: 'Set while the record is archived, see /api/archive',
+};
+
+const bookFields = {
+  title: text(300),
+  author: text(200),
+  genre: { type: ['string', 'null'], maxLength: 100 },
+  // EAN-8 to GTIN-14, stored as a number
+  barcode: { type: ['integer', 'null'], minimum: 1, maximum: 99999999999999 },
+  quantity: { type: 'integer', minimum: 0, maximum: 10000, description: 'Copies on the shelf, counted from the exemplars' },
+  year: { type: ['integer', 'null'], minimum: 1000, maximum: 2100 },
+};
+
+const exemplarFields = {
+  inventoryNumber: text(50),
+  // Copies can carry a barcode of their own, scanned instead of the book's one
+  barcode: bookFields.barcode,
+  acquiredAt: { ...date, type: ['string', 'null'] },
+  condition: { type: 'string', enum: EXEMPLAR_CONDITIONS },
+  location: {
+    type: ['string', 'null'],
+    maxLength: 100,
+    description: 'Shelf or room the copy is kept in',
+    example: 'Абонемент, стеллаж 3',
+  },
+};
+
+const studentFields = {
+  name: { ...text(200), minLength: 2 },
+  grade: { type: 'integer', minimum: 1, maximum: 11 },
+  gradeLetter: {
+    type: 'string',
+    pattern: '^[A-Za-zА-ЯЁа-яё]$',
+    'x-pattern-message': 'must be a single letter',
+    example: 'А',
+  },
+  cardId: { type: 'string', minLength: 3, maxLength: 64, description: 'Library card, normalized to a-z0-9' },
+};
+
+const pageOf = (item) => ({
+  type: 'object',
+  required: ['items', 'total', 'page', 'pageSize'],
+  properties: {
+    items: { type: 'array', items: item },
+    total: { type: 'integer' },
+    page: { type: 'integer' },
+    pageSize: { type: 'integer' },
+  },
+});
+
+// ====================== ENTITIES ======================
+
+const Book = {
+  type: 'object',
+  required: ['id', 'title', 'author', 'quantity', 'version'],
+  properties: { id: { ...id, readOnly: true }, ...bookFields, version, archivedAt },
+};
+
+const Exemplar = {
+  type: 'object',
+  required: ['id', 'bookId', 'inventoryNumber', 'condition', 'status'],
+  properties: {
+    id: { ...id, readOnly: true },
+    bookId: { ...id, readOnly: true },
+    ...exemplarFields,
+    withdrawnAt: { ...date, type: ['string', 'null'], readOnly: true, description: 'Day the copy left the library' },
+    status: { type: 'string', enum: ['on-shelf', 'on-loan', 'withdrawn'], readOnly: true },
+    loanId: { type: ['integer', 'null'], readOnly: true, description: 'The open loan of a copy on loan' },
+    studentId: { type: ['integer', 'null'], readOnly: true },
+    studentName: { type: ['string', 'null'], readOnly: true },
+    dueDate: { ...date, type: ['string', 'null'], readOnly: true },
+    writeOffId: { type: ['integer', 'null'], readOnly: true },
+    writeOffReason: { type: ['string', 'null'], enum: [...WRITE_OFF_REASONS, null], readOnly: true },
+    deliveryLineId: { type: ['integer', 'null'], readOnly: true, description: 'The delivery line the copy came with' },
+  },
+};
+
+const Student = {
+  type: 'object',
+  required: ['studentId', 'name', 'grade', 'gradeLetter', 'cardId', 'version'],
+  properties: { studentId: { ...id, readOnly: true }, ...studentFields, version, archivedAt },
+};
+
+const Transaction = {
+  type: 'object',
+  required: ['id', 'studentId', 'bookId', 'action', 'date'],
+  properties: {
+    id,
+    studentId: id,
+    bookId: id,
+    exemplarId: { ...id, type: ['integer', 'null'], description: 'The copy issued, null for issues recorded without one' },
+    action: { type: 'string', enum: ['taken', 'returned'] },
+    date: {
+      ...date,
+      description: 'Day of the issue or the return. Issues recorded before issuedAt existed keep their due date here',
+    },
+    issuedAt: { ...date, type: ['string', 'null'], description: 'Day the book was handed out, null when not known' },
+    dueDate: { ...date, type: ['string', 'null'] },
+    returnedAt: { ...date, type: ['string', 'null'], description: 'Set on "taken" once the book is back' },
+    warn: { type: 'boolean', description: 'Returned after the due date' },
+  },
+};
+
+const Loan = {
+  type: 'object',
+  properties: {
+    id: { ...id, description: 'Id of the "taken" transaction' },
+    studentId: id,
+    bookId: id,
+    issuedAt: { ...date, type: ['string', 'null'], description: 'Null for issues recorded before it was tracked' },
+    dueDate: date,
+    returnedAt: { ...date, type: ['string', 'null'] },
+    overdue: { type: 'boolean' },
+    status: { type: 'string', enum: ['open', 'closed'] },
+    studentName: { type: ['string', 'null'] },
+    grade: { type: ['integer', 'null'] },
+    gradeLetter: { type: ['string', 'null'] },
+    bookTitle: { type: ['string', 'null'] },
+    bookAuthor: { type: ['string', 'null'] },
+    barcode: { type: ['integer', 'null'] },
+    exemplarId: { type: ['integer', 'null'] },
+    inventoryNumber: { type: ['string', 'null'] },
+    returnTransactionId: { type: ['integer', 'null'] },
+    renewals: { type: 'integer', description: 'Times the due date was moved' },
+  },
+};
+
+const LoanRenewal = {
+  type: 'object',
+  properties: {
+    id,
+    loanId: id,
+    renewedAt: timestamp,
+    previousDueDate: date,
+    dueDate: date,
+    actorId: { type: ['integer', 'null'] },
+    actorName: { type: ['string', 'null'] },
+  },
+};
+
+const LoanOverride = {
+  type: 'object',
+  properties: {
+    id,
+    loanId: id,
+    studentId: id,
+    reason: { type: 'string' },
+    blocks: { type: 'array', items: { type: 'string' }, description: 'Codes of the blocks overridden' },
+    at: timestamp,
+    actorId: { type: ['integer', 'null'] },
+    actorName: { type: ['string', 'null'] },
+  },
+};
+
+const LoanDetails = {
+  type: 'object',
+  properties: {
+    ...Loan.properties,
+    renewalHistory: { type: 'array', items: LoanRenewal },
+    override: { ...LoanOverride, type: ['object', 'null'], description: 'Set when issued despite a borrowing block' },
+  },
+};
+
+const BorrowingStatus = {
+  type: 'object',
+  properties: {
+    studentId: id,
+    allowed: { type: 'boolean' },
+    openLoans: { type: 'integer' },
+    maxLoans: { type: ['integer', 'null'], description: 'LOAN_LIMITS of the grade, null without a limit' },
+    overdueLoans: { type: 'integer' },
+    fineBalance: { type: 'integer' },
+    blocks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', enum: ['LOAN_LIMIT', 'HAS_OVERDUE', 'UNPAID_FINES'] },
+          message: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const Hold = {
+  type: 'object',
+  properties: {
+    id,
+    bookId: id,
+    studentId: id,
+    createdAt: timestamp,
+    status: {
+      type: 'string',
+      enum: ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'],
+      description: 'ready: a returned copy is set aside for the student until expiresAt',
+    },
+    readyAt: { ...date, type: ['string', 'null'] },
+    expiresAt: { ...date, type: ['string', 'null'], description: 'Last day to pick the book up' },
+    closedAt: { ...timestamp, type: ['string', 'null'] },
+    position: { type: ['integer', 'null'], description: 'Place in the queue of the book, from 1, while active' },
+    studentName: { type: ['string', 'null'] },
+    grade: { type: ['integer', 'null'] },
+    gradeLetter: { type: ['string', 'null'] },
+    bookTitle: { type: ['string', 'null'] },
+    bookAuthor: { type: ['string', 'null'] },
+  },
+};
+
+const User = {
+  type: 'object',
+  properties: {
+    id,
+    username: { type: 'string' },
+    fullName: { type: 'string' },
+    role: { type: 'string', enum: ROLES },
+    createdAt: timestamp,
+  },
+};
+
+const Session = {
+  type: 'object',
+  properties: {
+    token: { type: 'string', description: 'Send as "Authorization: Bearer <token>"' },
+    user: User,
+    expiresAt: timestamp,
+  },
+};
+
+const AuditEntry = {
+  type: 'object',
+  properties: {
+    id,
+    at: timestamp,
+    actorId: { type: ['integer', 'null'] },
+    actorName: { type: ['string', 'null'] },
+    entity: { type: 'string', enum: AUDIT_ENTITIES },
+    entityId: { type: ['integer', 'null'] },
+    action: { type: 'string', enum: ['create', 'update', 'delete'] },
+    changes: { type: 'object', description: 'field: { from, to }' },
+  },
+};
+
+const Backup = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', example: 'library-2025-09-01T03-00-00-000Z.db' },
+    size: { type: 'integer', description: 'Bytes' },
+    createdAt: timestamp,
+  },
+};
+
+const Stats = {
+  type: 'object',
+  properties: {
+    total: { type: 'integer' },
+    onHands: { type: 'integer' },
+    overdue: { type: 'integer' },
+    issuedToday: { type: 'integer' },
+    dueToday: { type: 'integer', description: 'Open loans due today' },
+    newThisMonth: { type: 'integer', description: 'Copies received with deliveries in the period' },
+    period: {
+      type: 'object',
+      properties: { from: date, to: date },
+      description: 'Days the acquisition and write-off counts cover',
+    },
+    writtenOff: { type: 'integer', description: 'Copies written off in the period' },
+    writtenOffByReason: {
+      type: 'object',
+      properties: Object.fromEntries(WRITE_OFF_REASONS.map(reason => [reason, { type: 'integer' }])),
+    },
+  },
+};
+
+const WriteOff = {
+  type: 'object',
+  properties: {
+    id,
+    exemplarId: id,
+    bookId: id,
+    reason: { type: 'string', enum: WRITE_OFF_REASONS },
+    loanId: { type: ['integer', 'null'], description: 'The loan in which a reader lost or damaged the copy' },
+    studentId: { type: ['integer', 'null'] },
+    note: { type: ['string', 'null'] },
+    writtenOffAt: date,
+    settlement: {
+      type: ['string', 'null'],
+      enum: ['replaced', 'compensated', null],
+      description: 'How the reader made up for the copy, null while they have not',
+    },
+    compensation: { type: ['integer', 'null'], description: 'Rubles paid, for "compensated"' },
+    replacementExemplarId: { type: ['integer', 'null'], description: 'The copy the reader brought, for "replaced"' },
+    settledAt: { ...date, type: ['string', 'null'] },
+    actorId: { type: ['integer', 'null'] },
+    actorName: { type: ['string', 'null'] },
+    bookTitle: { type: ['string', 'null'] },
+    bookAuthor: { type: ['string', 'null'] },
+    inventoryNumber: { type: ['string', 'null'] },
+    studentName: { type: ['string', 'null'] },
+  },
+};
+
+const DeliveryLine = {
+  type: 'object',
+  properties: {
+    id,
+    deliveryId: id,
+    bookId: { type: ['integer', 'null'], description: 'The catalog book the copies were added to' },
+    title: { type: 'string' },
+    author: { type: 'string' },
+    copies: { type: 'integer' },
+    price: { type: 'integer', description: 'Rubles per copy' },
+    newTitle: { type: 'boolean', description: 'The book was added to the catalog with this delivery' },
+  },
+};
+
+const Delivery = {
+  type: 'object',
+  properties: {
+    id,
+    supplier: { type: 'string' },
+    invoiceNumber: { type: 'string' },
+    receivedAt: date,
+    fundingSource: { type: 'string', enum: FUNDING_SOURCES },
+    note: { type: ['string', 'null'] },
+    createdAt: timestamp,
+    actorId: { type: ['integer', 'null'] },
+    actorName: { type: ['string', 'null'] },
+    copies: { type: 'integer', description: 'Copies on all lines' },
+    amount: { type: 'integer', description: 'Rubles, copies times price over all lines' },
+    lines: { type: 'array', items: DeliveryLine, description: 'Only for a single delivery' },
+  },
+};
+
+const acquisitionTotals = {
+  deliveries: { type: 'integer' },
+  copies: { type: 'integer' },
+  amount: { type: 'integer', description: 'Rubles' },
+};
+
+const AcquisitionReport = {
+  type: 'object',
+  properties: {
+    period: { type: 'object', properties: { from: date, to: date } },
+    ...acquisitionTotals,
+    titles: { type: 'integer', description: 'Catalog books that received copies' },
+    newTitles: { type: 'integer', description: 'Books added to the catalog by the deliveries' },
+    byFundingSource: {
+      type: 'object',
+      properties: Object.fromEntries(FUNDING_SOURCES.map(source => [
+        source,
+        { type: 'object', properties: acquisitionTotals },
+      ])),
+    },
+  },
+};
+
+const InventorySession = {
+  type: 'object',
+  properties: {
+    id,
+    note: { type: ['string', 'null'] },
+    startedAt: timestamp,
+    closedAt: { ...timestamp, type: ['string', 'null'], description: 'null while the session collects scans' },
+    expectedCopies: { type: ['integer', 'null'], description: 'Copies in stock when the session was closed' },
+    onLoanCopies: { type: ['integer', 'null'], description: 'Of them on loan' },
+    matchedCopies: { type: ['integer', 'null'], description: 'Copies scanned where they should be' },
+    actorId: { type: ['integer', 'null'] },
+    actorName: { type: ['string', 'null'] },
+    scans: { type: 'integer' },
+    discrepancies: { type: 'integer' },
+    unresolved: { type: 'integer' },
+  },
+};
+
+const InventoryScan = {
+  type: 'object',
+  properties: {
+    id,
+    sessionId: id,
+    code: { type: 'string' },
+    location: { type: ['string', 'null'] },
+    exemplarId: { type: ['integer', 'null'], description: 'The copy the code was matched to' },
+    bookId: { type: ['integer', 'null'] },
+    scannedAt: timestamp,
+    inventoryNumber: { type: ['string', 'null'] },
+    copyStatus: { type: ['string', 'null'], enum: ['on-shelf', 'on-loan', 'withdrawn', null] },
+    copyLocation: { type: ['string', 'null'], description: 'Where the copy is recorded to be kept' },
+    bookTitle: { type: ['string', 'null'] },
+    bookAuthor: { type: ['string', 'null'] },
+  },
+};
+
+const Discrepancy = {
+  type: 'object',
+  properties: {
+    id: { type: ['integer', 'null'], description: 'null in the report of an open session' },
+    sessionId: id,
+    kind: {
+      type: 'string',
+      enum: DISCREPANCY_KINDS,
+      description: 'missing: expected on the shelf but not scanned; unexpected: scanned but on loan, '
+        + 'withdrawn or not in the catalog; wrong-location: scanned away from its recorded location',
+    },
+    exemplarId: { type: ['integer', 'null'] },
+    bookId: { type: ['integer', 'null'] },
+    scanId: { type: ['integer', 'null'] },
+    code: { type: ['string', 'null'], description: 'What was scanned' },
+    copyStatus: { type: ['string', 'null'], enum: ['on-shelf', 'on-loan', 'withdrawn', null] },
+    expectedLocation: { type: ['string', 'null'] },
+    foundLocation: { type: ['string', 'null'] },
+    resolution: { type: ['string', 'null'], enum: [...DISCREPANCY_RESOLUTIONS, null] },
+    writeOffId: { type: ['integer', 'null'] },
+    note: { type: ['string', 'null'] },
+    resolvedAt: { ...date, type: ['string', 'null'] },
+    actorId: { type: ['integer', 'null'] },
+    actorName: { type: ['string', 'null'] },
+    inventoryNumber: { type: ['string', 'null'] },
+    bookTitle: { type: ['string', 'null'] },
+    bookAuthor: { type: ['string', 'null'] },
+  },
+};
+
+const InventoryReport = {
+  type: 'object',
+  properties: {
+    session: InventorySession,
+    expectedCopies: { type: 'integer', description: 'Copies in stock' },
+    onLoanCopies: { type: 'integer', description: 'Of them on loan' },
+    expectedOnShelf: { type: 'integer', description: 'Copies that should be on the shelves' },
+    matchedCopies: { type: 'integer' },
+    counts: {
+      type: 'object',
+      properties: Object.fromEntries(DISCREPANCY_KINDS.map(kind => [kind, { type: 'integer' }])),
+    },
+    discrepancies: { type: 'array', items: Discrepancy },
+  },
+};
+
+const InventoryScanResult = {
+  type: 'object',
+  properties: {
+    scan: InventoryScan,
+    verdict: {
+      type: 'string',
+      enum: ['ok', ...DISCREPANCY_KINDS, 'duplicate'],
+      description: 'How the scan looks now, duplicate when the copy was already counted (scan is the earlier one)',
+    },
+  },
+};
+
+const HistoryEntry = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    bookId: { type: ['integer', 'null'] },
+    title: { type: 'string' },
+    author: { type: 'string' },
+    loanId: { type: ['integer', 'null'], description: 'Id of the loan, null for a return without a matching issue' },
+    renewals: { type: 'integer' },
+    issuedAt: { ...date, type: ['string', 'null'] },
+    dueDate: { ...date, type: ['string', 'null'] },
+    returnDate: { ...date, type: ['string', 'null'] },
+    overdue: { type: 'boolean' },
+    status: { type: 'string', enum: ['on-hands', 'overdue', 'returned', 'returned-late', 'lost'] },
+    statusLabel: { type: 'string' },
+    writeOff: { ...WriteOff, type: ['object', 'null'], description: 'Set when the copy of this loan was written off' },
+    warn: { type: 'boolean' },
+    fine: { type: 'integer', description: 'Rubles assessed for a late return, or accruing while overdue' },
+  },
+};
+
+const FineEntry = {
+  type: 'object',
+  properties: {
+    id,
+    studentId: id,
+    loanId: { type: ['integer', 'null'], description: 'The late loan, for assessed fines' },
+    kind: { type: 'string', enum: ['assessed', 'paid', 'waived'] },
+    amount: { type: 'integer', minimum: 1, description: 'Rubles' },
+    lateDays: { type: ['integer', 'null'], description: 'Late workdays counted, for assessed fines' },
+    note: { type: ['string', 'null'] },
+    at: timestamp,
+    actorId: { type: ['integer', 'null'] },
+    actorName: { type: ['string', 'null'] },
+  },
+};
+
+const FineAccount = {
+  type: 'object',
+  properties: {
+    studentId: id,
+    balance: { type: 'integer', description: 'Rubles owed: assessed minus paid and waived' },
+    accruing: { type: 'integer', description: 'What the overdue books still out would add if returned today' },
+    entries: { type: 'array', items: FineEntry, description: 'Newest first' },
+  },
+};
+
+const FineBalance = {
+  type: 'object',
+  properties: { studentId: id, balance: { type: 'integer' } },
+};
+
+const StudentHistory = {
+  type: 'object',
+  properties: {
+    student: Student,
+    history: { type: 'array', items: HistoryEntry },
+    summary: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        active: { type: 'integer' },
+        overdue: { type: 'integer' },
+      },
+    },
+  },
+};
+
+const ScanResult = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['exemplar', 'book', 'student'] },
+    data: { oneOf: [Book, Student], description: 'For an exemplar its book' },
+    exemplar: { ...Exemplar, description: 'The scanned copy, only for type "exemplar"' },
+  },
+};
+
+const RestoreResult = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    restored: { type: 'object', description: 'Rows copied per table' },
+    safetyBackup: { type: 'string', description: 'Snapshot taken right before the restore' },
+  },
+};
+
+const CleanupResult = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    before: { type: 'integer' },
+    after: { type: 'integer' },
+    changed: { type: 'integer', description: 'Kept students whose fields were normalized' },
+    removed: { type: 'integer', description: 'Unusable students, archived' },
+  },
+};
+
+const Archive = {
+  type: 'object',
+  required: ['books', 'students'],
+  properties: {
+    books: { type: 'array', items: Book },
+    students: { type: 'array', items: Student },
+  },
+};
+
+const PurgeResult = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    deletedTransactions: { type: 'integer', description: 'Loan history entries deleted with the record' },
+  },
+};
+
+const PublicConfig = {
+  type: 'object',
+  properties: {
+    schoolName: { type: 'string' },
+    loan: {
+      type: 'object',
+      properties: {
+        defaultDays: { type: 'integer' },
+        maxDays: { type: 'integer' },
+        holidays: { type: 'array', items: { type: 'string', example: '01-01' }, description: 'MM-DD, every year' },
+        renewDays: { type: 'integer' },
+        maxRenewals: { type: 'integer' },
+        holdPickupDays: { type: 'integer' },
+      },
+    },
+    fines: {
+      type: 'object',
+      properties: {
+        dailyRate: { type: 'integer', description: 'Rubles per late workday' },
+        graceDays: { type: 'integer', description: 'Late workdays not charged' },
+        maxAmount: { type: 'integer', description: 'Cap per loan, rubles' },
+      },
+    },
+  },
+};
+
+const Health = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    timestamp,
+  },
+};
+
+const ErrorBody = {
+  type: 'object',
+  required: ['error', 'code', 'requestId'],
+  properties: {
+    error: { type: 'string', description: 'Human-readable message' },
+    code: { type: 'string', example: 'VALIDATION_ERROR' },
+    requestId: { type: 'string', description: 'Also sent as the X-Request-Id header' },
+    details: {
+      description: 'For validation errors: [{ path, message }]. For VERSION_CONFLICT: { current }, the record as stored now',
+    },
+  },
+};
+
+const Success = {
+  type: 'object',
+  properties: { success: { type: 'boolean', enum: [true] } },
+};
+
+// ====================== REQUESTS ======================
+
+const IdParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id },
+};
+
+const ScanParams = {
+  type: 'object',
+  required: ['code'],
+  properties: { code: text(64) },
+};
+
+const BackupParams = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: Backup.properties.name },
+};
+
+const LoginRequest = {
+  type: 'object',
+  required: ['username', 'password'],
+  properties: {
+    username: { type: 'string', minLength: 1, maxLength: 32 },
+    password: { type: 'string', minLength: 1, maxLength: 200 },
+  },
+};
+
+const PasswordChange = {
+  type: 'object',
+  required: ['currentPassword', 'newPassword'],
+  properties: {
+    currentPassword: { type: 'string', maxLength: 200 },
+    newPassword: { type: 'string', minLength: 8, maxLength: 200 },
+  },
+};
+
+const UserCreate = {
+  type: 'object',
+  required: ['username', 'fullName', 'role', 'password'],
+  properties: {
+    username: {
+      type: 'string',
+      pattern: '^[a-zA-Z0-9._-]{3,32}$',
+      'x-pattern-message': 'must be 3-32 latin letters, digits, ".", "_" or "-"',
+    },
+    fullName: { ...text(200), minLength: 2 },
+    role: { type: 'string', enum: ROLES },
+    password: { type: 'string', minLength: 8, maxLength: 200 },
+  },
+};
+
+const BookCreate = {
+  type: 'object',
+  required: ['title', 'author'],
+  properties: {
+    ...bookFields,
+    quantity: { ...bookFields.quantity, description: 'Copies to put on the shelf, 1 when omitted' },
+  },
+};
+
+const BookUpdate = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    ...bookFields,
+    quantity: {
+      ...bookFields.quantity,
+      description: 'Adds copies or takes the newest ones off the shelf until there are this many',
+    },
+    quantityDelta: {
+      type: 'integer',
+      minimum: -10000,
+      maximum: 10000,
+      description: 'Added to the current quantity (never below 0) like quantity, applied atomically',
+    },
+  },
+};
+
+const ExemplarCreate = {
+  type: 'object',
+  properties: {
+    ...exemplarFields,
+    inventoryNumber: { ...exemplarFields.inventoryNumber, description: 'The next free "<bookId>-<n>" when omitted' },
+    acquiredAt: { ...exemplarFields.acquiredAt, description: 'Today when omitted' },
+  },
+};
+
+const ExemplarUpdate = {
+  type: 'object',
+  minProperties: 1,
+  properties: exemplarFields,
+};
+
+const StudentInput = {
+  type: 'object',
+  required: ['name', 'grade', 'gradeLetter', 'cardId'],
+  properties: studentFields,
+};
+
+const borrowingOverride = {
+  type: 'object',
+  required: ['reason'],
+  properties: { reason: text(500) },
+  description: 'Issue despite a borrowing block, the reason is recorded with the loan',
+};
+
+const TransactionCreate = {
+  type: 'object',
+  required: ['studentId', 'bookId', 'action'],
+  properties: {
+    studentId: id,
+    bookId: id,
+    action: { type: 'string', enum: ['taken', 'returned'] },
+    date: { ...date, description: 'Day of the issue or the return, today when omitted' },
+    dueDate: { ...date, description: 'For "taken": LOAN_DEFAULT_DAYS after date when omitted' },
+    override: { ...borrowingOverride, description: 'For "taken": ' + borrowingOverride.description },
+  },
+};
+
+const CheckoutRequest = {
+  type: 'object',
+  required: ['studentId', 'bookId'],
+  properties: {
+    studentId: id,
+    bookId: id,
+    exemplarId: { ...id, description: 'The copy to issue, the oldest one on the shelf when omitted' },
+    dueDate: { ...date, description: 'LOAN_DEFAULT_DAYS from today when omitted' },
+    override: borrowingOverride,
+  },
+};
+
+const CheckinRequest = {
+  type: 'object',
+  required: ['studentId', 'bookId'],
+  properties: {
+    studentId: id,
+    bookId: id,
+    date: { ...date, description: 'Return date, today when omitted' },
+  },
+};
+
+const LoanResult = {
+  type: 'object',
+  properties: {
+    transaction: Transaction,
+    book: Book,
+    readyHold: {
+      ...Hold,
+      type: ['object', 'null'],
+      description: 'Checkin only: the hold the returned copy is now set aside for',
+    },
+    fine: {
+      ...FineEntry,
+      type: ['object', 'null'],
+      description: 'Checkin only: the fine assessed for a late return',
+    },
+    override: {
+      ...LoanOverride,
+      type: ['object', 'null'],
+      description: 'Checkout only: set when the issue overrode a borrowing block',
+    },
+  },
+};
+
+const FinePayment = {
+  type: 'object',
+  required: ['amount'],
+  properties: {
+    amount: { type: 'integer', minimum: 1, maximum: 1000000, description: 'Rubles, at most the balance' },
+    note: { type: ['string', 'null'], maxLength: 500 },
+  },
+};
+
+const FineWaiver = {
+  type: 'object',
+  required: ['amount', 'note'],
+  properties: {
+    amount: { type: 'integer', minimum: 1, maximum: 1000000, description: 'Rubles, at most the balance' },
+    note: { ...text(500), description: 'Why the fine is forgiven' },
+  },
+};
+
+const WriteOffCreate = {
+  type: 'object',
+  required: ['reason'],
+  properties: {
+    reason: { type: 'string', enum: WRITE_OFF_REASONS },
+    loanId: {
+      ...id,
+      description: 'For a lost or damaged copy on the shelf: the earlier loan of the copy. '
+        + 'A copy on loan is linked to its loan by itself',
+    },
+    note: { type: ['string', 'null'], maxLength: 500 },
+    date: { ...date, description: 'Today when omitted' },
+  },
+};
+
+const WriteOffSettlement = {
+  type: 'object',
+  required: ['settlement'],
+  properties: {
+    settlement: { type: 'string', enum: ['replaced', 'compensated'] },
+    compensation: { type: 'integer', minimum: 1, maximum: 1000000, description: 'Rubles, required for "compensated"' },
+    inventoryNumber: { ...exemplarFields.inventoryNumber, description: 'For "replaced": of the copy brought' },
+    barcode: exemplarFields.barcode,
+  },
+};
+
+const DeliveryCreate = {
+  type: 'object',
+  required: ['supplier', 'invoiceNumber', 'receivedAt', 'fundingSource', 'lines'],
+  properties: {
+    supplier: text(200),
+    invoiceNumber: text(50),
+    receivedAt: date,
+    fundingSource: { type: 'string', enum: FUNDING_SOURCES },
+    note: { type: ['string', 'null'], maxLength: 500 },
+    lines: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 500,
+      items: {
+        type: 'object',
+        required: ['title', 'author', 'copies', 'price'],
+        properties: {
+          bookId: {
+            ...id,
+            description: 'The catalog book to add the copies to. Without it the book is found by barcode, '
+              + 'then by title and author, and added to the catalog when there is none',
+          },
+          title: bookFields.title,
+          author: bookFields.author,
+          genre: { ...bookFields.genre, description: 'For a book added to the catalog' },
+          year: { ...bookFields.year, description: 'For a book added to the catalog' },
+          barcode: bookFields.barcode,
+          copies: { type: 'integer', minimum: 1, maximum: 10000 },
+          price: { type: 'integer', minimum: 0, maximum: 1000000, description: 'Rubles per copy, 0 for donated copies' },
+        },
+      },
+    },
+  },
+};
+
+const InventoryStart = {
+  type: 'object',
+  properties: {
+    note: { type: ['string', 'null'], maxLength: 500 },
+  },
+};
+
+const InventoryScanCreate = {
+  type: 'object',
+  required: ['code'],
+  properties: {
+    code: { ...text(64), description: 'As for /api/scan: a copy\'s barcode or inventory number, or a book barcode' },
+    location: { ...exemplarFields.location, description: 'The shelf or room being scanned' },
+  },
+};
+
+const DiscrepancyResolution = {
+  type: 'object',
+  required: ['resolution'],
+  properties: {
+    resolution: { type: 'string', enum: DISCREPANCY_RESOLUTIONS },
+    reason: {
+      type: 'string',
+      enum: WRITE_OFF_REASONS,
+      description: 'Required for "written-off"',
+    },
+    note: { type: ['string', 'null'], maxLength: 500 },
+  },
+};
+
+const HoldCreate = {
+  type: 'object',
+  required: ['bookId', 'studentId'],
+  properties: { bookId: id, studentId: id },
+};
+
+const RenewRequest = {
+  type: 'object',
+  properties: {
+    dueDate: { ...date, description: 'LOAN_RENEW_DAYS more when omitted, moved to a workday either way' },
+  },
+};
+
+const RenewResult = {
+  type: 'object',
+  properties: { loan: LoanDetails, transaction: Transaction },
+};
+
+// ====================== QUERIES ======================
+
+const BookQuery = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', maxLength: 200, description: 'Search in title, author, genre, id, year and barcode' },
+    genre: { type: 'string', maxLength: 100 },
+    yearFrom: { type: 'integer' },
+    yearTo: { type: 'integer' },
+    availability: { type: 'string', enum: ['available', 'unavailable'] },
+    sort: { type: 'string', enum: BOOK_SORT_FIELDS },
+    direction,
+    page,
+    pageSize,
+  },
+};
+
+const TransactionQuery = {
+  type: 'object',
+  properties: {
+    studentId: id,
+    bookId: id,
+    action: { type: 'string', enum: ['taken', 'returned'] },
+    from: date,
+    to: date,
+  },
+};
+
+const LoanQuery = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['open', 'closed'] },
+    overdue: { type: 'boolean' },
+    studentId: id,
+    bookId: id,
+    student: { type: 'string', maxLength: 200, description: 'Search in student name and class' },
+    book: { type: 'string', maxLength: 200, description: 'Search in book title and author' },
+    dueFrom: date,
+    dueTo: date,
+    issuedFrom: date,
+    issuedTo: date,
+    direction: { ...direction, description: 'By due date' },
+    page,
+    pageSize,
+  },
+};
+
+const WriteOffQuery = {
+  type: 'object',
+  properties: {
+    from: date,
+    to: date,
+    reason: { type: 'string', enum: WRITE_OFF_REASONS },
+    studentId: id,
+    bookId: id,
+  },
+};
+
+const StatsQuery = {
+  type: 'object',
+  properties: {
+    from: { ...date, description: 'Start of the period, the first day of this month when omitted' },
+    to: { ...date, description: 'End of the period, today when omitted' },
+  },
+};
+
+const DeliveryQuery = {
+  type: 'object',
+  properties: {
+    from: date,
+    to: date,
+    supplier: { type: 'string', maxLength: 200, description: 'Part of the supplier name, case-insensitive' },
+    fundingSource: { type: 'string', enum: FUNDING_SOURCES },
+  },
+};
+
+const HoldQuery = {
+  type: 'object',
+  properties: { bookId: id, studentId: id },
+};
+
+const AuditQuery = {
+  type: 'object',
+  properties: {
+    entity: { type: 'string', enum: AUDIT_ENTITIES },
+    entityId: { type: 'integer' },
+    actorId: { type: 'integer' },
+    action: { type: 'string', enum: ['create', 'update', 'delete'] },
+    from: date,
+    to: date,
+    page,
+    pageSize,
+  },
+};
+
+export const SCHEMAS = {
+  Book,
+  BookPage: pageOf(Book),
+  Exemplar,
+  Student,
+  Transaction,
+  Loan,
+  LoanPage: pageOf(Loan),
+  LoanDetails,
+  LoanResult,
+  RenewResult,
+  Hold,
+  BorrowingStatus,
+  FineEntry,
+  FineAccount,
+  FineBalance,
+  WriteOff,
+  Delivery,
+  DeliveryLine,
+  AcquisitionReport,
+  InventorySession,
+  InventoryScan,
+  InventoryScanResult,
+  Discrepancy,
+  InventoryReport,
+  User,
+  Session,
+  AuditEntry,
+  AuditPage: pageOf(AuditEntry),
+  Backup,
+  RestoreResult,
+  Stats,
+  StudentHistory,
+  ScanResult,
+  CleanupResult,
+  Archive,
+  PurgeResult,
+  PublicConfig,
+  Health,
+  Error: ErrorBody,
+  Success,
+  IdParams,
+  ScanParams,
+  BackupParams,
+  LoginRequest,
+  PasswordChange,
+  UserCreate,
+  BookCreate,
+  BookUpdate,
+  ExemplarCreate,
+  ExemplarUpdate,
+  StudentInput,
+  TransactionCreate,
+  CheckoutRequest,
+  CheckinRequest,
+  RenewRequest,
+  HoldCreate,
+  FinePayment,
+  FineWaiver,
+  WriteOffCreate,
+  WriteOffSettlement,
+  DeliveryCreate,
+  InventoryStart,
+  InventoryScanCreate,
+  DiscrepancyResolution,
+  BookQuery,
+  TransactionQuery,
+  LoanQuery,
+  HoldQuery,
+  WriteOffQuery,
+  StatsQuery,
+  DeliveryQuery,
+  AuditQuery,
+};
@@ -1,97 +1,180 @@
 ﻿import express from 'express';
 import cors from 'cors';
-import fs from 'fs/promises';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { ipAddress } from './StaticIp.js';
+import { config, publicConfig } from './config.js';
+import { pickStudentFields, sanitizeStudentPayload } from './normalize.js';
+import {
+  DB_FILE,
+  inTransaction,
+  listBooks,
+  searchBooks,
+  getBook,
+  insertBook,
+  updateBook,
+  setBookArchived,
+  listArchivedBooks,
+  deleteBook,
+  listStudents,
+  getStudent,
+  findStudentByCardId,
+  insertStudent,
+  updateStudent,
+  setStudentArchived,
+  listArchivedStudents,
+  deleteStudent,
+  listTransactions,
+  listTransactionsByStudent,
+  deleteTransactionsOfBook,
+  deleteTransactionsOfStudent,
+  listLoans,
+  listHolds,
+  listFineBalances,
+  getAssessedFinesByLoan,
+  countOpenLoansOfBook,
+  countOpenLoansOfStudent,
+  getExemplar,
+  listWriteOffs,
+  countWriteOffs,
+  getWriteOffsByLoan,
+  getDelivery,
+  listDeliveries,
+  countAcquisitions,
+  listInventorySessions,
+  listAuditEntries,
+  listUsers,
+  deleteUser,
+  findUserByUsername,
+  updateUserPassword,
+} from './db.js';
+import {
+  authenticate,
+  requireRole,
+  login,
+  logout,
+  hashPassword,
+  verifyPassword,
+  createUser,
+  ensureAdminAccount,
+} from './auth.js';
+import { recordAudit } from './audit.js';
+import { EVENT_TYPES, publish, eventStream } from './events.js';
+import {
+  listBackups,
+  createBackup,
+  resolveBackupPath,
+  restoreBackup,
+  scheduleBackups,
+} from './backup.js';
+import {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} from './errors.js';
+import { logger } from './logger.js';
+import { SCHEMAS } from './schemas.js';
+import { validate } from './validation.js';
+import { docsRouter } from './openapi.js';
+import { idempotent } from './idempotency.js';
+import { requireIfMatch, assertVersion, setETag } from './concurrency.js';
+import { normalizeStudents } from './maintenance.js';
+import {
+  today,
+  recordIssue,
+  recordReturn,
+  renewLoan,
+  getLoanWithRenewals,
+  placeHold,
+  cancelHold,
+  fulfillHold,
+  expireHolds,
+  getBorrowingStatus,
+  checkBorrowing,
+  recordLoanOverride,
+} from './loans.js';
+import { assessFine, computeFine, getFineAccount, payFine, waiveFine } from './fines.js';
+import {
+  syncBookQuantity,
+  restockBook,
+  listExemplars,
+  addExemplar,
+  setShelfCopies,
+  editExemplar,
+  removeExemplar,
+  pickExemplar,
+  findStockByCode,
+} from './exemplars.js';
+import { writeOffExemplar, settleWriteOff } from './writeoffs.js';
+import { receiveDelivery } from './acquisitions.js';
+import {
+  startInventory,
+  recordInventoryScan,
+  getInventoryReport,
+  closeInventory,
+  resolveDiscrepancy,
+} from './inventory.js';
 
 const app = express();
-const PORT = process.env.PORT || 3001;
 
 // ====================== MIDDLEWARE ======================
 
-app.use(cors());
-app.use(express.json({ limit: '10mb' })); // Protection against huge payloads
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-app.use(express.static(path.join(__dirname, '..', 'dist')));
-
-// Request logging middleware
+// Every request gets an id (or keeps the caller's X-Request-Id) that is echoed back,
+// written to the access log and included in error responses
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  // 'close' also fires for long-lived responses (SSE) once the client goes away
+  res.on('close', () => {
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl.replace(/access_token=[^&]*/, 'access_token=***'),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      userId: req.user?.id ?? null,
+      username: req.user?.username ?? null,
+      ip: req.ip,
+    };
+    if (res.statusCode >= 500) {
+      logger.error('Request failed', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  });
   next();
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Unexpected server error.' });
-});
-
-// ====================== HELPER FUNCTIONS ======================
-
-const dataPath = (file) => path.join(__dirname, 'data', file);
-
-/**
- * Safe file read with error handling
- */
-async function readJsonFile(filename) {
-  try {
-    const data = await fs.readFile(dataPath(filename), 'utf-8');
-    return JSON.parse(data);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      console.warn(`File ${filename} not found, returning empty array`);
-      return [];
-    }
-    throw err;
-  }
-}
-
-/**
- * Safe file write with atomic operation (write to temp file first)
- */
-async function writeJsonFile(filename, data) {
-  const filePath = dataPath(filename);
-  const tempPath = `${filePath}.tmp`;
-  
-  try {
-    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
-    await fs.rename(tempPath, filePath);
-  } catch (err) {
-    // Cleanup temp file if exists
-    try {
-      await fs.unlink(tempPath);
-    } catch {}
-    throw err;
-  }
-}
-
-
-const CYRILLIC_TO_LATIN = {
-  '\u0410': 'A', '\u0412': 'B', '\u0421': 'C', '\u0415': 'E', '\u041a': 'K', '\u041c': 'M',
-  '\u041d': 'H', '\u041e': 'O', '\u0420': 'P', '\u0422': 'T', '\u0423': 'Y', '\u0425': 'X',
-  '\u0430': 'a', '\u0432': 'b', '\u0441': 'c', '\u0435': 'e', '\u043a': 'k', '\u043c': 'm',
-  '\u043d': 'h', '\u043e': 'o', '\u0440': 'p', '\u0442': 't', '\u0443': 'y', '\u0445': 'x',
-};
-
-
-const mapCyrillicToLatin = (ch) => CYRILLIC_TO_LATIN[ch] || ch;
+app.use(cors({
+  origin: config.corsOrigins === '*' ? true : config.corsOrigins,
+  exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed', 'ETag'],
+}));
+app.use(express.json({ limit: '10mb' })); // Protection against huge payloads
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+app.use(express.static(path.join(__dirname, '..', 'dist')));
 
-const normalizeCardId = (cardIdRaw) => {
-  if (!cardIdRaw) return '';
+// Every /api route requires a signed-in user, except login, client settings, the health check
+// and the API documentation
+const PUBLIC_API_PATHS = new Set(['/auth/login', '/config', '/health']);
+const isPublicApiPath = (apiPath) =>
+  PUBLIC_API_PATHS.has(apiPath) || apiPath === '/docs' || apiPath.startsWith('/docs/');
 
-  let normalized = String(cardIdRaw)
-    .replace(/\s+/g, '')
-    .toLowerCase();
+app.use('/api', (req, res, next) => {
+  if (isPublicApiPath(req.path)) return next();
+  authenticate(req, res, next);
+});
 
-  normalized = Array.from(normalized)
-    .map(ch => mapCyrillicToLatin(ch))
-    .join('');
+ensureAdminAccount();
 
-  return normalized.replace(/[^a-z0-9]/g, '');
-};
+// ====================== HELPER FUNCTIONS ======================
 
 const getTransactionOrderValue = (tx) => {
   if (!tx) return 0;
@@ -109,712 +192,1419 @@ const getTransactionOrderValue = (tx) => {
   return 0;
 };
 
-/**
- * Validates and sanitizes student payload
- * @throws {Error} if validation fails
- */
-const sanitizeStudentPayload = (body) => {
-  const name = String(body?.name ?? '').trim();
-  if (!name || name.length < 2) {
-    throw new Error('Name is required and must be at least 2 characters long.');
-  }
+const parsePagination = (query, defaultPageSize) => {
+  const page = query.page ?? 1;
+  const pageSize = query.pageSize ?? defaultPageSize;
+  return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+};
 
-  const gradeNum = Number.parseInt(body?.grade, 10);
-  if (!Number.isFinite(gradeNum) || gradeNum < 1 || gradeNum > 11) {
-    throw new Error('Grade must be a number between 1 and 11.');
+// ====================== AUTH API ======================
+
+app.post('/api/auth/login', validate({
+  summary: 'Sign in',
+  tags: ['Auth'],
+  body: SCHEMAS.LoginRequest,
+  responses: { 200: SCHEMAS.Session },
+}), async (req, res) => {
+  const session = login(req.body.username, req.body.password);
+  if (!session) {
+    throw new UnauthorizedError('Invalid username or password.', { code: 'INVALID_CREDENTIALS' });
   }
 
-  const gradeLetter = String(body?.gradeLetter);
-  if (!gradeLetter) {
-    throw new Error('Grade letter must be a single letter (A-Z).');
-  }
+  res.json(session);
+});
+
+app.post('/api/auth/logout', validate({
+  summary: 'Sign out, revoking the session token',
+  tags: ['Auth'],
+  responses: { 200: SCHEMAS.Success },
+}), async (req, res) => {
+  logout(req.token);
+  res.json({ success: true });
+});
 
-  const cardId = normalizeCardId(body?.cardId);
-  if (!cardId || cardId.length < 3) {
-    throw new Error('Card ID is required and must contain at least 3 characters.');
+app.get('/api/auth/me', validate({
+  summary: 'The signed-in user',
+  tags: ['Auth'],
+  responses: { 200: SCHEMAS.User },
+}), async (req, res) => {
+  res.json(req.user);
+});
+
+app.post('/api/auth/password', validate({
+  summary: 'Change own password',
+  tags: ['Auth'],
+  body: SCHEMAS.PasswordChange,
+  responses: { 200: SCHEMAS.Success },
+}), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const account = findUserByUsername(req.user.username);
+  if (!account || !verifyPassword(currentPassword, account.passwordHash)) {
+    throw new ForbiddenError('Current password is incorrect.', { code: 'INVALID_CREDENTIALS' });
   }
 
-  const studentId = Date.now();
+  updateUserPassword(account.id, hashPassword(newPassword));
+  res.json({ success: true });
+});
 
-  return { name, studentId, grade: gradeNum, gradeLetter, cardId };
-};
+// ====================== USERS API ======================
 
-/**
- * Picks only allowed fields from student object
- */
-const pickStudentFields = (student) => {
-  if (!student) return null;
+app.get('/api/users', requireRole('admin'), validate({
+  summary: 'List staff accounts',
+  tags: ['Users'],
+  responses: { 200: { type: 'array', items: SCHEMAS.User } },
+}), async (req, res) => {
+  res.json(listUsers());
+});
+
+app.post('/api/users', requireRole('admin'), validate({
+  summary: 'Create a staff account',
+  tags: ['Users'],
+  body: SCHEMAS.UserCreate,
+  responses: { 201: SCHEMAS.User },
+  errors: [409],
+}), async (req, res) => {
+  res.status(201).json(createUser(req.body));
+});
 
-  const name = String(student?.name ?? '').trim();
-  const studentId = Number(student?.studentId);
-  const grade = Number(student?.grade);
-  const gradeLetter = String(student?.gradeLetter);
-  const cardId = normalizeCardId(student?.cardId);
+app.delete('/api/users/:id', requireRole('admin'), validate({
+  summary: 'Delete a staff account',
+  tags: ['Users'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.Success },
+  errors: [404],
+}), async (req, res) => {
+  const userId = req.params.id;
+  if (userId === req.user.id) {
+    throw new ValidationError('You cannot delete your own account.');
+  }
 
-  if (!name || !Number.isFinite(studentId) || !Number.isFinite(grade) || 
-      !gradeLetter || !cardId) {
-    return null;
+  if (!deleteUser(userId)) {
+    throw new NotFoundError('User not found.');
   }
 
-  return { name, studentId, grade, gradeLetter, cardId };
-};
+  res.json({ success: true });
+});
 
 // ====================== BOOKS API ======================
 
-app.get('/api/books', async (req, res) => {
-  try {
-    const books = await readJsonFile('books.json');
-    res.json(books);
-  } catch (err) {
-    console.error('Error reading books:', err);
-    res.status(500).json({ error: 'Failed to load books.' });
+app.get('/api/books', validate({
+  summary: 'Search the catalog',
+  description: 'With page or pageSize the response is a page, otherwise the plain array of all matching books.',
+  tags: ['Books'],
+  query: SCHEMAS.BookQuery,
+  responses: { 200: { oneOf: [SCHEMAS.BookPage, { type: 'array', items: SCHEMAS.Book }] } },
+}), async (req, res) => {
+  const { sort, direction, page, pageSize } = req.query;
+  const filters = { ...req.query, q: req.query.q?.trim(), genre: req.query.genre?.trim() };
+
+  const order = { sort, direction };
+  if (page === undefined && pageSize === undefined) {
+    return res.json(searchBooks(filters, order).items);
   }
+
+  const { limit, offset, ...pagination } = parsePagination(req.query, 20);
+  const { items, total } = searchBooks(filters, { ...order, limit, offset });
+  res.json({ items, total, ...pagination });
 });
 
-app.post('/api/books', async (req, res) => {
-  try {
-    const books = await readJsonFile('books.json');
+app.post('/api/books', requireRole('admin'), validate({
+  summary: 'Add a book to the catalog',
+  tags: ['Books'],
+  body: SCHEMAS.BookCreate,
+  responses: { 201: SCHEMAS.Book },
+}), async (req, res) => {
+  const { title, author, genre, barcode = null, quantity = 1, year = null } = req.body;
+
+  const newBook = inTransaction(() => {
+    const created = insertBook({
+      title: title.trim(),
+      author: author.trim(),
+      genre: genre?.trim() || null,
+      barcode,
+      quantity,
+      year,
+    });
+    recordAudit(req.user, 'book', null, created);
+    setShelfCopies(req.user, created.id, quantity);
+    return created;
+  });
+
+  publish('book.created', { book: newBook });
+  setETag(res, newBook);
+  res.status(201).json(newBook);
+});
 
-    const { title, author, barcode, quantity, year } = req.body;
+app.patch('/api/books/:id', requireRole('admin'), requireIfMatch(), validate({
+  summary: 'Update book fields or adjust stock',
+  description: 'If-Match must name the current version of the book. Changing the quantity adds copies or '
+    + 'takes the newest ones off the shelf, see /api/books/{id}/exemplars. quantityDelta is applied to the stored quantity.',
+  tags: ['Books'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.BookUpdate,
+  responses: { 200: SCHEMAS.Book },
+  errors: [404],
+}), async (req, res) => {
+  const bookId = req.params.id;
+  const { quantityDelta, ...changes } = req.body;
+  for (const field of ['title', 'author', 'genre']) {
+    if (typeof changes[field] === 'string') changes[field] = changes[field].trim();
+  }
 
-    if (!title || !author) {
-      return res.status(400).json({ error: 'Title and author are required.' });
+  // Read-modify-write in one transaction so concurrent deltas are applied in order
+  const { book, readyHolds } = inTransaction(() => {
+    const existing = getBook(bookId);
+    if (!existing || existing.archivedAt) {
+      throw new NotFoundError('Book not found.');
     }
+    assertVersion(req, existing);
 
-    const newBook = {
-      id: Date.now(),
-      title: String(title).trim(),
-      author: String(author).trim(),
-      barcode: barcode ? Number(barcode) : null,
-      quantity: quantity ? Number(quantity) : 1,
-      year: year ? Number(year) : null,
-    };
-
-    books.push(newBook);
-    await writeJsonFile('books.json', books);
-    res.status(201).json(newBook);
-  } catch (err) {
-    console.error('Error adding book:', err);
-    res.status(500).json({ error: 'Failed to create book.' });
+    const next = { ...existing };
+    if (quantityDelta !== undefined) {
+      next.quantity = Math.max(0, Number(existing.quantity || 0) + quantityDelta);
+    }
+    Object.assign(next, changes);
+    next.quantity = setShelfCopies(req.user, bookId, next.quantity);
+    recordAudit(req.user, 'book', existing, updateBook(next));
+    return restockBook(req.user, bookId);
+  });
+
+  publish('book.updated', { book });
+  if (readyHolds.length > 0) {
+    publish('hold.changed', { bookId });
   }
+  setETag(res, book);
+  res.json(book);
 });
 
-app.patch('/api/books/:id', async (req, res) => {
-  try {
-    const books = await readJsonFile('books.json');
-    const bookId = parseInt(req.params.id, 10);
-
-    const idx = books.findIndex(b => b.id === bookId);
-    if (idx === -1) {
-      return res.status(404).json({ error: 'Book not found.' });
+app.delete('/api/books/:id', requireRole('admin'), validate({
+  summary: 'Archive a book',
+  description: 'The book leaves the catalog but stays in loan history and reports. '
+    + 'Refused while copies are on loan. Restore or purge it under /api/archive.',
+  tags: ['Books'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.Success },
+  errors: [404, 409],
+}), async (req, res) => {
+  const bookId = req.params.id;
+
+  inTransaction(() => {
+    const existing = getBook(bookId);
+    if (!existing || existing.archivedAt) {
+      throw new NotFoundError('Book not found.');
     }
 
-    const updates = req.body ?? {};
-    const updatableFields = ['title', 'author', 'genre', 'year', 'quantity', 'barcode'];
-    const hasDelta = Object.prototype.hasOwnProperty.call(updates, 'quantityDelta');
-    const hasFieldUpdates = updatableFields.some(field => Object.prototype.hasOwnProperty.call(updates, field));
+    const openLoans = countOpenLoansOfBook(bookId);
+    if (openLoans > 0) {
+      throw new ConflictError(
+        `The book cannot be archived while ${openLoans} ${openLoans === 1 ? 'copy is' : 'copies are'} on loan. Accept them back first.`,
+        { code: 'HAS_OPEN_LOANS', details: { openLoans } }
+      );
+    }
 
-    if (!hasDelta && !hasFieldUpdates) {
-      return res.status(400).json({ error: 'No updates provided.' });
+    // Nobody can pick up an archived book, its queue goes with it
+    for (const hold of listHolds({ bookId })) {
+      cancelHold(req.user, hold.id);
     }
+    recordAudit(req.user, 'book', existing, setBookArchived(bookId, new Date().toISOString()));
+  });
 
-    const book = books[idx];
+  // For open pages the book is gone from the catalog
+  publish('book.deleted', { id: bookId });
+  res.json({ success: true });
+});
 
-    if (hasDelta) {
-      const deltaValue = Number(updates.quantityDelta);
-      if (!Number.isFinite(deltaValue)) {
-        return res.status(400).json({ error: 'quantityDelta must be a number.' });
-      }
-      const current = Number(book.quantity || 0);
-      const next = Math.max(0, current + deltaValue);
-      book.quantity = next;
-    }
-
-    if (hasFieldUpdates) {
-      if (Object.prototype.hasOwnProperty.call(updates, 'title')) {
-        const nextTitle = String(updates.title ?? '').trim();
-        if (!nextTitle) {
-          return res.status(400).json({ error: 'Title is required.' });
-        }
-        book.title = nextTitle;
-      }
+// ====================== EXEMPLARS API ======================
+
+app.get('/api/books/:id/exemplars', validate({
+  summary: 'Copies of a book',
+  description: 'Withdrawn copies included. A copy on loan names the loan, the student and the due date.',
+  tags: ['Books'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: { type: 'array', items: SCHEMAS.Exemplar } },
+  errors: [404],
+}), async (req, res) => {
+  res.json(listExemplars(req.params.id));
+});
 
-      if (Object.prototype.hasOwnProperty.call(updates, 'author')) {
-        const nextAuthor = String(updates.author ?? '').trim();
-        if (!nextAuthor) {
-          return res.status(400).json({ error: 'Author is required.' });
-        }
-        book.author = nextAuthor;
-      }
+app.post('/api/books/:id/exemplars', requireRole('admin'), validate({
+  summary: 'Add a copy of a book',
+  tags: ['Books'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.ExemplarCreate,
+  responses: { 201: SCHEMAS.Exemplar },
+  errors: [404, 409],
+}), async (req, res) => {
+  const bookId = req.params.id;
+
+  const { exemplar, book, readyHolds } = inTransaction(() => {
+    const existing = getBook(bookId);
+    if (!existing || existing.archivedAt) {
+      throw new NotFoundError('Book not found.');
+    }
+    const created = addExemplar(req.user, bookId, req.body);
+    return { exemplar: created, ...restockBook(req.user, bookId) };
+  });
 
-      if (Object.prototype.hasOwnProperty.call(updates, 'genre')) {
-        book.genre = String(updates.genre ?? '').trim();
-      }
+  publish('book.updated', { book });
+  if (readyHolds.length > 0) {
+    publish('hold.changed', { bookId });
+  }
+  res.status(201).json(exemplar);
+});
 
-      if (Object.prototype.hasOwnProperty.call(updates, 'year')) {
-        const value = updates.year;
-        if (value === null || value === '') {
-          book.year = null;
-        } else {
-          const yearValue = Number(value);
-          if (!Number.isFinite(yearValue)) {
-            return res.status(400).json({ error: 'Year must be a number or null.' });
-          }
-          book.year = yearValue;
-        }
-      }
+app.patch('/api/exemplars/:id', requireRole('admin'), validate({
+  summary: 'Update a copy',
+  tags: ['Books'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.ExemplarUpdate,
+  responses: { 200: SCHEMAS.Exemplar },
+  errors: [404, 409],
+}), async (req, res) => {
+  res.json(inTransaction(() => editExemplar(req.user, req.params.id, req.body)));
+});
 
-      if (Object.prototype.hasOwnProperty.call(updates, 'quantity')) {
-        const quantityValue = Number(updates.quantity);
-        if (!Number.isFinite(quantityValue) || quantityValue < 0) {
-          return res.status(400).json({ error: 'Quantity must be a non-negative number.' });
-        }
-        book.quantity = quantityValue;
-      }
+app.delete('/api/exemplars/:id', requireRole('admin'), validate({
+  summary: 'Remove a copy',
+  description: 'A copy that was never issued is deleted, one with loans in its history is kept as withdrawn. '
+    + 'Refused while the copy is on loan.',
+  tags: ['Books'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.Success },
+  errors: [404, 409],
+}), async (req, res) => {
+  const book = inTransaction(() => {
+    const exemplar = getExemplar(req.params.id);
+    removeExemplar(req.user, req.params.id);
+    return syncBookQuantity(req.user, exemplar.bookId);
+  });
+
+  publish('book.updated', { book });
+  res.json({ success: true });
+});
 
-      if (Object.prototype.hasOwnProperty.call(updates, 'barcode')) {
-        const value = updates.barcode;
-        if (value === null || value === '') {
-          book.barcode = null;
-        } else {
-          const barcodeValue = Number(value);
-          if (!Number.isFinite(barcodeValue)) {
-            return res.status(400).json({ error: 'Barcode must be a number or null.' });
-          }
-          book.barcode = barcodeValue;
-        }
-      }
-    }
+// ====================== WRITE-OFFS API ======================
+
+app.get('/api/write-offs', validate({
+  summary: 'Written-off copies, newest first',
+  description: 'from and to are inclusive and apply to the write-off day.',
+  tags: ['Books'],
+  query: SCHEMAS.WriteOffQuery,
+  responses: { 200: { type: 'array', items: SCHEMAS.WriteOff } },
+}), async (req, res) => {
+  res.json(listWriteOffs(req.query));
+});
 
-    await writeJsonFile('books.json', books);
-    res.json(book);
-  } catch (err) {
-    console.error('Error patching book:', err);
-    res.status(500).json({ error: 'Failed to update book.' });
+app.post('/api/exemplars/:id/write-off', requireRole('admin'), validate({
+  summary: 'Write a copy off',
+  description: 'The copy leaves stock for good. A copy on loan can only be written off as lost, '
+    + 'which closes its loan. The reader of a lost or damaged copy can later replace or compensate it.',
+  tags: ['Books'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.WriteOffCreate,
+  responses: { 201: SCHEMAS.WriteOff },
+  errors: [404, 409],
+}), async (req, res) => {
+  const { writeOff, transaction, book } = inTransaction(() => writeOffExemplar(req.user, req.params.id, req.body));
+
+  if (transaction) {
+    publish('loan.closed', { transaction, book });
   }
+  publish('book.updated', { book });
+  res.status(201).json(writeOff);
 });
 
-app.delete('/api/books/:id', async (req, res) => {
-  try {
-    const books = await readJsonFile('books.json');
-    const bookId = parseInt(req.params.id, 10);
+app.post('/api/write-offs/:id/settlement', requireRole('admin', 'librarian'), idempotent(), validate({
+  summary: 'Record a replacement or compensation',
+  description: 'For copies written off with a reader\'s loan. A replacement copy is put on the shelf.',
+  tags: ['Books'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.WriteOffSettlement,
+  responses: { 200: SCHEMAS.WriteOff },
+  errors: [404, 409],
+}), async (req, res) => {
+  const { writeOff, book, readyHolds } = inTransaction(() => settleWriteOff(req.user, req.params.id, req.body));
+
+  publish('book.updated', { book });
+  if (readyHolds.length > 0) {
+    publish('hold.changed', { bookId: book.id });
+  }
+  res.json(writeOff);
+});
 
-    const updatedBooks = books.filter(b => b.id !== bookId);
+// ====================== ACQUISITIONS API ======================
 
-    if (updatedBooks.length === books.length) {
-      return res.status(404).json({ error: 'Book not found.' });
-    }
+app.get('/api/deliveries', validate({
+  summary: 'Received deliveries, newest first',
+  description: 'from and to are inclusive and apply to the day the delivery was received. Lines are left out.',
+  tags: ['Books'],
+  query: SCHEMAS.DeliveryQuery,
+  responses: { 200: { type: 'array', items: SCHEMAS.Delivery } },
+}), async (req, res) => {
+  res.json(listDeliveries({ ...req.query, supplier: req.query.supplier?.trim() }));
+});
 
-    await writeJsonFile('books.json', updatedBooks);
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Error deleting book:', err);
-    res.status(500).json({ error: 'Failed to delete book.' });
+app.get('/api/deliveries/:id', validate({
+  summary: 'A delivery with its lines',
+  tags: ['Books'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.Delivery },
+  errors: [404],
+}), async (req, res) => {
+  const delivery = getDelivery(req.params.id);
+  if (!delivery) {
+    throw new NotFoundError('Delivery not found.');
   }
+  res.json(delivery);
 });
 
-// ====================== STUDENTS API ======================
-
-app.get('/api/students', async (req, res) => {
-  try {
-    const raw = await readJsonFile('students.json');
-    const cleaned = Array.isArray(raw) 
-      ? raw.map(pickStudentFields).filter(Boolean)
-      : [];
-    
-    res.json(cleaned);
-  } catch (err) {
-    console.error('Error reading students:', err);
-    res.status(500).json({ error: 'Failed to load students.' });
+app.post('/api/deliveries', requireRole('admin'), idempotent(), validate({
+  summary: 'Receive a delivery',
+  description: 'Every line puts its copies on the shelf as new copies of a catalog book. A line without bookId '
+    + 'goes to the book with its barcode or with the same title and author, or adds the book to the catalog.',
+  tags: ['Books'],
+  body: SCHEMAS.DeliveryCreate,
+  responses: { 201: SCHEMAS.Delivery },
+  errors: [409],
+}), async (req, res) => {
+  const { delivery, created, updated, readyHolds } = inTransaction(() => receiveDelivery(req.user, req.body));
+
+  for (const book of created) {
+    publish('book.created', { book });
+  }
+  for (const book of updated) {
+    publish('book.updated', { book });
+  }
+  for (const bookId of new Set(readyHolds.map(hold => hold.bookId))) {
+    publish('hold.changed', { bookId });
   }
+  res.status(201).json(delivery);
 });
 
-app.post('/api/students', async (req, res) => {
-  try {
-    let students = await readJsonFile('students.json');
+app.get('/api/reports/acquisitions', validate({
+  summary: 'Acquisitions of a period',
+  description: 'Deliveries received from..to, this month so far by default, with totals per funding source.',
+  tags: ['Reports'],
+  query: SCHEMAS.StatsQuery,
+  responses: { 200: SCHEMAS.AcquisitionReport },
+}), async (req, res) => {
+  const day = today();
+  const { from = `${day.slice(0, 8)}01`, to = day } = req.query;
+  res.json({ period: { from, to }, ...countAcquisitions(from, to) });
+});
 
-    let newStudent;
-    try {
-      newStudent = sanitizeStudentPayload(req.body);
-    } catch (validationError) {
-      return res.status(400).json({
-        error: `Validation error: ${validationError.message}`
-      });
-    }
+// ====================== INVENTORY API ======================
 
-    // Check for duplicate cardId
-    const existingCard = students.find(s => s.cardId === newStudent.cardId);
-    if (existingCard) {
-      return res.status(400).json({
-        error: 'A student with this card ID already exists.'
-      });
-    }
+app.get('/api/inventory', requireRole('admin', 'librarian'), validate({
+  summary: 'Stock-taking sessions, newest first',
+  tags: ['Inventory'],
+  responses: { 200: { type: 'array', items: SCHEMAS.InventorySession } },
+}), async (req, res) => {
+  res.json(listInventorySessions());
+});
+
+app.post('/api/inventory', requireRole('admin', 'librarian'), validate({
+  summary: 'Start stock-taking',
+  description: 'Only one session can be open at a time.',
+  tags: ['Inventory'],
+  body: SCHEMAS.InventoryStart,
+  responses: { 201: SCHEMAS.InventorySession },
+  errors: [409],
+}), async (req, res) => {
+  res.status(201).json(inTransaction(() => startInventory(req.user, req.body)));
+});
+
+app.post('/api/inventory/:id/scans', requireRole('admin', 'librarian'), validate({
+  summary: 'Count a copy found on the shelf',
+  description: 'The code is resolved like /api/scan. A book barcode counts the next copy of the book not counted yet, '
+    + 'a copy counted before is not counted again.',
+  tags: ['Inventory'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.InventoryScanCreate,
+  responses: { 201: SCHEMAS.InventoryScanResult },
+  errors: [404, 409],
+}), async (req, res) => {
+  res.status(201).json(inTransaction(() => recordInventoryScan(req.user, req.params.id, req.body)));
+});
+
+app.get('/api/inventory/:id/report', requireRole('admin', 'librarian'), validate({
+  summary: 'Discrepancy report of a stock-taking session',
+  description: 'Scans are reconciled against the copies in stock minus those on loan. While the session is open '
+    + 'the report shows the scans so far, once it is closed the stored discrepancies and their resolutions.',
+  tags: ['Inventory'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.InventoryReport },
+  errors: [404],
+}), async (req, res) => {
+  res.json(getInventoryReport(req.params.id));
+});
 
-    students = students.map(pickStudentFields).filter(Boolean);
-    students.push(newStudent);
-    
-    await writeJsonFile('students.json', students);
-    res.status(201).json(newStudent);
-  } catch (err) {
-    console.error('Error adding student:', err);
-    res.status(500).json({ error: 'Failed to add student.' });
+app.post('/api/inventory/:id/close', requireRole('admin', 'librarian'), validate({
+  summary: 'Finish stock-taking',
+  description: 'Stores the discrepancies to resolve. Copies without a location get the one they were scanned at.',
+  tags: ['Inventory'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.InventoryReport },
+  errors: [404, 409],
+}), async (req, res) => {
+  res.json(inTransaction(() => closeInventory(req.user, req.params.id)));
+});
+
+app.post('/api/inventory/discrepancies/:id/resolution', requireRole('admin', 'librarian'), idempotent(), validate({
+  summary: 'Resolve a discrepancy',
+  description: 'found records that the copy is in the library after all, lost writes a missing copy off as lost, '
+    + 'written-off writes the copy off for the given reason.',
+  tags: ['Inventory'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.DiscrepancyResolution,
+  responses: { 200: SCHEMAS.Discrepancy },
+  errors: [404, 409],
+}), async (req, res) => {
+  const { discrepancy, book } = inTransaction(() => resolveDiscrepancy(req.user, req.params.id, req.body));
+
+  if (book) {
+    publish('book.updated', { book });
   }
+  res.json(discrepancy);
 });
 
-app.patch('/api/students/:id', async (req, res) => {
-  try {
-    let students = await readJsonFile('students.json');
-    const studentId = parseInt(req.params.id, 10);
+// ====================== STUDENTS API ======================
 
-    if (!Number.isFinite(studentId)) {
-      return res.status(400).json({ error: 'Invalid student ID.' });
-    }
+app.get('/api/students', validate({
+  summary: 'List students',
+  tags: ['Students'],
+  responses: { 200: { type: 'array', items: SCHEMAS.Student } },
+}), async (req, res) => {
+  const cleaned = listStudents().map(pickStudentFields).filter(Boolean);
+  res.json(cleaned);
+});
 
-    const studentIndex = students.findIndex(s => s.studentId === studentId);
-    if (studentIndex === -1) {
-      return res.status(404).json({ error: 'Student not found.' });
+app.post('/api/students', requireRole('admin'), validate({
+  summary: 'Register a student',
+  tags: ['Students'],
+  body: SCHEMAS.StudentInput,
+  responses: { 201: SCHEMAS.Student },
+  errors: [409],
+}), async (req, res) => {
+  const newStudent = sanitizeStudentPayload(req.body);
+
+  // Check for duplicate cardId and insert atomically
+  const created = inTransaction(() => {
+    const sameCard = findStudentByCardId(newStudent.cardId);
+    if (sameCard) {
+      throw new ConflictError(
+        sameCard.archivedAt
+          ? 'An archived student has this card ID, restore them instead.'
+          : 'A student with this card ID already exists.',
+        { code: 'DUPLICATE_CARD_ID' }
+      );
     }
+    const inserted = insertStudent(newStudent);
+    recordAudit(req.user, 'student', null, inserted);
+    return inserted;
+  });
+
+  publish('student.created', { student: created });
+  setETag(res, created);
+  res.status(201).json(created);
+});
 
-    let updatedFields;
-    try {
-      updatedFields = sanitizeStudentPayload({ ...req.body, studentId });
-    } catch (validationError) {
-      return res.status(400).json({
-        error: `Validation error: ${validationError.message}`
-      });
+app.patch('/api/students/:id', requireRole('admin'), requireIfMatch(), validate({
+  summary: 'Update a student',
+  description: 'If-Match must name the current version of the student.',
+  tags: ['Students'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.StudentInput,
+  responses: { 200: SCHEMAS.Student },
+  errors: [404, 409],
+}), async (req, res) => {
+  const studentId = req.params.id;
+  const updatedFields = { ...sanitizeStudentPayload(req.body), studentId };
+
+  const student = inTransaction(() => {
+    const existing = getStudent(studentId);
+    if (!existing || existing.archivedAt) {
+      throw new NotFoundError('Student not found.');
     }
-
-    updatedFields.studentId = studentId;
+    assertVersion(req, existing);
 
     // Check for duplicate cardId (excluding current student)
-    if (updatedFields.cardId !== students[studentIndex].cardId) {
-      const existingCard = students.find(
-        s => s.cardId === updatedFields.cardId && s.studentId !== studentId
-      );
-      if (existingCard) {
-        return res.status(400).json({
-          error: 'A student with this card ID already exists.'
-        });
+    if (updatedFields.cardId !== existing.cardId) {
+      const existingCard = findStudentByCardId(updatedFields.cardId);
+      if (existingCard && existingCard.studentId !== studentId) {
+        throw new ConflictError('A student with this card ID already exists.', { code: 'DUPLICATE_CARD_ID' });
       }
     }
 
-    students[studentIndex] = updatedFields;
-    students = students.map(pickStudentFields).filter(Boolean);
+    const updated = updateStudent(updatedFields);
+    recordAudit(req.user, 'student', existing, updated);
+    return updated;
+  });
 
-    await writeJsonFile('students.json', students);
-    res.json(updatedFields);
-  } catch (err) {
-    console.error('Error updating student:', err);
-    res.status(500).json({ error: 'Failed to update student.' });
-  }
+  publish('student.updated', { student });
+  setETag(res, student);
+  res.json(student);
 });
 
-app.delete('/api/students/:id', async (req, res) => {
-  try {
-    const students = await readJsonFile('students.json');
-    const studentId = parseInt(req.params.id, 10);
+app.delete('/api/students/:id', requireRole('admin'), validate({
+  summary: 'Archive a student',
+  description: 'The student leaves the lists but stays in loan history and reports. '
+    + 'Refused while they have books on loan. Restore or purge them under /api/archive.',
+  tags: ['Students'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.Success },
+  errors: [404, 409],
+}), async (req, res) => {
+  const studentId = req.params.id;
+
+  inTransaction(() => {
+    const existing = getStudent(studentId);
+    if (!existing || existing.archivedAt) {
+      throw new NotFoundError('Student not found.');
+    }
 
-    const updated = students.filter(s => s.studentId !== studentId);
+    const openLoans = countOpenLoansOfStudent(studentId);
+    if (openLoans > 0) {
+      throw new ConflictError(
+        `The student cannot be archived while ${openLoans} ${openLoans === 1 ? 'book is' : 'books are'} on loan to them. Accept them back first.`,
+        { code: 'HAS_OPEN_LOANS', details: { openLoans } }
+      );
+    }
 
-    if (updated.length === students.length) {
-      return res.status(404).json({ error: 'Student not found.' });
+    // Copies set aside for the student go to the next in the queue
+    for (const hold of listHolds({ studentId })) {
+      cancelHold(req.user, hold.id);
     }
+    recordAudit(req.user, 'student', existing, setStudentArchived(studentId, new Date().toISOString()));
+  });
 
-    await writeJsonFile('students.json', updated);
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Error deleting student:', err);
-    res.status(500).json({ error: 'Failed to delete student.' });
-  }
+  // For open pages the student is gone from the lists
+  publish('student.deleted', { studentId });
+  res.json({ success: true });
 });
 
-// ====================== TRANSACTIONS API ======================
+// ====================== ARCHIVE API ======================
+
+app.get('/api/archive', requireRole('admin'), validate({
+  summary: 'Archived books and students',
+  tags: ['Archive'],
+  responses: { 200: SCHEMAS.Archive },
+}), async (req, res) => {
+  res.json({ books: listArchivedBooks(), students: listArchivedStudents() });
+});
 
-app.get('/api/transactions', async (req, res) => {
-  try {
-    const transactions = await readJsonFile('transactions.json');
-    res.json(transactions);
-  } catch (err) {
-    console.error('Error reading transactions:', err);
-    res.status(500).json({ error: 'Failed to load transactions.' });
+/**
+ * Looks up an archived record for restore or purge
+ * @throws {NotFoundError} if the record does not exist or is not archived
+ */
+const getArchived = (entity, id) => {
+  const record = entity === 'book' ? getBook(id) : getStudent(id);
+  if (!record?.archivedAt) {
+    throw new NotFoundError(entity === 'book' ? 'Archived book not found.' : 'Archived student not found.');
   }
+  return record;
+};
+
+app.post('/api/archive/books/:id/restore', requireRole('admin'), validate({
+  summary: 'Return an archived book to the catalog',
+  tags: ['Archive'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.Book },
+  errors: [404],
+}), async (req, res) => {
+  const book = inTransaction(() => {
+    const existing = getArchived('book', req.params.id);
+    const restored = setBookArchived(existing.id, null);
+    recordAudit(req.user, 'book', existing, restored);
+    return restored;
+  });
+
+  publish('book.created', { book });
+  setETag(res, book);
+  res.json(book);
 });
 
-app.post('/api/transactions', async (req, res) => {
-  try {
-    const transactions = await readJsonFile('transactions.json');
-    const { studentId, bookId, action, date } = req.body;
+app.post('/api/archive/students/:id/restore', requireRole('admin'), validate({
+  summary: 'Return an archived student to the lists',
+  tags: ['Archive'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.Student },
+  errors: [404],
+}), async (req, res) => {
+  const student = inTransaction(() => {
+    const existing = getArchived('student', req.params.id);
+    const restored = setStudentArchived(existing.studentId, null);
+    recordAudit(req.user, 'student', existing, restored);
+    return restored;
+  });
+
+  publish('student.created', { student });
+  setETag(res, student);
+  res.json(student);
+});
 
-    if (!studentId || !bookId || !action) {
-      return res.status(400).json({
-        error: 'Missing required fields: studentId, bookId, action.'
-      });
+app.delete('/api/archive/books/:id', requireRole('admin'), validate({
+  summary: 'Permanently delete an archived book',
+  description: 'Its loan history is deleted with it.',
+  tags: ['Archive'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.PurgeResult },
+  errors: [404],
+}), async (req, res) => {
+  const deletedTransactions = inTransaction(() => {
+    const existing = getArchived('book', req.params.id);
+    for (const transaction of listTransactions({ bookId: existing.id })) {
+      recordAudit(req.user, 'transaction', transaction, null);
     }
+    const count = deleteTransactionsOfBook(existing.id);
+    deleteBook(existing.id);
+    recordAudit(req.user, 'book', existing, null);
+    return count;
+  });
+
+  publish('data.reloaded');
+  res.json({ success: true, deletedTransactions });
+});
 
-    const studentIdNum = Number(studentId);
-    const bookIdNum = Number(bookId);
-    if (!Number.isFinite(studentIdNum) || !Number.isFinite(bookIdNum)) {
-      return res.status(400).json({ error: 'Invalid studentId or bookId.' });
+app.delete('/api/archive/students/:id', requireRole('admin'), validate({
+  summary: 'Permanently delete an archived student',
+  description: 'Their loan history is deleted with them.',
+  tags: ['Archive'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.PurgeResult },
+  errors: [404],
+}), async (req, res) => {
+  const deletedTransactions = inTransaction(() => {
+    const existing = getArchived('student', req.params.id);
+    for (const transaction of listTransactions({ studentId: existing.studentId })) {
+      recordAudit(req.user, 'transaction', transaction, null);
     }
+    const count = deleteTransactionsOfStudent(existing.studentId);
+    deleteStudent(existing.studentId);
+    recordAudit(req.user, 'student', existing, null);
+    return count;
+  });
+
+  publish('data.reloaded');
+  res.json({ success: true, deletedTransactions });
+});
+
+// ====================== TRANSACTIONS API ======================
+
+app.get('/api/transactions', validate({
+  summary: 'Raw issue/return log',
+  description: 'from and to are inclusive and apply to the transaction date.',
+  tags: ['Loans'],
+  query: SCHEMAS.TransactionQuery,
+  responses: { 200: { type: 'array', items: SCHEMAS.Transaction } },
+}), async (req, res) => {
+  res.json(listTransactions(req.query));
+});
 
-    const actionNormalized = String(action);
-    if (!['taken', 'returned'].includes(actionNormalized)) {
-      return res.status(400).json({
-        error: 'action must be either "taken" or "returned".'
-      });
+app.post('/api/transactions', requireRole('admin', 'librarian'), idempotent(), validate({
+  summary: 'Record an issue or a return without touching stock',
+  description: 'Issues take no copy off the shelf but are held to the borrowing policy like /api/loans/checkout, '
+    + 'a blocked student gets the book only with override. A return puts back the copy its issue took, if any.',
+  tags: ['Loans'],
+  body: SCHEMAS.TransactionCreate,
+  responses: { 201: SCHEMAS.Transaction },
+  errors: [404, 409],
+}), async (req, res) => {
+  const { studentId, bookId, action, date, dueDate, override } = req.body;
+
+  // The balance check and the insert must see the same log, otherwise two
+  // simultaneous returns could both pass the check
+  const { newTransaction, fine, readyHold } = inTransaction(() => {
+    const student = getStudent(studentId);
+    if (!student) {
+      throw new NotFoundError('Student not found.');
+    }
+    const book = getBook(bookId);
+    if (!book) {
+      throw new NotFoundError('Book not found.');
+    }
+    if (student.archivedAt || book.archivedAt) {
+      throw new ConflictError(`The ${student.archivedAt ? 'student' : 'book'} is archived.`, { code: 'ARCHIVED' });
     }
 
-    const dateStr = date || new Date().toISOString().slice(0, 10);
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-      return res.status(400).json({
-        error: 'Invalid date format (expected yyyy-mm-dd).'
-      });
+    const overriddenBlocks = action === 'taken' ? checkBorrowing(studentId, override) : [];
+    const created = action === 'returned'
+      ? recordReturn(req.user, { studentId, bookId, returnedAt: date })
+      : recordIssue(req.user, { studentId, bookId, issuedAt: date, dueDate });
+
+    if (!created) {
+      throw new ConflictError(
+        'Transaction rejected: no outstanding issue found for this student/book pair.',
+        { code: 'NO_OPEN_LOAN' }
+      );
     }
+    // Only returns carry a copy here, it goes to the first student in the queue if there is one
+    let ready = null;
+    if (created.exemplarId) {
+      [ready = null] = restockBook(req.user, bookId).readyHolds;
+    }
+    if (overriddenBlocks.length > 0) {
+      recordLoanOverride(req.user, { loanId: created.id, studentId, blocks: overriddenBlocks, reason: override.reason });
+    }
+    return {
+      newTransaction: created,
+      fine: action === 'returned' ? assessFine(req.user, created) : null,
+      readyHold: ready,
+    };
+  });
 
-    let warnValue;
-    if (actionNormalized === 'returned') {
-      const balance = transactions.reduce((acc, tr) => {
-        if (Number(tr.studentId) !== studentIdNum || Number(tr.bookId) !== bookIdNum) {
-          return acc;
-        }
-        if (tr.action === 'taken') return acc + 1;
-        if (tr.action === 'returned') return acc - 1;
-        return acc;
-      }, 0);
+  publish(newTransaction.action === 'taken' ? 'loan.opened' : 'loan.closed', { transaction: newTransaction });
+  if (readyHold) {
+    publish('hold.changed', { bookId });
+  }
+  if (fine) {
+    publish('fine.changed', { studentId });
+  }
+  res.status(201).json(newTransaction);
+});
 
-      if (balance <= 0) {
-        return res.status(409).json({
-          error: 'Transaction rejected: no outstanding issue found for this student/book pair.'
-        });
-      }
+// ====================== LOANS API ======================
 
-      const pairTransactions = transactions
-        .filter(tr => Number(tr.studentId) === studentIdNum && Number(tr.bookId) === bookIdNum)
-        .sort((a, b) => getTransactionOrderValue(a) - getTransactionOrderValue(b));
-
-      const openTakens = [];
-      for (const tr of pairTransactions) {
-        if (tr.action === 'taken') {
-          openTakens.push(tr);
-        } else if (tr.action === 'returned' && openTakens.length > 0) {
-          openTakens.shift();
-        }
-      }
+app.get('/api/loans', validate({
+  summary: 'Loans with student and book joined',
+  tags: ['Loans'],
+  query: SCHEMAS.LoanQuery,
+  responses: { 200: SCHEMAS.LoanPage },
+}), async (req, res) => {
+  const { direction } = req.query;
+  const filters = { ...req.query, student: req.query.student?.trim(), book: req.query.book?.trim() };
 
-      const relatedTaken = openTakens.length > 0 ? openTakens[0] : null;
-      const dueDateStr = typeof relatedTaken?.date === 'string' ? relatedTaken.date : null;
-      if (dueDateStr) {
-        const dueTime = Date.parse(dueDateStr);
-        const returnTime = Date.parse(dateStr);
-        if (Number.isFinite(dueTime) && Number.isFinite(returnTime)) {
-          warnValue = returnTime > dueTime;
-        }
-      }
-    }
+  const { page, pageSize, limit, offset } = parsePagination(req.query, 20);
+  const { items, total } = listLoans(filters, { today: today(), direction, limit, offset });
+  res.json({ items, total, page, pageSize });
+});
 
-    const newTransaction = {
-      id: Date.now(),
-      studentId: studentIdNum,
-      bookId: bookIdNum,
-      action: actionNormalized,
-      date: dateStr,
-    };
+// Issues a book: checks stock, records the "taken" transaction and takes the copy off the shelf at once
+app.post('/api/loans/checkout', requireRole('admin', 'librarian'), idempotent(), validate({
+  summary: 'Issue a book',
+  description: 'Checks stock and the borrowing policy (see GET /api/students/{id}/borrowing), records the issue '
+    + 'and takes a copy from the shelf in one transaction. A blocked student gets the book only with override. '
+    + 'Without exemplarId the oldest copy on the shelf is issued.',
+  tags: ['Loans'],
+  body: SCHEMAS.CheckoutRequest,
+  responses: { 201: SCHEMAS.LoanResult },
+  errors: [404, 409],
+}), async (req, res) => {
+  const { studentId, bookId, exemplarId, dueDate, override } = req.body;
+
+  const result = inTransaction(() => {
+    const student = getStudent(studentId);
+    if (!student) {
+      throw new NotFoundError('Student not found.');
+    }
+    if (student.archivedAt) {
+      throw new ConflictError('The student is archived.', { code: 'ARCHIVED' });
+    }
+    const overriddenBlocks = checkBorrowing(studentId, override);
 
-    if (typeof warnValue === 'boolean' && warnValue) {
-      newTransaction.warn = true;
+    const book = getBook(bookId);
+    if (!book) {
+      throw new NotFoundError('Book not found.');
+    }
+    if (book.archivedAt) {
+      throw new ConflictError('The book is archived.', { code: 'ARCHIVED' });
+    }
+    const exemplar = pickExemplar(bookId, exemplarId);
+    if (!exemplar) {
+      throw new ConflictError('No copies of this book are available.', { code: 'NO_COPIES_AVAILABLE' });
     }
 
-    transactions.push(newTransaction);
-    await writeJsonFile('transactions.json', transactions);
-    res.status(201).json(newTransaction);
-  } catch (err) {
-    console.error('Error adding transaction:', err);
-    res.status(500).json({ error: 'Unexpected error while recording the transaction.' });
+    const transaction = recordIssue(req.user, { studentId, bookId, exemplarId: exemplar.id, dueDate });
+    const updatedBook = syncBookQuantity(req.user, bookId);
+    const hold = fulfillHold(req.user, { studentId, bookId });
+    const loanOverride = overriddenBlocks.length > 0
+      ? recordLoanOverride(req.user, { loanId: transaction.id, studentId, blocks: overriddenBlocks, reason: override.reason })
+      : null;
+    return { transaction, book: updatedBook, hold, override: loanOverride };
+  });
+
+  const { hold, ...loan } = result;
+  publish('loan.opened', loan);
+  if (hold) {
+    publish('hold.changed', { bookId });
   }
+  res.status(201).json(loan);
 });
 
-// ====================== STATS API ======================
-
-app.get('/api/stats', async (req, res) => {
-  try {
-    const [books, transactions] = await Promise.all([
-      readJsonFile('books.json'),
-      readJsonFile('transactions.json')
-    ]);
-
-    const total = Array.isArray(books) ? books.length : 0;
-
-    // Calculate books on hands (net taken - returned per book)
-    const netByBook = {};
-    for (const t of Array.isArray(transactions) ? transactions : []) {
-      if (!t.bookId) continue;
-      
-      if (t.action === 'taken') {
-        netByBook[t.bookId] = (netByBook[t.bookId] || 0) + 1;
-      } else if (t.action === 'returned') {
-        netByBook[t.bookId] = (netByBook[t.bookId] || 0) - 1;
-      }
+// Accepts a book back: closes the oldest open loan and puts its copy back on the shelf at once
+app.post('/api/loans/checkin', requireRole('admin', 'librarian'), idempotent(), validate({
+  summary: 'Accept a book back',
+  description: 'Closes the oldest open loan of the pair and returns the copy to the shelf in one transaction.',
+  tags: ['Loans'],
+  body: SCHEMAS.CheckinRequest,
+  responses: { 201: SCHEMAS.LoanResult },
+  errors: [404, 409],
+}), async (req, res) => {
+  const { studentId, bookId, date } = req.body;
+
+  const result = inTransaction(() => {
+    const book = getBook(bookId);
+    if (!book) {
+      throw new NotFoundError('Book not found.');
     }
-    const onHands = Object.values(netByBook).reduce((acc, v) => acc + Math.max(0, v), 0);
-
-    // Calculate overdue: books with last "taken" action before today and no subsequent "returned"
-    const today = new Date().toISOString().slice(0, 10);
-    const lastActionByPair = new Map();
-    
-    for (const t of Array.isArray(transactions) ? transactions : []) {
-      const key = `${t.studentId}:${t.bookId}`;
-      const prev = lastActionByPair.get(key);
-      
-      if (!prev || getTransactionOrderValue(t) > getTransactionOrderValue(prev)) {
-        lastActionByPair.set(key, t);
-      }
+
+    const transaction = recordReturn(req.user, { studentId, bookId, returnedAt: date });
+    if (!transaction) {
+      throw new ConflictError('No outstanding issue found for this student/book pair.', { code: 'NO_OPEN_LOAN' });
     }
 
-    let overdue = 0;
-    for (const [, lastAction] of lastActionByPair) {
-      if (lastAction.action === 'taken' && lastAction.date && lastAction.date < today) {
-        overdue++;
-      }
+    // Issues recorded without a copy bring back one the library did not know of
+    if (!transaction.exemplarId) {
+      addExemplar(req.user, bookId);
     }
+    const { book: updatedBook, readyHolds: [readyHold = null] } = restockBook(req.user, bookId);
+    const fine = assessFine(req.user, transaction);
+    return { transaction, book: updatedBook, readyHold, fine };
+  });
+
+  publish('loan.closed', result);
+  if (result.readyHold) {
+    publish('hold.changed', { bookId });
+  }
+  if (result.fine) {
+    publish('fine.changed', { studentId });
+  }
+  res.status(201).json(result);
+});
 
-    res.json({
-      total,
-      onHands,
-      overdue,
-      newThisMonth: 0, // TODO: Implement if needed
-      writtenOff: 0,   // TODO: Implement if needed
-    });
-  } catch (err) {
-    console.error('Error computing stats:', err);
-    res.status(500).json({ error: 'Failed to compute stats.' });
+app.get('/api/loans/:id', validate({
+  summary: 'A loan with its renewals',
+  tags: ['Loans'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.LoanDetails },
+  errors: [404],
+}), async (req, res) => {
+  const loan = getLoanWithRenewals(req.params.id);
+  if (!loan) {
+    throw new NotFoundError('Loan not found.');
   }
+  res.json(loan);
 });
 
-// ====================== STUDENT HISTORY API ======================
+// Moves the due date of an open loan, the book stays with the student
+app.post('/api/loans/:id/renew', requireRole('admin', 'librarian'), idempotent(), validate({
+  summary: 'Renew a loan',
+  description: 'Moves the due date to a workday within LOAN_MAX_DAYS, at most LOAN_MAX_RENEWALS times. '
+    + 'Refused while another student holds the book.',
+  tags: ['Loans'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.RenewRequest,
+  responses: { 200: SCHEMAS.RenewResult },
+  errors: [404, 409],
+}), async (req, res) => {
+  const result = inTransaction(() => renewLoan(req.user, req.params.id, req.body));
+
+  publish('loan.renewed', { transaction: result.transaction });
+  res.json(result);
+});
 
-app.get('/api/students/:id/history', async (req, res) => {
-  try {
-    const studentId = parseInt(req.params.id, 10);
-    if (!Number.isFinite(studentId)) {
-      return res.status(400).json({ error: 'Invalid student id.' });
-    }
+// ====================== HOLDS API ======================
 
-    const [studentsRaw, booksRaw, transactionsRaw] = await Promise.all([
-      readJsonFile('students.json'),
-      readJsonFile('books.json'),
-      readJsonFile('transactions.json')
-    ]);
+app.get('/api/holds', validate({
+  summary: 'Active holds in queue order',
+  description: 'Waiting and ready holds, by book. position is the place in the queue of the book.',
+  tags: ['Loans'],
+  query: SCHEMAS.HoldQuery,
+  responses: { 200: { type: 'array', items: SCHEMAS.Hold } },
+}), async (req, res) => {
+  res.json(listHolds(req.query));
+});
 
-    const students = Array.isArray(studentsRaw) ? studentsRaw : [];
-    const books = Array.isArray(booksRaw) ? booksRaw : [];
-    const transactions = Array.isArray(transactionsRaw) ? transactionsRaw : [];
+app.post('/api/holds', requireRole('admin', 'librarian'), validate({
+  summary: 'Put a student into the queue for a book',
+  description: 'Only for books without a free copy on the shelf. When a copy comes back it is set aside '
+    + 'for the first student in the queue for HOLD_PICKUP_DAYS workdays.',
+  tags: ['Loans'],
+  body: SCHEMAS.HoldCreate,
+  responses: { 201: SCHEMAS.Hold },
+  errors: [404, 409],
+}), async (req, res) => {
+  const hold = inTransaction(() => placeHold(req.user, req.body));
+
+  publish('hold.changed', { bookId: hold.bookId });
+  res.status(201).json(hold);
+});
 
-    const student = students.find(s => Number(s.studentId) === studentId);
-    if (!student) {
-      return res.status(404).json({ error: 'Student not found.' });
+app.delete('/api/holds/:id', requireRole('admin', 'librarian'), validate({
+  summary: 'Cancel a hold',
+  description: 'A copy set aside for it goes to the next student in the queue.',
+  tags: ['Loans'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.Hold },
+  errors: [404, 409],
+}), async (req, res) => {
+  const hold = inTransaction(() => cancelHold(req.user, req.params.id));
+
+  publish('hold.changed', { bookId: hold.bookId });
+  res.json(hold);
+});
+
+// Ready holds not picked up in time give their copy to the next student in the queue
+const scheduleHoldExpiry = () => {
+  const runExpiry = () => {
+    try {
+      const expired = inTransaction(() => expireHolds(null));
+      for (const bookId of new Set(expired.map(hold => hold.bookId))) {
+        publish('hold.changed', { bookId });
+      }
+      if (expired.length > 0) {
+        logger.info('Holds expired', { count: expired.length });
+      }
+    } catch (err) {
+      logger.error('Hold expiry failed', { err });
     }
+  };
 
-    const bookMap = new Map(
-      books.map(book => [Number(book.id), book])
-    );
+  runExpiry();
+  setInterval(runExpiry, 60 * 60 * 1000).unref();
+};
 
-    const studentTransactions = transactions
-      .filter(tr => Number(tr.studentId) === studentId)
-      .sort((a, b) => getTransactionOrderValue(a) - getTransactionOrderValue(b));
+// ====================== FINES API ======================
 
-    const pendingByBook = new Map();
-    const history = [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayMs = today.getTime();
+app.get('/api/fines', validate({
+  summary: 'Fine balances of every student who owes or is owed something',
+  tags: ['Fines'],
+  responses: { 200: { type: 'array', items: SCHEMAS.FineBalance } },
+}), async (req, res) => {
+  res.json(listFineBalances());
+});
 
-    const toTime = (value) => {
-      if (!value) return Number.NaN;
-      const parsed = Date.parse(value);
-      return Number.isFinite(parsed) ? parsed : Number.NaN;
-    };
+app.get('/api/students/:id/fines', validate({
+  summary: 'Fine ledger of a student',
+  description: 'Fines are assessed when a late book comes back: FINE_DAILY_RATE per late workday '
+    + 'after FINE_GRACE_DAYS, at most FINE_MAX_AMOUNT per loan.',
+  tags: ['Fines'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.FineAccount },
+  errors: [404],
+}), async (req, res) => {
+  res.json(getFineAccount(req.params.id));
+});
 
-    const buildEntry = (taken, returned) => {
-      const related = taken ?? returned ?? null;
-      const bookId = Number(related?.bookId);
-      const book = bookMap.get(bookId) || null;
-      const dueDate = typeof taken?.date === 'string' ? taken.date : null;
-      const returnDate = typeof returned?.date === 'string' ? returned.date : null;
-
-      const dueTime = toTime(dueDate);
-      const returnTime = toTime(returnDate);
-
-      let status = 'on-hands';
-      let overdue = false;
-
-      if (returnDate) {
-        overdue =
-          (Number.isFinite(dueTime) && Number.isFinite(returnTime) && returnTime > dueTime) ||
-          Boolean(returned?.warn);
-        status = overdue ? 'returned-late' : 'returned';
-      } else {
-        overdue = Number.isFinite(dueTime) && dueTime < todayMs;
-        status = overdue ? 'overdue' : 'on-hands';
-      }
+app.post('/api/students/:id/fines/payments', requireRole('admin', 'librarian'), idempotent(), validate({
+  summary: 'Record a fine payment',
+  tags: ['Fines'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.FinePayment,
+  responses: { 201: SCHEMAS.FineAccount },
+  errors: [404, 409],
+}), async (req, res) => {
+  const account = inTransaction(() => payFine(req.user, req.params.id, req.body));
+
+  publish('fine.changed', { studentId: account.studentId });
+  res.status(201).json(account);
+});
 
-      const statusLabel = (() => {
-        switch (status) {
-          case 'returned-late':
-            return 'Возвращена с просрочкой';
-          case 'returned':
-            return 'Возвращена вовремя';
-          case 'overdue':
-            return 'На руках (просрочено)';
-          default:
-            return 'На руках';
-        }
-      })();
-
-      const referenceTime = Number.isFinite(returnTime)
-        ? returnTime
-        : (Number.isFinite(dueTime) ? dueTime : 0);
-
-      history.push({
-        id: `${studentId}-${bookId}-${taken?.id ?? 'open'}-${returned?.id ?? 'pending'}`,
-        bookId: book?.id ?? null,
-        title: book?.title ?? '—',
-        author: book?.author ?? '—',
-        dueDate,
-        returnDate,
-        overdue,
-        status,
-        statusLabel,
-        referenceTime,
-        warn: Boolean(taken?.warn || returned?.warn),
-      });
-    };
+app.post('/api/students/:id/fines/waivers', requireRole('admin'), validate({
+  summary: 'Forgive part or all of a student\'s fines',
+  tags: ['Fines'],
+  params: SCHEMAS.IdParams,
+  body: SCHEMAS.FineWaiver,
+  responses: { 201: SCHEMAS.FineAccount },
+  errors: [404, 409],
+}), async (req, res) => {
+  const account = inTransaction(() => waiveFine(req.user, req.params.id, req.body));
+
+  publish('fine.changed', { studentId: account.studentId });
+  res.status(201).json(account);
+});
 
-    for (const tr of studentTransactions) {
-      const bookId = Number(tr.bookId);
-      if (!pendingByBook.has(bookId)) {
-        pendingByBook.set(bookId, []);
-      }
+// ====================== STATS API ======================
 
-      if (tr.action === 'taken') {
-        pendingByBook.get(bookId).push(tr);
-      } else if (tr.action === 'returned') {
-        const queue = pendingByBook.get(bookId);
-        const taken = queue && queue.length > 0 ? queue.shift() : null;
-        buildEntry(taken, tr);
-      }
+app.get('/api/stats', validate({
+  summary: 'Dashboard counters',
+  description: 'Acquisitions and write-offs are counted from..to, this month so far by default.',
+  tags: ['Reports'],
+  query: SCHEMAS.StatsQuery,
+  responses: { 200: SCHEMAS.Stats },
+}), async (req, res) => {
+  const day = today();
+  const { from = `${day.slice(0, 8)}01`, to = day } = req.query;
+  const total = listBooks().filter(book => !book.archivedAt).length;
+  const onHands = listLoans({ status: 'open' }, { today: day, limit: 0 }).total;
+  const overdue = listLoans({ status: 'open', overdue: true }, { today: day, limit: 0 }).total;
+  const dueToday = listLoans({ status: 'open', dueFrom: day, dueTo: day }, { today: day, limit: 0 }).total;
+  const issuedToday = listLoans({ issuedFrom: day, issuedTo: day }, { today: day, limit: 0 }).total;
+  const acquisitions = countAcquisitions(from, to);
+  const writeOffs = countWriteOffs(from, to);
+
+  res.json({
+    total,
+    onHands,
+    overdue,
+    issuedToday,
+    dueToday,
+    newThisMonth: acquisitions.copies,
+    period: { from, to },
+    writtenOff: writeOffs.total,
+    writtenOffByReason: writeOffs.byReason,
+  });
+});
+
+// ====================== STUDENT HISTORY API ======================
+
+app.get('/api/students/:id/borrowing', validate({
+  summary: 'Whether a student may borrow another book',
+  description: 'LOAN_LIMITS by grade, overdue books and unpaid fines can block new loans until a librarian overrides it.',
+  tags: ['Students'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.BorrowingStatus },
+  errors: [404],
+}), async (req, res) => {
+  res.json(getBorrowingStatus(req.params.id));
+});
+
+app.get('/api/students/:id/history', validate({
+  summary: 'Everything a student has borrowed, newest first',
+  tags: ['Students'],
+  params: SCHEMAS.IdParams,
+  responses: { 200: SCHEMAS.StudentHistory },
+  errors: [404],
+}), async (req, res) => {
+  const studentId = req.params.id;
+
+  const student = getStudent(studentId);
+  if (!student) {
+    throw new NotFoundError('Student not found.');
+  }
+
+  const bookMap = new Map(
+    listBooks().map(book => [Number(book.id), book])
+  );
+  const renewalsByLoan = new Map(
+    listLoans({ studentId }, { today: today() }).items.map(loan => [loan.id, loan.renewals])
+  );
+  const finesByLoan = getAssessedFinesByLoan(studentId);
+  const writeOffsByLoan = getWriteOffsByLoan(studentId);
+
+  const studentTransactions = listTransactionsByStudent(studentId)
+    .sort((a, b) => getTransactionOrderValue(a) - getTransactionOrderValue(b));
+
+  const pendingByBook = new Map();
+  const history = [];
+  // Same day as listLoans judges overdue loans by
+  const day = today();
+
+  const toTime = (value) => {
+    if (!value) return Number.NaN;
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : Number.NaN;
+  };
+
+  const buildEntry = (taken, returned) => {
+    const related = taken ?? returned ?? null;
+    const bookId = Number(related?.bookId);
+    const book = bookMap.get(bookId) || null;
+    const issuedAt = taken?.issuedAt ?? null;
+    const dueDate = taken?.dueDate ?? returned?.dueDate ?? null;
+    const returnDate = returned?.returnedAt ?? null;
+
+    const dueTime = toTime(dueDate);
+    const returnTime = toTime(returnDate);
+
+    let status = 'on-hands';
+    let overdue = false;
+    const writeOff = writeOffsByLoan.get(taken?.id) ?? null;
+
+    if (writeOff?.reason === 'lost') {
+      status = 'lost';
+    } else if (returnDate) {
+      overdue =
+        (Number.isFinite(dueTime) && Number.isFinite(returnTime) && returnTime > dueTime) ||
+        Boolean(returned?.warn);
+      status = overdue ? 'returned-late' : 'returned';
+    } else {
+      overdue = Boolean(dueDate) && dueDate < day;
+      status = overdue ? 'overdue' : 'on-hands';
     }
 
-    for (const queue of pendingByBook.values()) {
-      for (const taken of queue) {
-        buildEntry(taken, null);
+    const statusLabel = (() => {
+      switch (status) {
+        case 'returned-late':
+          return 'Возвращена с просрочкой';
+        case 'returned':
+          return 'Возвращена вовремя';
+        case 'overdue':
+          return 'На руках (просрочено)';
+        case 'lost':
+          return 'Утеряна';
+        default:
+          return 'На руках';
       }
-    }
+    })();
+
+    const referenceTime = Number.isFinite(returnTime)
+      ? returnTime
+      : (Number.isFinite(dueTime) ? dueTime : 0);
+
+    history.push({
+      id: `${studentId}-${bookId}-${taken?.id ?? 'open'}-${returned?.id ?? 'pending'}`,
+      bookId: book?.id ?? null,
+      title: book?.title ?? '—',
+      author: book?.author ?? '—',
+      loanId: taken?.id ?? null,
+      renewals: renewalsByLoan.get(taken?.id) ?? 0,
+      fine: returnDate
+        ? finesByLoan.get(taken?.id) ?? 0
+        : (dueDate ? computeFine(dueDate, day).amount : 0),
+      issuedAt,
+      dueDate,
+      returnDate,
+      overdue,
+      status,
+      statusLabel,
+      writeOff,
+      referenceTime,
+      warn: Boolean(taken?.warn || returned?.warn),
+    });
+  };
 
-    history.sort((a, b) => b.referenceTime - a.referenceTime);
+  for (const tr of studentTransactions) {
+    const bookId = Number(tr.bookId);
+    if (!pendingByBook.has(bookId)) {
+      pendingByBook.set(bookId, []);
+    }
 
-    const summary = {
-      total: history.length,
-      active: history.filter(item => !item.returnDate).length,
-      overdue: history.filter(item => item.overdue).length,
-    };
+    if (tr.action === 'taken') {
+      pendingByBook.get(bookId).push(tr);
+    } else if (tr.action === 'returned') {
+      const queue = pendingByBook.get(bookId);
+      const taken = queue && queue.length > 0 ? queue.shift() : null;
+      buildEntry(taken, tr);
+    }
+  }
 
-    res.json({
-      student: {
-        studentId,
-        name: student.name,
-        grade: student.grade,
-        gradeLetter: student.gradeLetter,
-      },
-      history,
-      summary,
-    });
-  } catch (err) {
-    console.error('Error building student history:', err);
-    res.status(500).json({ error: 'Failed to load student history.' });
+  for (const queue of pendingByBook.values()) {
+    for (const taken of queue) {
+      buildEntry(taken, null);
+    }
   }
+
+  history.sort((a, b) => b.referenceTime - a.referenceTime);
+
+  const summary = {
+    total: history.length,
+    active: history.filter(item => !item.returnDate).length,
+    overdue: history.filter(item => item.overdue).length,
+  };
+
+  res.json({
+    student: {
+      studentId,
+      name: student.name,
+      grade: student.grade,
+      gradeLetter: student.gradeLetter,
+    },
+    history,
+    summary,
+  });
 });
 
 // ====================== SCANNER API ======================
 
-app.get('/api/scan/:code', async (req, res) => {
-  try {
-    const code = req.params.code.trim().toLowerCase();
-    
-    if (!code) {
-      return res.status(400).json({ error: 'Scan code is required.' });
-    }
+app.get('/api/scan/:code', validate({
+  summary: 'Resolve a scanned barcode or library card',
+  tags: ['Scanner'],
+  params: SCHEMAS.ScanParams,
+  responses: { 200: SCHEMAS.ScanResult },
+  errors: [404],
+}), async (req, res) => {
+  // Copies first, then books by barcode
+  const stock = findStockByCode(req.params.code);
+  if (stock?.exemplar) {
+    return res.json({ type: 'exemplar', data: stock.book, exemplar: stock.exemplar });
+  }
+  if (stock) {
+    return res.json({ type: 'book', data: stock.book });
+  }
 
-    const [books, students] = await Promise.all([
-      readJsonFile('books.json'),
-      readJsonFile('students.json')
-    ]);
+  const code = req.params.code.trim().toLowerCase();
 
-    // Search in books by barcode
-    const book = books.find(b => String(b.barcode).toLowerCase() === code);
-    if (book) {
-      return res.json({ type: 'book', data: book });
-    }
+  // Search in students by normalized cardId (stored already normalized)
+  const student = findStudentByCardId(code);
 
-    // Search in students by normalized cardId
-    const student = students.find(s => {
-      const normalizedCardId = normalizeCardId(s.cardId);
-      return normalizedCardId === code;
-    });
-    
-    if (student) {
-      const cleaned = pickStudentFields(student);
-      return res.json({ type: 'student', data: cleaned });
-    }
-
-    res.status(404).json({ error: 'No matching record found.' });
-  } catch (err) {
-    console.error('Error scanning code:', err);
-    res.status(500).json({ error: 'Failed to process scan request.' });
+  if (student && !student.archivedAt) {
+    const cleaned = pickStudentFields(student);
+    return res.json({ type: 'student', data: cleaned });
   }
+
+  throw new NotFoundError('No matching record found.');
+});
+
+// ====================== EVENTS API ======================
+
+// Server-Sent Events stream of data changes, see events.js for the event types
+app.get('/api/events', validate({
+  summary: 'Live stream of data changes (Server-Sent Events)',
+  description: `Event types: ${EVENT_TYPES.join(', ')}. EventSource cannot send headers, `
+    + 'so the token may be passed as ?access_token= on this route only.',
+  tags: ['Events'],
+  responses: { 200: 'text/event-stream' },
+}), eventStream);
+
+// ====================== AUDIT API ======================
+
+app.get('/api/audit', requireRole('admin'), validate({
+  summary: 'Audit log of data changes, newest first',
+  tags: ['Audit'],
+  query: SCHEMAS.AuditQuery,
+  responses: { 200: SCHEMAS.AuditPage },
+}), async (req, res) => {
+  const { page, pageSize, limit, offset } = parsePagination(req.query, 50);
+  const { items, total } = listAuditEntries(req.query, { limit, offset });
+  res.json({ items, total, page, pageSize });
+});
+
+// ====================== BACKUPS API ======================
+
+app.get('/api/backups', requireRole('admin'), validate({
+  summary: 'List database snapshots, newest first',
+  tags: ['Backups'],
+  responses: { 200: { type: 'array', items: SCHEMAS.Backup } },
+}), async (req, res) => {
+  res.json(listBackups());
+});
+
+app.post('/api/backups', requireRole('admin'), validate({
+  summary: 'Take a snapshot now',
+  tags: ['Backups'],
+  responses: { 201: SCHEMAS.Backup },
+}), async (req, res) => {
+  const backup = await createBackup();
+  logger.info('Backup created', { requestId: req.id, backup: backup.name, username: req.user.username });
+  res.status(201).json(backup);
+});
+
+app.get('/api/backups/:name/download', requireRole('admin'), validate({
+  summary: 'Download a snapshot',
+  tags: ['Backups'],
+  params: SCHEMAS.BackupParams,
+  responses: { 200: 'application/vnd.sqlite3' },
+  errors: [404],
+}), async (req, res) => {
+  res.download(resolveBackupPath(req.params.name));
+});
+
+// Replaces books, students and transactions with the snapshot contents after validating it
+app.post('/api/backups/:name/restore', requireRole('admin'), validate({
+  summary: 'Restore a snapshot',
+  description: 'Users, sessions and the audit log are kept. A pre-restore snapshot is taken first.',
+  tags: ['Backups'],
+  params: SCHEMAS.BackupParams,
+  responses: { 200: SCHEMAS.RestoreResult },
+  errors: [404],
+}), async (req, res) => {
+  const result = await restoreBackup(req.params.name);
+  logger.warn('Backup restored', { requestId: req.id, backup: req.params.name, username: req.user.username });
+  publish('data.reloaded');
+  res.json({ success: true, ...result });
 });
 
 // ====================== MAINTENANCE API ======================
 
 // One-time cleanup endpoint to normalize student data
-app.post('/api/students/cleanup', async (req, res) => {
-  try {
-    const raw = await readJsonFile('students.json');
-    const beforeCount = Array.isArray(raw) ? raw.length : 0;
-
-    const cleaned = (Array.isArray(raw) ? raw : [])
-      .map(pickStudentFields)
-      .filter(Boolean);
-
-    await writeJsonFile('students.json', cleaned);
-    
-    res.json({ 
-      success: true, 
-      before: beforeCount, 
-      after: cleaned.length,
-      removed: beforeCount - cleaned.length 
-    });
-  } catch (err) {
-    console.error('Error cleaning students file:', err);
-    res.status(500).json({ error: 'Failed to normalize students list.' });
-  }
+app.post('/api/students/cleanup', requireRole('admin'), validate({
+  summary: 'Normalize stored students, archiving unusable records',
+  description: 'Refused with DUPLICATE_CARD_ID when two students would end up with the same card ID.',
+  tags: ['Students'],
+  responses: { 200: SCHEMAS.CleanupResult },
+  errors: [409],
+}), async (req, res) => {
+  const result = normalizeStudents(req.user);
+
+  publish('data.reloaded');
+  res.json({ success: true, ...result });
+});
+
+// School name and loan defaults for the web client, see config.js
+app.get('/api/config', validate({
+  summary: 'Client settings',
+  tags: ['System'],
+  responses: { 200: SCHEMAS.PublicConfig },
+}), (req, res) => {
+  res.json(publicConfig());
 });
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', validate({
+  summary: 'Health check',
+  tags: ['System'],
+  responses: { 200: SCHEMAS.Health },
+}), (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// ====================== API DOCS ======================
+
+// OpenAPI document generated from the route schemas (schemas.js) and an interactive explorer
+app.use('/api/docs', docsRouter(app, {
+  isPublic: (routePath) => isPublicApiPath(routePath.replace(/^\/api/, '')),
+}));
+
 // ====================== 404 HANDLER ======================
 
-app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found.' });
+app.use(() => {
+  throw new NotFoundError('Endpoint not found.', { code: 'ENDPOINT_NOT_FOUND' });
 });
 
-// ====================== SERVER START ======================
+// ====================== ERROR HANDLER ======================
+
+/**
+ * Turns anything thrown by a route into { error, code, requestId, details? }.
+ * AppError subclasses (errors.js) carry their status and code, body parser errors are
+ * mapped to client errors, everything else is logged and reported as INTERNAL_ERROR.
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON.', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large.', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+  return new AppError('Unexpected server error.');
+};
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Data directory: ${path.join(__dirname, 'data')}`);
-  console.log(`API available at http://${ipAddress}/api`);
+app.use((err, req, res, next) => {
+  const appError = toAppError(err);
+  if (appError.status >= 500) {
+    logger.error('Unhandled error', { requestId: req.id, method: req.method, url: req.originalUrl, err });
+  }
+
+  // A streamed response (downloads, SSE) cannot switch to JSON, let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(appError.status).json({
+    error: appError.message,
+    code: appError.code,
+    requestId: req.id,
+    ...(appError.details !== undefined && { details: appError.details }),
+  });
 });
 
+// ====================== SERVER START ======================
+
+// Tests import the app without binding the port
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(config.port, config.host, () => {
+    logger.info('Server started', {
+      host: config.host,
+      port: config.port,
+      databaseFile: DB_FILE,
+      apiUrl: `${config.publicUrl}/api`,
+    });
+  });
+  scheduleBackups();
+  scheduleHoldExpiry();
+}
+
+export default app;
+
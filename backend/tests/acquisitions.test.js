@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+test('a delivery adds copies to existing books and new books to the catalog', async () => {
+  const existing = (await api('POST', '/books', { title: 'Алгебра 7', author: 'Макарычев', quantity: 2 })).body;
+
+  const received = await api('POST', '/deliveries', {
+    supplier: 'Просвещение',
+    invoiceNumber: 'INV-7',
+    receivedAt: '2002-09-02',
+    fundingSource: 'regional',
+    lines: [
+      { title: 'алгебра 7', author: 'макарычев', copies: 3, price: 450 },
+      { title: 'Геометрия 7', author: 'Атанасян', year: 2020, copies: 2, price: 500 },
+    ],
+  });
+  assert.equal(received.status, 201);
+  assert.deepEqual([received.body.copies, received.body.amount], [5, 2350]);
+  const [first, second] = received.body.lines;
+  assert.deepEqual([first.bookId, first.newTitle, second.newTitle], [existing.id, false, true]);
+
+  const books = (await api('GET', '/books')).body;
+  assert.equal(books.find(book => book.id === existing.id).quantity, 5);
+  const added = books.find(book => book.id === second.bookId);
+  assert.deepEqual([added.title, added.year, added.quantity], ['Геометрия 7', 2020, 2]);
+
+  const copies = (await api('GET', `/books/${second.bookId}/exemplars`)).body;
+  assert.deepEqual(copies.map(copy => [copy.acquiredAt, copy.condition, copy.deliveryLineId]), [
+    ['2002-09-02', 'new', second.id],
+    ['2002-09-02', 'new', second.id],
+  ]);
+
+  const again = await api('POST', '/deliveries', {
+    supplier: 'Просвещение',
+    invoiceNumber: 'INV-7',
+    receivedAt: '2002-09-03',
+    fundingSource: 'regional',
+    lines: [{ title: 'Алгебра 7', author: 'Макарычев', copies: 1, price: 450 }],
+  });
+  assert.equal(again.body.code, 'DUPLICATE_INVOICE');
+
+  const empty = await api('POST', '/deliveries', {
+    supplier: 'Просвещение', invoiceNumber: 'INV-8', receivedAt: '2002-09-03', fundingSource: 'regional', lines: [],
+  });
+  assert.equal(empty.status, 400);
+});
+
+test('acquisitions are reported per period and funding source', async () => {
+  await api('POST', '/deliveries', {
+    supplier: 'Дрофа',
+    invoiceNumber: 'D-1',
+    receivedAt: '2003-02-10',
+    fundingSource: 'federal',
+    lines: [{ title: 'Физика 8', author: 'Пёрышкин', copies: 10, price: 600 }],
+  });
+  await api('POST', '/deliveries', {
+    supplier: 'Родительский комитет',
+    invoiceNumber: 'Дар-1',
+    receivedAt: '2003-02-20',
+    fundingSource: 'donation',
+    lines: [
+      { title: 'Физика 8', author: 'Пёрышкин', copies: 2, price: 0 },
+      { title: 'Химия 8', author: 'Габриелян', copies: 1, price: 0 },
+    ],
+  });
+  await api('POST', '/deliveries', {
+    supplier: 'Дрофа',
+    invoiceNumber: 'D-2',
+    receivedAt: '2003-03-01',
+    fundingSource: 'federal',
+    lines: [{ title: 'Физика 9', author: 'Пёрышкин', copies: 4, price: 650 }],
+  });
+
+  const report = (await api('GET', '/reports/acquisitions?from=2003-02-01&to=2003-02-28')).body;
+  assert.deepEqual(
+    [report.deliveries, report.titles, report.newTitles, report.copies, report.amount],
+    [2, 2, 2, 13, 6000]
+  );
+  assert.deepEqual(report.byFundingSource.federal, { deliveries: 1, copies: 10, amount: 6000 });
+  assert.deepEqual(report.byFundingSource.donation, { deliveries: 1, copies: 3, amount: 0 });
+  assert.equal(report.byFundingSource.municipal.copies, 0);
+
+  const stats = (await api('GET', '/stats?from=2003-02-01&to=2003-02-28')).body;
+  assert.equal(stats.newThisMonth, 13);
+
+  const listed = (await api('GET', '/deliveries?supplier=дрофа')).body;
+  assert.deepEqual(listed.map(delivery => delivery.invoiceNumber), ['D-2', 'D-1']);
+});
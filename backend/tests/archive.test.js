@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const createStudent = async (cardId) => (await api('POST', '/students', {
+  name: 'Archived Student', grade: 9, gradeLetter: 'A', cardId,
+})).body;
+
+test('records with books on loan cannot be archived', async () => {
+  const student = await createStudent('archive1');
+  const book = (await api('POST', '/books', { title: 'On loan', author: 'Test', quantity: 2 })).body;
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id });
+
+  for (const url of [`/books/${book.id}`, `/students/${student.studentId}`]) {
+    const res = await api('DELETE', url);
+    assert.equal(res.status, 409, url);
+    assert.equal(res.body.code, 'HAS_OPEN_LOANS');
+    assert.deepEqual(res.body.details, { openLoans: 1 });
+  }
+
+  await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id });
+  assert.equal((await api('DELETE', `/books/${book.id}`)).status, 200);
+  assert.equal((await api('DELETE', `/students/${student.studentId}`)).status, 200);
+});
+
+test('archived records leave the lists but keep their history', async () => {
+  const student = await createStudent('archive2');
+  const book = (await api('POST', '/books', { title: 'Archived title', author: 'Test', quantity: 1 })).body;
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id });
+  await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id });
+  await api('DELETE', `/books/${book.id}`);
+
+  assert.ok(!(await api('GET', '/books')).body.some(b => b.id === book.id));
+
+  const history = (await api('GET', `/students/${student.studentId}/history`)).body.history;
+  assert.equal(history[0].title, 'Archived title');
+
+  const archive = (await api('GET', '/archive')).body;
+  assert.ok(archive.books.some(b => b.id === book.id && b.archivedAt));
+
+  const checkout = await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id });
+  assert.equal(checkout.body.code, 'ARCHIVED');
+});
+
+test('archived records can be restored or purged with their history', async () => {
+  const student = await createStudent('archive3');
+  const book = (await api('POST', '/books', { title: 'Purged', author: 'Test', quantity: 1 })).body;
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id });
+  await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id });
+  await api('DELETE', `/students/${student.studentId}`);
+  await api('DELETE', `/books/${book.id}`);
+
+  const duplicate = await createStudent('archive3');
+  assert.equal(duplicate.code, 'DUPLICATE_CARD_ID');
+
+  const restored = await api('POST', `/archive/students/${student.studentId}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.archivedAt, null);
+  assert.ok((await api('GET', '/students')).body.some(s => s.studentId === student.studentId));
+
+  // Only archived records can be purged
+  assert.equal((await api('DELETE', `/archive/students/${student.studentId}`)).status, 404);
+
+  const purged = await api('DELETE', `/archive/books/${book.id}`);
+  assert.equal(purged.status, 200);
+  assert.equal(purged.body.deletedTransactions, 2);
+  assert.equal((await api('GET', `/transactions?bookId=${book.id}`)).body.length, 0);
+  assert.ok(!(await api('GET', '/archive')).body.books.some(b => b.id === book.id));
+});
+
+test('archived records cannot be edited or lent out', async () => {
+  const student = await createStudent('archive4');
+  const book = (await api('POST', '/books', { title: 'Shelved for good', author: 'Test', quantity: 1 })).body;
+  await api('DELETE', `/books/${book.id}`);
+  await api('DELETE', `/students/${student.studentId}`);
+  const anyVersion = { headers: { 'If-Match': '*' } };
+
+  assert.equal((await api('PATCH', `/books/${book.id}`, { quantity: 5 }, anyVersion)).status, 404);
+  assert.equal((await api('GET', '/archive')).body.books.find(b => b.id === book.id).quantity, 1);
+  assert.equal((await api('PATCH', `/students/${student.studentId}`, {
+    name: 'Renamed', grade: 9, gradeLetter: 'A', cardId: 'archive4',
+  }, anyVersion)).status, 404);
+
+  const active = await createStudent('archive5');
+  for (const studentId of [student.studentId, active.studentId]) {
+    const issue = await api('POST', '/transactions', { studentId, bookId: book.id, action: 'taken' });
+    assert.equal(issue.status, 409);
+    assert.equal(issue.body.code, 'ARCHIVED');
+  }
+  const unknown = await api('POST', '/transactions', { studentId: active.studentId, bookId: 999999, action: 'taken' });
+  assert.equal(unknown.status, 404);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+test('book changes are logged with actor and field-level diff', async () => {
+  const book = (await api('POST', '/books', { title: 'Audited', author: 'Test', quantity: 3 })).body;
+  await api('PATCH', `/books/${book.id}`, { quantity: 5 }, { headers: { 'If-Match': `"${book.version}"` } });
+  await api('DELETE', `/books/${book.id}`);
+  await api('DELETE', `/archive/books/${book.id}`);
+
+  const { body } = await api('GET', `/audit?entity=book&entityId=${book.id}`);
+  assert.equal(body.total, 4);
+
+  const [deleted, archived, updated, created] = body.items;
+  assert.equal(created.action, 'create');
+  assert.equal(created.changes.title.to, 'Audited');
+  assert.deepEqual(updated.changes, { quantity: { from: 3, to: 5 } });
+  assert.equal(updated.actorName, 'Администратор');
+  assert.equal(archived.action, 'update');
+  assert.equal(archived.changes.archivedAt.from, null);
+  assert.equal(deleted.action, 'delete');
+  assert.equal(deleted.changes.quantity.from, 5);
+});
+
+test('a checkout logs both the transaction and the stock change', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Audited loan', author: 'Test', quantity: 1 })).body;
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, dueDate: '2030-01-15' });
+
+  const transactions = (await api('GET', '/audit?entity=transaction&action=create')).body.items;
+  assert.ok(transactions.some(entry => entry.changes.bookId?.to === book.id));
+
+  const bookEntries = (await api('GET', `/audit?entity=book&entityId=${book.id}&action=update`)).body.items;
+  assert.deepEqual(bookEntries[0].changes, { quantity: { from: 1, to: 0 } });
+});
+
+test('audit filters are validated', async () => {
+  assert.equal((await api('GET', '/audit?entity=user')).status, 400);
+  assert.equal((await api('GET', '/audit?from=yesterday')).status, 400);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer, ADMIN_PASSWORD } from './helpers.js';
+
+const api = await setupTestServer();
+
+const signIn = async (username, password) =>
+  (await api('POST', '/auth/login', { username, password }, { token: null })).body.token;
+
+const createUser = async (username, role) => {
+  const res = await api('POST', '/users', { username, fullName: `${role} user`, role, password: 'password123' });
+  assert.equal(res.status, 201);
+  return signIn(username, 'password123');
+};
+
+test('api routes require a session, health does not', async () => {
+  assert.equal((await api('GET', '/books', undefined, { token: null })).status, 401);
+  assert.equal((await api('GET', '/books', undefined, { token: 'bogus' })).status, 401);
+  assert.equal((await api('GET', '/health', undefined, { token: null })).status, 200);
+});
+
+test('login rejects a wrong password and returns the user without the hash', async () => {
+  const bad = await api('POST', '/auth/login', { username: 'admin', password: 'nope' }, { token: null });
+  assert.equal(bad.status, 401);
+
+  const good = await api('POST', '/auth/login', { username: 'admin', password: ADMIN_PASSWORD }, { token: null });
+  assert.equal(good.status, 200);
+  assert.equal(good.body.user.role, 'admin');
+  assert.equal(good.body.user.passwordHash, undefined);
+});
+
+test('teachers are read-only', async () => {
+  const token = await createUser('teacher1', 'teacher');
+
+  assert.equal((await api('GET', '/books', undefined, { token })).status, 200);
+  assert.equal((await api('POST', '/books', { title: 'X', author: 'Y' }, { token })).status, 403);
+  assert.equal((await api('POST', '/loans/checkout', { studentId: 1, bookId: 1 }, { token })).status, 403);
+});
+
+test('librarians issue books but do not manage the catalog', async () => {
+  const token = await createUser('librarian1', 'librarian');
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Lib', author: 'Test', quantity: 1 })).body;
+
+  const checkout = await api('POST', '/loans/checkout', {
+    studentId: student.studentId,
+    bookId: book.id,
+    dueDate: '2030-01-15',
+  }, { token });
+  assert.equal(checkout.status, 201);
+
+  assert.equal((await api('DELETE', `/books/${book.id}`, undefined, { token })).status, 403);
+  assert.equal((await api('DELETE', `/students/${student.studentId}`, undefined, { token })).status, 403);
+});
+
+test('logout invalidates the token', async () => {
+  const token = await signIn('admin', ADMIN_PASSWORD);
+  assert.equal((await api('GET', '/auth/me', undefined, { token })).status, 200);
+  await api('POST', '/auth/logout', undefined, { token });
+  assert.equal((await api('GET', '/auth/me', undefined, { token })).status, 401);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const backupDir = () => path.join(path.dirname(process.env.DB_FILE), 'backups');
+
+test('restore brings back data deleted after the snapshot', async () => {
+  const book = (await api('POST', '/books', { title: 'Backed up', author: 'Test', quantity: 4 })).body;
+
+  const created = await api('POST', '/backups');
+  assert.equal(created.status, 201);
+  assert.ok((await api('GET', '/backups')).body.some(b => b.name === created.body.name));
+
+  await api('DELETE', `/books/${book.id}`);
+  await api('POST', '/books', { title: 'Added later', author: 'Test', quantity: 1 });
+
+  const restored = await api('POST', `/backups/${created.body.name}/restore`);
+  assert.equal(restored.status, 200);
+  assert.match(restored.body.safetyBackup, /-pre-restore\.db$/);
+
+  const titles = (await api('GET', '/books')).body.map(b => b.title);
+  assert.ok(titles.includes('Backed up'));
+  assert.ok(!titles.includes('Added later'));
+
+  // The session used for the restore survives it
+  assert.equal((await api('GET', '/auth/me')).status, 200);
+});
+
+test('a snapshot that is not a valid database is rejected without touching data', async () => {
+  const name = 'library-2000-01-01T00-00-00-000Z.db';
+  fs.mkdirSync(backupDir(), { recursive: true });
+  fs.writeFileSync(path.join(backupDir(), name), 'not a database');
+  const before = (await api('GET', '/books')).body.length;
+
+  const res = await api('POST', `/backups/${name}/restore`);
+  assert.equal(res.status, 400);
+  assert.ok(res.body.details.length > 0);
+  assert.equal((await api('GET', '/books')).body.length, before);
+});
+
+test('unknown or malformed backup names are not found', async () => {
+  assert.equal((await api('POST', '/backups/..%2Flibrary.db/restore')).status, 404);
+  assert.equal((await api('GET', '/backups/library-1999-01-01T00-00-00-000Z.db/download')).status, 404);
+});
+
+test('restored copies keep the delivery they came with', async () => {
+  const received = (await api('POST', '/deliveries', {
+    supplier: 'Backup supplier',
+    invoiceNumber: 'B-1',
+    receivedAt: '2030-09-02',
+    fundingSource: 'federal',
+    lines: [{ title: 'Delivered before the snapshot', author: 'Test', copies: 2, price: 300 }],
+  })).body;
+  const [line] = received.lines;
+  const created = await api('POST', '/backups');
+
+  const restored = await api('POST', `/backups/${created.body.name}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.restored.delivery_lines, 1);
+
+  const copies = (await api('GET', `/books/${line.bookId}/exemplars`)).body;
+  assert.deepEqual(copies.map(copy => copy.deliveryLineId), [line.id, line.id]);
+  assert.equal((await api('GET', `/deliveries/${received.id}`)).body.lines[0].copies, 2);
+});
+
+test('a restore drops stored idempotent responses, also those of users deleted since', async () => {
+  const user = (await api('POST', '/users', {
+    username: 'restorer', fullName: 'Restorer', role: 'librarian', password: 'password123',
+  })).body;
+  const { token } = (await api('POST', '/auth/login', { username: 'restorer', password: 'password123' }, { token: null })).body;
+  const student = (await api('POST', '/students', { name: 'Restored Reader', grade: 6, gradeLetter: 'B', cardId: 'restore1' })).body;
+  const book = (await api('POST', '/books', { title: 'Issued before the snapshot', author: 'Test', quantity: 1 })).body;
+  const checkout = await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id }, {
+    token,
+    headers: { 'Idempotency-Key': 'restore-checkout' },
+  });
+  assert.equal(checkout.status, 201);
+
+  const created = await api('POST', '/backups');
+  assert.equal((await api('DELETE', `/users/${user.id}`)).status, 200);
+
+  const restored = await api('POST', `/backups/${created.body.name}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.restored.idempotency_keys, undefined);
+  assert.equal((await api('GET', `/transactions?bookId=${book.id}`)).body.length, 1);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+// The test database also holds the catalog imported from backend/data, so every
+// seeded book carries this genre and the queries below are scoped to it
+const GENRE = encodeURIComponent('Проверка поиска');
+
+// Seeded on first use: the server from setupTestServer only starts in its own before hook
+let seeding;
+const seedBooks = () => (seeding ??= (async () => {
+  const books = [
+    { title: 'Зимний сад', author: 'Ёлкин Пётр', year: 1869, quantity: 2 },
+    { title: 'Летний сад', author: 'Ёлкин Пётр', year: 1877, quantity: 0 },
+    { title: 'Осенний лес', author: 'Берёзов Иван', year: 1961, quantity: 0 },
+    { title: 'Весенний луг', author: 'Кленов Олег', year: 1972, quantity: 3 },
+  ];
+  for (const { quantity, ...book } of books) {
+    const created = (await api('POST', '/books', { ...book, genre: 'Проверка поиска' })).body;
+    await api('PATCH', `/books/${created.id}`, { quantity }, { headers: { 'If-Match': `"${created.version}"` } });
+  }
+})());
+
+test('without paging parameters the matching books are returned as an array', async () => {
+  await seedBooks();
+  const { body } = await api('GET', `/books?genre=${GENRE}`);
+  assert.ok(Array.isArray(body));
+  assert.equal(body.length, 4);
+});
+
+test('q matches any searchable field case-insensitively, including Cyrillic', async () => {
+  await seedBooks();
+  const { body } = await api('GET', `/books?genre=${GENRE}&q=${encodeURIComponent('ЁЛКИН')}&page=1`);
+  assert.equal(body.total, 2);
+  assert.deepEqual(body.items.map(b => b.year), [1869, 1877]);
+});
+
+test('filters combine and the total counts every match, not just the page', async () => {
+  await seedBooks();
+  const { body } = await api('GET', `/books?genre=${GENRE}&yearFrom=1900&availability=available&page=1`);
+  assert.deepEqual(body.items.map(b => b.author), ['Кленов Олег']);
+
+  const paged = (await api('GET', `/books?genre=${GENRE}&sort=year&direction=desc&page=2&pageSize=3`)).body;
+  assert.equal(paged.total, 4);
+  assert.equal(paged.page, 2);
+  assert.deepEqual(paged.items.map(b => b.year), [1869]);
+});
+
+test('invalid query parameters are rejected', async () => {
+  assert.equal((await api('GET', '/books?sort=barcode;DROP')).status, 400);
+  assert.equal((await api('GET', '/books?availability=maybe')).status, 400);
+  assert.equal((await api('GET', '/books?yearFrom=old')).status, 400);
+});
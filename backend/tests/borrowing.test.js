@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+process.env.LOAN_LIMITS = '1-4:1,5-11:3';
+process.env.BORROW_BLOCK_ON_OVERDUE = 'true';
+process.env.BORROW_MAX_FINE_BALANCE = '0';
+
+const api = await setupTestServer();
+
+const setup = async (cardId, grade) => {
+  const student = (await api('POST', '/students', { name: `Borrower ${cardId}`, grade, gradeLetter: 'A', cardId })).body;
+  const book = (await api('POST', '/books', { title: `Policy ${cardId}`, author: 'Test', quantity: 5 })).body;
+  const checkout = (body = {}) => api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, ...body });
+  return { student, book, checkout };
+};
+
+test('students can hold as many books at once as their grade band allows', async () => {
+  const { student, checkout } = await setup('limit1', 2);
+  assert.equal((await checkout()).status, 201);
+
+  const status = (await api('GET', `/students/${student.studentId}/borrowing`)).body;
+  assert.deepEqual([status.allowed, status.openLoans, status.maxLoans], [false, 1, 1]);
+  assert.deepEqual(status.blocks.map(block => block.code), ['LOAN_LIMIT']);
+
+  const refused = await checkout();
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, 'BORROWING_BLOCKED');
+  assert.equal(refused.body.details.blocks[0].code, 'LOAN_LIMIT');
+});
+
+test('overdue books and unpaid fines block borrowing until a librarian overrides it', async () => {
+  const { student, book, checkout } = await setup('overdue1', 7);
+  await checkout({ dueDate: '2000-01-03' });
+  assert.equal((await checkout()).body.code, 'BORROWING_BLOCKED');
+
+  await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id, date: '2000-01-14' });
+  const status = (await api('GET', `/students/${student.studentId}/borrowing`)).body;
+  assert.deepEqual(status.blocks.map(block => block.code), ['UNPAID_FINES']);
+
+  assert.equal((await checkout({ override: {} })).status, 400);
+  const issued = await checkout({ override: { reason: 'Needs it for the exam tomorrow' } });
+  assert.equal(issued.status, 201);
+  assert.deepEqual(issued.body.override.blocks, ['UNPAID_FINES']);
+
+  const loan = (await api('GET', `/loans/${issued.body.transaction.id}`)).body;
+  assert.equal(loan.override.reason, 'Needs it for the exam tomorrow');
+});
+
+test('issues recorded through /transactions are held to the same policy', async () => {
+  const { student, book, checkout } = await setup('limit2', 3);
+  await checkout();
+  const record = (body = {}) =>
+    api('POST', '/transactions', { studentId: student.studentId, bookId: book.id, action: 'taken', ...body });
+
+  const refused = await record();
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.details.blocks[0].code, 'LOAN_LIMIT');
+  assert.equal((await api('GET', `/students/${student.studentId}/borrowing`)).body.openLoans, 1);
+
+  const issued = await record({ override: { reason: 'Class set for the lesson' } });
+  assert.equal(issued.status, 201);
+  const loan = (await api('GET', `/loans/${issued.body.id}`)).body;
+  assert.deepEqual(loan.override.blocks, ['LOAN_LIMIT']);
+});
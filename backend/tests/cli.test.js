@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+// Runs the CLI against the test server's database, --json output parsed
+const cli = (...args) => {
+  const result = spawnSync(process.execPath, [CLI, ...args, '--json'], { env: process.env, encoding: 'utf-8' });
+  return {
+    status: result.status,
+    output: result.stdout ? JSON.parse(result.stdout) : null,
+    error: result.stderr ? JSON.parse(result.stderr) : null,
+  };
+};
+
+const writeFile = (name, records) => {
+  const file = path.join(path.dirname(process.env.DB_FILE), name);
+  fs.writeFileSync(file, JSON.stringify(records));
+  return file;
+};
+
+test('import validates the whole file and a dry run writes nothing', async () => {
+  const broken = writeFile('broken.json', [
+    { name: 'Ученик Первый', grade: 5, gradeLetter: 'А', cardId: 'CLI001' },
+    { name: 'Ученик Второй', grade: 20, gradeLetter: 'А', cardId: 'CLI001' },
+  ]);
+  const validated = cli('validate', 'students', broken);
+  assert.equal(validated.status, 1);
+  assert.deepEqual(validated.output.problems.map(problem => problem.path), ['[1].grade']);
+
+  const refused = cli('import', 'students', broken);
+  assert.equal(refused.status, 1);
+  assert.equal(refused.error.code, 'VALIDATION_ERROR');
+
+  const file = writeFile('students.json', [
+    { name: 'Ученик Первый', grade: 5, gradeLetter: 'А', cardId: 'CLI001' },
+    { name: 'Ученик Второй', grade: 6, gradeLetter: 'Б', cardId: 'CLI002' },
+  ]);
+  const dryRun = cli('import', 'students', file, '--dry-run');
+  assert.equal(dryRun.status, 0);
+  assert.equal(dryRun.output.created, 2);
+  assert.ok(!(await api('GET', '/students')).body.some(s => s.cardId === 'cli001'));
+
+  assert.equal(cli('import', 'students', file).output.created, 2);
+  assert.equal(cli('import', 'students', file).output.unchanged, 2);
+  assert.ok((await api('GET', '/students')).body.some(s => s.cardId === 'cli001'));
+});
+
+test('recompute-stock sets shelf quantity from the counted copies', async () => {
+  const book = (await api('POST', '/books', { title: 'Counted', author: 'Test', quantity: 3 })).body;
+  const student = (await api('POST', '/students', { name: 'Читатель Тестовый', grade: 7, gradeLetter: 'В', cardId: 'CLI010' })).body;
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id });
+
+  const holdings = cli('export', 'holdings').output.records;
+  assert.deepEqual(holdings.find(h => h.id === book.id), {
+    id: book.id, title: 'Counted', author: 'Test', onShelf: 2, onLoan: 1, copies: 3,
+  });
+
+  const file = writeFile('holdings.json', [{ id: book.id, copies: 5 }]);
+  const result = cli('recompute-stock', file);
+  assert.deepEqual(result.output.changes, [{ id: book.id, title: 'Counted', onLoan: 1, from: 2, to: 4 }]);
+
+  const tooFew = cli('recompute-stock', writeFile('too-few.json', [{ id: book.id, copies: 0 }]));
+  assert.equal(tooFew.status, 1);
+  assert.equal(tooFew.error.details[0].path, 'holdings[0].copies');
+
+  const stored = (await api('GET', '/books')).body.find(b => b.id === book.id);
+  assert.equal(stored.quantity, 4);
+});
+
+test('normalize-students archives unusable records and refuses card ID collisions', async () => {
+  const database = new Database(process.env.DB_FILE);
+  const insert = database.prepare('INSERT INTO students (name, grade, gradeLetter, cardId) VALUES (?, 7, ?, ?)');
+  const unusable = Number(insert.run('Без буквы класса', '', 'nocls1').lastInsertRowid);
+  const clash = Number(insert.run('Ученик Дубль', 'Б', 'CLI 77').lastInsertRowid);
+  insert.run('Ученик Оригинал', 'Б', 'cli77');
+
+  const refused = cli('normalize-students');
+  assert.equal(refused.status, 1);
+  assert.equal(refused.error.code, 'DUPLICATE_CARD_ID');
+  const isArchived = async () => (await api('GET', '/archive')).body.students.some(student => student.studentId === unusable);
+  assert.equal(await isArchived(), false);
+
+  database.prepare('DELETE FROM students WHERE studentId = ?').run(clash);
+  database.close();
+  const normalized = cli('normalize-students');
+  assert.equal(normalized.status, 0);
+  assert.equal(normalized.output.removed, 1);
+  assert.equal(await isArchived(), true);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const PARALLEL = 40;
+
+test('parallel student creation keeps every record', async () => {
+  const before = (await api('GET', '/students')).body.length;
+
+  const responses = await Promise.all(
+    Array.from({ length: PARALLEL }, (_, i) => api('POST', '/students', {
+      name: `Parallel Student ${i}`,
+      grade: 5,
+      gradeLetter: 'A',
+      cardId: `parallel${i}`,
+    }))
+  );
+
+  assert.ok(responses.every(r => r.status === 201));
+  const ids = new Set(responses.map(r => r.body.studentId));
+  assert.equal(ids.size, PARALLEL);
+
+  const students = (await api('GET', '/students')).body;
+  assert.equal(students.length, before + PARALLEL);
+});
+
+test('parallel issues keep every transaction and every stock change', async () => {
+  const book = (await api('POST', '/books', { title: 'Concurrency', author: 'Test', quantity: PARALLEL })).body;
+  // Students created by the test above, with no loans that could block borrowing
+  const students = (await api('GET', '/students')).body.filter(student => student.name.startsWith('Parallel Student'));
+  const beforeCount = (await api('GET', '/transactions')).body.length;
+
+  await Promise.all(students.map(async (student) => {
+    const tr = await api('POST', '/transactions', {
+      studentId: student.studentId,
+      bookId: book.id,
+      action: 'taken',
+      date: '2030-01-15',
+    });
+    assert.equal(tr.status, 201);
+    // Deltas do not depend on what the client saw, so they skip the version check
+    const patch = await api('PATCH', `/books/${book.id}`, { quantityDelta: -1 }, { headers: { 'If-Match': '*' } });
+    assert.equal(patch.status, 200);
+  }));
+
+  const transactions = (await api('GET', '/transactions')).body;
+  assert.equal(transactions.length, beforeCount + students.length);
+  assert.equal(new Set(transactions.map(tr => tr.id)).size, transactions.length);
+
+  const books = (await api('GET', '/books')).body;
+  assert.equal(books.find(b => b.id === book.id).quantity, PARALLEL - students.length);
+});
+
+test('parallel duplicate returns are accepted only once', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Return race', author: 'Test', quantity: 1 })).body;
+
+  await api('POST', '/transactions', { studentId: student.studentId, bookId: book.id, action: 'taken', date: '2030-01-15' });
+
+  const responses = await Promise.all(
+    Array.from({ length: 10 }, () => api('POST', '/transactions', {
+      studentId: student.studentId,
+      bookId: book.id,
+      action: 'returned',
+      date: '2030-01-10',
+    }))
+  );
+
+  assert.equal(responses.filter(r => r.status === 201).length, 1);
+  assert.equal(responses.filter(r => r.status === 409).length, 9);
+});
+
+test('book edits need the current version in If-Match', async () => {
+  const book = (await api('POST', '/books', { title: 'Versioned', author: 'Test', quantity: 2 })).body;
+  assert.equal(book.version, 1);
+
+  const missing = await api('PATCH', `/books/${book.id}`, { quantity: 5 });
+  assert.equal(missing.status, 428);
+  assert.equal(missing.body.code, 'PRECONDITION_REQUIRED');
+
+  const first = await api('PATCH', `/books/${book.id}`, { quantity: 5 }, { headers: { 'If-Match': '"1"' } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.version, 2);
+  assert.equal(first.headers.get('etag'), '"2"');
+
+  // A second librarian still editing the version they loaded earlier
+  const stale = await api('PATCH', `/books/${book.id}`, { quantity: 1 }, { headers: { 'If-Match': '"1"' } });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.code, 'VERSION_CONFLICT');
+  assert.equal(stale.body.details.current.quantity, 5);
+  assert.equal(stale.body.details.current.version, 2);
+});
+
+test('checkouts move the book version, edits that change nothing do not', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Versioned loan', author: 'Test', quantity: 2 })).body;
+
+  const unchanged = await api('PATCH', `/books/${book.id}`, { quantity: 2 }, { headers: { 'If-Match': '"1"' } });
+  assert.equal(unchanged.body.version, 1);
+
+  const loan = await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id });
+  assert.equal(loan.body.book.version, 2);
+
+  const res = await api('PATCH', `/books/${book.id}`, { title: 'Renamed' }, { headers: { 'If-Match': '"1"' } });
+  assert.equal(res.status, 409);
+});
+
+test('student edits are checked the same way', async () => {
+  const student = (await api('POST', '/students', {
+    name: 'Versioned Student', grade: 6, gradeLetter: 'B', cardId: 'versioned1',
+  })).body;
+  const edit = { name: student.name, grade: 7, gradeLetter: 'B', cardId: 'versioned1' };
+
+  const res = await api('PATCH', `/students/${student.studentId}`, edit, { headers: { 'If-Match': `"${student.version}"` } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.version, student.version + 1);
+
+  const stale = await api('PATCH', `/students/${student.studentId}`, { ...edit, grade: 8 }, {
+    headers: { 'If-Match': `"${student.version}"` },
+  });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.details.current.grade, 7);
+
+  const listed = (await api('GET', '/students')).body.find(s => s.studentId === student.studentId);
+  assert.equal(listed.version, res.body.version);
+});
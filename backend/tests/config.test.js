@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const CONFIG_MODULE = fileURLToPath(new URL('../config.js', import.meta.url));
+
+const loadConfigWith = (env) => spawnSync(
+  process.execPath,
+  ['--input-type=module', '-e', `await import(${JSON.stringify(CONFIG_MODULE)});`],
+  { env: { ...process.env, ...env }, encoding: 'utf-8' }
+);
+
+test('invalid settings stop the server at startup with every problem listed', () => {
+  const result = loadConfigWith({
+    PORT: 'abc',
+    CORS_ORIGINS: 'https://library.example.org/app',
+    LOAN_DEFAULT_DAYS: '30',
+    LOAN_MAX_DAYS: '14',
+  });
+
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /Invalid configuration/);
+  assert.match(result.stderr, /PORT must be an integer/);
+  assert.match(result.stderr, /CORS_ORIGINS entries must be origins/);
+  assert.match(result.stderr, /LOAN_DEFAULT_DAYS \(30\) cannot exceed LOAN_MAX_DAYS \(14\)/);
+});
+
+test('valid settings load', () => {
+  const result = loadConfigWith({ PORT: '8080', CORS_ORIGINS: 'http://localhost:5173, https://library.example.org' });
+  assert.equal(result.status, 0, result.stderr);
+});
+
+test('client settings are served without signing in', async () => {
+  const res = await api('GET', '/config', undefined, { token: null });
+  assert.equal(res.status, 200);
+  assert.equal(typeof res.body.schoolName, 'string');
+  assert.deepEqual(Object.keys(res.body.loan).sort(), ['defaultDays', 'holdPickupDays', 'holidays', 'maxDays', 'maxRenewals', 'renewDays']);
+});
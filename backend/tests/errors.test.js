@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setupTestServer, ADMIN_PASSWORD } from './helpers.js';
+
+const api = await setupTestServer();
+
+const readLog = (file) => {
+  const logPath = path.join(api.logDir, file);
+  if (!fs.existsSync(logPath)) return [];
+  return fs.readFileSync(logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+};
+
+// Raw fetch as the admin, for checks on response headers
+const adminFetch = async (url, headers = {}) => {
+  const { body: session } = await api('POST', '/auth/login', { username: 'admin', password: ADMIN_PASSWORD });
+  return fetch(`${api.baseUrl}${url}`, { headers: { Authorization: `Bearer ${session.token}`, ...headers } });
+};
+
+test('errors share one body shape with a code and the request id', async () => {
+  const res = await adminFetch('/no-such-endpoint');
+  const body = await res.json();
+
+  assert.equal(res.status, 404);
+  assert.equal(body.code, 'ENDPOINT_NOT_FOUND');
+  assert.equal(typeof body.error, 'string');
+  assert.equal(body.requestId, res.headers.get('x-request-id'));
+});
+
+test('authentication failures use the same pipeline', async () => {
+  const res = await api('GET', '/books', undefined, { token: null });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, 'UNAUTHORIZED');
+  assert.ok(res.body.requestId);
+});
+
+test('malformed JSON is a validation error, not a server error', async () => {
+  const res = await fetch(`${api.baseUrl}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"username": ',
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 400);
+  assert.equal(body.code, 'INVALID_JSON');
+  assert.equal(body.requestId, res.headers.get('x-request-id'));
+});
+
+test('domain errors thrown inside a transaction keep their status and code', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Errors', author: 'Test', quantity: 1 })).body;
+  await api('PATCH', `/books/${book.id}`, { quantity: 0 }, { headers: { 'If-Match': `"${book.version}"` } });
+
+  const res = await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'NO_COPIES_AVAILABLE');
+
+  const invalid = await api('GET', '/loans?dueFrom=tomorrow');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+});
+
+test('requests are logged as JSON with id, status, latency and user', async () => {
+  await adminFetch('/books', { 'X-Request-Id': 'trace-42' });
+
+  let entry;
+  for (let attempt = 0; attempt < 20 && !entry; attempt++) {
+    entry = readLog('combined.log').find(line => line.requestId === 'trace-42');
+    if (!entry) await new Promise(resolve => setTimeout(resolve, 25));
+  }
+
+  assert.ok(entry, 'request was not logged');
+  assert.equal(entry.method, 'GET');
+  assert.equal(entry.url, '/api/books');
+  assert.equal(entry.status, 200);
+  assert.equal(typeof entry.durationMs, 'number');
+  assert.equal(entry.username, 'admin');
+  assert.ok(readLog('out.log').some(line => line.requestId === 'trace-42'));
+  assert.ok(!readLog('err.log').some(line => line.requestId === 'trace-42'));
+});
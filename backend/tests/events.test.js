@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer, ADMIN_PASSWORD } from './helpers.js';
+
+const api = await setupTestServer();
+
+/**
+ * Opens the event stream and resolves with the first event of the given type
+ */
+const waitForEvent = async (token, type, trigger) => {
+  const controller = new AbortController();
+  const res = await fetch(`${api.baseUrl}/events?access_token=${token}`, { signal: controller.signal });
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  await trigger();
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Event stream closed');
+      buffer += value;
+
+      for (const block of buffer.split('\n\n')) {
+        const lines = block.split('\n');
+        if (lines.includes(`event: ${type}`)) {
+          const data = lines.find(line => line.startsWith('data: ')).slice('data: '.length);
+          return JSON.parse(data);
+        }
+      }
+    }
+  } finally {
+    controller.abort();
+  }
+};
+
+test('checkout is announced to connected pages with the updated book', async () => {
+  const { token } = (await api('POST', '/auth/login', { username: 'admin', password: ADMIN_PASSWORD })).body;
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Live', author: 'Test', quantity: 2 })).body;
+
+  const event = await waitForEvent(token, 'loan.opened', () =>
+    api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, dueDate: '2030-01-15' })
+  );
+
+  assert.equal(event.transaction.bookId, book.id);
+  assert.equal(event.book.quantity, 1);
+});
+
+test('the event stream requires a valid token', async () => {
+  const res = await fetch(`${api.baseUrl}/events?access_token=wrong`);
+  assert.equal(res.status, 401);
+
+  // The query string token is only accepted for the event stream
+  const { token } = (await api('POST', '/auth/login', { username: 'admin', password: ADMIN_PASSWORD })).body;
+  assert.equal((await fetch(`${api.baseUrl}/books?access_token=${token}`)).status, 401);
+});
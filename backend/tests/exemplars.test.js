@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const createStudent = async (cardId) => (await api('POST', '/students', {
+  name: `Copy ${cardId}`, grade: 6, gradeLetter: 'A', cardId,
+})).body;
+
+test('loans take a named copy off the shelf and bring it back', async () => {
+  const student = await createStudent('copy1');
+  const book = (await api('POST', '/books', { title: 'Two copies', author: 'Test', quantity: 2 })).body;
+  const copies = (await api('GET', `/books/${book.id}/exemplars`)).body;
+  assert.deepEqual(copies.map(copy => [copy.inventoryNumber, copy.status]), [
+    [`${book.id}-1`, 'on-shelf'],
+    [`${book.id}-2`, 'on-shelf'],
+  ]);
+
+  const checkout = await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, exemplarId: copies[1].id });
+  assert.equal(checkout.status, 201);
+  assert.equal(checkout.body.transaction.exemplarId, copies[1].id);
+  assert.equal(checkout.body.book.quantity, 1);
+
+  const again = await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, exemplarId: copies[1].id });
+  assert.equal(again.body.code, 'EXEMPLAR_NOT_AVAILABLE');
+
+  const scanned = (await api('GET', `/scan/${book.id}-2`)).body;
+  assert.equal(scanned.type, 'exemplar');
+  assert.equal(scanned.data.id, book.id);
+  assert.deepEqual([scanned.exemplar.status, scanned.exemplar.studentName], ['on-loan', 'Copy copy1']);
+
+  const loans = (await api('GET', `/loans?studentId=${student.studentId}`)).body.items;
+  assert.equal(loans[0].inventoryNumber, `${book.id}-2`);
+
+  const checkin = await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id });
+  assert.equal(checkin.body.transaction.exemplarId, copies[1].id);
+  assert.equal(checkin.body.book.quantity, 2);
+  assert.equal((await api('GET', `/books/${book.id}/exemplars`)).body[1].status, 'on-shelf');
+});
+
+test('lowering the quantity deletes unused copies and withdraws issued ones', async () => {
+  const student = await createStudent('copy2');
+  const book = (await api('POST', '/books', { title: 'Shrinking', author: 'Test', quantity: 3 })).body;
+  const copies = (await api('GET', `/books/${book.id}/exemplars`)).body;
+
+  // The newest copy has a history, the oldest stays on loan
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, exemplarId: copies[2].id });
+  await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id });
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, exemplarId: copies[0].id });
+
+  const onLoan = await api('DELETE', `/exemplars/${copies[0].id}`);
+  assert.equal(onLoan.status, 409);
+  assert.equal(onLoan.body.code, 'ON_LOAN');
+
+  const patched = await api('PATCH', `/books/${book.id}`, { quantity: 0 }, { headers: { 'If-Match': '*' } });
+  assert.equal(patched.body.quantity, 0);
+
+  const left = (await api('GET', `/books/${book.id}/exemplars`)).body;
+  assert.deepEqual(left.map(copy => [copy.id, copy.status]), [[copies[0].id, 'on-loan'], [copies[2].id, 'withdrawn']]);
+});
+
+test('inventory numbers and barcodes belong to one copy', async () => {
+  const book = (await api('POST', '/books', { title: 'Numbered', author: 'Test', quantity: 0 })).body;
+
+  const added = await api('POST', `/books/${book.id}/exemplars`, { inventoryNumber: 'INV-77', barcode: 4600000000077, condition: 'new' });
+  assert.equal(added.status, 201);
+  assert.deepEqual([added.body.status, added.body.condition], ['on-shelf', 'new']);
+  assert.equal((await api('GET', '/scan/INV-77')).body.exemplar.id, added.body.id);
+
+  const duplicate = await api('POST', `/books/${book.id}/exemplars`, { inventoryNumber: 'INV-77' });
+  assert.equal(duplicate.body.code, 'DUPLICATE_INVENTORY_NUMBER');
+  const sameBarcode = await api('POST', `/books/${book.id}/exemplars`, { barcode: 4600000000077 });
+  assert.equal(sameBarcode.body.code, 'DUPLICATE_BARCODE');
+  assert.equal((await api('PATCH', `/exemplars/${added.body.id}`, { condition: 'worn' })).status, 400);
+
+  const edited = await api('PATCH', `/exemplars/${added.body.id}`, { condition: 'fair' });
+  assert.equal(edited.body.condition, 'fair');
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+process.env.FINE_DAILY_RATE = '5';
+process.env.FINE_GRACE_DAYS = '2';
+process.env.FINE_MAX_AMOUNT = '100';
+process.env.BORROW_MAX_FINE_BALANCE = '1000000';
+
+const api = await setupTestServer();
+
+const lateReturn = async (studentId, dueDate, returnedAt) => {
+  const book = (await api('POST', '/books', { title: `Late ${dueDate}`, author: 'Test', quantity: 1 })).body;
+  await api('POST', '/loans/checkout', { studentId, bookId: book.id, dueDate });
+  return (await api('POST', '/loans/checkin', { studentId, bookId: book.id, date: returnedAt })).body;
+};
+
+test('late returns are charged per workday after the grace days', async () => {
+  const student = (await api('POST', '/students', { name: 'Late Reader', grade: 7, gradeLetter: 'B', cardId: 'fine1' })).body;
+
+  // Monday to the Friday a week later: 9 workdays late, 7 charged
+  const late = await lateReturn(student.studentId, '2000-01-03', '2000-01-14');
+  assert.deepEqual([late.fine.kind, late.fine.lateDays, late.fine.amount], ['assessed', 9, 35]);
+
+  // March 8 is a holiday: 3 workdays late, 1 charged
+  const holiday = await lateReturn(student.studentId, '2000-03-06', '2000-03-10');
+  assert.deepEqual([holiday.fine.lateDays, holiday.fine.amount], [3, 5]);
+
+  // Within the grace days
+  assert.equal((await lateReturn(student.studentId, '2000-04-03', '2000-04-05')).fine, null);
+
+  const history = (await api('GET', `/students/${student.studentId}/history`)).body.history;
+  assert.deepEqual(history.map(entry => entry.fine).sort((a, b) => a - b), [0, 5, 35]);
+
+  const account = (await api('GET', `/students/${student.studentId}/fines`)).body;
+  assert.equal(account.balance, 40);
+  assert.equal(account.entries.length, 2);
+});
+
+test('payments and waivers lower the balance but never below zero', async () => {
+  const student = (await api('POST', '/students', { name: 'Paying Reader', grade: 7, gradeLetter: 'B', cardId: 'fine2' })).body;
+  await lateReturn(student.studentId, '2000-05-01', '2000-06-30');
+  const fines = `/students/${student.studentId}/fines`;
+
+  const paid = await api('POST', `${fines}/payments`, { amount: 30 });
+  assert.equal(paid.status, 201);
+  assert.equal(paid.body.balance, 70);
+
+  const over = await api('POST', `${fines}/payments`, { amount: 71 });
+  assert.equal(over.status, 409);
+  assert.equal(over.body.code, 'FINE_OVERPAYMENT');
+
+  assert.equal((await api('POST', `${fines}/waivers`, { amount: 70 })).status, 400);
+  const waived = await api('POST', `${fines}/waivers`, { amount: 70, note: 'Lost in a flood' });
+  assert.equal(waived.body.balance, 0);
+  assert.deepEqual(waived.body.entries.map(entry => entry.kind), ['waived', 'paid', 'assessed']);
+
+  const balances = (await api('GET', '/fines')).body;
+  assert.ok(!balances.some(row => row.studentId === student.studentId));
+});
@@ -0,0 +1,58 @@
+import { before, after } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const ADMIN_PASSWORD = 'test-admin-password';
+
+/**
+ * Boots the API on a random port against a throwaway database and returns
+ * a small fetch wrapper for it, signed in as the bootstrap admin.
+ * Pass { token } as the fourth argument to call as another user, or { token: null } anonymously,
+ * and { headers } for extra request headers. Responses are { status, body, headers }.
+ * api.baseUrl is set once the server is listening, for requests that need raw fetch.
+ * Logs go to api.logDir.
+ */
+export async function setupTestServer() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-test-'));
+  process.env.DB_FILE = path.join(tmpDir, 'library.db');
+  process.env.NODE_ENV = 'test';
+  process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+  process.env.LOG_DIR = path.join(tmpDir, 'logs');
+
+  const { default: app } = await import('../server.js');
+
+  let server;
+  let baseUrl;
+  let adminToken;
+
+  const api = async (method, url, body, { token = adminToken, headers: extraHeaders } = {}) => {
+    const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json(), headers: res.headers };
+  };
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    api.baseUrl = baseUrl;
+    api.logDir = process.env.LOG_DIR;
+
+    const session = await api('POST', '/auth/login', { username: 'admin', password: ADMIN_PASSWORD });
+    adminToken = session.body.token;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  return api;
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const createStudent = async (cardId) => (await api('POST', '/students', {
+  name: `Queue ${cardId}`, grade: 5, gradeLetter: 'A', cardId,
+})).body;
+
+test('a returned copy is set aside for the first student in the queue', async () => {
+  const [reader, first, second] = await Promise.all(['holdr', 'hold1', 'hold2'].map(createStudent));
+  const book = (await api('POST', '/books', { title: 'Queued', author: 'Test', quantity: 1 })).body;
+  const loan = (await api('POST', '/loans/checkout', { studentId: reader.studentId, bookId: book.id })).body.transaction;
+
+  assert.equal((await api('POST', '/holds', { bookId: book.id, studentId: first.studentId })).status, 201);
+  assert.equal((await api('POST', '/holds', { bookId: book.id, studentId: second.studentId })).status, 201);
+  const again = await api('POST', '/holds', { bookId: book.id, studentId: first.studentId });
+  assert.equal(again.body.code, 'HOLD_EXISTS');
+
+  const renewal = await api('POST', `/loans/${loan.id}/renew`, {});
+  assert.equal(renewal.status, 409);
+  assert.equal(renewal.body.code, 'BOOK_ON_HOLD');
+
+  const checkin = await api('POST', '/loans/checkin', { studentId: reader.studentId, bookId: book.id });
+  assert.equal(checkin.body.readyHold.studentId, first.studentId);
+  assert.equal(checkin.body.readyHold.status, 'ready');
+  assert.ok(checkin.body.readyHold.expiresAt > checkin.body.readyHold.readyAt);
+
+  // The copy is set aside, so the next one to ask queues as well
+  const late = await createStudent('hold3');
+  assert.equal((await api('POST', '/holds', { bookId: book.id, studentId: late.studentId })).status, 201);
+
+  await api('POST', '/loans/checkout', { studentId: first.studentId, bookId: book.id });
+  const queue = (await api('GET', `/holds?bookId=${book.id}`)).body;
+  assert.deepEqual(
+    queue.map(hold => [hold.studentId, hold.status, hold.position]),
+    [[second.studentId, 'waiting', 1], [late.studentId, 'waiting', 2]]
+  );
+
+  const cancelled = await api('DELETE', `/holds/${queue[0].id}`);
+  assert.equal(cancelled.body.status, 'cancelled');
+  assert.equal((await api('DELETE', `/holds/${queue[0].id}`)).body.code, 'HOLD_CLOSED');
+});
+
+test('books with a free copy on the shelf cannot be held', async () => {
+  const student = await createStudent('hold4');
+  const book = (await api('POST', '/books', { title: 'On the shelf', author: 'Test', quantity: 1 })).body;
+
+  const res = await api('POST', '/holds', { bookId: book.id, studentId: student.studentId });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'BOOK_AVAILABLE');
+});
+
+test('a return recorded through /transactions also sets the copy aside for the queue', async () => {
+  const [reader, first, second] = await Promise.all(['holdt', 'hold5', 'hold6'].map(createStudent));
+  const book = (await api('POST', '/books', { title: 'Queued twice', author: 'Test', quantity: 1 })).body;
+  await api('POST', '/loans/checkout', { studentId: reader.studentId, bookId: book.id });
+  await api('POST', '/holds', { bookId: book.id, studentId: first.studentId });
+  await api('POST', '/holds', { bookId: book.id, studentId: second.studentId });
+
+  const returned = await api('POST', '/transactions', { studentId: reader.studentId, bookId: book.id, action: 'returned' });
+  assert.equal(returned.status, 201);
+  const queue = (await api('GET', `/holds?bookId=${book.id}`)).body;
+  assert.deepEqual(
+    queue.map(hold => [hold.studentId, hold.status]),
+    [[first.studentId, 'ready'], [second.studentId, 'waiting']]
+  );
+});
+
+test('copies added to the catalog are set aside for the queue first', async () => {
+  const [reader, first, second] = await Promise.all(['holdc', 'hold7', 'hold8'].map(createStudent));
+  const book = (await api('POST', '/books', { title: 'Restocked', author: 'Test', quantity: 1 })).body;
+  await api('POST', '/loans/checkout', { studentId: reader.studentId, bookId: book.id });
+  await api('POST', '/holds', { bookId: book.id, studentId: first.studentId });
+  await api('POST', '/holds', { bookId: book.id, studentId: second.studentId });
+  const statuses = async () => (await api('GET', `/holds?bookId=${book.id}`)).body.map(hold => hold.status);
+
+  await api('PATCH', `/books/${book.id}`, { quantity: 1 }, { headers: { 'If-Match': '*' } });
+  assert.deepEqual(await statuses(), ['ready', 'waiting']);
+
+  await api('POST', `/books/${book.id}/exemplars`, {});
+  assert.deepEqual(await statuses(), ['ready', 'ready']);
+});
+
+test('a delivery sets its copies aside for the queue first', async () => {
+  const [reader, first, second] = await Promise.all(['holdd', 'hold9', 'hold10'].map(createStudent));
+  const book = (await api('POST', '/books', { title: 'Delivered', author: 'Test', quantity: 1 })).body;
+  await api('POST', '/loans/checkout', { studentId: reader.studentId, bookId: book.id });
+  await api('POST', '/holds', { bookId: book.id, studentId: first.studentId });
+  await api('POST', '/holds', { bookId: book.id, studentId: second.studentId });
+
+  const received = await api('POST', '/deliveries', {
+    supplier: 'Queue supplier',
+    invoiceNumber: 'Q-1',
+    receivedAt: '2030-09-02',
+    fundingSource: 'municipal',
+    lines: [{ bookId: book.id, title: 'Delivered', author: 'Test', copies: 1, price: 100 }],
+  });
+  assert.equal(received.status, 201);
+  const queue = (await api('GET', `/holds?bookId=${book.id}`)).body;
+  assert.deepEqual(
+    queue.map(hold => [hold.studentId, hold.status]),
+    [[first.studentId, 'ready'], [second.studentId, 'waiting']]
+  );
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const withKey = (key) => ({ headers: { 'Idempotency-Key': key } });
+
+const setup = async (quantity = 3) => {
+  const [student] = (await api('GET', '/students')).body;
+  const { body: book } = await api('POST', '/books', { title: 'Idempotency', author: 'Test', quantity });
+  const count = async () => (await api('GET', `/transactions?bookId=${book.id}`)).body.length;
+  return { student, book, count };
+};
+
+test('a repeated checkout with the same key is replayed, not recorded twice', async () => {
+  const { student, book, count } = await setup();
+  const payload = { studentId: student.studentId, bookId: book.id, dueDate: '2030-02-01' };
+
+  const first = await api('POST', '/loans/checkout', payload, withKey('checkout-1'));
+  const second = await api('POST', '/loans/checkout', payload, withKey('checkout-1'));
+
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 201);
+  assert.deepEqual(second.body, first.body);
+  assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  assert.equal(await count(), 1);
+  assert.equal((await api('GET', `/books?q=${book.id}`)).body.find(b => b.id === book.id).quantity, 2);
+});
+
+test('requests without a key or with different keys are independent', async () => {
+  const { student, book, count } = await setup();
+  const payload = { studentId: student.studentId, bookId: book.id, action: 'taken', date: '2030-02-01' };
+
+  await api('POST', '/transactions', payload);
+  await api('POST', '/transactions', payload);
+  await api('POST', '/transactions', payload, withKey('tx-a'));
+  await api('POST', '/transactions', payload, withKey('tx-b'));
+
+  assert.equal(await count(), 4);
+});
+
+test('reusing a key for another request is rejected', async () => {
+  const { student, book } = await setup();
+
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id }, withKey('reused'));
+  const res = await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, dueDate: '2030-03-01' }, withKey('reused'));
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('a failed request does not use up its key', async () => {
+  const { student, book, count } = await setup();
+  const checkin = { studentId: student.studentId, bookId: book.id, date: '2030-02-01' };
+
+  assert.equal((await api('POST', '/loans/checkin', checkin, withKey('retry'))).status, 409);
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id });
+  assert.equal((await api('POST', '/loans/checkin', checkin, withKey('retry'))).status, 201);
+  assert.equal(await count(), 2);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const copiesOf = async (bookId) => (await api('GET', `/books/${bookId}/exemplars`)).body;
+
+test('scans are reconciled against the shelf and discrepancies are resolved', async () => {
+  const student = (await api('POST', '/students', { name: 'Stock Reader', grade: 9, gradeLetter: 'A', cardId: 'stock1' })).body;
+  const atlas = (await api('POST', '/books', { title: 'Atlas', author: 'Test', quantity: 3 })).body;
+  const dictionary = (await api('POST', '/books', { title: 'Dictionary', author: 'Test', quantity: 1, barcode: 4600000000017 })).body;
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: atlas.id });
+  const [onLoan, misplaced, missing] = await copiesOf(atlas.id);
+  await api('PATCH', `/exemplars/${misplaced.id}`, { location: 'Hall 1' });
+
+  const session = (await api('POST', '/inventory', { note: 'Annual' })).body;
+  assert.equal((await api('POST', '/inventory', {})).body.code, 'INVENTORY_IN_PROGRESS');
+  // Nothing scanned yet: everything that should be on the shelf is missing
+  const before = (await api('GET', `/inventory/${session.id}/report`)).body;
+  assert.equal(before.expectedOnShelf, before.expectedCopies - before.onLoanCopies);
+  assert.equal(before.counts.missing, before.expectedOnShelf);
+
+  const scan = async (code, location = 'Hall 2') =>
+    (await api('POST', `/inventory/${session.id}/scans`, { code, location })).body.verdict;
+  assert.equal(await scan(onLoan.inventoryNumber), 'unexpected');
+  assert.equal(await scan(misplaced.inventoryNumber), 'wrong-location');
+  assert.equal(await scan(misplaced.inventoryNumber), 'duplicate');
+  assert.equal(await scan('4600000000017', 'hall 3'), 'ok');
+  assert.equal(await scan('NOT-IN-CATALOG'), 'unexpected');
+
+  const live = (await api('GET', `/inventory/${session.id}/report`)).body;
+  assert.equal(live.matchedCopies, 1);
+  assert.deepEqual(live.counts, { missing: before.expectedOnShelf - 2, unexpected: 2, 'wrong-location': 1 });
+  assert.ok(live.discrepancies.some(item => item.kind === 'missing' && item.exemplarId === missing.id));
+
+  const closed = (await api('POST', `/inventory/${session.id}/close`)).body;
+  assert.ok(closed.session.closedAt);
+  assert.ok(closed.discrepancies.every(discrepancy => discrepancy.id !== null));
+  assert.equal((await api('POST', `/inventory/${session.id}/scans`, { code: missing.inventoryNumber })).body.code, 'INVENTORY_CLOSED');
+  assert.equal((await copiesOf(dictionary.id))[0].location, 'hall 3');
+
+  const byKind = (kind, exemplarId) => closed.discrepancies.find(item =>
+    item.kind === kind && (exemplarId === undefined || item.exemplarId === exemplarId));
+
+  const lost = await api('POST', `/inventory/discrepancies/${byKind('missing', missing.id).id}/resolution`, { resolution: 'lost' });
+  assert.equal(lost.body.resolution, 'lost');
+  assert.ok(lost.body.writeOffId);
+  assert.equal((await api('GET', '/books')).body.find(book => book.id === atlas.id).quantity, 1);
+
+  const again = await api('POST', `/inventory/discrepancies/${lost.body.id}/resolution`, { resolution: 'found' });
+  assert.equal(again.body.code, 'DISCREPANCY_RESOLVED');
+
+  const unknown = byKind('unexpected', null);
+  assert.equal((await api('POST', `/inventory/discrepancies/${unknown.id}/resolution`, { resolution: 'lost' })).status, 400);
+
+  const found = await api('POST', `/inventory/discrepancies/${byKind('wrong-location').id}/resolution`, {
+    resolution: 'found',
+    note: 'Put back on its shelf',
+  });
+  assert.equal(found.body.resolution, 'found');
+
+  const sessions = (await api('GET', '/inventory')).body;
+  const stored = before.expectedOnShelf - 2 + 3;
+  assert.deepEqual([sessions[0].discrepancies, sessions[0].unresolved], [stored, stored - 2]);
+});
+
+test('copies of archived books are not expected on the shelf', async () => {
+  const book = (await api('POST', '/books', { title: 'Retired atlas', author: 'Test', quantity: 2 })).body;
+  const [copy] = await copiesOf(book.id);
+  await api('DELETE', `/books/${book.id}`);
+
+  const session = (await api('POST', '/inventory', {})).body;
+  const report = (await api('GET', `/inventory/${session.id}/report`)).body;
+  assert.ok(!report.discrepancies.some(item => item.bookId === book.id));
+
+  const scan = await api('POST', `/inventory/${session.id}/scans`, { code: copy.inventoryNumber });
+  assert.equal(scan.body.verdict, 'unexpected');
+  const closed = (await api('POST', `/inventory/${session.id}/close`)).body;
+  assert.equal(closed.expectedCopies, report.expectedCopies);
+  assert.deepEqual(closed.discrepancies.filter(item => item.bookId === book.id).map(item => item.kind), ['unexpected']);
+});
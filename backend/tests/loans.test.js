@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+// One student borrows, returns late and keeps overdue books throughout,
+// the borrowing policy is covered in borrowing.test.js
+process.env.BORROW_BLOCK_ON_OVERDUE = 'false';
+process.env.BORROW_MAX_FINE_BALANCE = '1000000';
+
+const api = await setupTestServer();
+
+const getQuantity = async (bookId) =>
+  (await api('GET', '/books')).body.find(b => b.id === bookId).quantity;
+
+test('checkout records the loan and takes a copy from stock', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Checkout', author: 'Test', quantity: 2 })).body;
+
+  const res = await api('POST', '/loans/checkout', {
+    studentId: student.studentId,
+    bookId: book.id,
+    dueDate: '2030-01-15',
+  });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.transaction.action, 'taken');
+  assert.equal(res.body.book.quantity, 1);
+  assert.equal(await getQuantity(book.id), 1);
+});
+
+test('checkout is rejected when no copies are left', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Empty', author: 'Test', quantity: 1 })).body;
+  await api('PATCH', `/books/${book.id}`, { quantity: 0 }, { headers: { 'If-Match': `"${book.version}"` } });
+  const before = (await api('GET', '/transactions')).body.length;
+
+  const res = await api('POST', '/loans/checkout', {
+    studentId: student.studentId,
+    bookId: book.id,
+    dueDate: '2030-01-15',
+  });
+
+  assert.equal(res.status, 409);
+  assert.equal((await api('GET', '/transactions')).body.length, before);
+});
+
+test('checkin closes the loan and returns the copy to stock', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Checkin', author: 'Test', quantity: 1 })).body;
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, dueDate: '2030-01-15' });
+
+  const res = await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.transaction.action, 'returned');
+  assert.equal(await getQuantity(book.id), 1);
+
+  const again = await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id });
+  assert.equal(again.status, 409);
+  assert.equal(await getQuantity(book.id), 1);
+});
+
+test('loans view pairs issues with returns and joins student and book', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Loan view', author: 'Test', quantity: 3 })).body;
+  const checkout = (dueDate) =>
+    api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, dueDate });
+
+  await checkout('2000-01-10');
+  await checkout('2099-01-10');
+  await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id, date: '2000-01-12' });
+
+  const all = (await api('GET', `/loans?bookId=${book.id}`)).body;
+  assert.equal(all.total, 2);
+  const [closed, open] = all.items;
+  assert.equal(closed.status, 'closed');
+  assert.equal(closed.returnedAt, '2000-01-12');
+  assert.equal(closed.overdue, true);
+  assert.equal(open.status, 'open');
+  assert.equal(open.overdue, false);
+  assert.equal(open.studentName, student.name);
+  assert.equal(open.bookTitle, 'Loan view');
+
+  const openOnly = (await api('GET', `/loans?bookId=${book.id}&status=open`)).body;
+  assert.deepEqual(openOnly.items.map(loan => loan.dueDate), ['2099-01-10']);
+
+  const byTitle = (await api('GET', `/loans?book=${encodeURIComponent('loan VIEW')}&pageSize=1`)).body;
+  assert.equal(byTitle.total, 2);
+  assert.equal(byTitle.items.length, 1);
+});
+
+test('loans carry the issue, due and return days separately', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Dated loan', author: 'Test', quantity: 1 })).body;
+  const today = new Date().toISOString().slice(0, 10);
+  const issuedBefore = (await api('GET', '/stats')).body.issuedToday;
+
+  const issued = (await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, dueDate: '2000-02-01' })).body;
+  assert.equal(issued.transaction.issuedAt, today);
+  assert.equal(issued.transaction.date, today);
+  assert.equal(issued.transaction.dueDate, '2000-02-01');
+  assert.equal((await api('GET', '/stats')).body.issuedToday, issuedBefore + 1);
+
+  const returned = (await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id, date: '2000-02-05' })).body;
+  assert.equal(returned.transaction.returnedAt, '2000-02-05');
+  assert.equal(returned.transaction.dueDate, '2000-02-01');
+  assert.equal(returned.transaction.warn, true);
+
+  const [taken] = (await api('GET', `/transactions?bookId=${book.id}&action=taken`)).body;
+  assert.equal(taken.returnedAt, '2000-02-05');
+
+  const [entry] = (await api('GET', `/students/${student.studentId}/history`)).body.history
+    .filter(item => item.bookId === book.id);
+  assert.deepEqual(
+    [entry.issuedAt, entry.dueDate, entry.returnDate, entry.status],
+    [today, '2000-02-01', '2000-02-05', 'returned-late']
+  );
+});
+
+test('renewals move the due date to a workday, up to LOAN_MAX_RENEWALS times', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Renewed', author: 'Test', quantity: 1 })).body;
+  const loan = (await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, dueDate: '2000-03-01' }))
+    .body.transaction;
+  const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+  const today = new Date().toISOString().slice(0, 10);
+
+  // Overdue: the new term counts from today
+  const first = await api('POST', `/loans/${loan.id}/renew`, {});
+  assert.equal(first.status, 200);
+  assert.ok(first.body.loan.dueDate > today);
+  assert.ok(![0, 6].includes(weekday(first.body.loan.dueDate)));
+  assert.equal(first.body.transaction.dueDate, first.body.loan.dueDate);
+
+  const saturday = new Date(`${first.body.loan.dueDate}T00:00:00Z`);
+  saturday.setUTCDate(saturday.getUTCDate() + 7 + ((6 - saturday.getUTCDay() + 7) % 7));
+  const requested = saturday.toISOString().slice(0, 10);
+  const second = await api('POST', `/loans/${loan.id}/renew`, { dueDate: requested });
+  assert.equal(second.status, 200);
+  assert.ok(second.body.loan.dueDate > requested);
+  assert.ok(![0, 6].includes(weekday(second.body.loan.dueDate)));
+
+  const third = await api('POST', `/loans/${loan.id}/renew`, {});
+  assert.equal(third.status, 409);
+  assert.equal(third.body.code, 'RENEWAL_LIMIT');
+
+  const details = (await api('GET', `/loans/${loan.id}`)).body;
+  assert.equal(details.renewals, 2);
+  assert.deepEqual(
+    details.renewalHistory.map(renewal => [renewal.previousDueDate, renewal.dueDate]),
+    [['2000-03-01', first.body.loan.dueDate], [first.body.loan.dueDate, second.body.loan.dueDate]]
+  );
+
+  await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id });
+  assert.equal((await api('POST', `/loans/${loan.id}/renew`, {})).body.code, 'LOAN_CLOSED');
+});
+
+test('transactions can be filtered by pair, action and date', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Filtered log', author: 'Test', quantity: 2 })).body;
+  await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, dueDate: '2031-03-01' });
+  await api('POST', '/loans/checkin', { studentId: student.studentId, bookId: book.id, date: '2031-02-20' });
+
+  const taken = (await api('GET', `/transactions?bookId=${book.id}&action=taken`)).body;
+  assert.deepEqual(taken.map(tr => tr.dueDate), ['2031-03-01']);
+
+  const inFebruary = (await api('GET', `/transactions?bookId=${book.id}&from=2031-02-01&to=2031-02-28`)).body;
+  assert.deepEqual(inFebruary.map(tr => tr.action), ['returned']);
+
+  assert.equal((await api('GET', '/transactions?action=lost')).status, 400);
+  assert.equal((await api('GET', '/loans?status=late')).status, 400);
+});
+
+test('student history judges open loans overdue on the same day as the loans view', async () => {
+  const [student] = (await api('GET', '/students')).body;
+  const book = (await api('POST', '/books', { title: 'Due about now', author: 'Test', quantity: 2 })).body;
+  const today = new Date().toISOString().slice(0, 10);
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const dueDate of [today, yesterday]) {
+    await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id, dueDate });
+  }
+
+  const loans = (await api('GET', `/loans?bookId=${book.id}`)).body.items;
+  const history = (await api('GET', `/students/${student.studentId}/history`)).body.history
+    .filter(item => item.bookId === book.id);
+  const overdueByDue = (items) => Object.fromEntries(items.map(item => [item.dueDate, item.overdue]));
+  assert.deepEqual(overdueByDue(history), overdueByDue(loans));
+  assert.deepEqual(overdueByDue(history), { [today]: false, [yesterday]: true });
+});
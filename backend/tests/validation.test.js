@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const student = (overrides = {}) => ({
+  name: 'Проверка Схемы',
+  grade: 7,
+  gradeLetter: 'Б',
+  cardId: `schema${Math.random().toString(36).slice(2, 8)}`,
+  ...overrides,
+});
+
+test('student payloads are checked field by field', async () => {
+  const res = await api('POST', '/students', student({ gradeLetter: 'undefined', grade: 12 }));
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(res.body.details.map(problem => problem.path).sort(), ['body.grade', 'body.gradeLetter']);
+
+  const created = await api('POST', '/students', student({ gradeLetter: 'б' }));
+  assert.equal(created.status, 201);
+  assert.equal(created.body.gradeLetter, 'Б');
+});
+
+test('book fields are typed and quantity 0 is kept', async () => {
+  const book = await api('POST', '/books', { title: 'Схема', author: 'Тест', quantity: 0, barcode: 4600000000001 });
+  assert.equal(book.status, 201);
+  assert.equal(book.body.quantity, 0);
+
+  for (const invalid of [{ barcode: 'abc' }, { quantity: -1 }, { quantity: 1.5 }, { title: '   ' }]) {
+    const res = await api('POST', '/books', { title: 'Схема', author: 'Тест', ...invalid });
+    assert.equal(res.status, 400, JSON.stringify(invalid));
+  }
+});
+
+test('patches need at least one known field and ignore the rest', async () => {
+  const { body: book } = await api('POST', '/books', { title: 'Патч', author: 'Тест' });
+  const options = { headers: { 'If-Match': `"${book.version}"` } };
+
+  assert.equal((await api('PATCH', `/books/${book.id}`, { id: 999 }, options)).status, 400);
+  assert.equal((await api('PATCH', `/books/abc`, { quantity: 1 }, options)).status, 400);
+
+  const res = await api('PATCH', `/books/${book.id}`, { quantity: 3, id: 999 }, options);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.id, book.id);
+  assert.equal(res.body.quantity, 3);
+});
+
+test('the OpenAPI document and explorer are served without signing in', async () => {
+  const spec = await fetch(`${api.baseUrl}/docs/openapi.json`);
+  assert.equal(spec.status, 200);
+
+  const document = await spec.json();
+  assert.equal(document.openapi, '3.1.0');
+  assert.deepEqual(
+    document.paths['/api/books'].post.requestBody.content['application/json'].schema,
+    { $ref: '#/components/schemas/BookCreate' }
+  );
+  assert.ok(document.paths['/api/books/{id}'].patch.responses['403']);
+  assert.deepEqual(document.paths['/api/auth/login'].post.security, []);
+  assert.ok(document.components.schemas.Student.properties.gradeLetter.pattern);
+
+  const explorer = await fetch(`${api.baseUrl}/docs`);
+  assert.equal(explorer.status, 200);
+  assert.match(await explorer.text(), /swagger-ui-bundle\.js/);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestServer } from './helpers.js';
+
+const api = await setupTestServer();
+
+const copiesOf = async (bookId) => (await api('GET', `/books/${bookId}/exemplars`)).body;
+
+test('a copy lost by a reader closes the loan and can be replaced', async () => {
+  const student = (await api('POST', '/students', { name: 'Lost Reader', grade: 8, gradeLetter: 'C', cardId: 'lost1' })).body;
+  const book = (await api('POST', '/books', { title: 'Lost', author: 'Test', quantity: 1 })).body;
+  const loan = (await api('POST', '/loans/checkout', { studentId: student.studentId, bookId: book.id })).body.transaction;
+  const [copy] = await copiesOf(book.id);
+
+  const worn = await api('POST', `/exemplars/${copy.id}/write-off`, { reason: 'worn-out' });
+  assert.equal(worn.body.code, 'ON_LOAN');
+
+  const lost = await api('POST', `/exemplars/${copy.id}/write-off`, { reason: 'lost', note: 'Left on a bus' });
+  assert.equal(lost.status, 201);
+  assert.deepEqual([lost.body.loanId, lost.body.studentId, lost.body.settlement], [loan.id, student.studentId, null]);
+  assert.equal((await api('GET', `/loans/${loan.id}`)).body.status, 'closed');
+
+  const history = (await api('GET', `/students/${student.studentId}/history`)).body.history;
+  assert.equal(history[0].status, 'lost');
+  assert.equal(history[0].writeOff.id, lost.body.id);
+
+  const compensation = await api('POST', `/write-offs/${lost.body.id}/settlement`, { settlement: 'compensated' });
+  assert.equal(compensation.status, 400);
+
+  const replaced = await api('POST', `/write-offs/${lost.body.id}/settlement`, { settlement: 'replaced', inventoryNumber: 'R-1' });
+  assert.equal(replaced.body.settlement, 'replaced');
+  const copies = await copiesOf(book.id);
+  assert.deepEqual(copies.map(item => [item.inventoryNumber, item.status]), [
+    [copy.inventoryNumber, 'withdrawn'],
+    ['R-1', 'on-shelf'],
+  ]);
+  assert.equal(copies[0].writeOffReason, 'lost');
+
+  const again = await api('POST', `/write-offs/${lost.body.id}/settlement`, { settlement: 'compensated', compensation: 300 });
+  assert.equal(again.body.code, 'WRITE_OFF_SETTLED');
+});
+
+test('write-offs leave stock and are counted per period', async () => {
+  const book = (await api('POST', '/books', { title: 'Outdated', author: 'Test', quantity: 3 })).body;
+  const [first, second] = await copiesOf(book.id);
+
+  await api('POST', `/exemplars/${first.id}/write-off`, { reason: 'outdated', date: '2001-02-10' });
+  await api('POST', `/exemplars/${second.id}/write-off`, { reason: 'damaged', date: '2001-03-05' });
+  assert.equal((await api('POST', `/exemplars/${first.id}/write-off`, { reason: 'outdated' })).body.code, 'WITHDRAWN');
+
+  const books = (await api('GET', '/books')).body;
+  assert.equal(books.find(item => item.id === book.id).quantity, 1);
+
+  const february = (await api('GET', '/stats?from=2001-02-01&to=2001-02-28')).body;
+  assert.equal(february.writtenOff, 1);
+  assert.deepEqual(february.writtenOffByReason, { lost: 0, 'worn-out': 0, outdated: 1, damaged: 0 });
+
+  const listed = (await api('GET', '/write-offs?from=2001-01-01&to=2001-12-31')).body;
+  assert.deepEqual(listed.map(item => item.reason), ['damaged', 'outdated']);
+
+  const noReader = await api('POST', `/write-offs/${listed[0].id}/settlement`, { settlement: 'compensated', compensation: 100 });
+  assert.equal(noReader.body.code, 'NO_READER');
+});
+
+test('a replacement copy goes to the first student in the queue', async () => {
+  const [reader, waiting] = await Promise.all(['lost3', 'lost4'].map(async cardId => (await api('POST', '/students', {
+    name: `Queue ${cardId}`, grade: 8, gradeLetter: 'C', cardId,
+  })).body));
+  const book = (await api('POST', '/books', { title: 'Lost and queued', author: 'Test', quantity: 1 })).body;
+  await api('POST', '/loans/checkout', { studentId: reader.studentId, bookId: book.id });
+  await api('POST', '/holds', { bookId: book.id, studentId: waiting.studentId });
+  const [copy] = await copiesOf(book.id);
+
+  const lost = (await api('POST', `/exemplars/${copy.id}/write-off`, { reason: 'lost' })).body;
+  await api('POST', `/write-offs/${lost.id}/settlement`, { settlement: 'replaced' });
+  const [hold] = (await api('GET', `/holds?bookId=${book.id}`)).body;
+  assert.deepEqual([hold.studentId, hold.status], [waiting.studentId, 'ready']);
+});
@@ -0,0 +1,179 @@
+import { ValidationError } from './errors.js';
+
+// ====================== SCHEMA CHECKS ======================
+
+/**
+ * A small JSON Schema validator for the subset used in schemas.js:
+ * type (or a list of types), properties, required, minProperties, items, minItems, maxItems,
+ * enum, pattern, minLength, maxLength, minimum, maximum and format: 'date'.
+ * Description-only keywords (description, example, readOnly, ...) are ignored.
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => {
+  if (!DATE_RE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  null: 'null',
+};
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isSafeInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return false;
+  }
+};
+
+// Query strings and path parameters only carry text, read numbers and booleans out of them
+const coerce = (types, value) => {
+  if (typeof value !== 'string') return value;
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * Checks value against schema and appends { path, message } entries to problems.
+ * Returns the value to use: objects keep only declared properties, strings are coerced when asked to.
+ */
+const check = (schema, value, path, problems, options) => {
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (options.coerce) value = coerce(types, value);
+
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    problems.push({ path, message: `must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}` });
+    return value;
+  }
+  if (value === null) return value;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push({ path, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      problems.push({ path, message: schema['x-pattern-message'] ?? `must match ${schema.pattern}` });
+    }
+    if (schema.format === 'date' && !isValidDate(value)) {
+      problems.push({ path, message: 'must be a date in yyyy-mm-dd format' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, problems, options));
+  }
+
+  if (matchesType('object', value) && schema.properties) {
+    const result = {};
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      let propertyValue = value[key];
+      // An empty query parameter (?genre=) means the filter is not set
+      if (options.coerce && propertyValue === '') propertyValue = undefined;
+
+      if (propertyValue === undefined) {
+        if (schema.required?.includes(key)) {
+          problems.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+        continue;
+      }
+      result[key] = check(propertySchema, propertyValue, `${path}.${key}`, problems, options);
+    }
+
+    if (schema.minProperties !== undefined && Object.keys(result).length < schema.minProperties) {
+      problems.push({ path, message: `must contain at least ${schema.minProperties} of: ${Object.keys(schema.properties).join(', ')}` });
+    }
+    return result;
+  }
+
+  return value;
+};
+
+const toValidationError = (problems) => new ValidationError(
+  `${problems.map(problem => `${problem.path} ${problem.message}`).join('; ')}.`,
+  { details: problems }
+);
+
+/**
+ * Validates value against schema.
+ * Returns the cleaned value, throws a ValidationError listing every problem in details.
+ */
+export const validateValue = (schema, value, { path = 'value', coerce = false } = {}) => {
+  const problems = [];
+  const result = check(schema, value, path, problems, { coerce });
+  if (problems.length > 0) throw toValidationError(problems);
+  return result;
+};
+
+// ====================== MIDDLEWARE ======================
+
+/**
+ * Route middleware that checks params, query and body against the route's schemas and
+ * replaces them with the cleaned values (undeclared fields dropped, query numbers parsed).
+ * The spec also documents the route: the OpenAPI document (openapi.js) is built from it.
+ *
+ * spec: { summary, description, tags, params, query, body, responses, errors }
+ * responses maps a status to a schema (or a media type string for non-JSON content),
+ * errors lists the domain error statuses the route can answer with, such as 404 or 409.
+ */
+export const validate = (spec) => {
+  const middleware = (req, res, next) => {
+    const problems = [];
+    const params = spec.params ? check(spec.params, req.params, 'params', problems, { coerce: true }) : req.params;
+    const query = spec.query ? check(spec.query, req.query, 'query', problems, { coerce: true }) : req.query;
+    const body = spec.body ? check(spec.body, req.body ?? {}, 'body', problems, { coerce: false }) : req.body;
+    if (problems.length > 0) throw toValidationError(problems);
+
+    req.params = params;
+    // req.query is a getter in Express 5, shadow it with the validated copy
+    Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true, enumerable: true });
+    req.body = body;
+    next();
+  };
+
+  middleware.apiSpec = spec;
+  return middleware;
+};
@@ -0,0 +1,133 @@
+import {
+  getExemplar,
+  getTransaction,
+  getStudent,
+  getWriteOff,
+  insertWriteOff,
+  setWriteOffSettlement,
+} from './db.js';
+import { recordAudit } from './audit.js';
+import { ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { today, findOpenIssue, recordReturn } from './loans.js';
+import { addExemplar, withdrawExemplar, syncBookQuantity, restockBook } from './exemplars.js';
+
+/**
+ * Write-offs: copies leaving stock for good, with the reason (WRITE_OFF_REASONS in db.js).
+ * A copy a reader lost or damaged is linked to that loan, and the reader can later replace
+ * it with another copy or pay compensation. Call inside inTransaction, changes are audited
+ * under actor.
+ */
+
+// The stored fields, the joined titles and names are for display only
+const toRecord = (writeOff) => {
+  const { bookTitle: _title, bookAuthor: _author, inventoryNumber: _number, studentName: _name, ...fields } = writeOff;
+  return fields;
+};
+
+/**
+ * Writes a copy off on day. A copy on loan can only be written off as lost: its loan is
+ * closed and linked. For a copy on the shelf loanId may name the earlier loan of this copy
+ * in which it was damaged or lost. Returns { writeOff, transaction, book }, transaction being
+ * the return that closed the loan, or null.
+ * @throws {NotFoundError}
+ * @throws {ValidationError} loanId is not a loan of this copy, or the reason is not lost or damaged
+ * @throws {ConflictError} WITHDRAWN, ON_LOAN, OLDER_LOAN_OPEN
+ */
+export const writeOffExemplar = (actor, exemplarId, { reason, loanId, note = null, date = today() }) => {
+  const exemplar = getExemplar(exemplarId);
+  if (!exemplar) {
+    throw new NotFoundError('Copy not found.');
+  }
+  if (exemplar.status === 'withdrawn') {
+    throw new ConflictError(`Copy ${exemplar.inventoryNumber} is already withdrawn.`, { code: 'WITHDRAWN' });
+  }
+
+  let loan = null;
+  let transaction = null;
+  if (exemplar.status === 'on-loan') {
+    if (reason !== 'lost') {
+      throw new ConflictError('The copy is on loan. Accept it back first, or write it off as lost.', {
+        code: 'ON_LOAN',
+      });
+    }
+    loan = getTransaction(exemplar.loanId);
+    // A return closes the oldest open loan of the pair, see findOpenIssue()
+    if (findOpenIssue(loan.studentId, loan.bookId).id !== loan.id) {
+      throw new ConflictError('The student has an older copy of this book on loan. Accept that one back first.', {
+        code: 'OLDER_LOAN_OPEN',
+      });
+    }
+    transaction = recordReturn(actor, { studentId: loan.studentId, bookId: loan.bookId, returnedAt: date });
+  } else if (loanId !== undefined) {
+    if (reason !== 'lost' && reason !== 'damaged') {
+      throw new ValidationError('Only lost or damaged copies are linked to a loan.', {
+        details: [{ path: 'loanId', message: 'only lost or damaged copies are linked to a loan' }],
+      });
+    }
+    loan = getTransaction(loanId);
+    if (!loan || loan.action !== 'taken' || loan.exemplarId !== exemplar.id) {
+      throw new ValidationError('loanId must be a loan of this copy.', {
+        details: [{ path: 'loanId', message: 'must be a loan of this copy' }],
+      });
+    }
+  }
+
+  withdrawExemplar(actor, getExemplar(exemplar.id), date);
+  const writeOff = insertWriteOff({
+    exemplarId: exemplar.id,
+    bookId: exemplar.bookId,
+    reason,
+    loanId: loan?.id ?? null,
+    studentId: loan?.studentId ?? null,
+    note,
+    writtenOffAt: date,
+    actorId: actor?.id ?? null,
+    actorName: actor?.fullName ?? actor?.username ?? null,
+  });
+  recordAudit(actor, 'write-off', null, toRecord(writeOff));
+
+  return { writeOff, transaction, book: syncBookQuantity(actor, exemplar.bookId) };
+};
+
+/**
+ * Records how the reader made up for a copy written off with their loan: 'replaced' puts the
+ * copy they brought on the shelf (inventoryNumber and barcode as for a new copy),
+ * 'compensated' records the amount paid. Returns { writeOff, book, readyHolds }, the holds the
+ * replacement copy was set aside for.
+ * @throws {NotFoundError}
+ * @throws {ValidationError} compensation is missing
+ * @throws {ConflictError} NO_READER, WRITE_OFF_SETTLED
+ */
+export const settleWriteOff = (actor, id, { settlement, compensation, ...copy }) => {
+  const existing = getWriteOff(id);
+  if (!existing) {
+    throw new NotFoundError('Write-off not found.');
+  }
+  if (!existing.studentId || !getStudent(existing.studentId)) {
+    throw new ConflictError('Only copies written off with a reader\'s loan are replaced or compensated.', {
+      code: 'NO_READER',
+    });
+  }
+  if (existing.settlement) {
+    throw new ConflictError('The reader has already made up for this copy.', { code: 'WRITE_OFF_SETTLED' });
+  }
+  if (settlement === 'compensated' && compensation === undefined) {
+    throw new ValidationError('compensation is required.', {
+      details: [{ path: 'compensation', message: 'is required when the reader pays compensation' }],
+    });
+  }
+
+  const replacement = settlement === 'replaced'
+    ? addExemplar(actor, existing.bookId, { condition: 'new', ...copy })
+    : null;
+  const writeOff = setWriteOffSettlement({
+    id,
+    settlement,
+    compensation: settlement === 'compensated' ? compensation : null,
+    replacementExemplarId: replacement?.id ?? null,
+    settledAt: today(),
+  });
+  recordAudit(actor, 'write-off', toRecord(existing), toRecord(writeOff));
+
+  return { writeOff, ...restockBook(actor, existing.bookId) };
+};
@@ -10,9 +10,10 @@ module.exports = {
       NODE_ENV: 'production',
       PORT: 3001
     },
-    error_file: './logs/err.log',
-    out_file: './logs/out.log',
-    log_file: './logs/combined.log',
+    // The app writes its own JSON logs to logs/out.log, err.log and combined.log (see backend/logger.js),
+    // pm2 only keeps whatever reaches stdout/stderr outside of them, such as crash traces
+    error_file: './logs/pm2-err.log',
+    out_file: './logs/pm2-out.log',
     time: true
   }]
 } 
\ No newline at end of file
@@ -1,12 +1,32 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Navbar from './components/Navbar';
 import HomePage from './pages/HomePage';
 import AbiturPage from './pages/AbiturPage';
 import BooksPage from './pages/BooksPage'
+import LoginPage from './pages/LoginPage';
+import AuditPage from './pages/AuditPage';
+import AdminPage from './pages/AdminPage';
+import InventoryPage from './pages/InventoryPage';
+import { useAuthStore, canManageCatalog, canCirculate } from './store/authStore';
+import { useConfigStore } from './store/configStore';
 
 
 function App() {
+  const token = useAuthStore(state => state.token);
+  const user = useAuthStore(state => state.user);
+  const isAdmin = canManageCatalog(user);
+  const isStaff = canCirculate(user);
+  const loadConfig = useConfigStore(state => state.load);
+
+  useEffect(() => {
+    loadConfig();
+  }, [loadConfig]);
+
+  if (!token) {
+    return <LoginPage />;
+  }
+
   return (
     <Router>
       <div className="app">
@@ -17,6 +37,9 @@ function App() {
               <Route path="/" element={<HomePage />} />
               <Route path="/abiturients" element={<AbiturPage />} />
               <Route path="/books" element={<BooksPage />} />
+              {isStaff && <Route path="/inventory" element={<InventoryPage />} />}
+              {isAdmin && <Route path="/audit" element={<AuditPage />} />}
+              {isAdmin && <Route path="/admin" element={<AdminPage />} />}
             </Routes>
           </div>
         </main>
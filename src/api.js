@@ -0,0 +1,162 @@
+import { API_URL } from './config';
+import { useAuthStore } from './store/authStore';
+
+/**
+ * fetch с токеном текущего пользователя.
+ * При 401 сессия сбрасывается и приложение возвращается на страницу входа.
+ */
+export const apiFetch = async (url, options = {}) => {
+  const { token, clearSession } = useAuthStore.getState();
+  const headers = new Headers(options.headers);
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && token) {
+    clearSession();
+  }
+  return response;
+};
+
+// crypto.randomUUID есть только на https и localhost, а библиотека открывается и по адресу в локальной сети
+const randomKey = () => Array.from(
+  crypto.getRandomValues(new Uint8Array(16)),
+  byte => byte.toString(16).padStart(2, '0')
+).join('');
+
+/**
+ * Ключ идемпотентности для выдачи и приёма книг (заголовок Idempotency-Key).
+ * Повторная отправка тех же данных (двойной клик, сканер, повтор после обрыва связи)
+ * получает тот же ключ, и сервер вернёт первый ответ вместо второй записи.
+ * После успешной отправки нужно вызвать reset(), чтобы следующая попытка получила новый ключ.
+ */
+export const createIdempotencyKey = () => {
+  let attempt = null;
+  return {
+    forPayload(payload) {
+      const body = JSON.stringify(payload);
+      if (attempt?.body !== body) {
+        attempt = { body, key: randomKey() };
+      }
+      return attempt.key;
+    },
+    reset() {
+      attempt = null;
+    }
+  };
+};
+
+/**
+ * Заголовок If-Match для PATCH книги или ученика: версия записи, которую правил пользователь.
+ * Если запись с тех пор изменили, сервер ответит 409 VERSION_CONFLICT и вернёт её в details.current.
+ */
+export const ifMatch = (record) => ({ 'If-Match': `"${record.version}"` });
+
+const RENEW_ERRORS = {
+  RENEWAL_LIMIT: 'книгу уже продлевали максимальное число раз',
+  BOOK_ON_HOLD: 'на книгу есть очередь, её нужно вернуть',
+  DUE_DATE_LIMIT: 'срок уже максимальный',
+  LOAN_CLOSED: 'книга уже возвращена'
+};
+
+/**
+ * Продление выдачи (POST /api/loans/:id/renew). Новый срок считает сервер:
+ * LOAN_RENEW_DAYS от текущего срока (или от сегодня для просроченной), с переносом на рабочий день.
+ * Возвращает продлённую выдачу, при отказе бросает Error с понятным библиотекарю текстом.
+ */
+export const renewLoan = async (loanId, idempotencyKey) => {
+  const res = await apiFetch(`${API_URL}/api/loans/${loanId}/renew`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': idempotencyKey.forPayload({ loanId })
+    },
+    body: '{}'
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(RENEW_ERRORS[error.code] || error.error || 'Ошибка продления');
+  }
+
+  idempotencyKey.reset();
+  const { loan } = await res.json();
+  return loan;
+};
+
+// Причины списания экземпляра (WRITE_OFF_REASONS на сервере)
+export const WRITE_OFF_REASONS = {
+  lost: 'Утерян читателем',
+  'worn-out': 'Ветхий',
+  outdated: 'Устарел',
+  damaged: 'Повреждён'
+};
+
+/**
+ * Списание экземпляра (POST /api/exemplars/:id/write-off). payload: { reason, note?, loanId? }.
+ * Экземпляр на руках списывается только как утерянный, выдача при этом закрывается.
+ * Возвращает запись о списании, при отказе бросает Error с текстом сервера.
+ */
+export const writeOffCopy = async (copyId, payload) => {
+  const res = await apiFetch(`${API_URL}/api/exemplars/${copyId}/write-off`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || 'Ошибка списания');
+  }
+  return res.json();
+};
+
+// Источники финансирования поставок (FUNDING_SOURCES на сервере)
+export const FUNDING_SOURCES = {
+  federal: 'Федеральный бюджет',
+  regional: 'Региональный бюджет',
+  municipal: 'Муниципальный бюджет',
+  'extra-budgetary': 'Внебюджетные средства',
+  donation: 'Дар'
+};
+
+/**
+ * Приём поставки (POST /api/deliveries). payload: { supplier, invoiceNumber, receivedAt, fundingSource, note?, lines },
+ * строка: { bookId?, title, author, year?, copies, price }. Книги без bookId сервер ищет по названию и автору
+ * и при необходимости добавляет в каталог. Возвращает поставку со строками, при отказе бросает Error с текстом сервера.
+ */
+export const receiveDelivery = async (payload, idempotencyKey) => {
+  const res = await apiFetch(`${API_URL}/api/deliveries`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': idempotencyKey.forPayload(payload)
+    },
+    body: JSON.stringify(payload)
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.code === 'DUPLICATE_INVOICE'
+      ? 'Эта накладная поставщика уже принята'
+      : error.error || 'Ошибка приёма поставки');
+  }
+
+  idempotencyKey.reset();
+  return res.json();
+};
+
+// Виды расхождений инвентаризации (DISCREPANCY_KINDS на сервере)
+export const DISCREPANCY_KINDS = {
+  missing: 'Не найден на полке',
+  unexpected: 'Лишний',
+  'wrong-location': 'Не на своём месте'
+};
+
+// Как закрыто расхождение (DISCREPANCY_RESOLUTIONS на сервере)
+export const DISCREPANCY_RESOLUTIONS = {
+  found: 'Найден',
+  lost: 'Утерян',
+  'written-off': 'Списан'
+};
@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_URL } from '../config';
+import { apiFetch, FUNDING_SOURCES } from '../api';
+import DeliveryModal from './DeliveryModal';
+
+const formatDay = (day) => (day ? new Date(`${day}T00:00:00`).toLocaleDateString('ru-RU') : '—');
+
+const formatRubles = (amount) => `${amount.toLocaleString('ru-RU')} ₽`;
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+const monthStart = () => `${todayIso().slice(0, 8)}01`;
+
+const readError = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  return data.error || fallback;
+};
+
+/**
+ * Комплектование фонда: поставки за период с итогами по источникам финансирования,
+ * состав каждой накладной и приём новой поставки
+ */
+const AcquisitionPanel = () => {
+  const [from, setFrom] = useState(monthStart);
+  const [to, setTo] = useState(todayIso);
+  const [report, setReport] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [opened, setOpened] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const loadDeliveries = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    try {
+      const [reportRes, listRes] = await Promise.all([
+        apiFetch(`${API_URL}/api/reports/acquisitions?${params}`),
+        apiFetch(`${API_URL}/api/deliveries?${params}`)
+      ]);
+      if (!reportRes.ok) throw new Error(await readError(reportRes, 'Не удалось загрузить отчёт'));
+      if (!listRes.ok) throw new Error(await readError(listRes, 'Не удалось загрузить поставки'));
+      setReport(await reportRes.json());
+      setDeliveries(await listRes.json());
+    } catch (err) {
+      console.error('Ошибка загрузки поставок:', err);
+      setMessage(err.message);
+    }
+  }, [from, to]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const toggleDelivery = async (delivery) => {
+    if (opened?.id === delivery.id) {
+      setOpened(null);
+      return;
+    }
+    try {
+      const res = await apiFetch(`${API_URL}/api/deliveries/${delivery.id}`);
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось загрузить накладную'));
+      setOpened(await res.json());
+    } catch (err) {
+      console.error('Ошибка загрузки накладной:', err);
+      setMessage(err.message);
+    }
+  };
+
+  const handleReceived = (delivery) => {
+    const added = delivery.lines.filter(line => line.newTitle).length;
+    setMessage(`Накладная № ${delivery.invoiceNumber} принята: ${delivery.copies} экз.`
+      + (added > 0 ? `, новых наименований в каталоге: ${added}` : ''));
+    loadDeliveries();
+  };
+
+  const fundedSources = report
+    ? Object.entries(report.byFundingSource).filter(([, totals]) => totals.deliveries > 0)
+    : [];
+
+  return (
+    <div className="section">
+      <div className="admin-section-header">
+        <h2 className="section-title">Поступления</h2>
+        <div className="admin-actions">
+          <div className="date-range">
+            <input type="date" className="input input-sm" value={from} onChange={event => setFrom(event.target.value)} />
+            <input type="date" className="input input-sm" value={to} onChange={event => setTo(event.target.value)} />
+          </div>
+          <button type="button" className="btn btn-primary btn-sm" onClick={() => setIsModalOpen(true)}>
+            Принять поставку
+          </button>
+        </div>
+      </div>
+
+      {message && <p className="admin-message">{message}</p>}
+
+      {report && (
+        <p className="admin-message">
+          Поставок: {report.deliveries}, экземпляров: {report.copies}, наименований: {report.titles}
+          {' '}(новых: {report.newTitles}), на сумму {formatRubles(report.amount)}
+          {fundedSources.map(([source, totals]) => (
+            `\n${FUNDING_SOURCES[source]}: ${totals.copies} экз., ${formatRubles(totals.amount)}`
+          ))}
+        </p>
+      )}
+
+      <div className="tickets-table-wrapper">
+        <table className="tickets-table">
+          <thead>
+            <tr>
+              <th>Дата</th>
+              <th>Поставщик</th>
+              <th>Накладная</th>
+              <th>Финансирование</th>
+              <th>Экз.</th>
+              <th>Сумма</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {deliveries.map(delivery => (
+              <React.Fragment key={delivery.id}>
+                <tr>
+                  <td>{formatDay(delivery.receivedAt)}</td>
+                  <td>
+                    {delivery.supplier}
+                    {delivery.note && <div className="loan-copy">{delivery.note}</div>}
+                  </td>
+                  <td>{delivery.invoiceNumber}</td>
+                  <td>{FUNDING_SOURCES[delivery.fundingSource]}</td>
+                  <td>{delivery.copies}</td>
+                  <td>{formatRubles(delivery.amount)}</td>
+                  <td className="admin-actions">
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-sm"
+                      onClick={() => toggleDelivery(delivery)}
+                    >
+                      {opened?.id === delivery.id ? 'Скрыть' : 'Состав'}
+                    </button>
+                  </td>
+                </tr>
+                {opened?.id === delivery.id && opened.lines.map(line => (
+                  <tr key={`line-${line.id}`} className="delivery-line-row">
+                    <td />
+                    <td colSpan={3}>
+                      {line.title}, {line.author}
+                      {line.newTitle && <span className="loan-copy"> новое в каталоге</span>}
+                    </td>
+                    <td>{line.copies}</td>
+                    <td>{formatRubles(line.copies * line.price)}</td>
+                    <td className="loan-copy">{formatRubles(line.price)} за экз.</td>
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+        {deliveries.length === 0 && (
+          <div className="empty-table">За этот период поставок не было</div>
+        )}
+      </div>
+
+      <DeliveryModal
+        isOpen={isModalOpen}
+        onClose={() => setIsModalOpen(false)}
+        onReceived={handleReceived}
+      />
+    </div>
+  );
+};
+
+export default AcquisitionPanel;
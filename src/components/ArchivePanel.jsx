@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_URL } from '../config';
+import { apiFetch } from '../api';
+
+const formatDate = (value) => new Date(value).toLocaleString('ru-RU');
+
+const readError = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  return data.error || fallback;
+};
+
+/**
+ * Архив книг и учеников: восстановление или окончательное удаление вместе с историей выдач
+ */
+const ArchivePanel = () => {
+  const [archive, setArchive] = useState({ books: [], students: [] });
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const loadArchive = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_URL}/api/archive`);
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось загрузить архив'));
+      setArchive(await res.json());
+    } catch (err) {
+      console.error('Ошибка загрузки архива:', err);
+      setMessage(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadArchive();
+  }, [loadArchive]);
+
+  // collection: 'books' | 'students'
+  const handleRestore = async (collection, id, label) => {
+    try {
+      setIsLoading(true);
+      setMessage('');
+      const res = await apiFetch(`${API_URL}/api/archive/${collection}/${id}/restore`, { method: 'POST' });
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось восстановить запись'));
+      setMessage(`«${label}» снова в списках`);
+      await loadArchive();
+    } catch (err) {
+      console.error('Ошибка восстановления из архива:', err);
+      setMessage(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handlePurge = async (collection, id, label) => {
+    if (!confirm(`Удалить «${label}» навсегда?\nИстория выдач будет удалена вместе с записью, отменить это нельзя.`)) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setMessage('');
+      const res = await apiFetch(`${API_URL}/api/archive/${collection}/${id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось удалить запись'));
+      const result = await res.json();
+      setMessage(`«${label}» удалена, записей истории удалено: ${result.deletedTransactions}`);
+      await loadArchive();
+    } catch (err) {
+      console.error('Ошибка удаления из архива:', err);
+      setMessage(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderActions = (collection, id, label) => (
+    <td className="admin-actions">
+      <button
+        type="button"
+        className="btn btn-secondary btn-sm"
+        onClick={() => handleRestore(collection, id, label)}
+        disabled={isLoading}
+      >
+        Восстановить
+      </button>
+      <button
+        type="button"
+        className="btn btn-ghost btn-sm"
+        onClick={() => handlePurge(collection, id, label)}
+        disabled={isLoading}
+      >
+        Удалить навсегда
+      </button>
+    </td>
+  );
+
+  return (
+    <div className="section">
+      <div className="admin-section-header">
+        <h2 className="section-title">Архив</h2>
+      </div>
+
+      {message && <p className="admin-message">{message}</p>}
+
+      <h3 className="admin-subtitle">Книги</h3>
+      <div className="tickets-table-wrapper">
+        <table className="tickets-table">
+          <thead>
+            <tr>
+              <th>Название</th>
+              <th>Автор</th>
+              <th>В архиве с</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {archive.books.map(book => (
+              <tr key={book.id}>
+                <td>{book.title}</td>
+                <td>{book.author}</td>
+                <td>{formatDate(book.archivedAt)}</td>
+                {renderActions('books', book.id, book.title)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {archive.books.length === 0 && (
+          <div className="empty-table">Архивных книг нет</div>
+        )}
+      </div>
+
+      <h3 className="admin-subtitle">Ученики</h3>
+      <div className="tickets-table-wrapper">
+        <table className="tickets-table">
+          <thead>
+            <tr>
+              <th>ФИО</th>
+              <th>Класс</th>
+              <th>В архиве с</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {archive.students.map(student => (
+              <tr key={student.studentId}>
+                <td>{student.name}</td>
+                <td>{student.grade}{student.gradeLetter}</td>
+                <td>{formatDate(student.archivedAt)}</td>
+                {renderActions('students', student.studentId, student.name)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {archive.students.length === 0 && (
+          <div className="empty-table">Архивных учеников нет</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ArchivePanel;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_URL } from '../config';
+import { apiFetch } from '../api';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} КБ`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} МБ`;
+};
+
+const readError = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  const problems = Array.isArray(data.details) && data.details.length > 0
+    ? `\n${data.details.join('\n')}`
+    : '';
+  return `${data.error || fallback}${problems}`;
+};
+
+const BackupPanel = () => {
+  const [backups, setBackups] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const loadBackups = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_URL}/api/backups`);
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось загрузить список копий'));
+      setBackups(await res.json());
+    } catch (err) {
+      console.error('Ошибка загрузки резервных копий:', err);
+      setMessage(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBackups();
+  }, [loadBackups]);
+
+  const handleCreate = async () => {
+    try {
+      setIsLoading(true);
+      setMessage('');
+      const res = await apiFetch(`${API_URL}/api/backups`, { method: 'POST' });
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось создать копию'));
+      const backup = await res.json();
+      setMessage(`Копия ${backup.name} создана`);
+      await loadBackups();
+    } catch (err) {
+      console.error('Ошибка создания резервной копии:', err);
+      setMessage(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDownload = async (name) => {
+    try {
+      const res = await apiFetch(`${API_URL}/api/backups/${encodeURIComponent(name)}/download`);
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось скачать копию'));
+
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = name;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Ошибка скачивания резервной копии:', err);
+      alert(err.message);
+    }
+  };
+
+  const handleRestore = async (name) => {
+    if (!confirm(`Восстановить данные из копии ${name}?\nКниги, ученики и выдачи будут заменены содержимым копии.`)) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setMessage('');
+      const res = await apiFetch(`${API_URL}/api/backups/${encodeURIComponent(name)}/restore`, {
+        method: 'POST'
+      });
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось восстановить копию'));
+      const result = await res.json();
+      setMessage(`Данные восстановлены. Предыдущее состояние сохранено в ${result.safetyBackup}`);
+      await loadBackups();
+    } catch (err) {
+      console.error('Ошибка восстановления резервной копии:', err);
+      setMessage(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="section">
+      <div className="admin-section-header">
+        <h2 className="section-title">Резервные копии</h2>
+        <button
+          type="button"
+          className="btn btn-primary btn-sm"
+          onClick={handleCreate}
+          disabled={isLoading}
+        >
+          Создать копию
+        </button>
+      </div>
+
+      {message && <p className="admin-message">{message}</p>}
+
+      <div className="tickets-table-wrapper">
+        <table className="tickets-table">
+          <thead>
+            <tr>
+              <th>Файл</th>
+              <th>Создана</th>
+              <th>Размер</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {backups.map(backup => (
+              <tr key={backup.name}>
+                <td>{backup.name}</td>
+                <td>{new Date(backup.createdAt).toLocaleString('ru-RU')}</td>
+                <td>{formatSize(backup.size)}</td>
+                <td className="admin-actions">
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm"
+                    onClick={() => handleDownload(backup.name)}
+                  >
+                    Скачать
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => handleRestore(backup.name)}
+                    disabled={isLoading}
+                  >
+                    Восстановить
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {backups.length === 0 && (
+          <div className="empty-table">Резервных копий пока нет</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BackupPanel;
@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
 import './Modal.css';
 import { API_URL } from '../config';
+import { apiFetch, ifMatch } from '../api';
+import MergeConflict from './MergeConflict';
 
 const initialState = {
   title: '',
@@ -11,10 +13,21 @@ const initialState = {
   barcode: ''
 };
 
+const BOOK_FIELDS = [
+  { name: 'title', label: 'Название' },
+  { name: 'author', label: 'Автор' },
+  { name: 'genre', label: 'Жанр' },
+  { name: 'year', label: 'Год издания' },
+  { name: 'quantity', label: 'Количество' },
+  { name: 'barcode', label: 'Штрих-код' }
+];
+
 const BookEditModal = ({ isOpen, onClose, book, onUpdated }) => {
   const [form, setForm] = useState(initialState);
   const [error, setError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // { base, mine, current }, когда книгу успел изменить кто-то другой
+  const [conflict, setConflict] = useState(null);
 
   useEffect(() => {
     if (isOpen && book) {
@@ -27,10 +40,12 @@ const BookEditModal = ({ isOpen, onClose, book, onUpdated }) => {
         barcode: book.barcode ? String(book.barcode) : ''
       });
       setError('');
+      setConflict(null);
     } else if (!isOpen) {
       setForm(initialState);
       setError('');
       setIsSubmitting(false);
+      setConflict(null);
     }
   }, [isOpen, book]);
 
@@ -43,6 +58,38 @@ const BookEditModal = ({ isOpen, onClose, book, onUpdated }) => {
     setForm(prev => ({ ...prev, [name]: value }));
   };
 
+  // base - версия книги, на основе которой сделаны правки payload
+  const saveBook = async (payload, base) => {
+    try {
+      setIsSubmitting(true);
+      setError('');
+
+      const res = await apiFetch(`${API_URL}/api/books/${book.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...ifMatch(base) },
+        body: JSON.stringify(payload)
+      });
+
+      if (!res.ok) {
+        const payloadError = await res.json().catch(() => ({}));
+        if (payloadError.code === 'VERSION_CONFLICT') {
+          setConflict({ base, mine: payload, current: payloadError.details.current });
+          return;
+        }
+        throw new Error(payloadError.error || 'Не удалось сохранить изменения.');
+      }
+
+      const updatedBook = await res.json();
+      onUpdated?.(updatedBook);
+      onClose();
+    } catch (err) {
+      console.error('Ошибка обновления книги:', err);
+      setError(err.message || 'Не удалось сохранить изменения.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
 
@@ -95,37 +142,16 @@ const BookEditModal = ({ isOpen, onClose, book, onUpdated }) => {
       payload.barcode = null;
     }
 
-    try {
-      setIsSubmitting(true);
-      setError('');
-
-      const res = await fetch(`${API_URL}/api/books/${book.id}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (!res.ok) {
-        const payloadError = await res.json().catch(() => ({}));
-        throw new Error(payloadError.error || 'Не удалось сохранить изменения.');
-      }
-
-      const updatedBook = await res.json();
-      onUpdated?.(updatedBook);
-      onClose();
-    } catch (err) {
-      console.error('Ошибка обновления книги:', err);
-      setError(err.message || 'Не удалось сохранить изменения.');
-    } finally {
-      setIsSubmitting(false);
-    }
+    await saveBook(payload, book);
   };
 
+  const handleMerge = (merged) => saveBook(merged, conflict.current);
+
   return (
     <div className="modal-overlay" role="dialog" aria-modal="true">
       <div className="modal-content">
         <div className="modal-header">
-          <h2 className="modal-title">Редактирование книги</h2>
+          <h2 className="modal-title">{conflict ? 'Книгу изменили' : 'Редактирование книги'}</h2>
           <button
             type="button"
             className="modal-close"
@@ -135,88 +161,102 @@ const BookEditModal = ({ isOpen, onClose, book, onUpdated }) => {
             &times;
           </button>
         </div>
-        <form className="modal-form" onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label className="form-label">Название *</label>
-            <input
-              type="text"
-              name="title"
-              className="input"
-              value={form.title}
-              onChange={handleChange}
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Автор *</label>
-            <input
-              type="text"
-              name="author"
-              className="input"
-              value={form.author}
-              onChange={handleChange}
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Жанр</label>
-            <input
-              type="text"
-              name="genre"
-              className="input"
-              value={form.genre}
-              onChange={handleChange}
+        {conflict ? (
+          <>
+            <MergeConflict
+              key={conflict.current.version}
+              fields={BOOK_FIELDS}
+              {...conflict}
+              onSubmit={handleMerge}
+              onCancel={() => setConflict(null)}
+              isSubmitting={isSubmitting}
             />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Год издания</label>
-            <input
-              type="number"
-              name="year"
-              className="input"
-              value={form.year}
-              onChange={handleChange}
-              min="0"
-              max={new Date().getFullYear()}
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Количество</label>
-            <input
-              type="number"
-              name="quantity"
-              className="input"
-              value={form.quantity}
-              onChange={handleChange}
-              min="0"
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Штрих-код</label>
-            <input
-              type="text"
-              name="barcode"
-              className="input"
-              value={form.barcode}
-              onChange={handleChange}
-            />
-          </div>
+            {error && <div className="form-error">{error}</div>}
+          </>
+        ) : (
+          <form className="modal-form" onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label className="form-label">Название *</label>
+              <input
+                type="text"
+                name="title"
+                className="input"
+                value={form.title}
+                onChange={handleChange}
+                required
+              />
+            </div>
 
-          {error && <div className="form-error">{error}</div>}
+            <div className="form-group">
+              <label className="form-label">Автор *</label>
+              <input
+                type="text"
+                name="author"
+                className="input"
+                value={form.author}
+                onChange={handleChange}
+                required
+              />
+            </div>
 
-          <button
-            type="submit"
-            className="btn btn-primary btn-full"
-            disabled={isSubmitting}
-          >
-            {isSubmitting ? 'Сохраняем...' : 'Сохранить'}
-          </button>
-        </form>
+            <div className="form-group">
+              <label className="form-label">Жанр</label>
+              <input
+                type="text"
+                name="genre"
+                className="input"
+                value={form.genre}
+                onChange={handleChange}
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Год издания</label>
+              <input
+                type="number"
+                name="year"
+                className="input"
+                value={form.year}
+                onChange={handleChange}
+                min="0"
+                max={new Date().getFullYear()}
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Количество</label>
+              <input
+                type="number"
+                name="quantity"
+                className="input"
+                value={form.quantity}
+                onChange={handleChange}
+                min="0"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Штрих-код</label>
+              <input
+                type="text"
+                name="barcode"
+                className="input"
+                value={form.barcode}
+                onChange={handleChange}
+              />
+            </div>
+
+            {error && <div className="form-error">{error}</div>}
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-full"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Сохраняем...' : 'Сохранить'}
+            </button>
+          </form>
+        )}
       </div>
     </div>
   );
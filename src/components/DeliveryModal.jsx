@@ -0,0 +1,281 @@
+import React, { useEffect, useState } from 'react';
+import './Modal.css';
+import { FUNDING_SOURCES, createIdempotencyKey, receiveDelivery } from '../api';
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+const emptyLine = () => ({ title: '', author: '', copies: '1', price: '0' });
+
+const emptyForm = () => ({
+  supplier: '',
+  invoiceNumber: '',
+  receivedAt: todayIso(),
+  fundingSource: 'regional',
+  note: ''
+});
+
+/**
+ * Приём поставки по накладной: поставщик, номер и дата накладной, источник финансирования
+ * и строки (название, автор, экземпляры, цена за экземпляр). Книги, которых ещё нет в каталоге,
+ * сервер добавит сам, а экземпляры всех строк сразу встанут на полку.
+ */
+const DeliveryModal = ({ isOpen, onClose, onReceived }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [lines, setLines] = useState([emptyLine()]);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [idempotencyKey] = useState(createIdempotencyKey);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(emptyForm());
+      setLines([emptyLine()]);
+      setError('');
+      setIsSubmitting(false);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const changeLine = (index, field, value) => {
+    setLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const removeLine = (index) => {
+    setLines(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const total = lines.reduce((sum, line) => sum + (Number(line.copies) || 0) * (Number(line.price) || 0), 0);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const payload = {
+      supplier: form.supplier.trim(),
+      invoiceNumber: form.invoiceNumber.trim(),
+      receivedAt: form.receivedAt,
+      fundingSource: form.fundingSource,
+      ...(form.note.trim() && { note: form.note.trim() }),
+      lines: lines.map(line => ({
+        title: line.title.trim(),
+        author: line.author.trim(),
+        copies: Number(line.copies),
+        price: Number(line.price)
+      }))
+    };
+
+    if (!payload.supplier || !payload.invoiceNumber || !payload.receivedAt) {
+      setError('Укажите поставщика, номер и дату накладной.');
+      return;
+    }
+    if (payload.lines.length === 0) {
+      setError('Добавьте хотя бы одну строку накладной.');
+      return;
+    }
+    if (payload.lines.some(line => !line.title || !line.author)) {
+      setError('В каждой строке нужны название и автор.');
+      return;
+    }
+    if (payload.lines.some(line => !Number.isInteger(line.copies) || line.copies < 1)) {
+      setError('Количество экземпляров должно быть целым числом не меньше 1.');
+      return;
+    }
+    if (payload.lines.some(line => !Number.isInteger(line.price) || line.price < 0)) {
+      setError('Цену укажите целым числом рублей, для дара — 0.');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setError('');
+      const delivery = await receiveDelivery(payload, idempotencyKey);
+      onReceived?.(delivery);
+      onClose();
+    } catch (err) {
+      console.error('Ошибка приёма поставки:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="modal-content delivery-modal">
+        <div className="modal-header">
+          <h2 className="modal-title">Приём поставки</h2>
+          <button
+            type="button"
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Закрыть"
+          >
+            &times;
+          </button>
+        </div>
+        <form className="modal-form" onSubmit={handleSubmit}>
+          <div className="delivery-fields">
+            <div className="form-group">
+              <label className="form-label">Поставщик *</label>
+              <input
+                type="text"
+                name="supplier"
+                className="input"
+                value={form.supplier}
+                onChange={handleChange}
+                maxLength={200}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Номер накладной *</label>
+              <input
+                type="text"
+                name="invoiceNumber"
+                className="input"
+                value={form.invoiceNumber}
+                onChange={handleChange}
+                maxLength={50}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Дата поступления *</label>
+              <input
+                type="date"
+                name="receivedAt"
+                className="input"
+                value={form.receivedAt}
+                onChange={handleChange}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Источник финансирования *</label>
+              <select
+                name="fundingSource"
+                className="input"
+                value={form.fundingSource}
+                onChange={handleChange}
+              >
+                {Object.entries(FUNDING_SOURCES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <table className="delivery-lines">
+            <thead>
+              <tr>
+                <th>Название</th>
+                <th>Автор</th>
+                <th>Экз.</th>
+                <th>Цена, ₽</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map((line, index) => (
+                <tr key={index}>
+                  <td>
+                    <input
+                      type="text"
+                      className="input input-sm"
+                      value={line.title}
+                      onChange={event => changeLine(index, 'title', event.target.value)}
+                      maxLength={300}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      className="input input-sm"
+                      value={line.author}
+                      onChange={event => changeLine(index, 'author', event.target.value)}
+                      maxLength={200}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className="input input-sm"
+                      min="1"
+                      value={line.copies}
+                      onChange={event => changeLine(index, 'copies', event.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className="input input-sm"
+                      min="0"
+                      value={line.price}
+                      onChange={event => changeLine(index, 'price', event.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-sm"
+                      onClick={() => removeLine(index)}
+                      disabled={lines.length === 1}
+                      aria-label="Удалить строку"
+                    >
+                      &times;
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="delivery-summary">
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => setLines(prev => [...prev, emptyLine()])}
+            >
+              + Строка
+            </button>
+            <span>Сумма: {total.toLocaleString('ru-RU')} ₽</span>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Примечание</label>
+            <input
+              type="text"
+              name="note"
+              className="input"
+              value={form.note}
+              onChange={handleChange}
+              maxLength={500}
+            />
+          </div>
+
+          {error && <div className="form-error">{error}</div>}
+
+          <button
+            type="submit"
+            className="btn btn-primary btn-full"
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Принимаем...' : 'Принять поставку'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryModal;
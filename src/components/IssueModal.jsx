@@ -1,9 +1,9 @@
 ﻿import React, { useEffect, useMemo, useState } from 'react';
 import './Modal.css';
 import { API_URL } from '../config';
+import { apiFetch, createIdempotencyKey } from '../api';
+import { useConfigStore } from '../store/configStore';
 import StudentHistoryModal from './StudentHistoryModal';
-const MAX_DEADLINE_DAYS = 180;
-const DEFAULT_DURATION = { value: 1, unit: 'weeks' };
 const DURATION_UNITS = [
   { value: 'days', label: 'дней' },
   { value: 'weeks', label: 'недель' },
@@ -15,7 +15,6 @@ const DURATION_PRESETS = [
   { label: '1 месяц', value: 1, unit: 'months' },
   { label: 'До конца семестра', value: null, unit: 'semester' }
 ];
-const HOLIDAYS = new Set(['01-01', '02-23', '03-08', '05-01', '05-09', '06-12', '11-04']);
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 const startOfDay = (value) => {
   const date = new Date(value);
@@ -52,14 +51,15 @@ const isWeekend = (date) => {
   const day = date.getDay();
   return day === 0 || day === 6;
 };
-const isHoliday = (date) => {
+// holidays: праздники в формате ММ-ДД из настроек сервера (LOAN_HOLIDAYS), по ним же сервер продлевает выдачи
+const isHoliday = (date, holidays) => {
   const key = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-  return HOLIDAYS.has(key);
+  return holidays.includes(key);
 };
-const adjustToWorkday = (candidate, maxDate) => {
+const adjustToWorkday = (candidate, maxDate, holidays) => {
   const adjusted = startOfDay(candidate);
   const limit = startOfDay(maxDate);
-  while ((isWeekend(adjusted) || isHoliday(adjusted)) && adjusted.getTime() <= limit.getTime()) {
+  while ((isWeekend(adjusted) || isHoliday(adjusted, holidays)) && adjusted.getTime() <= limit.getTime()) {
     adjusted.setDate(adjusted.getDate() + 1);
   }
   if (adjusted.getTime() > limit.getTime()) {
@@ -86,6 +86,22 @@ const getSemesterEnd = (base) => {
   }
   return new Date(year, 11, 31);
 };
+// Срок выдачи по умолчанию из настроек сервера, целые недели показываем неделями
+const toDefaultDuration = (days) =>
+  days % 7 === 0 ? { value: days / 7, unit: 'weeks' } : { value: days, unit: 'days' };
+// Почему ученику нельзя выдать книгу, по кодам блокировок из GET /api/students/:id/borrowing
+const describeBlock = (block, status, student) => {
+  switch (block.code) {
+    case 'LOAN_LIMIT':
+      return `Лимит для ${student.grade} класса — ${status.maxLoans} кн. одновременно, на руках уже ${status.openLoans}.`;
+    case 'HAS_OVERDUE':
+      return `Есть просроченные книги: ${status.overdueLoans}.`;
+    case 'UNPAID_FINES':
+      return `Не оплачены штрафы: ${status.fineBalance} ₽.`;
+    default:
+      return block.message;
+  }
+};
 const IssueModal = ({
   isOpen,
   onClose,
@@ -93,27 +109,39 @@ const IssueModal = ({
   bookId = null,
   initialBook = null
 }) => {
+  const loanSettings = useConfigStore(state => state.loan);
+  const maxDeadlineDays = loanSettings.maxDays;
+  const holidays = loanSettings.holidays;
+  const defaultDuration = useMemo(() => toDefaultDuration(loanSettings.defaultDays), [loanSettings.defaultDays]);
   const today = useMemo(() => startOfDay(new Date()), []);
   const maxDeadline = useMemo(
-    () => endOfDay(addDuration(today, { value: MAX_DEADLINE_DAYS, unit: 'days' })),
-    [today]
+    () => endOfDay(addDuration(today, { value: maxDeadlineDays, unit: 'days' })),
+    [today, maxDeadlineDays]
   );
   const [students, setStudents] = useState([]);
   const [books, setBooks] = useState([]);
+  const [holds, setHolds] = useState([]);
+  // Политика выдачи для выбранного ученика и причина выдачи в обход блокировки
+  const [borrowing, setBorrowing] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  // Экземпляры книги на полке, пустой exemplarId — сервер выдаст самый старый
+  const [shelfCopies, setShelfCopies] = useState([]);
+  const [exemplarId, setExemplarId] = useState('');
   const [searchStudent, setSearchStudent] = useState('');
   const [searchBook, setSearchBook] = useState('');
   const [selectedStudent, setSelectedStudent] = useState(null);
   const [selectedBook, setSelectedBook] = useState(initialBook);
   const [durationField, setDurationField] = useState({
-    value: String(DEFAULT_DURATION.value),
-    unit: DEFAULT_DURATION.unit
+    value: String(defaultDuration.value),
+    unit: defaultDuration.unit
   });
   const [deadlineDate, setDeadlineDate] = useState(() =>
-    endOfDay(adjustToWorkday(addDuration(today, DEFAULT_DURATION), maxDeadline))
+    endOfDay(adjustToWorkday(addDuration(today, defaultDuration), maxDeadline, holidays))
   );
   const [deadlineError, setDeadlineError] = useState('');
   const [deadlineHint, setDeadlineHint] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [idempotencyKey] = useState(createIdempotencyKey);
   const [isLoading, setIsLoading] = useState(false);
   const [fetchError, setFetchError] = useState('');
   useEffect(() => {
@@ -125,20 +153,23 @@ const IssueModal = ({
       setIsLoading(true);
       setFetchError('');
       try {
-        const [studentsRes, booksRes] = await Promise.all([
-          fetch(`${API_URL}/api/students`),
-          fetch(`${API_URL}/api/books`)
+        const [studentsRes, booksRes, holdsRes] = await Promise.all([
+          apiFetch(`${API_URL}/api/students`),
+          apiFetch(`${API_URL}/api/books`),
+          apiFetch(`${API_URL}/api/holds`)
         ]);
-        if (!studentsRes.ok || !booksRes.ok) {
+        if (!studentsRes.ok || !booksRes.ok || !holdsRes.ok) {
           throw new Error('Ошибка загрузки справочников');
         }
-        const [studentsData, booksData] = await Promise.all([
+        const [studentsData, booksData, holdsData] = await Promise.all([
           studentsRes.json(),
-          booksRes.json()
+          booksRes.json(),
+          holdsRes.json()
         ]);
         if (!cancelled) {
           setStudents(Array.isArray(studentsData) ? studentsData : []);
           setBooks(Array.isArray(booksData) ? booksData : []);
+          setHolds(Array.isArray(holdsData) ? holdsData : []);
           if (bookId) {
             const matched = booksData.find(book => String(book.id) === String(bookId));
             setSelectedBook(matched || initialBook || null);
@@ -171,15 +202,32 @@ const IssueModal = ({
         setSelectedBook(initialBook || null);
       }
       setDurationField({
-        value: String(DEFAULT_DURATION.value),
-        unit: DEFAULT_DURATION.unit
+        value: String(defaultDuration.value),
+        unit: defaultDuration.unit
       });
-      setDeadlineDate(endOfDay(adjustToWorkday(addDuration(today, DEFAULT_DURATION), maxDeadline)));
+      setDeadlineDate(endOfDay(adjustToWorkday(addDuration(today, defaultDuration), maxDeadline, holidays)));
       setDeadlineError('');
       setDeadlineHint('');
       setIsSubmitting(false);
     }
-  }, [isOpen, bookId, initialBook, today, maxDeadline]);
+  }, [isOpen, bookId, initialBook, today, maxDeadline, defaultDuration, holidays]);
+  useEffect(() => {
+    setBorrowing(null);
+    setOverrideReason('');
+    if (!isOpen || !selectedStudent) {
+      return;
+    }
+    let cancelled = false;
+    apiFetch(`${API_URL}/api/students/${selectedStudent.studentId}/borrowing`)
+      .then(res => (res.ok ? res.json() : Promise.reject(res.status)))
+      .then(data => {
+        if (!cancelled) setBorrowing(data);
+      })
+      .catch(err => console.error('Ошибка проверки ограничений выдачи:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, selectedStudent]);
   const filteredStudents = useMemo(() => {
     const query = searchStudent.trim().toLowerCase();
     if (!query) {
@@ -211,6 +259,24 @@ const IssueModal = ({
     }
     return selectedBook;
   }, [bookId, books, selectedBook]);
+  const issuedBookId = bookId ?? effectiveBook?.id;
+  useEffect(() => {
+    setShelfCopies([]);
+    setExemplarId('');
+    if (!isOpen || !issuedBookId) {
+      return;
+    }
+    let cancelled = false;
+    apiFetch(`${API_URL}/api/books/${issuedBookId}/exemplars`)
+      .then(res => (res.ok ? res.json() : Promise.reject(res.status)))
+      .then(data => {
+        if (!cancelled) setShelfCopies(data.filter(copy => copy.status === 'on-shelf'));
+      })
+      .catch(err => console.error('Ошибка загрузки экземпляров:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, issuedBookId]);
   const deadlineIso = formatDateInput(deadlineDate);
   const remainingDays = Math.max(0, differenceInDays(deadlineDate, today));
   const remainingText = remainingDays === 0
@@ -225,12 +291,12 @@ const IssueModal = ({
     const duration = { value, unit };
     const candidate = addDuration(today, duration);
     const candidateStart = startOfDay(candidate);
-    if (differenceInDays(candidateStart, today) > MAX_DEADLINE_DAYS) {
+    if (differenceInDays(candidateStart, today) > maxDeadlineDays) {
       setDeadlineError(`Дедлайн не может быть позже ${formatHumanDate(maxDeadline)}.`);
       setDeadlineHint('');
       return false;
     }
-    let adjusted = adjustToWorkday(candidateStart, maxDeadline);
+    let adjusted = adjustToWorkday(candidateStart, maxDeadline, holidays);
     let hint = '';
     if (adjusted.getTime() !== candidateStart.getTime()) {
       hint = 'Дата перенесена на ближайший рабочий день.';
@@ -284,12 +350,12 @@ const IssueModal = ({
       setDeadlineHint('');
       return;
     }
-    if (differenceInDays(candidateStart, today) > MAX_DEADLINE_DAYS) {
+    if (differenceInDays(candidateStart, today) > maxDeadlineDays) {
       setDeadlineError(`Дедлайн не может быть позже ${formatHumanDate(maxDeadline)}.`);
       setDeadlineHint('');
       return;
     }
-    const adjusted = adjustToWorkday(candidateStart, maxDeadline);
+    const adjusted = adjustToWorkday(candidateStart, maxDeadline, holidays);
     const diff = Math.max(1, differenceInDays(adjusted, today));
     setDurationField({ value: String(diff), unit: 'days' });
     setDeadlineDate(endOfDay(adjusted));
@@ -298,22 +364,61 @@ const IssueModal = ({
   };
   const applyPreset = (preset) => {
     if (preset.unit === 'semester') {
-      const semesterEnd = adjustToWorkday(getSemesterEnd(today), maxDeadline);
-      const diff = Math.max(1, Math.min(MAX_DEADLINE_DAYS, differenceInDays(semesterEnd, today)));
-      const hint = differenceInDays(semesterEnd, today) > MAX_DEADLINE_DAYS
-        ? `Срок ограничен ${MAX_DEADLINE_DAYS} днями от текущей даты.`
+      const semesterEnd = adjustToWorkday(getSemesterEnd(today), maxDeadline, holidays);
+      const diff = Math.max(1, Math.min(maxDeadlineDays, differenceInDays(semesterEnd, today)));
+      const hint = differenceInDays(semesterEnd, today) > maxDeadlineDays
+        ? `Срок ограничен ${maxDeadlineDays} днями от текущей даты.`
         : '';
       setDeadlineFromDuration(diff, 'days', { hint });
       return;
     }
     setDeadlineFromDuration(preset.value, preset.unit);
   };
+  // Очередь на книгу: без свободного экземпляра ученика ставим в очередь вместо выдачи
+  const bookQueue = useMemo(
+    () => holds.filter(hold => String(hold.bookId) === String(bookId ?? effectiveBook?.id)),
+    [holds, bookId, effectiveBook]
+  );
+  const studentHold = selectedStudent
+    ? bookQueue.find(hold => hold.studentId === selectedStudent.studentId)
+    : null;
+  const isUnavailable = Boolean(effectiveBook) && Number(effectiveBook.quantity || 0) <= 0;
+  const firstInQueue = bookQueue[0];
+  const queueWarning = selectedStudent && firstInQueue && firstInQueue.studentId !== selectedStudent.studentId && !isUnavailable
+    ? `Книгу ждёт очередь (${bookQueue.length} чел.), первым стоит ${firstInQueue.studentName}. Выдача этому ученику — вне очереди.`
+    : '';
+  // Очередь ограничения выдачи не касаются
+  const isBlocked = Boolean(borrowing && !borrowing.allowed) && !isUnavailable;
   const canSubmit = Boolean(
     selectedStudent &&
     (bookId || effectiveBook) &&
     !deadlineError &&
-    !isSubmitting
+    !isSubmitting &&
+    !(isUnavailable && studentHold) &&
+    !(isBlocked && !overrideReason.trim())
   );
+  const handleHold = async () => {
+    try {
+      setIsSubmitting(true);
+      const response = await apiFetch(`${API_URL}/api/holds`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bookId: effectiveBook.id, studentId: selectedStudent.studentId })
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Не удалось поставить в очередь.');
+      }
+      const hold = await response.json();
+      alert(`${selectedStudent.name} в очереди на «${effectiveBook.title}», место ${hold.position}.`);
+      onClose();
+    } catch (err) {
+      console.error('Ошибка постановки в очередь:', err);
+      setDeadlineError(err.message || 'Не удалось поставить в очередь.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
   const handleSubmit = async (event) => {
     event.preventDefault();
     if (!selectedStudent) {
@@ -327,6 +432,13 @@ const IssueModal = ({
     if (deadlineError) {
       return;
     }
+    if (isUnavailable) {
+      await handleHold();
+      return;
+    }
+    if (queueWarning && !window.confirm(`${queueWarning}\nВыдать всё равно?`)) {
+      return;
+    }
     const effectiveBookId = bookId ?? effectiveBook?.id;
     if (!effectiveBookId) {
       setDeadlineError('Не удалось определить книгу для выдачи.');
@@ -335,27 +447,25 @@ const IssueModal = ({
     const payload = {
       studentId: selectedStudent.studentId,
       bookId: effectiveBookId,
-      action: 'taken',
-      date: formatDateInput(deadlineDate)
+      dueDate: formatDateInput(deadlineDate),
+      ...(exemplarId && { exemplarId: Number(exemplarId) }),
+      ...(isBlocked && { override: { reason: overrideReason.trim() } })
     };
     try {
       setIsSubmitting(true);
-      const response = await fetch(`${API_URL}/api/transactions`, {
+      const response = await apiFetch(`${API_URL}/api/loans/checkout`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey.forPayload(payload)
+        },
         body: JSON.stringify(payload)
       });
       if (!response.ok) {
         const error = await response.json().catch(() => ({}));
         throw new Error(error.error || 'Не удалось сохранить выдачу.');
       }
-      await fetch(`${API_URL}/api/books/${effectiveBookId}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ quantityDelta: -1 })
-      }).catch(() => {
-        console.warn('Не удалось обновить остаток книги');
-      });
+      idempotencyKey.reset();
       onClose();
       if (typeof onIssued === 'function') {
         onIssued();
@@ -420,6 +530,24 @@ const IssueModal = ({
                 </ul>
               )}
             </div>
+            {isBlocked && (
+              <div className="issue-queue-note">
+                <strong>Выдача заблокирована:</strong>
+                <ul className="issue-block-list">
+                  {borrowing.blocks.map(block => (
+                    <li key={block.code}>{describeBlock(block, borrowing, selectedStudent)}</li>
+                  ))}
+                </ul>
+                <input
+                  type="text"
+                  className="input"
+                  placeholder="Причина выдачи в обход блокировки"
+                  value={overrideReason}
+                  onChange={event => setOverrideReason(event.target.value)}
+                  maxLength={500}
+                />
+              </div>
+            )}
             {!bookId && (
               <div className="form-group">
                 <label className="form-label">Книга *</label>
@@ -456,6 +584,23 @@ const IssueModal = ({
                 )}
               </div>
             )}
+            {shelfCopies.length > 1 && (
+              <div className="form-group">
+                <label className="form-label">Экземпляр</label>
+                <select
+                  className="input"
+                  value={exemplarId}
+                  onChange={event => setExemplarId(event.target.value)}
+                >
+                  <option value="">Любой с полки</option>
+                  {shelfCopies.map(copy => (
+                    <option key={copy.id} value={copy.id}>
+                      Инв. № {copy.inventoryNumber}{copy.barcode ? ` · ${copy.barcode}` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
             {fetchError && <div className="form-error">{fetchError}</div>}
             {isLoading && <div className="issue-loading">Загружаем данные…</div>}
             <div className="issue-deadline-panel">
@@ -507,13 +652,21 @@ const IssueModal = ({
                 <p className="form-error">{deadlineError}</p>
               )}
             </div>
+            {isUnavailable && (
+              <p className="issue-queue-note">
+                {studentHold
+                  ? `Свободных экземпляров нет. Ученик уже в очереди, место ${studentHold.position}.`
+                  : `Свободных экземпляров нет, в очереди ${bookQueue.length} чел. Ученика можно поставить в очередь.`}
+              </p>
+            )}
+            {queueWarning && <p className="issue-queue-note">{queueWarning}</p>}
             <div className="issue-footer">
               <button
                 type="submit"
                 className="btn btn-primary issue-submit-button"
                 disabled={!canSubmit}
               >
-                {isSubmitting ? 'Сохраняем...' : 'Выдать книгу'}
+                {isSubmitting ? 'Сохраняем...' : isUnavailable ? 'Поставить в очередь' : 'Выдать книгу'}
               </button>
             </div>
           </form>
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import './Modal.css';
+
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+/**
+ * Слияние правок при конфликте версий (сервер ответил 409 VERSION_CONFLICT).
+ * Показывает поля, где правки пользователя расходятся с тем, что сейчас сохранено на сервере.
+ * По умолчанию выбрана та сторона, которая поле меняла: своя правка или изменение коллеги.
+ *
+ * @param {Array<{name: string, label: string}>} fields - Редактируемые поля записи
+ * @param {object} base - Запись, которую пользователь открыл на редактирование
+ * @param {object} mine - Значения из формы
+ * @param {object} current - Запись на сервере сейчас (details.current из ответа 409)
+ * @param {function} onSubmit - Получает итоговые значения полей
+ * @param {function} onCancel - Возврат к форме
+ */
+const MergeConflict = ({ fields, base, mine, current, onSubmit, onCancel, isSubmitting = false }) => {
+  const differing = fields.filter(({ name }) => !sameValue(mine[name], current[name]));
+  const [choices, setChoices] = useState(() => Object.fromEntries(
+    differing.map(({ name }) => [name, sameValue(mine[name], base[name]) ? 'current' : 'mine'])
+  ));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const merged = Object.fromEntries(fields.map(({ name }) => {
+      const source = choices[name] === 'mine' && name in mine ? mine : current;
+      return [name, source[name]];
+    }));
+    onSubmit(merged);
+  };
+
+  const renderChoice = (name, side, value) => (
+    <label className="merge-choice">
+      <input
+        type="radio"
+        name={`merge-${name}`}
+        checked={choices[name] === side}
+        onChange={() => setChoices(prev => ({ ...prev, [name]: side }))}
+      />
+      <span>{formatValue(value)}</span>
+    </label>
+  );
+
+  return (
+    <form className="modal-form" onSubmit={handleSubmit}>
+      <p className="merge-intro">
+        Пока вы редактировали, эту запись изменил другой пользователь.
+        {differing.length > 0
+          ? ' Выберите, какие значения сохранить.'
+          : ' Ваши правки совпадают с тем, что уже сохранено.'}
+      </p>
+
+      {differing.length > 0 && (
+        <table className="history-table merge-table">
+          <thead>
+            <tr>
+              <th>Поле</th>
+              <th>Ваша правка</th>
+              <th>Сейчас сохранено</th>
+            </tr>
+          </thead>
+          <tbody>
+            {differing.map(({ name, label }) => {
+              const changedByBoth = !sameValue(mine[name], base[name]) && !sameValue(current[name], base[name]);
+              return (
+                <tr key={name} className={changedByBoth ? 'merge-row--conflict' : undefined}>
+                  <td>
+                    {label}
+                    {changedByBoth && <div className="merge-hint">изменено обоими</div>}
+                  </td>
+                  <td>{renderChoice(name, 'mine', mine[name])}</td>
+                  <td>{renderChoice(name, 'current', current[name])}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div className="merge-actions">
+        <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={isSubmitting}>
+          Вернуться к форме
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+          {isSubmitting ? 'Сохраняем...' : 'Сохранить'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MergeConflict;
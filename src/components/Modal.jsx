@@ -1,6 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import './Modal.css';
 import { API_URL } from '../config';
+import { apiFetch, createIdempotencyKey, ifMatch } from '../api';
+import MergeConflict from './MergeConflict';
+
+const STUDENT_FIELDS = [
+  { name: 'name', label: 'ФИО' },
+  { name: 'grade', label: 'Класс' },
+  { name: 'gradeLetter', label: 'Буква класса' },
+  { name: 'cardId', label: 'ID карты' },
+];
 
 /**
  * Modal Component
@@ -23,6 +32,7 @@ const Modal = ({
   const [search, setSearch] = useState('');
   const [students, setStudents] = useState([]);
   const [selectedStudent, setSelectedStudent] = useState(null);
+  const [idempotencyKey] = useState(createIdempotencyKey);
   const [returnDate, setReturnDate] = useState('');
   const [editForm, setEditForm] = useState({
     name: '',
@@ -30,13 +40,16 @@ const Modal = ({
     gradeLetter: '',
     cardId: ''
   });
+  // { base, mine, current }, когда ученика успел изменить кто-то другой
+  const [conflict, setConflict] = useState(null);
 
   // Загружаем данные при открытии модалки
   useEffect(() => {
+    setConflict(null);
     if (!isOpen) return;
 
     if (mode === 'issue') {
-      fetch(`${API_URL}/api/students`)
+      apiFetch(`${API_URL}/api/students`)
         .then(res => res.ok ? res.json() : Promise.reject(res.status))
         .then(data => setStudents(Array.isArray(data) ? data : []))
         .catch(err => console.error('Ошибка загрузки учеников:', err));
@@ -58,6 +71,34 @@ const Modal = ({
     `${s.grade} ${s.gradeLetter}`.toLowerCase().includes(search.toLowerCase())
   );
 
+  // base - версия ученика, на основе которой сделаны правки payload
+  const saveStudent = async (payload, base) => {
+    try {
+      const res = await apiFetch(`${API_URL}/api/students/${student.studentId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...ifMatch(base) },
+        body: JSON.stringify(payload),
+      });
+
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        if (err.code === 'VERSION_CONFLICT') {
+          setConflict({ base, mine: payload, current: err.details.current });
+          return;
+        }
+        throw new Error(err.error || 'Ошибка обновления ученика');
+      }
+
+      const updated = await res.json();
+      if (onStudentUpdated) onStudentUpdated(updated);
+      alert('Ученик успешно обновлён!');
+      onClose();
+    } catch (err) {
+      console.error(err);
+      alert(err.message || 'Не удалось обновить ученика');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -68,34 +109,52 @@ const Modal = ({
       }
 
       try {
-        // Создаём транзакцию
-        const trRes = await fetch(`${API_URL}/api/transactions`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
+        // Книгу может ждать очередь: выдача не первому в ней — только после подтверждения
+        const holdsRes = await apiFetch(`${API_URL}/api/holds?bookId=${bookId}`);
+        const [firstHold] = holdsRes.ok ? await holdsRes.json() : [];
+        if (
+          firstHold &&
+          firstHold.studentId !== selectedStudent.studentId &&
+          !window.confirm(`Книгу ждёт очередь, первым стоит ${firstHold.studentName}. Выдать вне очереди?`)
+        ) {
+          return;
+        }
+
+        // Выдача и списание остатка выполняются сервером одной операцией
+        const checkout = (override) => {
+          const payload = {
             studentId: selectedStudent.studentId,
             bookId,
-            action: 'taken',
-            date: returnDate
-          })
-        });
+            dueDate: returnDate,
+            ...(override && { override })
+          };
+          return apiFetch(`${API_URL}/api/loans/checkout`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Idempotency-Key': idempotencyKey.forPayload(payload)
+            },
+            body: JSON.stringify(payload)
+          });
+        };
 
-        if (!trRes.ok) {
-          const err = await trRes.json().catch(() => ({}));
-          throw new Error(err.error || 'Ошибка создания транзакции');
+        let res = await checkout();
+        if (res.status === 409) {
+          const err = await res.clone().json().catch(() => ({}));
+          // Лимит, просрочки или штрафы: библиотекарь может выдать в обход, указав причину
+          if (err.code === 'BORROWING_BLOCKED') {
+            const reason = window.prompt(`${err.error}\n\nЧтобы выдать в обход блокировки, укажите причину:`);
+            if (!reason?.trim()) return;
+            res = await checkout({ reason: reason.trim() });
+          }
         }
 
-        // Уменьшаем количество книг
-        const qtyRes = await fetch(`${API_URL}/api/books/${bookId}`, {
-          method: 'PATCH',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ quantityDelta: -1 })
-        });
-
-        if (!qtyRes.ok) {
-          console.warn('Не удалось обновить количество книги');
+        if (!res.ok) {
+          const err = await res.json().catch(() => ({}));
+          throw new Error(err.error || 'Ошибка выдачи книги');
         }
 
+        idempotencyKey.reset();
         alert('Книга успешно выдана!');
         onClose();
         window.location.reload(); // Обновляем страницу
@@ -104,33 +163,13 @@ const Modal = ({
         alert(err.message || 'Ошибка при выдаче книги');
       }
     } else if (mode === 'edit-student' && student) {
-      try {
-        const payload = {
-          name: editForm.name.trim(),
-          grade: Number(editForm.grade),
-          gradeLetter: editForm.gradeLetter.trim(),
-          cardId: editForm.cardId.trim(),
-        };
-
-        const res = await fetch(`${API_URL}/api/students/${student.studentId}`, {
-          method: 'PATCH',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload),
-        });
-
-        if (!res.ok) {
-          const err = await res.json().catch(() => ({}));
-          throw new Error(err.error || 'Ошибка обновления ученика');
-        }
-
-        const updated = await res.json();
-        if (onStudentUpdated) onStudentUpdated(updated);
-        alert('Ученик успешно обновлён!');
-        onClose();
-      } catch (err) {
-        console.error(err);
-        alert(err.message || 'Не удалось обновить ученика');
-      }
+      const payload = {
+        name: editForm.name.trim(),
+        grade: Number(editForm.grade),
+        gradeLetter: editForm.gradeLetter.trim(),
+        cardId: editForm.cardId.trim(),
+      };
+      await saveStudent(payload, student);
     }
   };
 
@@ -146,7 +185,7 @@ const Modal = ({
       <div className="modal-content">
         <div className="modal-header">
           <h2 className="modal-title">
-            {mode === 'issue' ? 'Выдать книгу' : 'Редактировать ученика'}
+            {mode === 'issue' ? 'Выдать книгу' : conflict ? 'Ученика изменили' : 'Редактировать ученика'}
           </h2>
           <button
             className="modal-close"
@@ -157,120 +196,130 @@ const Modal = ({
           </button>
         </div>
 
-        <form className="modal-form" onSubmit={handleSubmit}>
-          {mode === 'issue' ? (
-            <>
-              <div className="form-group">
-                <label className="form-label">Поиск ученика *</label>
-                <input
-                  type="text"
-                  className="input"
-                  placeholder="Введите имя или класс ученика"
-                  value={selectedStudent 
-                    ? `${selectedStudent.name} (${selectedStudent.grade}${selectedStudent.gradeLetter})` 
-                    : search
-                  }
-                  onChange={e => {
-                    setSearch(e.target.value);
-                    setSelectedStudent(null);
-                  }}
-                  autoComplete="off"
-                  required
-                />
-                {search && !selectedStudent && (
-                  <ul className="student-dropdown">
-                    {filteredStudents.length === 0 ? (
-                      <li className="student-dropdown-item no-result">
-                        Не найдено
-                      </li>
-                    ) : (
-                      filteredStudents.map(s => (
-                        <li
-                          key={s.studentId}
-                          className="student-dropdown-item"
-                          onClick={() => {
-                            setSelectedStudent(s);
-                            setSearch('');
-                          }}
-                        >
-                          {s.name} ({s.grade}{s.gradeLetter})
+        {conflict ? (
+          <MergeConflict
+            key={conflict.current.version}
+            fields={STUDENT_FIELDS}
+            {...conflict}
+            onSubmit={merged => saveStudent(merged, conflict.current)}
+            onCancel={() => setConflict(null)}
+          />
+        ) : (
+          <form className="modal-form" onSubmit={handleSubmit}>
+            {mode === 'issue' ? (
+              <>
+                <div className="form-group">
+                  <label className="form-label">Поиск ученика *</label>
+                  <input
+                    type="text"
+                    className="input"
+                    placeholder="Введите имя или класс ученика"
+                    value={selectedStudent 
+                      ? `${selectedStudent.name} (${selectedStudent.grade}${selectedStudent.gradeLetter})` 
+                      : search
+                    }
+                    onChange={e => {
+                      setSearch(e.target.value);
+                      setSelectedStudent(null);
+                    }}
+                    autoComplete="off"
+                    required
+                  />
+                  {search && !selectedStudent && (
+                    <ul className="student-dropdown">
+                      {filteredStudents.length === 0 ? (
+                        <li className="student-dropdown-item no-result">
+                          Не найдено
                         </li>
-                      ))
-                    )}
-                  </ul>
-                )}
-              </div>
+                      ) : (
+                        filteredStudents.map(s => (
+                          <li
+                            key={s.studentId}
+                            className="student-dropdown-item"
+                            onClick={() => {
+                              setSelectedStudent(s);
+                              setSearch('');
+                            }}
+                          >
+                            {s.name} ({s.grade}{s.gradeLetter})
+                          </li>
+                        ))
+                      )}
+                    </ul>
+                  )}
+                </div>
 
-              <div className="form-group">
-                <label className="form-label">Срок сдачи *</label>
-                <input
-                  type="date"
-                  className="input"
-                  value={returnDate}
-                  onChange={e => setReturnDate(e.target.value)}
-                  required
-                />
-              </div>
+                <div className="form-group">
+                  <label className="form-label">Срок сдачи *</label>
+                  <input
+                    type="date"
+                    className="input"
+                    value={returnDate}
+                    onChange={e => setReturnDate(e.target.value)}
+                    required
+                  />
+                </div>
 
-              <button type="submit" className="btn btn-primary btn-full">
-                Выдать книгу
-              </button>
-            </>
-          ) : (
-            <>
-              <div className="form-group">
-                <label className="form-label">ФИО *</label>
-                <input
-                  type="text"
-                  className="input"
-                  value={editForm.name}
-                  onChange={e => setEditForm(f => ({ ...f, name: e.target.value }))}
-                  required
-                />
-              </div>
+                <button type="submit" className="btn btn-primary btn-full">
+                  Выдать книгу
+                </button>
+              </>
+            ) : (
+              <>
+                <div className="form-group">
+                  <label className="form-label">ФИО *</label>
+                  <input
+                    type="text"
+                    className="input"
+                    value={editForm.name}
+                    onChange={e => setEditForm(f => ({ ...f, name: e.target.value }))}
+                    required
+                  />
+                </div>
 
-              <div className="form-group">
-                <label className="form-label">Класс *</label>
-                <input
-                  type="number"
-                  className="input"
-                  value={editForm.grade}
-                  min="1"
-                  max="11"
-                  onChange={e => setEditForm(f => ({ ...f, grade: e.target.value }))}
-                  required
-                />
-              </div>
+                <div className="form-group">
+                  <label className="form-label">Класс *</label>
+                  <input
+                    type="number"
+                    className="input"
+                    value={editForm.grade}
+                    min="1"
+                    max="11"
+                    onChange={e => setEditForm(f => ({ ...f, grade: e.target.value }))}
+                    required
+                  />
+                </div>
 
-              <div className="form-group">
-                <label className="form-label">Буква класса *</label>
-                <input
-                  type="text"
-                  className="input"
-                  maxLength={1}
-                  value={editForm.gradeLetter}
-                  onChange={e => setEditForm(f => ({ ...f, gradeLetter: e.target.value }))}
-                  required
-                />
-              </div>
+                <div className="form-group">
+                  <label className="form-label">Буква класса *</label>
+                  <input
+                    type="text"
+                    className="input"
+                    maxLength={1}
+                    value={editForm.gradeLetter}
+                    onChange={e => setEditForm(f => ({ ...f, gradeLetter: e.target.value }))}
+                    required
+                  />
+                </div>
 
-              <div className="form-group">
-                <label className="form-label">ID карты *</label>
-                <input
-                  type="text"
-                  className="input"
-                  value={editForm.cardId}
-                  onChange={e => setEditForm(f => ({ ...f, cardId: e.target.value }))}
-                  required
-                />
-              </div>
+                <div className="form-group">
+                  <label className="form-label">ID карты *</label>
+                  <input
+                    type="text"
+                    className="input"
+                    value={editForm.cardId}
+                    onChange={e => setEditForm(f => ({ ...f, cardId: e.target.value }))}
+                    required
+                  />
+                </div>
 
-              <button type="submit" className="btn btn-primary btn-full">
-                Сохранить изменения
-              </button>
-            </>
-          )}
-        </form>
+                <button type="submit" className="btn btn-primary btn-full">
+                  Сохранить изменения
+                </button>
+              </>
+            )}
+          </form>
+        )}
       </div>
     </div>
   );
@@ -1,7 +1,10 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import './Navbar.css';
-import { USER_NAME } from '../config';
+import { API_URL } from '../config';
+import { apiFetch } from '../api';
+import { useAuthStore, canManageCatalog, canCirculate } from '../store/authStore';
+import { useConfigStore } from '../store/configStore';
 import schoolLogo from '../images/schoolLogo.png';
 
 function getInitials(fullName) {
@@ -11,15 +14,37 @@ function getInitials(fullName) {
   return (first + last).toUpperCase();
 }
 
+const ROLE_LABELS = {
+  admin: 'Администратор',
+  librarian: 'Библиотекарь',
+  teacher: 'Учитель'
+};
+
 const Navbar = () => {
   const location = useLocation();
+  const user = useAuthStore(state => state.user);
+  const clearSession = useAuthStore(state => state.clearSession);
+  const schoolName = useConfigStore(state => state.schoolName);
+  const fullName = user?.fullName || user?.username || '';
+  const isAdmin = canManageCatalog(user);
+  const isStaff = canCirculate(user);
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch(`${API_URL}/api/auth/logout`, { method: 'POST' });
+    } catch (err) {
+      console.error('Ошибка выхода:', err);
+    } finally {
+      clearSession();
+    }
+  };
 
   return (
     <nav className="navbar">
       <div className="container">
         <div className="navbar-container">
           <div className="navbar-brand">
-            <img src={schoolLogo} alt="Школа" className="navbar-logo" />
+            <img src={schoolLogo} alt={schoolName} title={schoolName} className="navbar-logo" />
           </div>
 
           <div className="navbar-links">
@@ -43,18 +68,51 @@ const Navbar = () => {
             >
               Абитуриенты
             </Link>
+
+            {isStaff && (
+              <Link
+                to="/inventory"
+                className={`nav-link ${location.pathname === '/inventory' ? 'active' : ''}`}
+              >
+                Инвентаризация
+              </Link>
+            )}
+
+            {isAdmin && (
+              <Link
+                to="/audit"
+                className={`nav-link ${location.pathname === '/audit' ? 'active' : ''}`}
+              >
+                Журнал
+              </Link>
+            )}
+
+            {isAdmin && (
+              <Link
+                to="/admin"
+                className={`nav-link ${location.pathname === '/admin' ? 'active' : ''}`}
+              >
+                Управление
+              </Link>
+            )}
           </div>
 
           <div className="navbar-right">
-            <button
-              type="button"
+            <div
               className="account-button"
-              aria-label="Открыть аккаунт пользователя"
+              title={ROLE_LABELS[user?.role] || ''}
             >
               <span className="avatar" aria-hidden="true">
-                {getInitials(USER_NAME)}
+                {getInitials(fullName)}
               </span>
-              <span className="account-name">{USER_NAME}</span>
+              <span className="account-name">{fullName}</span>
+            </div>
+            <button
+              type="button"
+              className="btn btn-ghost btn-sm"
+              onClick={handleLogout}
+            >
+              Выйти
             </button>
           </div>
         </div>
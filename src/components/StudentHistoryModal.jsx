@@ -1,6 +1,9 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import './Modal.css';
 import { API_URL } from '../config';
+import { apiFetch, createIdempotencyKey, renewLoan } from '../api';
+import { useAuthStore, canCirculate, canManageCatalog } from '../store/authStore';
+import { useConfigStore } from '../store/configStore';
 
 const formatDate = (value) => {
   if (!value) return '—';
@@ -11,6 +14,8 @@ const formatDate = (value) => {
   return new Date(parsed).toLocaleDateString('ru-RU');
 };
 
+const EMPTY_FINES = { balance: 0, accruing: 0 };
+
 const StudentHistoryModal = ({
   isOpen,
   onClose = () => {},
@@ -22,6 +27,15 @@ const StudentHistoryModal = ({
   const [summary, setSummary] = useState({ total: 0, active: 0, overdue: 0 });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  // Увеличивается после продления, чтобы перечитать историю
+  const [reloadCount, setReloadCount] = useState(0);
+  const [renewKey] = useState(createIdempotencyKey);
+  const [fineKey] = useState(createIdempotencyKey);
+  const [fines, setFines] = useState(EMPTY_FINES);
+  const user = useAuthStore(state => state.user);
+  const canRenew = canCirculate(user);
+  const canWaive = canManageCatalog(user);
+  const maxRenewals = useConfigStore(state => state.loan.maxRenewals);
 
   useEffect(() => {
     if (!isOpen || !studentId) {
@@ -36,9 +50,10 @@ const StudentHistoryModal = ({
       setError('');
 
       try {
-        const res = await fetch(`${API_URL}/api/students/${studentId}/history`, {
-          signal: controller.signal
-        });
+        const [res, finesRes] = await Promise.all([
+          apiFetch(`${API_URL}/api/students/${studentId}/history`, { signal: controller.signal }),
+          apiFetch(`${API_URL}/api/students/${studentId}/fines`, { signal: controller.signal })
+        ]);
 
         if (!res.ok) {
           const payload = await res.json().catch(() => ({}));
@@ -46,8 +61,10 @@ const StudentHistoryModal = ({
         }
 
         const data = await res.json();
+        const fineAccount = finesRes.ok ? await finesRes.json() : EMPTY_FINES;
         if (cancelled) return;
 
+        setFines({ balance: fineAccount.balance, accruing: fineAccount.accruing });
         setHistory(Array.isArray(data.history) ? data.history : []);
         setSummary({
           total: data.summary?.total ?? 0,
@@ -60,6 +77,7 @@ const StudentHistoryModal = ({
         setError(err.message || 'Не удалось загрузить историю.');
         setHistory([]);
         setSummary({ total: 0, active: 0, overdue: 0 });
+        setFines(EMPTY_FINES);
       } finally {
         if (!cancelled) {
           setIsLoading(false);
@@ -73,17 +91,67 @@ const StudentHistoryModal = ({
       cancelled = true;
       controller.abort();
     };
-  }, [isOpen, studentId]);
+  }, [isOpen, studentId, reloadCount]);
+
+  const handleRenew = async (item) => {
+    try {
+      const loan = await renewLoan(item.loanId, renewKey);
+      alert(`Книга "${item.title}" продлена до ${formatDate(loan.dueDate)}`);
+      setReloadCount(count => count + 1);
+    } catch (err) {
+      console.error('Ошибка продления:', err);
+      alert(`Не удалось продлить книгу: ${err.message}`);
+    }
+  };
 
   useEffect(() => {
     if (!isOpen) {
       setHistory([]);
       setSummary({ total: 0, active: 0, overdue: 0 });
+      setFines(EMPTY_FINES);
       setIsLoading(false);
       setError('');
     }
   }, [isOpen]);
 
+  // kind: 'payments' — оплата штрафа, 'waivers' — списание (только администратор, с причиной)
+  const handleSettleFine = async (kind) => {
+    const isPayment = kind === 'payments';
+    const amountText = window.prompt(
+      `${isPayment ? 'Сумма оплаты' : 'Сколько списать'}, ₽ (долг ${fines.balance} ₽):`,
+      String(fines.balance)
+    );
+    if (!amountText) return;
+    const amount = Number(amountText);
+    if (!Number.isInteger(amount) || amount <= 0) {
+      alert('Введите сумму целым числом рублей.');
+      return;
+    }
+    const note = isPayment ? null : window.prompt('Причина списания:');
+    if (!isPayment && !note?.trim()) return;
+
+    try {
+      const payload = { amount, note };
+      const res = await apiFetch(`${API_URL}/api/students/${studentId}/fines/${kind}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': fineKey.forPayload({ kind, ...payload })
+        },
+        body: JSON.stringify(payload)
+      });
+      if (!res.ok) {
+        const error = await res.json().catch(() => ({}));
+        throw new Error(error.code === 'FINE_OVERPAYMENT' ? 'сумма больше долга' : error.error || 'ошибка сервера');
+      }
+      fineKey.reset();
+      setReloadCount(count => count + 1);
+    } catch (err) {
+      console.error('Ошибка операции со штрафом:', err);
+      alert(`Не удалось сохранить: ${err.message}`);
+    }
+  };
+
   const gradeLabel = useMemo(() => {
     if (!student) return '';
     const parts = [student.grade, student.gradeLetter && student.gradeLetter.toString().toUpperCase()];
@@ -124,6 +192,20 @@ const StudentHistoryModal = ({
         <span>Всего: <strong>{summary.total}</strong></span>
         <span>На руках: <strong>{summary.active}</strong></span>
         <span>Просрочено: <strong className={summary.overdue > 0 ? 'text-danger' : ''}>{summary.overdue}</strong></span>
+        <span>
+          Штрафы: <strong className={fines.balance > 0 ? 'text-danger' : ''}>{fines.balance} ₽</strong>
+          {fines.accruing > 0 && ` (ещё ${fines.accruing} ₽ за книги на руках)`}
+        </span>
+        {canRenew && fines.balance > 0 && (
+          <button type="button" className="btn btn-ghost btn-sm" onClick={() => handleSettleFine('payments')}>
+            Принять оплату
+          </button>
+        )}
+        {canWaive && fines.balance > 0 && (
+          <button type="button" className="btn btn-ghost btn-sm" onClick={() => handleSettleFine('waivers')}>
+            Списать
+          </button>
+        )}
       </div>
 
       {isLoading && (
@@ -144,8 +226,10 @@ const StudentHistoryModal = ({
             <thead>
               <tr>
                 <th>Книга</th>
+                <th>Выдана</th>
                 <th>Срок сдачи</th>
                 <th>Дата возврата</th>
+                <th>Штраф</th>
                 <th>Статус</th>
               </tr>
             </thead>
@@ -162,12 +246,34 @@ const StudentHistoryModal = ({
                     <div className="history-book-title">{item.title}</div>
                     <div className="history-book-author">{item.author}</div>
                   </td>
-                  <td>{formatDate(item.dueDate)}</td>
+                  <td>{formatDate(item.issuedAt)}</td>
+                  <td>
+                    {formatDate(item.dueDate)}
+                    {item.renewals > 0 && (
+                      <div className="history-book-author">продлена: {item.renewals}</div>
+                    )}
+                  </td>
                   <td>{item.returnDate ? formatDate(item.returnDate) : '—'}</td>
+                  <td>{item.fine > 0 ? `${item.fine} ₽` : '—'}</td>
                   <td>
                     <span className={`history-status history-status--${item.status}`}>
                       {item.statusLabel}
                     </span>
+                    {item.writeOff?.settlement && (
+                      <div className="history-book-author">
+                        {item.writeOff.settlement === 'replaced' ? 'заменена' : `возмещено ${item.writeOff.compensation} ₽`}
+                      </div>
+                    )}
+                    {canRenew && item.loanId && !item.returnDate && (
+                      <button
+                        type="button"
+                        className="btn btn-ghost btn-sm"
+                        onClick={() => handleRenew(item)}
+                        disabled={item.renewals >= maxRenewals}
+                      >
+                        Продлить
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import './Modal.css';
+import { WRITE_OFF_REASONS, writeOffCopy } from '../api';
+
+/**
+ * Списание экземпляра книги с указанием причины.
+ * Экземпляр на руках можно списать только как утерянный читателем: его выдача закроется,
+ * а возмещение (замену или компенсацию) потом отмечают в разделе «Списания» на странице администрирования.
+ */
+const WriteOffModal = ({ isOpen, onClose, book, copy, onWrittenOff }) => {
+  const isOnLoan = copy?.status === 'on-loan';
+  const [reason, setReason] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setReason(isOnLoan ? 'lost' : 'worn-out');
+      setNote('');
+      setError('');
+      setIsSubmitting(false);
+    }
+  }, [isOpen, isOnLoan]);
+
+  if (!isOpen || !copy) {
+    return null;
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setError('');
+      const writeOff = await writeOffCopy(copy.id, { reason, ...(note.trim() && { note: note.trim() }) });
+      onWrittenOff?.(writeOff);
+      onClose();
+    } catch (err) {
+      console.error('Ошибка списания экземпляра:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2 className="modal-title">Списание экземпляра</h2>
+          <button
+            type="button"
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Закрыть"
+          >
+            &times;
+          </button>
+        </div>
+        <form className="modal-form" onSubmit={handleSubmit}>
+          <p className="issue-queue-note">
+            «{book?.title}», инв. № {copy.inventoryNumber}
+            {isOnLoan && `. Экземпляр у ученика ${copy.studentName || ''}, его выдача будет закрыта как утеря.`}
+          </p>
+
+          <div className="form-group">
+            <label className="form-label">Причина *</label>
+            <select
+              className="input"
+              value={reason}
+              onChange={event => setReason(event.target.value)}
+              disabled={isOnLoan}
+            >
+              {Object.entries(WRITE_OFF_REASONS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Примечание</label>
+            <input
+              type="text"
+              className="input"
+              value={note}
+              onChange={event => setNote(event.target.value)}
+              maxLength={500}
+            />
+          </div>
+
+          {error && <div className="form-error">{error}</div>}
+
+          <button
+            type="submit"
+            className="btn btn-primary btn-full"
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Списываем...' : 'Списать'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default WriteOffModal;
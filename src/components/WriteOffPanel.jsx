@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_URL } from '../config';
+import { apiFetch, WRITE_OFF_REASONS } from '../api';
+
+const formatDay = (day) => (day ? new Date(`${day}T00:00:00`).toLocaleDateString('ru-RU') : '—');
+
+const monthStart = () => `${new Date().toISOString().slice(0, 8)}01`;
+
+const readError = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  return data.error || fallback;
+};
+
+// Как читатель возместил утерянный или испорченный экземпляр
+const describeSettlement = (writeOff) => {
+  if (writeOff.settlement === 'replaced') return `Заменён ${formatDay(writeOff.settledAt)}`;
+  if (writeOff.settlement === 'compensated') return `Возмещено ${writeOff.compensation} ₽`;
+  return writeOff.studentId ? 'Не возмещён' : '—';
+};
+
+/**
+ * Списанные экземпляры за период: причина, читатель, по вине которого списан экземпляр,
+ * и отметка о замене или компенсации
+ */
+const WriteOffPanel = () => {
+  const [from, setFrom] = useState(monthStart);
+  const [to, setTo] = useState('');
+  const [writeOffs, setWriteOffs] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const loadWriteOffs = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    try {
+      const res = await apiFetch(`${API_URL}/api/write-offs?${params}`);
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось загрузить списания'));
+      setWriteOffs(await res.json());
+    } catch (err) {
+      console.error('Ошибка загрузки списаний:', err);
+      setMessage(err.message);
+    }
+  }, [from, to]);
+
+  useEffect(() => {
+    loadWriteOffs();
+  }, [loadWriteOffs]);
+
+  // payload: { settlement: 'replaced' } или { settlement: 'compensated', compensation }
+  const settle = async (writeOff, payload) => {
+    try {
+      setIsLoading(true);
+      setMessage('');
+      const res = await apiFetch(`${API_URL}/api/write-offs/${writeOff.id}/settlement`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось сохранить возмещение'));
+      setMessage(payload.settlement === 'replaced'
+        ? `Замена «${writeOff.bookTitle}» поставлена на полку`
+        : `Компенсация за «${writeOff.bookTitle}» принята`);
+      await loadWriteOffs();
+    } catch (err) {
+      console.error('Ошибка возмещения списания:', err);
+      setMessage(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCompensation = (writeOff) => {
+    const input = prompt(`Сумма компенсации за «${writeOff.bookTitle}», ₽:`);
+    if (input === null) return;
+    const compensation = Number(input);
+    if (!Number.isInteger(compensation) || compensation <= 0) {
+      alert('Введите сумму целым числом рублей.');
+      return;
+    }
+    settle(writeOff, { settlement: 'compensated', compensation });
+  };
+
+  return (
+    <div className="section">
+      <div className="admin-section-header">
+        <h2 className="section-title">Списания</h2>
+        <div className="date-range">
+          <input type="date" className="input input-sm" value={from} onChange={event => setFrom(event.target.value)} />
+          <input type="date" className="input input-sm" value={to} onChange={event => setTo(event.target.value)} />
+        </div>
+      </div>
+
+      {message && <p className="admin-message">{message}</p>}
+
+      <div className="tickets-table-wrapper">
+        <table className="tickets-table">
+          <thead>
+            <tr>
+              <th>Дата</th>
+              <th>Книга</th>
+              <th>Инв. №</th>
+              <th>Причина</th>
+              <th>Ученик</th>
+              <th>Возмещение</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {writeOffs.map(writeOff => (
+              <tr key={writeOff.id}>
+                <td>{formatDay(writeOff.writtenOffAt)}</td>
+                <td>{writeOff.bookTitle}</td>
+                <td>{writeOff.inventoryNumber}</td>
+                <td>
+                  {WRITE_OFF_REASONS[writeOff.reason]}
+                  {writeOff.note && <div className="loan-copy">{writeOff.note}</div>}
+                </td>
+                <td>{writeOff.studentName || '—'}</td>
+                <td>{describeSettlement(writeOff)}</td>
+                <td className="admin-actions">
+                  {writeOff.studentId && !writeOff.settlement && (
+                    <>
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => settle(writeOff, { settlement: 'replaced' })}
+                        disabled={isLoading}
+                      >
+                        Замена
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-ghost btn-sm"
+                        onClick={() => handleCompensation(writeOff)}
+                        disabled={isLoading}
+                      >
+                        Компенсация
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {writeOffs.length === 0 && (
+          <div className="empty-table">За этот период ничего не списано</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WriteOffPanel;
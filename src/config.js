@@ -1,33 +1,17 @@
 /**
  * Application Configuration
- * 
- * ВАЖНО: После изменения API_URL перезапустите dev-сервер
+ *
+ * Клиент и сервер читают один и тот же .env в корне проекта (см. .env.example).
+ * В браузер попадают только переменные с префиксом VITE_.
+ * ВАЖНО: После изменения .env перезапустите dev-сервер
  */
 
-// Определяем API URL в зависимости от окружения
-const getApiUrl = () => {
-  // Production: используйте ваш production URL
-  if (import.meta.env.PROD) {
-    return 'http://XX.XX.XXX.XXX:3001';
-  }
-  
-  // Development: автоматически определяем локальный или сетевой адрес
-  const hostname = window.location.hostname;
-  
-  // Если открыто по IP адресу (например 192.168.1.50), используем этот же IP
-  if (hostname !== 'localhost' && hostname !== '127.0.0.1') {
-    return `http://${hostname}:3001`;
-  }
-  
-  // По умолчанию localhost
-  return 'http://localhost:3001';
-};
+// Пустой VITE_API_URL (по умолчанию) — запросы идут на тот же адрес, с которого открыт сайт:
+// в production API раздаёт статику сам, в dev запросы /api проксирует Vite (vite.config.js)
+export const API_URL = (import.meta.env.VITE_API_URL || '').replace(/\/+$/, '');
 
-export const API_URL = getApiUrl();
-
-// Другие конфигурации
+// Название по умолчанию, пока не загружены настройки сервера (SCHOOL_NAME)
 export const APP_NAME = 'Школьная Библиотека';
-export const USER_NAME = 'Наймушин Георгий Дмитриевич';
 
 // Константы для пагинации
 export const DEFAULT_ITEMS_PER_PAGE = 5;
@@ -38,6 +22,6 @@ export const DEBUG = import.meta.env.DEV;
 
 // Логирование API запросов в dev режиме
 if (DEBUG) {
-  console.log('🔧 [CONFIG] API_URL:', API_URL);
+  console.log('🔧 [CONFIG] API_URL:', API_URL || '(тот же адрес)');
   console.log('🔧 [CONFIG] Environment:', import.meta.env.MODE);
-}
\ No newline at end of file
+}
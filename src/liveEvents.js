@@ -0,0 +1,80 @@
+import { useEffect, useRef } from 'react';
+import { API_URL } from './config';
+import { useAuthStore } from './store/authStore';
+
+// Все страницы вкладки делят одно SSE-подключение к /api/events
+let source = null;
+let sourceToken = null;
+const listeners = new Set();
+
+const EVENT_TYPES = [
+  'book.created',
+  'book.updated',
+  'book.deleted',
+  'student.created',
+  'student.updated',
+  'student.deleted',
+  'loan.opened',
+  'loan.closed',
+  'loan.renewed',
+  'hold.changed',
+  'fine.changed',
+  'data.reloaded'
+];
+
+const dispatch = (type) => (event) => {
+  let data = {};
+  try {
+    data = JSON.parse(event.data);
+  } catch (err) {
+    console.error('Некорректное событие сервера:', err);
+    return;
+  }
+  for (const listener of listeners) {
+    listener(type, data);
+  }
+};
+
+const disconnect = () => {
+  source?.close();
+  source = null;
+  sourceToken = null;
+};
+
+const connect = (token) => {
+  if (source && sourceToken === token) return;
+  disconnect();
+
+  // EventSource не умеет передавать заголовки, поэтому токен идёт в строке запроса
+  source = new EventSource(`${API_URL}/api/events?access_token=${encodeURIComponent(token)}`);
+  sourceToken = token;
+  for (const type of EVENT_TYPES) {
+    source.addEventListener(type, dispatch(type));
+  }
+};
+
+/**
+ * Подписывает компонент на изменения данных с других рабочих мест.
+ * handlers: { 'loan.opened': data => ..., ... }, можно передавать новый объект на каждом рендере.
+ */
+export const useLiveEvents = (handlers) => {
+  const token = useAuthStore(state => state.token);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const listener = (type, data) => handlersRef.current[type]?.(data);
+    listeners.add(listener);
+    connect(token);
+
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) disconnect();
+    };
+  }, [token]);
+};
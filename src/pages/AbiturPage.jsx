@@ -1,6 +1,9 @@
-﻿import React, { useState, useEffect, useMemo } from 'react';
+﻿import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import './AbiturPage.css';
 import { API_URL, DEFAULT_ITEMS_PER_PAGE, ITEMS_PER_PAGE_OPTIONS } from '../config';
+import { apiFetch } from '../api';
+import { useLiveEvents } from '../liveEvents';
+import { useAuthStore, canManageCatalog } from '../store/authStore';
 import Modal from '../components/Modal';
 import StudentHistoryModal from '../components/StudentHistoryModal';
 
@@ -29,9 +32,9 @@ const getOverdueBooks = (studentId, transactions, today = new Date()) => {
   for (const bookId of onHands) {
     const lastTaken = [...transactions]
       .filter(tx => tx.studentId === studentId && tx.bookId === bookId && tx.action === 'taken')
-      .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+      .sort((a, b) => b.id - a.id)[0];
 
-    if (lastTaken && new Date(lastTaken.date) < today) overdue.push(bookId);
+    if (lastTaken && new Date(lastTaken.dueDate) < today) overdue.push(bookId);
   }
 
   return overdue;
@@ -47,8 +50,8 @@ const getStudentStatus = (studentId, transactions) => {
   for (const bookId of booksOnHands) {
     const lastTaken = [...transactions]
       .filter(tx => tx.studentId === studentId && tx.bookId === bookId && tx.action === 'taken')
-      .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
-    if (lastTaken && lastTaken.date === todayStr) return 'due-today';
+      .sort((a, b) => b.id - a.id)[0];
+    if (lastTaken && lastTaken.dueDate === todayStr) return 'due-today';
   }
   
   if (booksOnHands.length > 0) return 'on-hands';
@@ -65,9 +68,12 @@ const getBookNameById = (booksIds, books) => {
 };
 
 const AbiturPage = () => {
+  const isAdmin = canManageCatalog(useAuthStore(state => state.user));
   const [students, setStudents] = useState([]);
   const [books, setBooks] = useState([]);
   const [transactions, setTransactions] = useState([]);
+  // studentId -> долг по штрафам, ₽
+  const [fineBalances, setFineBalances] = useState({});
   const [newStudent, setNewStudent] = useState({
     name: '',
     grade: '',
@@ -84,23 +90,66 @@ const AbiturPage = () => {
   const [historyStudentId, setHistoryStudentId] = useState(null);
   const [isHistoryOpen, setIsHistoryOpen] = useState(false);
 
+  const loadFines = useCallback(() => {
+    apiFetch(`${API_URL}/api/fines`)
+      .then(res => res.json())
+      .then(data => setFineBalances(Object.fromEntries(
+        (Array.isArray(data) ? data : []).map(row => [row.studentId, row.balance])
+      )))
+      .catch(err => console.error('Ошибка загрузки штрафов:', err));
+  }, []);
+
   // Загружаем данные
-  useEffect(() => {
-    fetch(`${API_URL}/api/students`)
+  const loadData = useCallback(() => {
+    apiFetch(`${API_URL}/api/students`)
       .then(res => res.json())
       .then(data => setStudents(data))
       .catch(err => console.error('Ошибка загрузки учеников:', err));
 
-    fetch(`${API_URL}/api/books`)
+    apiFetch(`${API_URL}/api/books`)
       .then(res => res.json())
       .then(data => setBooks(data))
       .catch(err => console.error('Ошибка загрузки книг:', err));
 
-    fetch(`${API_URL}/api/transactions`)
+    apiFetch(`${API_URL}/api/transactions`)
       .then(res => res.json())
       .then(data => setTransactions(data))
       .catch(err => console.error('Ошибка загрузки транзакций:', err));
-  }, []);
+
+    loadFines();
+  }, [loadFines]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Изменения с других рабочих мест
+  const upsertBy = (key, item) => (prev) => (
+    prev.some(existing => existing[key] === item[key])
+      ? prev.map(existing => (existing[key] === item[key] ? item : existing))
+      : [...prev, item]
+  );
+
+  const applyLoanEvent = ({ transaction, book }) => {
+    if (transaction) setTransactions(upsertBy('id', transaction));
+    if (book) setBooks(upsertBy('id', book));
+  };
+
+  useLiveEvents({
+    'student.created': ({ student }) => setStudents(prev => (
+      prev.some(s => s.studentId === student.studentId) ? prev : [student, ...prev]
+    )),
+    'student.updated': ({ student }) => setStudents(upsertBy('studentId', student)),
+    'student.deleted': ({ studentId }) => setStudents(prev => prev.filter(s => s.studentId !== studentId)),
+    'book.created': ({ book }) => setBooks(upsertBy('id', book)),
+    'book.updated': ({ book }) => setBooks(upsertBy('id', book)),
+    'book.deleted': ({ id }) => setBooks(prev => prev.filter(b => b.id !== id)),
+    'loan.opened': applyLoanEvent,
+    'loan.closed': applyLoanEvent,
+    'loan.renewed': applyLoanEvent,
+    'fine.changed': loadFines,
+    'data.reloaded': loadData
+  });
 
   useEffect(() => {
     const handleDocumentClick = event => {
@@ -130,13 +179,13 @@ const AbiturPage = () => {
     
     const payload = {
       name: newStudent.name.trim(),
-      grade: newStudent.grade,
+      grade: Number(newStudent.grade),
       gradeLetter: newStudent.gradeLetter.trim(),
       cardId: newStudent.cardId.trim()
     };
 
     try {
-      const res = await fetch(`${API_URL}/api/students`, {
+      const res = await apiFetch(`${API_URL}/api/students`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload)
@@ -164,19 +213,24 @@ const AbiturPage = () => {
   };
 
   const handleDeleteStudent = async (studentId) => {
-    if (!confirm('Удалить ученика?')) return;
+    if (!confirm('Убрать ученика в архив?\nИз списков он пропадёт, история выдач сохранится.')) return;
     
     try {
-      const res = await fetch(`${API_URL}/api/students/${studentId}`, {
+      const res = await apiFetch(`${API_URL}/api/students/${studentId}`, {
         method: 'DELETE'
       });
       
-      if (!res.ok) throw new Error('Не удалось удалить');
+      if (!res.ok) {
+        const error = await res.json().catch(() => ({}));
+        throw new Error(error.code === 'HAS_OPEN_LOANS'
+          ? `У ученика на руках книг: ${error.details.openLoans}. Сначала примите их.`
+          : 'Не удалось убрать ученика в архив');
+      }
       
       setStudents(prev => prev.filter(s => s.studentId !== studentId));
     } catch (err) {
       console.error(err);
-      alert('Ошибка удаления ученика');
+      alert(err.message);
     }
   };
 
@@ -264,73 +318,75 @@ const AbiturPage = () => {
 
       <h1 className="page-title">Список учеников</h1>
 
-      <div className="grid grid-layout">
+      <div className={isAdmin ? 'grid grid-layout' : ''}>
         {/* Форма добавления */}
-        <div className="section section-sticky">
-          <h2 className="section-title">Добавить ученика</h2>
-          <form onSubmit={handleAddStudent}>
-            <div className="form-group">
-              <label className="form-label">ФИО</label>
-              <input
-                type="text"
-                name="name"
-                value={newStudent.name}
-                onChange={handleInputChange}
-                className="input"
-                required
-                placeholder="Иванов Иван Иванович"
-              />
-            </div>
-
-            <div className="form-group">
-              <label className="form-label">Класс</label>
-              <input
-                type="number"
-                name="grade"
-                value={newStudent.grade}
-                onChange={handleInputChange}
-                className="input"
-                required
-                min="1"
-                max="11"
-                placeholder="1-11"
-              />
-            </div>
+        {isAdmin && (
+          <div className="section section-sticky">
+            <h2 className="section-title">Добавить ученика</h2>
+            <form onSubmit={handleAddStudent}>
+              <div className="form-group">
+                <label className="form-label">ФИО</label>
+                <input
+                  type="text"
+                  name="name"
+                  value={newStudent.name}
+                  onChange={handleInputChange}
+                  className="input"
+                  required
+                  placeholder="Иванов Иван Иванович"
+                />
+              </div>
 
-            <div className="form-group">
-              <label className="form-label">Буква класса</label>
-              <input
-                type="text"
-                name="gradeLetter"
-                value={newStudent.gradeLetter}
-                onChange={handleInputChange}
-                className="input"
-                required
-                maxLength={1}
-                placeholder="A"
-              />
-            </div>
+              <div className="form-group">
+                <label className="form-label">Класс</label>
+                <input
+                  type="number"
+                  name="grade"
+                  value={newStudent.grade}
+                  onChange={handleInputChange}
+                  className="input"
+                  required
+                  min="1"
+                  max="11"
+                  placeholder="1-11"
+                />
+              </div>
 
-            <div className="form-group">
-              <label className="form-label">ID карты</label>
-              <input
-                type="text"
-                name="cardId"
-                value={newStudent.cardId}
-                onChange={handleInputChange}
-                className="input"
-                required
-                placeholder="19b3f1b1"
-              />
-            </div>
+              <div className="form-group">
+                <label className="form-label">Буква класса</label>
+                <input
+                  type="text"
+                  name="gradeLetter"
+                  value={newStudent.gradeLetter}
+                  onChange={handleInputChange}
+                  className="input"
+                  required
+                  maxLength={1}
+                  placeholder="A"
+                />
+              </div>
 
-            <div className="form-actions">
-              <button type="submit" className="btn btn-primary btn-full">
-                Добавить ученика
-              </button>
-            </div>
-          </form>
-        </div>
+              <div className="form-group">
+                <label className="form-label">ID карты</label>
+                <input
+                  type="text"
+                  name="cardId"
+                  value={newStudent.cardId}
+                  onChange={handleInputChange}
+                  className="input"
+                  required
+                  placeholder="19b3f1b1"
+                />
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn btn-primary btn-full">
+                  Добавить ученика
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
 
         {/* Список учеников */}
         <div className="section">
@@ -408,13 +464,15 @@ const AbiturPage = () => {
                         className="student-card-menu"
                         onClick={event => event.stopPropagation()}
                       >
-                        <button
-                          type="button"
-                          className="student-card-menu-item"
-                          onClick={() => handleMenuEdit(student)}
-                        >
-                          Редактировать профиль
-                        </button>
+                        {isAdmin && (
+                          <button
+                            type="button"
+                            className="student-card-menu-item"
+                            onClick={() => handleMenuEdit(student)}
+                          >
+                            Редактировать профиль
+                          </button>
+                        )}
                         <button
                           type="button"
                           className="student-card-menu-item"
@@ -422,13 +480,15 @@ const AbiturPage = () => {
                         >
                           Открыть историю
                         </button>
-                        <button
-                          type="button"
-                          className="student-card-menu-item student-card-menu-item--delete"
-                          onClick={() => handleMenuDelete(student.studentId)}
-                        >
-                          Удалить
-                        </button>
+                        {isAdmin && (
+                          <button
+                            type="button"
+                            className="student-card-menu-item student-card-menu-item--delete"
+                            onClick={() => handleMenuDelete(student.studentId)}
+                          >
+                            В архив
+                          </button>
+                        )}
                       </div>
                     )}
                   </div>
@@ -437,6 +497,9 @@ const AbiturPage = () => {
                     <p><strong>ID карты:</strong> {student.cardId || 'Нет данных'}</p>
                     <p><strong>Книги на руках:</strong> {getBookNameById(booksOnHands, books)}</p>
                     <p><strong>Просрочено:</strong> {getBookNameById(overdueBooks, books) || 'Нет'}</p>
+                    {fineBalances[student.studentId] > 0 && (
+                      <p><strong>Штраф:</strong> {fineBalances[student.studentId]} ₽</p>
+                    )}
                   </div>
                 </div>
               );
@@ -0,0 +1,20 @@
+import React from 'react';
+import './AdminPage.css';
+import BackupPanel from '../components/BackupPanel';
+import ArchivePanel from '../components/ArchivePanel';
+import WriteOffPanel from '../components/WriteOffPanel';
+import AcquisitionPanel from '../components/AcquisitionPanel';
+
+const AdminPage = () => {
+  return (
+    <div className="admin-page">
+      <h1 className="page-title">Администрирование</h1>
+      <BackupPanel />
+      <AcquisitionPanel />
+      <WriteOffPanel />
+      <ArchivePanel />
+    </div>
+  );
+};
+
+export default AdminPage;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import './AuditPage.css';
+import { API_URL, DEFAULT_ITEMS_PER_PAGE, ITEMS_PER_PAGE_OPTIONS } from '../config';
+import { apiFetch } from '../api';
+
+const ENTITY_LABELS = {
+  book: 'Книга',
+  exemplar: 'Экземпляр',
+  'write-off': 'Списание',
+  delivery: 'Поставка',
+  inventory: 'Инвентаризация',
+  discrepancy: 'Расхождение',
+  student: 'Ученик',
+  transaction: 'Транзакция'
+};
+
+const ACTION_LABELS = {
+  create: 'Создание',
+  update: 'Изменение',
+  delete: 'Удаление'
+};
+
+const ACTION_BADGES = {
+  create: 'badge-success',
+  update: 'badge-warning',
+  delete: 'badge-danger'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditPage = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [entity, setEntity] = useState('');
+  const [action, setAction] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [perPage, setPerPage] = useState(DEFAULT_ITEMS_PER_PAGE);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ page: currentPage, pageSize: perPage });
+    if (entity) params.set('entity', entity);
+    if (action) params.set('action', action);
+    if (fromDate) params.set('from', fromDate);
+    if (toDate) params.set('to', toDate);
+
+    setIsLoading(true);
+    apiFetch(`${API_URL}/api/audit?${params}`)
+      .then(res => res.json())
+      .then(data => {
+        setEntries(data.items || []);
+        setTotal(data.total || 0);
+      })
+      .catch(err => console.error('Ошибка загрузки журнала:', err))
+      .finally(() => setIsLoading(false));
+  }, [entity, action, fromDate, toDate, currentPage, perPage]);
+
+  const totalPages = Math.max(1, Math.ceil(total / perPage));
+
+  const resetPage = (setter) => (e) => {
+    setter(e.target.value);
+    setCurrentPage(1);
+  };
+
+  return (
+    <div className="audit-page">
+      <h1 className="page-title">Журнал изменений</h1>
+
+      <section className="tickets-section">
+        <div className="tickets-header">
+          <h2 className="section-title">Записи</h2>
+          {isLoading && <span style={{ marginLeft: '1rem', color: '#666' }}>Загрузка...</span>}
+        </div>
+
+        <div className="tickets-filters">
+          <div className="filters-row">
+            <select className="input" value={entity} onChange={resetPage(setEntity)}>
+              <option value="">Все объекты</option>
+              {Object.entries(ENTITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select className="input" value={action} onChange={resetPage(setAction)}>
+              <option value="">Все действия</option>
+              {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <div className="date-range">
+              <input
+                className="input"
+                type="date"
+                value={fromDate}
+                onChange={resetPage(setFromDate)}
+              />
+              <span className="date-sep">—</span>
+              <input
+                className="input"
+                type="date"
+                value={toDate}
+                onChange={resetPage(setToDate)}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="tickets-table-wrapper">
+          <table className="tickets-table">
+            <thead>
+              <tr>
+                <th>Время</th>
+                <th>Пользователь</th>
+                <th>Действие</th>
+                <th>Объект</th>
+                <th>Изменения</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td>{new Date(entry.at).toLocaleString('ru-RU')}</td>
+                  <td>{entry.actorName || '—'}</td>
+                  <td>
+                    <span className={`badge ${ACTION_BADGES[entry.action] || ''}`}>
+                      {ACTION_LABELS[entry.action] || entry.action}
+                    </span>
+                  </td>
+                  <td>{ENTITY_LABELS[entry.entity] || entry.entity} #{entry.entityId}</td>
+                  <td>
+                    <ul className="audit-changes">
+                      {Object.entries(entry.changes || {}).map(([field, { from, to }]) => (
+                        <li key={field}>
+                          <span className="audit-field">{field}:</span>{' '}
+                          {entry.action !== 'create' && (
+                            <span className="audit-from">{formatValue(from)}</span>
+                          )}
+                          {entry.action === 'update' && ' → '}
+                          {entry.action !== 'delete' && (
+                            <span className="audit-to">{formatValue(to)}</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {entries.length === 0 && !isLoading && (
+            <div className="empty-table">Записей нет</div>
+          )}
+        </div>
+
+        <div className="pagination">
+          <button
+            className="btn btn-ghost btn-sm"
+            onClick={() => setCurrentPage(p => Math.max(1, p - 1))}
+            disabled={currentPage === 1}
+          >
+            Назад
+          </button>
+          <span className="pagination-info">
+            Страница {currentPage} из {totalPages}
+          </span>
+          <button
+            className="btn btn-ghost btn-sm"
+            onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))}
+            disabled={currentPage === totalPages}
+          >
+            Вперёд
+          </button>
+          <span>На странице:</span>
+          <select
+            value={perPage}
+            onChange={e => {
+              setPerPage(Number(e.target.value));
+              setCurrentPage(1);
+            }}
+            className="input input-sm select-narrow"
+          >
+            {ITEMS_PER_PAGE_OPTIONS.map(opt => (
+              <option key={opt} value={opt}>{opt}</option>
+            ))}
+          </select>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default AuditPage;
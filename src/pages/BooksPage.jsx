@@ -1,8 +1,32 @@
 import React, { useCallback, useEffect, useState } from 'react';
 import './BooksPage.css';
 import { API_URL, DEFAULT_ITEMS_PER_PAGE, ITEMS_PER_PAGE_OPTIONS } from '../config';
+import { apiFetch, WRITE_OFF_REASONS } from '../api';
+import { useLiveEvents } from '../liveEvents';
+import { useAuthStore, canManageCatalog, canCirculate } from '../store/authStore';
 import IssueModal from '../components/IssueModal';
 import BookEditModal from '../components/BookEditModal';
+import WriteOffModal from '../components/WriteOffModal';
+
+const GENRES = [
+  'Художественная литература',
+  'Фантастика',
+  'Приключения',
+  'Научная литература',
+  'Учебная',
+  'Биография',
+  'Детская литература',
+  'Другое'
+];
+
+const SORT_OPTIONS = [
+  { value: 'id:asc', label: 'По порядку добавления' },
+  { value: 'title:asc', label: 'По названию' },
+  { value: 'author:asc', label: 'По автору' },
+  { value: 'year:desc', label: 'Сначала новые' },
+  { value: 'year:asc', label: 'Сначала старые' },
+  { value: 'quantity:desc', label: 'По наличию' }
+];
 
 const createEmptyBookForm = () => ({
   title: '',
@@ -13,32 +37,138 @@ const createEmptyBookForm = () => ({
   barcode: ''
 });
 
+const CONDITION_LABELS = {
+  new: 'новый',
+  good: 'хорошее состояние',
+  fair: 'удовлетворительное состояние',
+  poor: 'плохое состояние',
+  damaged: 'повреждён'
+};
+
+const formatDay = (day) => (day ? new Date(`${day}T00:00:00`).toLocaleDateString('ru-RU') : '—');
+
+// Где экземпляр: на полке, у ученика или уже списан
+const describeCopyPlace = (copy) => {
+  if (copy.status === 'on-loan') return `у ученика ${copy.studentName || ''} до ${formatDay(copy.dueDate)}`;
+  if (copy.status === 'withdrawn') {
+    const reason = WRITE_OFF_REASONS[copy.writeOffReason];
+    return `списан ${formatDay(copy.withdrawnAt)}${reason ? ` (${reason.toLowerCase()})` : ''}`;
+  }
+  return 'на полке';
+};
+
+// Пустое числовое поле не отправляется, сервер подставит значение по умолчанию
+const toOptionalNumber = (value) => (String(value).trim() === '' ? undefined : Number(value));
+
 const BooksPage = () => {
+  const user = useAuthStore(state => state.user);
+  const isAdmin = canManageCatalog(user);
+  const canIssue = canCirculate(user);
   const [books, setBooks] = useState([]);
+  const [totalBooks, setTotalBooks] = useState(0);
   const [newBook, setNewBook] = useState(createEmptyBookForm);
   const [currentPage, setCurrentPage] = useState(1);
   const [booksPerPage, setBooksPerPage] = useState(DEFAULT_ITEMS_PER_PAGE);
   const [searchQuery, setSearchQuery] = useState('');
   const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [genreFilter, setGenreFilter] = useState('');
+  const [availabilityFilter, setAvailabilityFilter] = useState('');
+  const [yearFrom, setYearFrom] = useState('');
+  const [yearTo, setYearTo] = useState('');
+  const [sortOption, setSortOption] = useState(SORT_OPTIONS[0].value);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedBookId, setSelectedBookId] = useState(null);
   const [selectedBook, setSelectedBook] = useState(null);
   const [openMenuBookId, setOpenMenuBookId] = useState(null);
   const [isBookEditOpen, setIsBookEditOpen] = useState(false);
   const [bookToEdit, setBookToEdit] = useState(null);
-
+  // bookId -> число учеников в очереди на книгу
+  const [queueLengths, setQueueLengths] = useState({});
+  // Экземпляры раскрытой карточки: { bookId, items }, загружаются по запросу
+  const [copies, setCopies] = useState(null);
+  // { book, copy } для окна списания
+  const [writeOffTarget, setWriteOffTarget] = useState(null);
+
+  // Запрашиваем с сервера только текущую страницу
   const loadBooks = useCallback(() => {
-    fetch(`${API_URL}/api/books`)
+    const [sort, direction] = sortOption.split(':');
+    const params = new URLSearchParams({ sort, direction, page: currentPage, pageSize: booksPerPage });
+    const query = debouncedQuery.trim();
+    if (query) params.set('q', query);
+    if (genreFilter) params.set('genre', genreFilter);
+    if (availabilityFilter) params.set('availability', availabilityFilter);
+    if (yearFrom) params.set('yearFrom', yearFrom);
+    if (yearTo) params.set('yearTo', yearTo);
+
+    apiFetch(`${API_URL}/api/books?${params}`)
       .then(res => res.json())
-      .then(data => setBooks(Array.isArray(data) ? data : []))
+      .then(data => {
+        setBooks(Array.isArray(data.items) ? data.items : []);
+        setTotalBooks(data.total || 0);
+      })
       .catch(err => console.error('Ошибка загрузки книг:', err));
+  }, [debouncedQuery, genreFilter, availabilityFilter, yearFrom, yearTo, sortOption, currentPage, booksPerPage]);
+
+  const loadQueues = useCallback(() => {
+    apiFetch(`${API_URL}/api/holds`)
+      .then(res => res.json())
+      .then(data => {
+        const lengths = {};
+        for (const hold of Array.isArray(data) ? data : []) {
+          lengths[hold.bookId] = (lengths[hold.bookId] || 0) + 1;
+        }
+        setQueueLengths(lengths);
+      })
+      .catch(err => console.error('Ошибка загрузки очередей:', err));
   }, []);
 
+  const loadCopies = useCallback((bookId) => {
+    apiFetch(`${API_URL}/api/books/${bookId}/exemplars`)
+      .then(res => res.json())
+      .then(data => setCopies({ bookId, items: Array.isArray(data) ? data : [] }))
+      .catch(err => console.error('Ошибка загрузки экземпляров:', err));
+  }, []);
+
+  const toggleCopies = (bookId) => {
+    if (copies?.bookId === bookId) {
+      setCopies(null);
+    } else {
+      loadCopies(bookId);
+    }
+  };
+
   // Загружаем книги
   useEffect(() => {
     loadBooks();
   }, [loadBooks]);
 
+  useEffect(() => {
+    loadQueues();
+  }, [loadQueues]);
+
+  // Изменения с других рабочих мест
+  const replaceBook = (updated) => {
+    if (!updated) return;
+    setBooks(prev => prev.map(book => (book.id === updated.id ? updated : book)));
+    if (copies?.bookId === updated.id) loadCopies(updated.id);
+  };
+
+  useLiveEvents({
+    'book.created': loadBooks,
+    'book.updated': ({ book }) => replaceBook(book),
+    'book.deleted': ({ id }) => {
+      if (books.some(book => book.id === id)) loadBooks();
+    },
+    'loan.opened': ({ book }) => replaceBook(book),
+    'loan.closed': ({ book }) => replaceBook(book),
+    'hold.changed': loadQueues,
+    'student.deleted': loadQueues,
+    'data.reloaded': () => {
+      loadBooks();
+      loadQueues();
+    }
+  });
+
   useEffect(() => {
     const handleDocumentClick = (event) => {
       if (
@@ -86,14 +216,16 @@ const BooksPage = () => {
     }
 
     try {
-      const res = await fetch(`${API_URL}/api/books`, {
+      const res = await apiFetch(`${API_URL}/api/books`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          ...newBook,
           title,
           author,
-          genre: newBook.genre.trim()
+          genre: newBook.genre.trim(),
+          year: toOptionalNumber(newBook.year),
+          quantity: toOptionalNumber(newBook.quantity),
+          barcode: toOptionalNumber(newBook.barcode)
         })
       });
 
@@ -103,9 +235,9 @@ const BooksPage = () => {
         return;
       }
 
-      const addedBook = await res.json();
-      setBooks(prev => [...prev, addedBook]);
+      await res.json();
       setNewBook(createEmptyBookForm());
+      loadBooks();
     } catch (err) {
       console.error('Ошибка добавления книги:', err);
       alert('Не удалось добавить книгу');
@@ -113,18 +245,23 @@ const BooksPage = () => {
   };
 
   const handleDeleteBook = async (id) => {
-    if (!confirm('Удалить книгу?')) return;
+    if (!confirm('Убрать книгу в архив?\nИз каталога она пропадёт, история выдач сохранится.')) return;
 
     try {
-      const res = await fetch(`${API_URL}/api/books/${id}`, {
+      const res = await apiFetch(`${API_URL}/api/books/${id}`, {
         method: 'DELETE'
       });
 
-      if (!res.ok) throw new Error('Не удалось удалить книгу');
+      if (!res.ok) {
+        const error = await res.json().catch(() => ({}));
+        throw new Error(error.code === 'HAS_OPEN_LOANS'
+          ? `Книга сейчас на руках (${error.details.openLoans} шт.). Сначала примите её.`
+          : 'Не удалось убрать книгу в архив');
+      }
 
       const data = await res.json();
       if (data.success) {
-        setBooks(prev => prev.filter(book => book.id !== id));
+        loadBooks();
         setOpenMenuBookId(prev => (prev === id ? null : prev));
         if (bookToEdit && bookToEdit.id === id) {
           setBookToEdit(null);
@@ -133,7 +270,7 @@ const BooksPage = () => {
       }
     } catch (err) {
       console.error(err);
-      alert('Ошибка удаления книги');
+      alert(err.message);
     }
   };
 
@@ -180,32 +317,18 @@ const BooksPage = () => {
     setSelectedBook(null);
   };
 
-  // Фильтруем книги
-  const normalizedQuery = debouncedQuery.trim().toLowerCase();
-
-  const filteredBooks = books.filter(book => {
-    if (!normalizedQuery) {
-      return true;
-    }
+  // Пагинация
+  const totalPages = Math.max(1, Math.ceil(totalBooks / booksPerPage));
 
-    const searchableValues = [
-      book.title,
-      book.author,
-      book.genre,
-      book.id,
-      book.year,
-      book.barcode
-    ];
-
-    return searchableValues
-      .filter(value => value !== null && value !== undefined && value !== '')
-      .some(value => String(value).toLowerCase().includes(normalizedQuery));
-  });
+  // После удаления последней книги на странице возвращаемся на существующую
+  useEffect(() => {
+    if (currentPage > totalPages) setCurrentPage(totalPages);
+  }, [currentPage, totalPages]);
 
-  // Пагинация
-  const totalPages = Math.ceil(filteredBooks.length / booksPerPage);
-  const startIdx = (currentPage - 1) * booksPerPage;
-  const paginatedBooks = filteredBooks.slice(startIdx, startIdx + booksPerPage);
+  const handleFilterChange = (setter) => (e) => {
+    setter(e.target.value);
+    setCurrentPage(1);
+  };
 
   return (
     <div className="books-page">
@@ -216,6 +339,13 @@ const BooksPage = () => {
         initialBook={selectedBook}
         onIssued={loadBooks}
       />
+      <WriteOffModal
+        isOpen={Boolean(writeOffTarget)}
+        onClose={() => setWriteOffTarget(null)}
+        book={writeOffTarget?.book}
+        copy={writeOffTarget?.copy}
+        onWrittenOff={() => loadCopies(writeOffTarget.book.id)}
+      />
       <BookEditModal
         isOpen={isBookEditOpen}
         onClose={closeBookEditModal}
@@ -228,104 +358,100 @@ const BooksPage = () => {
 
       <h1 className="page-title">Библиотека книг</h1>
 
-      <div className="grid grid-layout">
-        {/* Форма добавления книги */}
+      <div className={isAdmin ? 'grid grid-layout' : ''}>
         {/* Форма добавления новой книги */}
-        <div className="section section-sticky">
-          <h2 className="section-title">Добавить новую книгу</h2>
-          <form onSubmit={handleSubmit}>
-            <div className="form-group">
-              <label className="form-label">Название книги *</label>
-              <input
-                type="text"
-                name="title"
-                value={newBook.title}
-                onChange={handleInputChange}
-                className="input"
-                placeholder="Введите название книги"
-                required
-              />
-            </div>
+        {isAdmin && (
+          <div className="section section-sticky">
+            <h2 className="section-title">Добавить новую книгу</h2>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label className="form-label">Название книги *</label>
+                <input
+                  type="text"
+                  name="title"
+                  value={newBook.title}
+                  onChange={handleInputChange}
+                  className="input"
+                  placeholder="Введите название книги"
+                  required
+                />
+              </div>
 
-            <div className="form-group">
-              <label className="form-label">Автор *</label>
-              <input
-                type="text"
-                name="author"
-                value={newBook.author}
-                onChange={handleInputChange}
-                className="input"
-                placeholder="Укажите автора"
-                required
-              />
-            </div>
+              <div className="form-group">
+                <label className="form-label">Автор *</label>
+                <input
+                  type="text"
+                  name="author"
+                  value={newBook.author}
+                  onChange={handleInputChange}
+                  className="input"
+                  placeholder="Укажите автора"
+                  required
+                />
+              </div>
 
-            <div className="form-group">
-              <label className="form-label">Жанр</label>
-              <select
-                name="genre"
-                value={newBook.genre}
-                onChange={handleInputChange}
-                className="input"
-              >
-                <option value="">Выберите жанр</option>
-                <option value="Художественная литература">Художественная литература</option>
-                <option value="Фантастика">Фантастика</option>
-                <option value="Приключения">Приключения</option>
-                <option value="Научная литература">Научная литература</option>
-                <option value="Учебная">Учебная</option>
-                <option value="Биография">Биография</option>
-                <option value="Детская литература">Детская литература</option>
-                <option value="Другое">Другое</option>
-              </select>
-            </div>
+              <div className="form-group">
+                <label className="form-label">Жанр</label>
+                <select
+                  name="genre"
+                  value={newBook.genre}
+                  onChange={handleInputChange}
+                  className="input"
+                >
+                  <option value="">Выберите жанр</option>
+                  {GENRES.map(genre => (
+                    <option key={genre} value={genre}>{genre}</option>
+                  ))}
+                </select>
+              </div>
 
-            <div className="form-group">
-              <label className="form-label">Год издания</label>
-              <input
-                type="number"
-                name="year"
-                value={newBook.year}
-                onChange={handleInputChange}
-                className="input"
-                placeholder="Например, 2024"
-                min="0"
-                max={new Date().getFullYear()}
-              />
-            </div>
+              <div className="form-group">
+                <label className="form-label">Год издания</label>
+                <input
+                  type="number"
+                  name="year"
+                  value={newBook.year}
+                  onChange={handleInputChange}
+                  className="input"
+                  placeholder="Например, 2024"
+                  min="0"
+                  max={new Date().getFullYear()}
+                />
+              </div>
 
-            <div className="form-group">
-              <label className="form-label">Количество</label>
-              <input
-                type="number"
-                name="quantity"
-                value={newBook.quantity}
-                onChange={handleInputChange}
-                className="input"
-                placeholder="Сколько экземпляров"
-                min="0"
-              />
-            </div>
+              <div className="form-group">
+                <label className="form-label">Количество</label>
+                <input
+                  type="number"
+                  name="quantity"
+                  value={newBook.quantity}
+                  onChange={handleInputChange}
+                  className="input"
+                  placeholder="Сколько экземпляров"
+                  min="0"
+                />
+              </div>
 
-            <div className="form-group">
-              <label className="form-label">Штрих-код</label>
-              <input
-                type="text"
-                name="barcode"
-                value={newBook.barcode}
-                onChange={handleInputChange}
-                className="input"
-                placeholder="Введите штрих-код (если есть)"
-              />
-            </div>
+              <div className="form-group">
+                <label className="form-label">Штрих-код</label>
+                <input
+                  type="text"
+                  name="barcode"
+                  value={newBook.barcode}
+                  onChange={handleInputChange}
+                  className="input"
+                  placeholder="Введите штрих-код (если есть)"
+                />
+              </div>
 
-            <div className="form-actions">
-              <button type="submit" className="btn btn-primary btn-full">
-                Добавить книгу
-              </button>
-            </div>
-          </form>
-        </div>
+              <div className="form-actions">
+                <button type="submit" className="btn btn-primary btn-full">
+                  Добавить книгу
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
 
         {/* Список книг */}
         <div className="section">
@@ -342,11 +468,53 @@ const BooksPage = () => {
                 className="input input-sm"
                 placeholder="Поиск..."
               />
+              <select
+                value={genreFilter}
+                onChange={handleFilterChange(setGenreFilter)}
+                className="input input-sm"
+              >
+                <option value="">Все жанры</option>
+                {GENRES.map(genre => (
+                  <option key={genre} value={genre}>{genre}</option>
+                ))}
+              </select>
+              <select
+                value={availabilityFilter}
+                onChange={handleFilterChange(setAvailabilityFilter)}
+                className="input input-sm"
+              >
+                <option value="">Любое наличие</option>
+                <option value="available">Есть в наличии</option>
+                <option value="unavailable">Нет в наличии</option>
+              </select>
+              <input
+                type="number"
+                value={yearFrom}
+                onChange={handleFilterChange(setYearFrom)}
+                className="input input-sm select-narrow"
+                placeholder="Год с"
+              />
+              <input
+                type="number"
+                value={yearTo}
+                onChange={handleFilterChange(setYearTo)}
+                className="input input-sm select-narrow"
+                placeholder="Год по"
+              />
+              <select
+                value={sortOption}
+                onChange={handleFilterChange(setSortOption)}
+                className="input input-sm"
+              >
+                {SORT_OPTIONS.map(opt => (
+                  <option key={opt.value} value={opt.value}>{opt.label}</option>
+                ))}
+              </select>
             </div>
           </div>
 
           <div className="grid grid-auto">
-            {paginatedBooks.map(book => (
+            {books.map(book => (
               <div key={book.id} className="card card-compact book-card">
                 <div className="book-card-header">
                   <div className="book-card-header-main">
@@ -354,44 +522,54 @@ const BooksPage = () => {
                     <span className={`badge ${book.quantity > 0 ? 'badge-success' : 'badge-danger'}`}>
                       {book.quantity > 0 ? `Доступно: ${book.quantity}` : 'Недоступна'}
                     </span>
+                    {queueLengths[book.id] > 0 && (
+                      <span className="badge badge-warning">Очередь: {queueLengths[book.id]}</span>
+                    )}
                   </div>
-                  <button
-                    type="button"
-                    className="book-card-menu-toggle"
-                    onClick={(event) => handleBookMenuToggle(event, book.id)}
-                    aria-haspopup="true"
-                    aria-expanded={openMenuBookId === book.id}
-                    aria-label="Открыть меню действий книги"
-                  >
-                    <span className="book-card-menu-icon" />
-                  </button>
+                  {canIssue && (
+                    <button
+                      type="button"
+                      className="book-card-menu-toggle"
+                      onClick={(event) => handleBookMenuToggle(event, book.id)}
+                      aria-haspopup="true"
+                      aria-expanded={openMenuBookId === book.id}
+                      aria-label="Открыть меню действий книги"
+                    >
+                      <span className="book-card-menu-icon" />
+                    </button>
+                  )}
                   {openMenuBookId === book.id && (
                     <div
                       className="book-card-menu"
                       onClick={(event) => event.stopPropagation()}
                     >
-                      <button
-                        type="button"
-                        className="book-card-menu-item"
-                        onClick={() => handleBookMenuIssue(book)}
-                        disabled={book.quantity <= 0}
-                      >
-                        Выдать книгу
-                      </button>
-                      <button
-                        type="button"
-                        className="book-card-menu-item"
-                        onClick={() => handleBookMenuEdit(book)}
-                      >
-                        Редактировать
-                      </button>
-                      <button
-                        type="button"
-                        className="book-card-menu-item book-card-menu-item--delete"
-                        onClick={() => handleBookMenuDelete(book.id)}
-                      >
-                        Удалить книгу
-                      </button>
+                      {canIssue && (
+                        <button
+                          type="button"
+                          className="book-card-menu-item"
+                          onClick={() => handleBookMenuIssue(book)}
+                        >
+                          {book.quantity > 0 ? 'Выдать книгу' : 'Поставить в очередь'}
+                        </button>
+                      )}
+                      {isAdmin && (
+                        <>
+                          <button
+                            type="button"
+                            className="book-card-menu-item"
+                            onClick={() => handleBookMenuEdit(book)}
+                          >
+                            Редактировать
+                          </button>
+                          <button
+                            type="button"
+                            className="book-card-menu-item book-card-menu-item--delete"
+                            onClick={() => handleBookMenuDelete(book.id)}
+                          >
+                            В архив
+                          </button>
+                        </>
+                      )}
                     </div>
                   )}
                 </div>
@@ -403,11 +581,47 @@ const BooksPage = () => {
                   <p><strong>Количество:</strong> {book.quantity}</p>
                   <p><strong>Штрих-код:</strong> {book.barcode || '—'}</p>
                 </div>
+
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-sm book-card-copies-toggle"
+                  onClick={() => toggleCopies(book.id)}
+                  aria-expanded={copies?.bookId === book.id}
+                >
+                  {copies?.bookId === book.id ? 'Скрыть экземпляры' : 'Экземпляры'}
+                </button>
+                {copies?.bookId === book.id && (
+                  <ul className="book-card-copies">
+                    {copies.items.map(copy => (
+                      <li
+                        key={copy.id}
+                        className={`book-card-copy${copy.status === 'withdrawn' ? ' book-card-copy--withdrawn' : ''}`}
+                      >
+                        <div>
+                          <strong>Инв. № {copy.inventoryNumber}</strong>
+                          {copy.barcode && ` · ${copy.barcode}`}
+                          {` · ${CONDITION_LABELS[copy.condition] || copy.condition}`}
+                        </div>
+                        <div>{describeCopyPlace(copy)}</div>
+                        {isAdmin && copy.status !== 'withdrawn' && (
+                          <button
+                            type="button"
+                            className="btn btn-ghost btn-sm"
+                            onClick={() => setWriteOffTarget({ book, copy })}
+                          >
+                            Списать
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                    {copies.items.length === 0 && <li className="book-card-copy">Экземпляров нет</li>}
+                  </ul>
+                )}
               </div>
             ))}
           </div>
 
-          {filteredBooks.length === 0 && (
+          {books.length === 0 && (
             <div className="empty-table">Книги не найдены</div>
           )}
 
@@ -420,7 +634,7 @@ const BooksPage = () => {
               Назад
             </button>
             <span className="pagination-info">
-              Страница {currentPage} из {totalPages}
+              Страница {currentPage} из {totalPages} · найдено {totalBooks}
             </span>
             <button
               className="btn btn-ghost btn-sm"
@@ -1,44 +1,50 @@
 import React, { useMemo, useState, useEffect, useCallback } from 'react';
-import { API_URL } from '../config';
+import { API_URL, DEFAULT_ITEMS_PER_PAGE, ITEMS_PER_PAGE_OPTIONS } from '../config';
+import { apiFetch, createIdempotencyKey, renewLoan } from '../api';
+import { useLiveEvents } from '../liveEvents';
+import { useAuthStore, canCirculate } from '../store/authStore';
+import { useConfigStore } from '../store/configStore';
 import IssueModal from '../components/IssueModal';
 
 function parseDate(value) {
   return value ? new Date(value + 'T00:00:00') : null;
 }
 
-function getTransactionOrderValue(tr) {
-  if (!tr) return 0;
-  const idNumber = Number(tr.id);
-  if (Number.isFinite(idNumber) && idNumber > 0) {
-    return idNumber;
-  }
-  const parsedDate = Date.parse(tr.date ?? '');
-  return Number.isFinite(parsedDate) ? parsedDate : 0;
-}
-
 const HomePage = () => {
+  const canIssue = canCirculate(useAuthStore(state => state.user));
   const [surname, setSurname] = useState('');
   const [book, setBook] = useState('');
   const [fromDate, setFromDate] = useState('');
   const [toDate, setToDate] = useState('');
+  const [debouncedSurname, setDebouncedSurname] = useState('');
+  const [debouncedBook, setDebouncedBook] = useState('');
   const [sortAsc, setSortAsc] = useState(true);
   const [tickets, setTickets] = useState([]);
+  const [totalTickets, setTotalTickets] = useState(0);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [perPage, setPerPage] = useState(DEFAULT_ITEMS_PER_PAGE);
   const [stats, setStats] = useState({
     total: 0,
     onHands: 0,
     overdue: 0,
+    issuedToday: 0,
+    dueToday: 0,
     newThisMonth: 0,
-    writtenOff: 0
+    writtenOff: 0,
+    writtenOffByReason: {}
   });
   const [isLoading, setIsLoading] = useState(false);
   const [isIssueOpen, setIsIssueOpen] = useState(false);
+  const [returnKey] = useState(createIdempotencyKey);
+  const [renewKey] = useState(createIdempotencyKey);
+  const maxRenewals = useConfigStore(state => state.loan.maxRenewals);
 
   const todayStr = useMemo(() => new Date().toISOString().slice(0, 10), []);
 
   // Загружаем статистику
   const loadStats = useCallback(async () => {
     try {
-      const res = await fetch(`${API_URL}/api/stats`);
+      const res = await apiFetch(`${API_URL}/api/stats`);
       if (!res.ok) throw new Error('Failed to load stats');
       const data = await res.json();
       setStats(data);
@@ -51,62 +57,78 @@ const HomePage = () => {
     loadStats();
   }, [loadStats]);
 
-  // Загружаем активные транзакции
+  // Debounce для поиска
+  useEffect(() => {
+    const handler = setTimeout(() => {
+      setDebouncedSurname(surname);
+      setDebouncedBook(book);
+      setCurrentPage(1);
+    }, 300);
+
+    return () => clearTimeout(handler);
+  }, [surname, book]);
+
+  // Загружаем активные выдачи: сервер сам сопоставляет выдачи с возвратами и фильтрует
   const loadTickets = useCallback(async () => {
     setIsLoading(true);
     try {
-      const [transactionsRes, studentsRes, booksRes] = await Promise.all([
-        fetch(`${API_URL}/api/transactions`),
-        fetch(`${API_URL}/api/students`),
-        fetch(`${API_URL}/api/books`)
-      ]);
-
-      if (!transactionsRes.ok || !studentsRes.ok || !booksRes.ok) {
-        throw new Error('Failed to load data');
-      }
-
-      const [transactions, students, books] = await Promise.all([
-        transactionsRes.json(),
-        studentsRes.json(),
-        booksRes.json()
-      ]);
-
-      // Определяем активные выдачи
-      const lastByPair = new Map();
-      for (const tr of transactions) {
-        const key = `${tr.studentId}:${tr.bookId}`;
-        const prev = lastByPair.get(key);
-        if (!prev || getTransactionOrderValue(tr) > getTransactionOrderValue(prev)) {
-          lastByPair.set(key, tr);
-        }
-      }
-
-      const activePairs = Array.from(lastByPair.values()).filter(tr => tr.action === 'taken');
-
-      const combined = activePairs.map(tr => {
-        const student = students.find(s => s.studentId === tr.studentId);
-        const bookData = books.find(b => b.id === tr.bookId);
-        return {
-          studentId: tr.studentId,
-          id: student?.studentId || tr.studentId,
-          fullName: student ? student.name : '—',
-          book: bookData?.title || '—',
-          author: bookData?.author || '—',
-          bookId: tr.bookId,
-          barcode: bookData?.barcode ?? null,
-          dueDate: tr.date || '',
-          status: tr.action || '—',
-        };
+      const params = new URLSearchParams({
+        status: 'open',
+        direction: sortAsc ? 'asc' : 'desc',
+        page: currentPage,
+        pageSize: perPage
       });
+      if (debouncedSurname.trim()) params.set('student', debouncedSurname.trim());
+      if (debouncedBook.trim()) params.set('book', debouncedBook.trim());
+      if (fromDate) params.set('dueFrom', fromDate);
+      if (toDate) params.set('dueTo', toDate);
+
+      const res = await apiFetch(`${API_URL}/api/loans?${params}`);
+      if (!res.ok) {
+        throw new Error('Failed to load loans');
+      }
 
-      setTickets(combined);
+      const data = await res.json();
+      setTickets(data.items || []);
+      setTotalTickets(data.total || 0);
     } catch (err) {
       console.error('Ошибка загрузки данных:', err);
       alert('Не удалось загрузить данные. Проверьте подключение к серверу.');
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [debouncedSurname, debouncedBook, fromDate, toDate, sortAsc, currentPage, perPage]);
+
+  // Изменения с других рабочих мест: счётчики перечитываем, строки таблицы правим на месте
+  const reloadLoans = () => {
+    loadStats();
+    loadTickets();
+  };
+
+  useLiveEvents({
+    'loan.opened': reloadLoans,
+    'loan.closed': reloadLoans,
+    'loan.renewed': reloadLoans,
+    'data.reloaded': reloadLoans,
+    'student.deleted': reloadLoans,
+    'book.created': loadStats,
+    'book.deleted': reloadLoans,
+    'book.updated': ({ book: updated }) => {
+      loadStats();
+      setTickets(prev => prev.map(t => (
+        t.bookId === updated.id
+          ? { ...t, bookTitle: updated.title, bookAuthor: updated.author, barcode: updated.barcode }
+          : t
+      )));
+    },
+    'student.updated': ({ student }) => {
+      setTickets(prev => prev.map(t => (
+        t.studentId === student.studentId
+          ? { ...t, studentName: student.name, grade: student.grade, gradeLetter: student.gradeLetter }
+          : t
+      )));
+    }
+  });
 
   const handleIssueIssued = useCallback(() => {
     loadStats();
@@ -128,54 +150,12 @@ const HomePage = () => {
     loadTickets();
   }, [loadTickets]);
 
-  // Фильтры и сортировка
-  const filteredTickets = useMemo(() => {
-    const from = parseDate(fromDate);
-    const to = parseDate(toDate);
-    const normalizedSurname = surname.trim().toLowerCase();
-    const normalizedBook = book.trim().toLowerCase();
-
-    let list = tickets.filter(t => {
-      const surnameTargets = [
-        t.fullName,
-        t.id,
-        t.studentId
-      ]
-        .filter(Boolean)
-        .map(value => String(value).toLowerCase());
-      const bookTargets = [
-        t.book,
-        t.author,
-        t.bookId,
-        t.barcode
-      ]
-        .filter(Boolean)
-        .map(value => String(value).toLowerCase());
-
-      const matchesSurname = normalizedSurname
-        ? surnameTargets.some(value => value.includes(normalizedSurname))
-        : true;
-      const matchesBook = normalizedBook
-        ? bookTargets.some(value => value.includes(normalizedBook))
-        : true;
-      const due = parseDate(t.dueDate);
-      const inFrom = from ? due >= from : true;
-      const inTo = to ? due <= to : true;
-      return matchesSurname && matchesBook && inFrom && inTo;
-    });
-
-    list.sort((a, b) => {
-      const da = parseDate(a.dueDate)?.getTime() || 0;
-      const db = parseDate(b.dueDate)?.getTime() || 0;
-      return sortAsc ? da - db : db - da;
-    });
-
-    return list;
-  }, [tickets, surname, book, fromDate, toDate, sortAsc]);
+  const totalPages = Math.max(1, Math.ceil(totalTickets / perPage));
 
   // Быстрые диапазоны
   function setQuickRange(kind) {
     const today = new Date();
+    setCurrentPage(1);
     if (kind === 'today') {
       const d = today.toISOString().slice(0, 10);
       setFromDate(d);
@@ -202,41 +182,57 @@ const HomePage = () => {
 
   // Обработчик возврата книги
   const handleReturn = async (ticket) => {
-    if (!window.confirm(`Вернуть книгу "${ticket.book}" от ${ticket.fullName}?`)) {
+    if (!window.confirm(`Вернуть книгу "${ticket.bookTitle}" от ${ticket.studentName}?`)) {
       return;
     }
 
     try {
-      const trRes = await fetch(`${API_URL}/api/transactions`, {
+      const payload = {
+        studentId: ticket.studentId,
+        bookId: ticket.bookId,
+        date: new Date().toISOString().slice(0, 10)
+      };
+      const res = await apiFetch(`${API_URL}/api/loans/checkin`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          studentId: ticket.studentId,
-          bookId: ticket.bookId,
-          action: 'returned',
-          date: new Date().toISOString().slice(0, 10)
-        })
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': returnKey.forPayload(payload)
+        },
+        body: JSON.stringify(payload)
       });
 
-      if (!trRes.ok) {
-        const error = await trRes.json();
-        throw new Error(error.error || 'Ошибка создания транзакции');
+      if (!res.ok) {
+        const error = await res.json().catch(() => ({}));
+        throw new Error(error.error || 'Ошибка приёма книги');
       }
 
-      await fetch(`${API_URL}/api/books/${ticket.bookId}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ quantityDelta: 1 })
-      });
-
+      const { readyHold, fine } = await res.json();
+      returnKey.reset();
       await Promise.all([loadTickets(), loadStats()]);
-      console.log(`✅ Книга "${ticket.book}" успешно возвращена`);
+      console.log(`✅ Книга "${ticket.bookTitle}" успешно возвращена`);
+      if (fine) {
+        alert(`Книга возвращена с опозданием на ${fine.lateDays} раб. дн., начислен штраф ${fine.amount} ₽.`);
+      }
+      if (readyHold) {
+        alert(`Отложите книгу "${ticket.bookTitle}": её ждёт ${readyHold.studentName} (очередь), забрать до ${parseDate(readyHold.expiresAt).toLocaleDateString('ru-RU')}.`);
+      }
     } catch (err) {
       console.error('Ошибка возврата книги:', err);
       alert(`Не удалось принять книгу: ${err.message}`);
     }
   };
 
+  const handleRenew = async (ticket) => {
+    try {
+      const loan = await renewLoan(ticket.id, renewKey);
+      await loadTickets();
+      alert(`Книга "${ticket.bookTitle}" продлена до ${parseDate(loan.dueDate).toLocaleDateString('ru-RU')}`);
+    } catch (err) {
+      console.error('Ошибка продления:', err);
+      alert(`Не удалось продлить книгу: ${err.message}`);
+    }
+  };
+
   return (
     <div>
       <IssueModal
@@ -256,36 +252,49 @@ const HomePage = () => {
             <div className="stat-number blue">{stats.total.toLocaleString('ru-RU')}</div>
             <div className="stat-label">Всего книг</div>
           </div>
-          <div
-            className="stat-card stat-card--interactive"
-            role="button"
-            tabIndex={0}
-            onClick={openIssueModal}
-            onKeyDown={handleOnHandsKeyDown}
-          >
-            <button
-              type="button"
-              className="stat-card-plus"
-              onClick={event => { event.stopPropagation(); openIssueModal(); }}
-              aria-label="Выдать книгу"
+          {canIssue ? (
+            <div
+              className="stat-card stat-card--interactive"
+              role="button"
+              tabIndex={0}
+              onClick={openIssueModal}
+              onKeyDown={handleOnHandsKeyDown}
             >
-              +
-            </button>
-            <div className="stat-number purple">{stats.onHands.toLocaleString('ru-RU')}</div>
-            <div className="stat-label">На руках</div>
-            <span className="stat-card-hint">Открыть выдачу</span>
-          </div>
+              <button
+                type="button"
+                className="stat-card-plus"
+                onClick={event => { event.stopPropagation(); openIssueModal(); }}
+                aria-label="Выдать книгу"
+              >
+                +
+              </button>
+              <div className="stat-number purple">{stats.onHands.toLocaleString('ru-RU')}</div>
+              <div className="stat-label">На руках</div>
+              <span className="stat-card-hint">Сегодня выдано: {stats.issuedToday}</span>
+              <span className="stat-card-hint">Открыть выдачу</span>
+            </div>
+          ) : (
+            <div className="stat-card">
+              <div className="stat-number purple">{stats.onHands.toLocaleString('ru-RU')}</div>
+              <div className="stat-label">На руках</div>
+              <span className="stat-card-hint">Сегодня выдано: {stats.issuedToday}</span>
+            </div>
+          )}
           <div className="stat-card">
             <div className="stat-number pink">{stats.overdue}</div>
             <div className="stat-label">Просрочено</div>
+            <span className="stat-card-hint">Сдать сегодня: {stats.dueToday}</span>
           </div>
           <div className="stat-card">
             <div className="stat-number green">{stats.newThisMonth}</div>
-            <div className="stat-label">Новые за месяц</div>
+            <div className="stat-label">Поступило за месяц</div>
           </div>
           <div className="stat-card">
             <div className="stat-number">{stats.writtenOff}</div>
-            <div className="stat-label">Списано</div>
+            <div className="stat-label">Списано за месяц</div>
+            {stats.writtenOffByReason.lost > 0 && (
+              <span className="stat-card-hint">Утеряно читателями: {stats.writtenOffByReason.lost}</span>
+            )}
           </div>
         </div>
       </section>
@@ -318,14 +327,14 @@ const HomePage = () => {
                 className="input"
                 type="date"
                 value={fromDate}
-                onChange={e => setFromDate(e.target.value)}
+                onChange={e => { setFromDate(e.target.value); setCurrentPage(1); }}
               />
               <span className="date-sep">—</span>
               <input
                 className="input"
                 type="date"
                 value={toDate}
-                onChange={e => setToDate(e.target.value)}
+                onChange={e => { setToDate(e.target.value); setCurrentPage(1); }}
               />
             </div>
           </div>
@@ -333,7 +342,7 @@ const HomePage = () => {
             <button className="filter-chip" onClick={() => setQuickRange('today')}>Сегодня</button>
             <button className="filter-chip" onClick={() => setQuickRange('week')}>Эта неделя</button>
             <button className="filter-chip" onClick={() => setQuickRange('overdue')}>Просрочено до сегодня</button>
-            <button className="filter-chip" onClick={() => { setFromDate(''); setToDate(''); }}>Сбросить даты</button>
+            <button className="filter-chip" onClick={() => { setFromDate(''); setToDate(''); setCurrentPage(1); }}>Сбросить даты</button>
           </div>
         </div>
 
@@ -342,11 +351,13 @@ const HomePage = () => {
             <thead>
               <tr>
                 <th>ФИО</th>
+                <th>Класс</th>
                 <th>ID студента</th>
                 <th>Книга</th>
                 <th>Автор</th>
+                <th>Выдана</th>
                 <th>
-                  <button className="th-sort" onClick={() => setSortAsc(s => !s)}>
+                  <button className="th-sort" onClick={() => { setSortAsc(s => !s); setCurrentPage(1); }}>
                     В срок до {sortAsc ? '↑' : '↓'}
                   </button>
                 </th>
@@ -355,7 +366,7 @@ const HomePage = () => {
               </tr>
             </thead>
             <tbody>
-              {filteredTickets.map((t, idx) => {
+              {tickets.map(t => {
                 const due = parseDate(t.dueDate);
                 if (!due) return null;
                 const diffDays = Math.ceil((due - parseDate(todayStr)) / (1000 * 60 * 60 * 24));
@@ -366,31 +377,78 @@ const HomePage = () => {
                 const daysClass = diffDays < 0 ? 'danger' : diffDays === 0 ? 'warning' : 'success';
 
                 return (
-                  <tr key={`${t.studentId}-${t.bookId}-${idx}`}>
-                    <td>{t.fullName}</td>
-                    <td>#{t.id}</td>
-                    <td>{t.book}</td>
-                    <td>{t.author}</td>
+                  <tr key={t.id}>
+                    <td>{t.studentName || '—'}</td>
+                    <td>{[t.grade, t.gradeLetter?.toUpperCase()].filter(Boolean).join(' ') || '—'}</td>
+                    <td>#{t.studentId}</td>
+                    <td>
+                      {t.bookTitle || '—'}
+                      {t.inventoryNumber && <div className="loan-copy">инв. № {t.inventoryNumber}</div>}
+                    </td>
+                    <td>{t.bookAuthor || '—'}</td>
+                    <td>{t.issuedAt ? parseDate(t.issuedAt).toLocaleDateString('ru-RU') : '—'}</td>
                     <td>{due.toLocaleDateString('ru-RU')}</td>
                     <td><span className={`days-badge ${daysClass}`}>{daysText}</span></td>
                     <td>
                       <button
                         className="btn btn-secondary btn-sm"
                         onClick={() => handleReturn(t)}
-                        disabled={isLoading}
+                        disabled={isLoading || !canIssue}
                       >
                         Принять
                       </button>
+                      {' '}
+                      <button
+                        className="btn btn-ghost btn-sm"
+                        onClick={() => handleRenew(t)}
+                        disabled={isLoading || !canIssue || t.renewals >= maxRenewals}
+                        title={`Продлений: ${t.renewals ?? 0} из ${maxRenewals}`}
+                      >
+                        Продлить
+                      </button>
                     </td>
                   </tr>
                 );
               })}
             </tbody>
           </table>
-          {filteredTickets.length === 0 && !isLoading && (
+          {tickets.length === 0 && !isLoading && (
             <div className="empty-table">Нет активных записей</div>
           )}
         </div>
+
+        <div className="pagination">
+          <button
+            className="btn btn-ghost btn-sm"
+            onClick={() => setCurrentPage(p => Math.max(1, p - 1))}
+            disabled={currentPage === 1}
+          >
+            Назад
+          </button>
+          <span className="pagination-info">
+            Страница {currentPage} из {totalPages}
+          </span>
+          <button
+            className="btn btn-ghost btn-sm"
+            onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))}
+            disabled={currentPage === totalPages}
+          >
+            Вперёд
+          </button>
+          <span>На странице:</span>
+          <select
+            value={perPage}
+            onChange={e => {
+              setPerPage(Number(e.target.value));
+              setCurrentPage(1);
+            }}
+            className="input input-sm select-narrow"
+          >
+            {ITEMS_PER_PAGE_OPTIONS.map(opt => (
+              <option key={opt} value={opt}>{opt}</option>
+            ))}
+          </select>
+        </div>
       </section>
     </div>
   );
@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import './InventoryPage.css';
+import { API_URL } from '../config';
+import { apiFetch, DISCREPANCY_KINDS, DISCREPANCY_RESOLUTIONS, WRITE_OFF_REASONS } from '../api';
+
+// Что показал скан: ответ verdict сервера
+const VERDICT_LABELS = {
+  ok: 'На месте',
+  unexpected: 'Лишний',
+  'wrong-location': 'Не на своём месте',
+  duplicate: 'Уже отсканирован'
+};
+
+const COPY_STATUS_LABELS = {
+  'on-shelf': 'на полке',
+  'on-loan': 'выдан',
+  withdrawn: 'списан'
+};
+
+// При списании по инвентаризации утерю отмечают отдельной кнопкой
+const WRITE_OFF_CHOICES = Object.entries(WRITE_OFF_REASONS).filter(([reason]) => reason !== 'lost');
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString('ru-RU') : '—');
+
+const readError = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  return data.error || fallback;
+};
+
+// Где экземпляр должен стоять и где его нашли
+const describePlace = (item) => {
+  if (item.kind === 'wrong-location') return `${item.expectedLocation} → ${item.foundLocation}`;
+  return item.expectedLocation || item.foundLocation || '—';
+};
+
+/**
+ * Инвентаризация фонда: сотрудники сканируют каждый экземпляр на полках, сервер сверяет сканы
+ * с фондом за вычетом выданных книг. После завершения каждое расхождение закрывают:
+ * экземпляр найден, утерян или списан.
+ */
+const InventoryPage = () => {
+  const [sessions, setSessions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [kindFilter, setKindFilter] = useState('');
+  const [note, setNote] = useState('');
+  const [location, setLocation] = useState('');
+  const [code, setCode] = useState('');
+  const [recentScans, setRecentScans] = useState([]);
+  const [writeOffReasons, setWriteOffReasons] = useState({});
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const codeInputRef = useRef(null);
+
+  const openSession = sessions.find(session => !session.closedAt) || null;
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_URL}/api/inventory`);
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось загрузить инвентаризации'));
+      const data = await res.json();
+      setSessions(data);
+      setSelectedId(prev => prev ?? data[0]?.id ?? null);
+    } catch (err) {
+      console.error('Ошибка загрузки инвентаризаций:', err);
+      setMessage(err.message);
+    }
+  }, []);
+
+  const loadReport = useCallback(async (sessionId) => {
+    if (!sessionId) {
+      setReport(null);
+      return;
+    }
+    try {
+      const res = await apiFetch(`${API_URL}/api/inventory/${sessionId}/report`);
+      if (!res.ok) throw new Error(await readError(res, 'Не удалось загрузить сверку'));
+      setReport(await res.json());
+    } catch (err) {
+      console.error('Ошибка загрузки сверки:', err);
+      setMessage(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  useEffect(() => {
+    loadReport(selectedId);
+  }, [loadReport, selectedId]);
+
+  // action выполняет запрос и возвращает текст для пользователя
+  const run = async (action) => {
+    try {
+      setIsBusy(true);
+      setMessage('');
+      setMessage(await action());
+    } catch (err) {
+      console.error('Ошибка инвентаризации:', err);
+      setMessage(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const post = async (url, body, fallback) => {
+    const res = await apiFetch(`${API_URL}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) throw new Error(await readError(res, fallback));
+    return res.json();
+  };
+
+  const handleStart = () => run(async () => {
+    const session = await post('/api/inventory', note.trim() ? { note: note.trim() } : {}, 'Не удалось начать инвентаризацию');
+    setNote('');
+    setRecentScans([]);
+    setSelectedId(session.id);
+    await loadSessions();
+    return 'Инвентаризация начата: сканируйте экземпляры на полках';
+  });
+
+  const handleScan = async (event) => {
+    event.preventDefault();
+    const scanned = code.trim();
+    if (!scanned || !openSession) return;
+    setCode('');
+    await run(async () => {
+      const { scan, verdict } = await post(
+        `/api/inventory/${openSession.id}/scans`,
+        { code: scanned, ...(location.trim() && { location: location.trim() }) },
+        'Не удалось сохранить скан'
+      );
+      setRecentScans(prev => [{ key: `${scan.id}-${prev.length}`, scan, verdict }, ...prev].slice(0, 15));
+      return '';
+    });
+    codeInputRef.current?.focus();
+  };
+
+  const handleClose = () => {
+    if (!openSession) return;
+    if (!window.confirm('Завершить инвентаризацию? После этого сканы больше не принимаются.')) return;
+    run(async () => {
+      const closed = await post(`/api/inventory/${openSession.id}/close`, {}, 'Не удалось завершить инвентаризацию');
+      setReport(closed);
+      setSelectedId(closed.session.id);
+      await loadSessions();
+      return `Инвентаризация завершена, расхождений: ${closed.discrepancies.length}`;
+    });
+  };
+
+  const resolve = (item, payload) => run(async () => {
+    await post(`/api/inventory/discrepancies/${item.id}/resolution`, payload, 'Не удалось закрыть расхождение');
+    await Promise.all([loadReport(item.sessionId), loadSessions()]);
+    return '';
+  });
+
+  const discrepancies = (report?.discrepancies || []).filter(item => !kindFilter || item.kind === kindFilter);
+  const isClosedReport = Boolean(report?.session.closedAt);
+
+  return (
+    <div className="inventory-page">
+      <h1 className="page-title">Инвентаризация</h1>
+
+      {message && <p className="inventory-message">{message}</p>}
+
+      {openSession ? (
+        <section className="tickets-section">
+          <div className="tickets-header">
+            <h2 className="section-title">Сканирование · начато {formatTime(openSession.startedAt)}</h2>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={handleClose} disabled={isBusy}>
+              Завершить
+            </button>
+          </div>
+
+          <form className="inventory-scan-form" onSubmit={handleScan}>
+            <input
+              type="text"
+              className="input"
+              placeholder="Место: зал, стеллаж"
+              value={location}
+              onChange={event => setLocation(event.target.value)}
+              maxLength={100}
+            />
+            <input
+              ref={codeInputRef}
+              type="text"
+              className="input"
+              placeholder="Штрих-код или инвентарный номер"
+              value={code}
+              onChange={event => setCode(event.target.value)}
+              maxLength={64}
+              autoFocus
+            />
+            <button type="submit" className="btn btn-primary" disabled={!code.trim()}>
+              Учесть
+            </button>
+          </form>
+
+          <ul className="inventory-scans">
+            {recentScans.map(({ key, scan, verdict }) => (
+              <li key={key} className={`inventory-scan inventory-scan--${verdict}`}>
+                <span className="inventory-verdict">{VERDICT_LABELS[verdict]}</span>
+                <span>
+                  {scan.inventoryNumber ? `Инв. № ${scan.inventoryNumber}` : scan.code}
+                  {scan.bookTitle ? ` · ${scan.bookTitle}` : ' · нет в каталоге'}
+                  {scan.copyStatus && scan.copyStatus !== 'on-shelf' && ` · ${COPY_STATUS_LABELS[scan.copyStatus]}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : (
+        <section className="tickets-section">
+          <div className="inventory-scan-form">
+            <input
+              type="text"
+              className="input"
+              placeholder="Примечание, например «Годовая инвентаризация 2026»"
+              value={note}
+              onChange={event => setNote(event.target.value)}
+              maxLength={500}
+            />
+            <button type="button" className="btn btn-primary" onClick={handleStart} disabled={isBusy}>
+              Начать инвентаризацию
+            </button>
+          </div>
+        </section>
+      )}
+
+      <section className="tickets-section">
+        <div className="tickets-header">
+          <h2 className="section-title">Сверка</h2>
+          <div className="filters-row">
+            <select
+              className="input"
+              value={selectedId ?? ''}
+              onChange={event => setSelectedId(Number(event.target.value) || null)}
+            >
+              {sessions.map(session => (
+                <option key={session.id} value={session.id}>
+                  {formatTime(session.startedAt)}
+                  {session.note ? ` · ${session.note}` : ''}
+                  {session.closedAt ? ` · не закрыто: ${session.unresolved}` : ' · идёт'}
+                </option>
+              ))}
+            </select>
+            <select className="input" value={kindFilter} onChange={event => setKindFilter(event.target.value)}>
+              <option value="">Все расхождения</option>
+              {Object.entries(DISCREPANCY_KINDS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {!isClosedReport && report && (
+              <button type="button" className="btn btn-ghost btn-sm" onClick={() => loadReport(selectedId)}>
+                Обновить
+              </button>
+            )}
+          </div>
+        </div>
+
+        {report && (
+          <p className="inventory-message">
+            В фонде {report.expectedCopies} экз., из них выдано {report.onLoanCopies},
+            {' '}на полках должно быть {report.expectedOnShelf}, найдено на своих местах {report.matchedCopies}.
+            {'\n'}
+            {Object.entries(DISCREPANCY_KINDS).map(([kind, label]) => `${label}: ${report.counts[kind]}`).join(' · ')}
+            {!isClosedReport && '\nИнвентаризация идёт: расхождения можно будет закрыть после её завершения.'}
+          </p>
+        )}
+
+        <div className="tickets-table-wrapper">
+          <table className="tickets-table">
+            <thead>
+              <tr>
+                <th>Расхождение</th>
+                <th>Экземпляр</th>
+                <th>Книга</th>
+                <th>Место</th>
+                <th>Решение</th>
+              </tr>
+            </thead>
+            <tbody>
+              {discrepancies.map((item, index) => (
+                <tr key={item.id ?? `${item.kind}-${item.exemplarId ?? item.code}-${index}`}>
+                  <td>
+                    {DISCREPANCY_KINDS[item.kind]}
+                    {item.kind === 'unexpected' && item.copyStatus && (
+                      <div className="loan-copy">{COPY_STATUS_LABELS[item.copyStatus]}</div>
+                    )}
+                  </td>
+                  <td>{item.inventoryNumber ? `Инв. № ${item.inventoryNumber}` : item.code}</td>
+                  <td>{item.bookTitle || 'нет в каталоге'}</td>
+                  <td>{describePlace(item)}</td>
+                  <td>
+                    {item.resolution ? (
+                      <>
+                        {DISCREPANCY_RESOLUTIONS[item.resolution]}
+                        {item.note && <div className="loan-copy">{item.note}</div>}
+                      </>
+                    ) : isClosedReport && (
+                      <div className="inventory-actions">
+                        <button
+                          type="button"
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => resolve(item, { resolution: 'found' })}
+                          disabled={isBusy}
+                        >
+                          Найден
+                        </button>
+                        {item.kind === 'missing' && (
+                          <button
+                            type="button"
+                            className="btn btn-ghost btn-sm"
+                            onClick={() => resolve(item, { resolution: 'lost' })}
+                            disabled={isBusy}
+                          >
+                            Утерян
+                          </button>
+                        )}
+                        {item.exemplarId && item.copyStatus !== 'withdrawn' && (
+                          <>
+                            <select
+                              className="input input-sm"
+                              value={writeOffReasons[item.id] || 'worn-out'}
+                              onChange={event => setWriteOffReasons(prev => ({ ...prev, [item.id]: event.target.value }))}
+                            >
+                              {WRITE_OFF_CHOICES.map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                              ))}
+                            </select>
+                            <button
+                              type="button"
+                              className="btn btn-ghost btn-sm"
+                              onClick={() => resolve(item, {
+                                resolution: 'written-off',
+                                reason: writeOffReasons[item.id] || 'worn-out'
+                              })}
+                              disabled={isBusy}
+                            >
+                              Списать
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {report && discrepancies.length === 0 && (
+            <div className="empty-table">Расхождений нет</div>
+          )}
+          {!report && (
+            <div className="empty-table">Инвентаризаций ещё не было</div>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default InventoryPage;
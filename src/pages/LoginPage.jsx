@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import './LoginPage.css';
+import { API_URL } from '../config';
+import { useAuthStore } from '../store/authStore';
+import { useConfigStore } from '../store/configStore';
+import schoolLogo from '../images/schoolLogo.png';
+
+const LoginPage = () => {
+  const setSession = useAuthStore(state => state.setSession);
+  const schoolName = useConfigStore(state => state.schoolName);
+  const [form, setForm] = useState({ username: '', password: '' });
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!form.username.trim() || !form.password) {
+      setError('Введите логин и пароль.');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setError('');
+
+      const res = await fetch(`${API_URL}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: form.username.trim(), password: form.password })
+      });
+
+      if (!res.ok) {
+        throw new Error(res.status === 401 ? 'Неверный логин или пароль.' : 'Не удалось войти.');
+      }
+
+      setSession(await res.json());
+    } catch (err) {
+      console.error('Ошибка входа:', err);
+      setError(err.message || 'Не удалось войти.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="card login-card" onSubmit={handleSubmit}>
+        <img src={schoolLogo} alt={schoolName} className="login-logo" />
+        <h1 className="login-title">{schoolName}</h1>
+        <p className="login-subtitle">Войдите, чтобы продолжить</p>
+
+        <div className="form-group">
+          <label className="form-label">Логин</label>
+          <input
+            type="text"
+            name="username"
+            className="input"
+            value={form.username}
+            onChange={handleChange}
+            autoComplete="username"
+            autoFocus
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Пароль</label>
+          <input
+            type="password"
+            name="password"
+            className="input"
+            value={form.password}
+            onChange={handleChange}
+            autoComplete="current-password"
+          />
+        </div>
+
+        {error && <div className="form-error">{error}</div>}
+
+        <button type="submit" className="btn btn-primary btn-full" disabled={isSubmitting}>
+          {isSubmitting ? 'Входим...' : 'Войти'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
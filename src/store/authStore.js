@@ -0,0 +1,22 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+
+/**
+ * Текущая сессия библиотекаря. Токен хранится в localStorage,
+ * чтобы вход переживал перезагрузку страницы.
+ */
+export const useAuthStore = create(
+  persist(
+    (set) => ({
+      token: null,
+      user: null,
+      setSession: ({ token, user }) => set({ token, user }),
+      clearSession: () => set({ token: null, user: null })
+    }),
+    { name: 'library-auth' }
+  )
+);
+
+// Права по ролям, совпадают с проверками requireRole на сервере
+export const canManageCatalog = (user) => user?.role === 'admin';
+export const canCirculate = (user) => user?.role === 'admin' || user?.role === 'librarian';
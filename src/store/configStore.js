@@ -0,0 +1,33 @@
+import { create } from 'zustand';
+import { API_URL, APP_NAME } from '../config';
+
+/**
+ * Настройки школы с сервера (GET /api/config): название, сроки выдачи, праздники, продления и штрафы.
+ * До загрузки действуют значения по умолчанию, совпадающие с серверными.
+ */
+export const useConfigStore = create((set) => ({
+  schoolName: APP_NAME,
+  loan: {
+    defaultDays: 7,
+    maxDays: 180,
+    holidays: ['01-01', '02-23', '03-08', '05-01', '05-09', '06-12', '11-04'],
+    renewDays: 7,
+    maxRenewals: 2,
+    holdPickupDays: 3
+  },
+  fines: {
+    dailyRate: 5,
+    graceDays: 2,
+    maxAmount: 100
+  },
+  load: async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/config`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { schoolName, loan, fines } = await res.json();
+      set({ schoolName, loan, fines });
+    } catch (err) {
+      console.error('Ошибка загрузки настроек:', err);
+    }
+  }
+}));
@@ -1,22 +1,30 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(),
-    tailwindcss()],
-  build: {
-    outDir: 'dist',
-    assetsDir: 'assets',
-    rollupOptions: {
-      output: {
-        manualChunks: undefined
+export default defineConfig(({ mode }) => {
+  // The same .env files configure the API server (backend/config.js)
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [react(),
+      tailwindcss()],
+    build: {
+      outDir: 'dist',
+      assetsDir: 'assets',
+      rollupOptions: {
+        output: {
+          manualChunks: undefined
+        }
+      }
+    },
+    server: {
+      port: 5173,
+      host: true,
+      proxy: {
+        '/api': `http://localhost:${env.PORT || 3001}`
       }
     }
-  },
-  server: {
-    port: 5173,
-    host: true
   }
 })